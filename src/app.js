@@ -7,6 +7,7 @@ const fs = require('fs');
 const http = require('http');
 const https = require('https');
 const path = require('path');
+const zlib = require('zlib');
 
 // Load configuration and modules
 console.log('Loading configuration...');
@@ -15,11 +16,19 @@ console.log('Configuration loaded successfully');
 // Restart trigger 2
 const logger = require('./logger');
 const cacheManager = require('./cache/cache-manager');
+const clusterCoordinator = require('./cache/cluster-coordinator');
+const cacheWarmer = require('./cache/cache-warmer');
+const cacheSnapshot = require('./cache/cache-snapshot');
 const proxyManager = require('./proxy/proxy-manager');
+const websocketProxy = require('./proxy/websocket-proxy');
+const http2Support = require('./middleware/http2-support');
 const metricsManager = require('./monitoring/metrics-manager');
 const healthManager = require('./monitoring/health-manager');
 const rateLimiter = require('./middleware/rate-limiter');
+const adminAuth = require('./middleware/admin-auth');
 const domainManager = require('./domain/domain-manager');
+const routingConfig = require('./domain/routing-config');
+const routingTrace = require('./domain/routing-trace');
 const DashboardIntegration = require('./dashboard/dashboard-integration');
 
 // Create Express app
@@ -30,6 +39,11 @@ if (config.server.trustProxy) {
   app.set('trust proxy', true);
 }
 
+// Restore the HTTP/2 request/response API right after Express's own setup
+if (http2Support.enabled) {
+  app.use(http2Support.getMiddleware());
+}
+
 // Add security headers
 if (config.security.headers) {
   app.use(helmet({
@@ -63,6 +77,11 @@ if (config.performance.compression) {
       if (req.headers['content-encoding']) {
         return false;
       }
+      // Don't compress streams that must reach the client as they are produced
+      const contentType = String(res.getHeader('Content-Type') || '').toLowerCase();
+      if (config.streaming.neverBufferContentTypes.some(type => contentType.includes(type))) {
+        return false;
+      }
       // Use standard compression filter
       return compression.filter(req, res);
     }
@@ -103,11 +122,95 @@ app.use('/api/cache', (req, res, next) => {
   }
 });
 
+/**
+ * Clear every cache of this process
+ * @returns {Object} { clearedCaches, errors }
+ */
+function nukeLocalCaches() {
+  const clearedCaches = [];
+  const errors = [];
+
+  // Clear main cache
+  try {
+    const result = cacheManager.purge('*');
+    clearedCaches.push({
+      cache: 'main',
+      type: 'response-cache',
+      itemsCleared: result.purged || 0,
+      status: 'success'
+    });
+    logger.info('Main cache cleared');
+  } catch (error) {
+    errors.push({
+      cache: 'main',
+      error: error.message
+    });
+    logger.error('Failed to clear main cache', { error: error.message });
+  }
+
+  // Clear URL transformation cache
+  try {
+    proxyManager.urlTransformer.clearCache();
+    clearedCaches.push({
+      cache: 'url-transform',
+      type: 'transformation-cache',
+      status: 'success'
+    });
+    logger.info('URL transformation cache cleared');
+  } catch (error) {
+    errors.push({
+      cache: 'url-transform',
+      error: error.message
+    });
+    logger.error('Failed to clear URL transformation cache', { error: error.message });
+  }
+
+  // Clear file resolution cache if available
+  try {
+    const fileResolutionCache = require('./cache/file-resolution-cache');
+    if (fileResolutionCache && typeof fileResolutionCache.clear === 'function') {
+      fileResolutionCache.clear();
+      clearedCaches.push({
+        cache: 'file-resolution',
+        type: 'file-cache',
+        status: 'success'
+      });
+      logger.info('File resolution cache cleared');
+    }
+  } catch (error) {
+    // File resolution cache might not exist, that's okay
+    logger.debug('File resolution cache not available or failed to clear', { error: error.message });
+  }
+
+  return { clearedCaches, errors };
+}
+
+// Cache commands run on every worker in cluster mode
+clusterCoordinator.register('purge', ({ pattern, domain }) => cacheManager.purge(pattern, domain));
+clusterCoordinator.register('purgeTags', ({ tags }) => {
+  const result = cacheManager.purgeTags(tags);
+  result.urlTransformations = proxyManager.urlTransformer
+    ? proxyManager.urlTransformer.purgeTags(tags)
+    : 0;
+  return result;
+});
+clusterCoordinator.register('nuke', () => nukeLocalCaches());
+clusterCoordinator.register('warmJobs', ({ id }) => ({
+  jobs: id ? [cacheWarmer.getJob(id)].filter(Boolean) : cacheWarmer.listJobs(),
+  running: cacheWarmer.getStats().running
+}));
+clusterCoordinator.register('warmCancel', ({ id }) => ({ cancelled: cacheWarmer.cancel(id) ? 1 : 0 }));
+clusterCoordinator.register('routingReload', () => ({ reloaded: routingConfig.reload().applied ? 1 : 0 }));
+clusterCoordinator.register('inspect', async ({ key, body }) => {
+  const entry = await cacheManager.inspect(key, { body });
+  return { entries: entry ? [{ worker: clusterCoordinator.workerId, ...entry }] : [] };
+});
+
 // Cache purge endpoint
-app.delete('/api/cache', (req, res) => {
+app.delete('/api/cache', async (req, res) => {
   try {
     const pattern = req.query.pattern || '*';
-    const result = cacheManager.purge(pattern);
+    const result = await clusterCoordinator.run('purge', { pattern, domain: req.query.domain || null });
     res.status(200).json(result);
   } catch (err) {
     logger.error(`Cache purge error: ${err.message}`);
@@ -115,6 +218,83 @@ app.delete('/api/cache', (req, res) => {
   }
 });
 
+// Cache purge by tag endpoint (tags from Surrogate-Key / Cache-Tag origin headers)
+app.delete('/api/cache/tags', async (req, res) => {
+  try {
+    const tags = cacheManager.parseTags(req.query.tags);
+    if (tags.length === 0) {
+      return res.status(400).json({ error: 'tags query parameter is required' });
+    }
+    
+    const result = await clusterCoordinator.run('purgeTags', { tags });
+    res.status(200).json(result);
+  } catch (err) {
+    logger.error(`Cache tag purge error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cache warming endpoints: start a job from a sitemap or URL list, follow its progress
+app.post('/api/cache/warm', express.json({ limit: '5mb' }), express.text({ limit: '5mb' }), (req, res) => {
+  try {
+    // A plain text body is a URL list, one per line
+    const body = typeof req.body === 'string'
+      ? { urls: req.body.split(/\r?\n/) }
+      : req.body || {};
+    const urls = (Array.isArray(body.urls) ? body.urls : [])
+      .map(url => String(url).trim())
+      .filter(Boolean);
+    const sitemap = body.sitemap || req.query.sitemap;
+    
+    if (!sitemap && urls.length === 0) {
+      return res.status(400).json({ error: 'sitemap or urls is required' });
+    }
+    
+    const job = cacheWarmer.start({ domain: body.domain || req.query.domain, sitemap, urls });
+    res.status(202).json(job);
+  } catch (err) {
+    logger.error(`Cache warming error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/cache/warm', async (req, res) => {
+  try {
+    // Jobs run on the worker that received them; ask all of them
+    const { jobs, running } = await clusterCoordinator.run('warmJobs', {});
+    res.status(200).json({ running, jobs });
+  } catch (err) {
+    logger.error(`Cache warming status error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/cache/warm/:id', async (req, res) => {
+  try {
+    const { jobs } = await clusterCoordinator.run('warmJobs', { id: req.params.id });
+    if (!jobs || jobs.length === 0) {
+      return res.status(404).json({ error: 'Warming job not found' });
+    }
+    res.status(200).json(jobs[0]);
+  } catch (err) {
+    logger.error(`Cache warming status error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/cache/warm/:id', async (req, res) => {
+  try {
+    const { cancelled } = await clusterCoordinator.run('warmCancel', { id: req.params.id });
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No running warming job with this id' });
+    }
+    res.status(200).json({ id: req.params.id, cancelled: true });
+  } catch (err) {
+    logger.error(`Cache warming cancel error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Cache stats endpoint
 app.get('/api/cache/stats', (req, res) => {
   try {
@@ -303,64 +483,190 @@ app.get('/api/cache/keys', (req, res) => {
   }
 });
 
-// Nuclear cache clear endpoint - clears ALL caches system-wide
-app.delete('/api/cache/nuke', (req, res) => {
+// Cache entry inspection endpoint
+app.get('/api/cache/entry', async (req, res) => {
   try {
-    logger.info('Nuclear cache clear initiated');
-    const clearedCaches = [];
-    const errors = [];
+    if (!req.query.key) {
+      return res.status(400).json({ error: 'key query parameter is required' });
+    }
+    
+    const { entries } = await clusterCoordinator.run('inspect', {
+      key: req.query.key,
+      body: req.query.body === 'true'
+    });
+    if (!entries || entries.length === 0) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    
+    // Each worker may hold its own copy: show the newest, with the hits of all
+    const [entry, ...copies] = entries.sort((a, b) => String(b.storedAt).localeCompare(String(a.storedAt)));
+    if (copies.length > 0) {
+      entry.hits = entries.reduce((total, copy) => total + (copy.hits || 0), 0);
+      entry.copies = entries.length;
+    }
+    res.status(200).json(entry);
+  } catch (err) {
+    logger.error(`Cache entry inspection error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Clear main cache
-    try {
-      const result = cacheManager.purge('*');
-      clearedCaches.push({
-        cache: 'main',
-        type: 'response-cache',
-        itemsCleared: result.purged || 0,
-        status: 'success'
-      });
-      logger.info('Main cache cleared');
-    } catch (error) {
-      errors.push({
-        cache: 'main',
-        error: error.message
-      });
-      logger.error('Failed to clear main cache', { error: error.message });
+// Cache snapshot endpoints: export entries as NDJSON, import them on another node
+app.get('/api/cache/export', async (req, res) => {
+  try {
+    const file = `cache-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`;
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${file}"`);
+    
+    await cacheSnapshot.export(res, {
+      pattern: req.query.pattern || null,
+      domain: req.query.domain || null
+    });
+    res.end();
+  } catch (err) {
+    logger.error(`Cache export error: ${err.message}`);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: err.message });
     }
+  }
+});
 
-    // Clear URL transformation cache
-    try {
-      proxyManager.urlTransformer.clearCache();
-      clearedCaches.push({
-        cache: 'url-transform',
-        type: 'transformation-cache',
-        status: 'success'
-      });
-      logger.info('URL transformation cache cleared');
-    } catch (error) {
-      errors.push({
-        cache: 'url-transform',
-        error: error.message
+app.post('/api/cache/import', async (req, res) => {
+  try {
+    // Snapshots compress well; accept them gzipped
+    const input = /gzip/i.test(req.headers['content-encoding'] || '')
+      ? req.pipe(zlib.createGunzip())
+      : req;
+    
+    const result = await cacheSnapshot.import(input, { overwrite: req.query.overwrite === 'true' });
+    res.status(200).json(result);
+  } catch (err) {
+    logger.error(`Cache import error: ${err.message}`);
+    res.status(err.code === 'Z_DATA_ERROR' ? 400 : 500).json({ error: err.message });
+  }
+});
+
+// Routing rule admin endpoints: list, read, add or replace, and remove the
+// rules of a domain. Changes go to the routing file, name the version they
+// are based on in If-Match, and purge the domain's cached responses
+const ROUTING_ERROR_STATUS = {
+  NO_ROUTING_FILE: 409,
+  FILE_INVALID: 409,
+  VERSION_CONFLICT: 412,
+  NOT_FOUND: 404,
+  INVALID_RULES: 400
+};
+
+/**
+ * Read the routing version a change is based on
+ * @param {String} ifMatch - If-Match header, e.g. "3" or W/"3"
+ * @returns {Number|null} Version, or null if missing or malformed
+ */
+function getRoutingVersion(ifMatch) {
+  const match = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(ifMatch || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Apply a change to one domain's routing rules and answer the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object|null} entry - New rules for the domain, null to remove them
+ */
+async function changeRouting(req, res, entry) {
+  const { domain } = req.params;
+  
+  try {
+    const version = getRoutingVersion(req.headers['if-match']);
+    if (version === null) {
+      return res.status(428).json({
+        error: 'If-Match with the current routing version is required',
+        version: routingConfig.version
       });
-      logger.error('Failed to clear URL transformation cache', { error: error.message });
     }
+    
+    const result = routingConfig.change(domain, entry, version);
+    
+    // Other workers apply the new file now, whether or not they watch it
+    await clusterCoordinator.run('routingReload');
+    const purge = await clusterCoordinator.run('purge', domain.includes('*')
+      ? { pattern: `*:${domain}:*`, domain: null }
+      : { pattern: '*', domain });
+    
+    res.setHeader('ETag', `"${result.version}"`);
+    res.status(result.created ? 201 : 200).json({ ...result, purged: purge.purged || 0 });
+  } catch (err) {
+    const status = ROUTING_ERROR_STATUS[err.code];
+    if (!status) {
+      logger.error(`Routing change error: ${err.message}`);
+      return res.status(500).json({ error: err.message });
+    }
+    res.status(status).json({ error: err.message, version: routingConfig.version, issues: err.issues });
+  }
+}
 
-    // Clear file resolution cache if available
-    try {
-      const fileResolutionCache = require('./cache/file-resolution-cache');
-      if (fileResolutionCache && typeof fileResolutionCache.clear === 'function') {
-        fileResolutionCache.clear();
-        clearedCaches.push({
-          cache: 'file-resolution',
-          type: 'file-cache',
-          status: 'success'
-        });
-        logger.info('File resolution cache cleared');
-      }
-    } catch (error) {
-      // File resolution cache might not exist, that's okay
-      logger.debug('File resolution cache not available or failed to clear', { error: error.message });
+app.use('/api/routing', adminAuth.getMiddleware());
+
+app.get('/api/routing/domains', (req, res) => {
+  res.setHeader('ETag', `"${routingConfig.version}"`);
+  res.status(200).json({
+    version: routingConfig.version,
+    file: routingConfig.file,
+    lastFailure: routingConfig.lastFailure,
+    domains: routingConfig.listDomains()
+  });
+});
+
+app.get('/api/routing/domains/:domain', (req, res) => {
+  const { domain } = req.params;
+  const rules = routingConfig.listDomains()[domain];
+  if (!rules) {
+    return res.status(404).json({ error: `No routing rules for ${domain}` });
+  }
+  
+  // The rules as the path rewriter compiled them
+  const compiled = (domainManager.getRuleInfo().rules || []).find(rule => rule.domain === domain) || null;
+  
+  res.setHeader('ETag', `"${routingConfig.version}"`);
+  res.status(200).json({ domain, version: routingConfig.version, rules, compiled });
+});
+
+app.put('/api/routing/domains/:domain', express.json({ limit: '1mb' }), (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ error: 'A JSON object with the domain\'s rules is required' });
+  }
+  changeRouting(req, res, req.body);
+});
+
+app.delete('/api/routing/domains/:domain', (req, res) => {
+  changeRouting(req, res, null);
+});
+
+// Simulate a request through routing and explain each decision
+app.post('/api/routing/trace', express.json({ limit: '100kb' }), (req, res) => {
+  try {
+    res.status(200).json(routingTrace.trace(req.body || {}));
+  } catch (err) {
+    if (err.code === 'INVALID_REQUEST') {
+      return res.status(400).json({ error: err.message });
     }
+    logger.error(`Routing trace error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Nuclear cache clear endpoint - clears ALL caches system-wide
+app.delete('/api/cache/nuke', async (req, res) => {
+  try {
+    logger.info('Nuclear cache clear initiated');
+    const { clearedCaches = [], errors = [], workers } = await clusterCoordinator.run('nuke');
+
+    // Workers that failed or timed out count as errors too
+    (workers || []).filter(worker => worker.error).forEach(worker => {
+      errors.push({ cache: `worker ${worker.worker}`, error: worker.error });
+    });
 
     const response = {
       success: errors.length === 0,
@@ -369,6 +675,7 @@ app.delete('/api/cache/nuke', (req, res) => {
         clearedCaches,
         totalCachesCleared: clearedCaches.length,
         errors: errors.length > 0 ? errors : undefined,
+        workers,
         timestamp: new Date().toISOString()
       }
     };
@@ -415,6 +722,9 @@ app.use((err, req, res, next) => {
 function startServer() {
   let server;
   
+  // Routing rules from ROUTING_CONFIG_FILE, in place before the first request
+  routingConfig.start();
+  
   // Start HTTP server
   if (!config.server.ssl.enabled) {
     server = http.createServer(app);
@@ -434,9 +744,11 @@ function startServer() {
         sslOptions.passphrase = config.server.ssl.passphrase;
       }
       
-      server = https.createServer(sslOptions, app);
+      server = http2Support.enabled
+        ? http2Support.createServer(sslOptions, app)
+        : https.createServer(sslOptions, app);
       server.listen(config.server.port, config.server.host, () => {
-        logger.info(`HTTPS server running on ${config.server.host}:${config.server.port}`);
+        logger.info(`HTTPS server running on ${config.server.host}:${config.server.port}${http2Support.enabled ? ' (HTTP/2)' : ''}`);
         logger.info(`Proxying requests from ${config.cdn.originDomain} to ${config.cdn.targetDomain}`);
       });
       
@@ -462,6 +774,11 @@ function startServer() {
     }
   }
   
+  // Proxy WebSocket upgrades, which bypass the Express middleware
+  if (config.websocket.enabled) {
+    server.on('upgrade', websocketProxy.handleUpgrade.bind(websocketProxy));
+  }
+  
   // Handle server errors
   server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
@@ -487,6 +804,10 @@ function startServer() {
 function gracefulShutdown(server, signal) {
   logger.info(`${signal} signal received: shutting down gracefully`);
   
+  // Upgraded sockets and warming requests would otherwise keep server.close() waiting
+  websocketProxy.shutdown();
+  cacheWarmer.shutdown();
+  
   server.close(async () => {
     logger.info('HTTP server closed');
     
@@ -501,6 +822,7 @@ function gracefulShutdown(server, signal) {
       if (domainManager.shutdown) {
         domainManager.shutdown();
       }
+      routingConfig.shutdown();
       
       // Shutdown other managers
       cacheManager.shutdown();
@@ -0,0 +1,263 @@
+// cache-key-policy.js
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('cache-key-policy');
+
+const FLAG_FIELDS = ['ignoreQuery', 'sortParams', 'lowercasePath'];
+const LIST_FIELDS = ['includeParams', 'excludeParams', 'cookies', 'headers'];
+
+/**
+ * Cache Key Policy
+ * Decides which parts of a request make up its cache key:
+ * - Ignoring the query string, or keeping/dropping named parameters
+ *   (trailing * matches a prefix, e.g. utm_*)
+ * - Sorting query parameters and lowercasing the path
+ * - Adding selected cookies and request headers
+ * - Per-domain policies from the "cacheKey" object of DOMAIN_ROUTING_RULES
+ *   entries, merged over the global defaults; lists may also be given as
+ *   comma-separated strings, as in the environment
+ */
+class CacheKeyPolicy {
+  constructor() {
+    this.defaults = config.cache.keyPolicy;
+    // Compiled policy of each domain pattern, recompiled when its definition changes
+    this.compiled = new Map();
+
+    this.stats = {
+      normalized: 0,
+      invalid: 0
+    };
+  }
+
+  /**
+   * Compile a domain's cacheKey policy
+   * @param {Object} spec - cacheKey object of the domain's routing rules
+   * @returns {Object} The fields it sets, with lists as arrays of names
+   * @throws {Error} Naming the first problem found
+   */
+  compile(spec) {
+    const fail = message => {
+      throw new Error(`cacheKey: ${message}`);
+    };
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      fail('must be a map');
+    }
+    const extra = Object.keys(spec).find(key => !FLAG_FIELDS.includes(key) && !LIST_FIELDS.includes(key));
+    if (extra) {
+      fail(`unknown field "${extra}"`);
+    }
+
+    const policy = {};
+    FLAG_FIELDS.filter(field => spec[field] !== undefined).forEach(field => {
+      if (typeof spec[field] !== 'boolean') {
+        fail(`${field} must be true or false`);
+      }
+      policy[field] = spec[field];
+    });
+
+    LIST_FIELDS.filter(field => spec[field] !== undefined).forEach(field => {
+      const value = spec[field];
+      const names = typeof value === 'string'
+        ? value.split(',').map(name => name.trim()).filter(Boolean)
+        : value;
+      if (!Array.isArray(names) || !names.every(name => typeof name === 'string' && name.trim())) {
+        fail(`${field} must be a list of names`);
+      }
+      policy[field] = field === 'headers'
+        ? names.map(name => name.trim().toLowerCase())
+        : names.map(name => name.trim());
+    });
+
+    return policy;
+  }
+
+  /**
+   * Get the domain overrides from the routing rules. Read on every call so
+   * rule changes apply without a restart
+   * @returns {Object} Map of domain pattern -> cacheKey policy
+   */
+  getDomainPolicies() {
+    const policies = {};
+    Object.entries(config.pathRewriting.domainRoutingRules || {}).forEach(([domain, rules]) => {
+      if (rules && rules.cacheKey) {
+        policies[domain] = rules.cacheKey;
+      }
+    });
+    return policies;
+  }
+
+  /**
+   * Get the effective policy for a request domain
+   * @param {String} host - Request host header
+   * @returns {Object} Cache key policy
+   */
+  getPolicy(host) {
+    const domain = (host || '').split(':')[0].toLowerCase();
+    const policies = this.getDomainPolicies();
+
+    let pattern = [host, domain].find(name => policies[name]);
+    if (!pattern) {
+      pattern = Object.keys(policies).find(name => name.includes('*') &&
+        new RegExp('^' + name.replace(/\./g, '\\.').replace(/\*/g, '[^.]+') + '$', 'i').test(domain));
+    }
+    if (!pattern) {
+      return this.defaults;
+    }
+
+    const spec = policies[pattern];
+    let compiled = this.compiled.get(pattern);
+    if (!compiled || compiled.spec !== spec) {
+      let policy;
+      try {
+        policy = { ...this.defaults, ...this.compile(spec) };
+      } catch (error) {
+        // Routing files are checked before they apply; environment rules aren't
+        this.stats.invalid++;
+        logger.error(`Ignoring the cache key policy of ${pattern}: ${error.message}`);
+        policy = this.defaults;
+      }
+      compiled = { spec, policy };
+      this.compiled.set(pattern, compiled);
+    }
+    return compiled.policy;
+  }
+
+  /**
+   * Check a query parameter name against a list of names and prefix patterns
+   * @param {String} name - Decoded parameter name
+   * @param {Array} patterns - Names, or prefixes ending in *
+   * @returns {Boolean} True if the name is listed
+   */
+  matchesParam(name, patterns) {
+    return patterns.some(pattern => pattern.endsWith('*')
+      ? name.startsWith(pattern.slice(0, -1))
+      : name === pattern);
+  }
+
+  /**
+   * Normalize a request URL (path and query) for use in a cache key
+   * @param {String} url - Path with optional query string
+   * @param {Object} policy - Cache key policy
+   * @returns {String} Normalized URL
+   */
+  normalizeUrl(url, policy) {
+    const queryStart = url.indexOf('?');
+    let path = queryStart === -1 ? url : url.slice(0, queryStart);
+    const query = queryStart === -1 ? '' : url.slice(queryStart + 1);
+
+    if (policy.lowercasePath) {
+      path = path.toLowerCase();
+    }
+
+    const filtersQuery = policy.ignoreQuery || policy.sortParams ||
+      policy.includeParams.length > 0 || policy.excludeParams.length > 0;
+    if (!query || !filtersQuery) {
+      return query ? `${path}?${query}` : path;
+    }
+
+    if (policy.ignoreQuery) {
+      return path;
+    }
+
+    // Keep parameters as sent; only names are decoded for matching
+    let params = query.split('&').filter(Boolean).map(raw => {
+      const name = raw.split('=')[0];
+      try {
+        return { raw, name: decodeURIComponent(name.replace(/\+/g, ' ')) };
+      } catch (err) {
+        return { raw, name };
+      }
+    });
+
+    if (policy.includeParams.length > 0) {
+      params = params.filter(param => this.matchesParam(param.name, policy.includeParams));
+    }
+    if (policy.excludeParams.length > 0) {
+      params = params.filter(param => !this.matchesParam(param.name, policy.excludeParams));
+    }
+    if (policy.sortParams) {
+      params.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    return params.length > 0 ? `${path}?${params.map(param => param.raw).join('&')}` : path;
+  }
+
+  /**
+   * Parse a Cookie request header
+   * @param {String} header - Cookie header value
+   * @returns {Object} Map of cookie name -> value
+   */
+  parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+      }
+    });
+    return cookies;
+  }
+
+  /**
+   * Build the key components for the cookies and headers a policy selects
+   * @param {Object} req - Express request
+   * @param {Object} policy - Cache key policy
+   * @returns {String} Key suffix, empty when nothing is selected
+   */
+  getRequestComponents(req, policy) {
+    let suffix = '';
+    const format = (value) => (value === undefined ? '-' : `"${String(value).trim()}"`);
+
+    if (policy.cookies.length > 0) {
+      const cookies = this.parseCookies(req.headers.cookie);
+      policy.cookies.forEach(name => {
+        suffix += `:cookie(${name})=${format(cookies[name])}`;
+      });
+    }
+
+    policy.headers.forEach(name => {
+      suffix += `:header(${name.toLowerCase()})=${format(req.headers[name.toLowerCase()])}`;
+    });
+
+    return suffix;
+  }
+
+  /**
+   * Get the URL and extra key components of a request under its domain's policy
+   * @param {Object} req - Express request
+   * @returns {Object} { url, transformedPath, components }
+   */
+  apply(req) {
+    const policy = this.getPolicy(req.headers.host);
+    const originalUrl = req.originalUrl || req.url;
+    const url = this.normalizeUrl(originalUrl, policy);
+
+    if (url !== originalUrl) {
+      this.stats.normalized++;
+      logger.debug(`Cache key URL normalized: ${originalUrl} -> ${url}`);
+    }
+
+    return {
+      url,
+      // The rewritten path carries the same query string
+      transformedPath: req.pathTransformation
+        ? this.normalizeUrl(req.pathTransformation.transformedPath, policy)
+        : null,
+      components: this.getRequestComponents(req, policy)
+    };
+  }
+
+  /**
+   * Get cache key policy statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      defaults: this.defaults,
+      domains: Object.keys(this.getDomainPolicies()),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new CacheKeyPolicy();
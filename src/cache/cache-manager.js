@@ -2,6 +2,28 @@
 const NodeCache = require('node-cache');
 const logger = require('../logger').getModuleLogger('cache-manager');
 const config = require('../config');
+const cacheKeyPolicy = require('./cache-key-policy');
+const DiskCache = require('./disk-cache');
+const clusterCoordinator = require('./cluster-coordinator');
+const { createEvictionPolicy } = require('./eviction-policy');
+const freshnessPolicy = require('./freshness-policy');
+const hopByHopHeaders = require('../proxy/hop-by-hop-headers');
+
+// Headers a 304 from the origin may update on a stored entry (RFC 9111 4.3.4)
+const REVALIDATION_UPDATED_HEADERS = [
+  'age',
+  'cache-control',
+  'cdn-cache-control',
+  'date',
+  'etag',
+  'expires',
+  'last-modified',
+  'surrogate-control',
+  'vary'
+];
+
+// Response headers the freshness calculation reads, besides targeted fields
+const FRESHNESS_HEADERS = ['age', 'cache-control', 'date', 'etag', 'expires', 'last-modified'];
 
 class CacheManager {
   constructor() {
@@ -11,18 +33,45 @@ class CacheManager {
     this.cache = new NodeCache({
       stdTTL: config.cache.defaultTtl,
       checkperiod: config.cache.checkPeriod,
-      maxKeys: config.cache.maxItems,
+      // maxItems is enforced by evicting entries, see makeRoom
+      maxKeys: -1,
       useClones: false // For better performance with large responses
     });
     
+    // Key -> { size, variants } of entries in memory, and their total size
+    this.entrySizes = new Map();
+    this.memoryBytes = 0;
+    this.evictionPolicy = createEvictionPolicy(config.cache.eviction.policy, {
+      capacity: config.cache.maxItems
+    });
+    
     this.stats = {
       hits: 0,
       misses: 0,
+      stale: 0,
       sets: 0,
-      errors: 0
+      errors: 0,
+      varyRejected: 0,
+      tagPurges: 0,
+      promotions: 0,
+      evictions: 0,
+      evictedBytes: 0,
+      admissionRejected: 0,
+      oversized: 0
     };
     
-    logger.info(`Cache initialized with TTL: ${config.cache.defaultTtl}s, max items: ${config.cache.maxItems}`);
+    // Primary key -> { fields, keys } for URLs whose responses carry Vary
+    this.variants = new Map();
+    
+    // Cache tag -> keys, and key -> tags, from Surrogate-Key / Cache-Tag
+    this.tags = new Map();
+    this.entryTags = new Map();
+    
+    // Entries that don't fit in memory, or outlive a restart, are kept on disk
+    this.diskCache = new DiskCache(config.cache.disk);
+    this.restoreIndexes();
+    
+    logger.info(`Cache initialized with TTL: ${config.cache.defaultTtl}s, max items: ${config.cache.maxItems}, max bytes: ${config.cache.eviction.maxBytes}, eviction: ${config.cache.eviction.policy}`);
     
     // Set up event handlers
     this.cache.on('set', (key) => {
@@ -33,8 +82,31 @@ class CacheManager {
       logger.debug(`Cache key expired: ${key}`);
     });
     
+    // Expiry deletes too, so this keeps the variant and tag indexes in step
+    // with the cache; they cover entries held by either tier
+    this.cache.on('del', (key, value) => {
+      this.untrack(key);
+      if (!this.diskCache.has(key)) {
+        this.removeVariant(key, value);
+        this.untagEntry(key);
+      }
+    });
+    
+    this.diskCache.on('del', (key, info) => {
+      if (!this.cache.has(key)) {
+        this.removeVariant(key, info);
+        this.untagEntry(key);
+      }
+    });
+    
     this.cache.on('flush', () => {
       logger.info('Cache flushed');
+      this.entrySizes.clear();
+      this.memoryBytes = 0;
+      this.evictionPolicy.clear();
+      this.variants.clear();
+      this.tags.clear();
+      this.entryTags.clear();
       this.resetStats();
     });
     
@@ -47,23 +119,41 @@ class CacheManager {
   }
   
   /**
-   * Generate a cache key from a request
+   * Rebuild the variant and tag indexes for entries the disk tier kept from
+   * a previous run
+   */
+  restoreIndexes() {
+    this.diskCache.keys().forEach(key => {
+      const info = this.diskCache.getInfo(key);
+      if (info.primaryKey && info.fields) {
+        this.indexVariant(info.primaryKey, info.fields, key);
+      }
+      this.tagEntry(key, info.tags);
+    });
+  }
+  
+  /**
+   * Generate the primary cache key of a request: everything that identifies
+   * the resource under its domain's key policy, before any Vary selection
    * @param {Object} req - Express request object
-   * @returns {String} Cache key
+   * @returns {String} Primary cache key
    */
-  generateKey(req) {
+  generatePrimaryKey(req) {
     const host = req.headers.host || 'unknown';
-    const method = req.method;
-    const originalPath = req.originalUrl || req.url;
+    // HEAD requests are answered from the GET entry, whose body gives their length
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    
+    // The domain's key policy decides which query parameters count
+    const policy = cacheKeyPolicy.apply(req);
     
     // Start with basic key components
-    let key = `${method}:${host}:${originalPath}`;
+    let key = `${method}:${host}:${policy.url}`;
     
     // Add path transformation information if available
     if (req.pathTransformation) {
       const transformation = req.pathTransformation;
       // Include both original and transformed paths to ensure uniqueness
-      key += `:transformed=${transformation.transformedPath}`;
+      key += `:transformed=${policy.transformedPath}`;
       key += `:target=${transformation.target}`;
       key += `:matched=${transformation.matched}`;
       
@@ -73,30 +163,73 @@ class CacheManager {
       }
     }
     
-    // Add vary headers if present
-    const varyHeader = req.headers.vary;
-    if (varyHeader) {
-      const varyFields = varyHeader.split(',').map(field => field.trim());
-      for (const field of varyFields) {
-        const fieldValue = req.headers[field.toLowerCase()];
-        if (fieldValue) {
-          key += `:${field}=${fieldValue}`;
-        }
-      }
+    // Traffic split variants may come from different backends, so never share
+    if (req.splitVariant) {
+      key += `:split=${req.splitVariant.split}/${req.splitVariant.variant}`;
     }
     
-    // Add common headers that affect caching
-    const acceptEncoding = req.headers['accept-encoding'];
-    if (acceptEncoding) {
-      key += `:encoding=${acceptEncoding}`;
+    // Cookies and headers the policy selects
+    key += policy.components;
+    
+    return key;
+  }
+  
+  /**
+   * Generate the cache key to look a request up with. When the stored
+   * response for the URL varies on request headers, the key selects the
+   * variant matching this request's values of those headers
+   * @param {Object} req - Express request object
+   * @returns {String} Cache key
+   */
+  generateKey(req) {
+    const primaryKey = this.generatePrimaryKey(req);
+    const variants = this.variants.get(primaryKey);
+    
+    return variants ? this.getVariantKey(primaryKey, variants.fields, req) : primaryKey;
+  }
+  
+  /**
+   * Build the key of one variant of a primary key
+   * @param {String} primaryKey - Primary cache key
+   * @param {Array} fields - Lowercase request header names the response varies on
+   * @param {Object} req - Express request object
+   * @returns {String} Variant cache key
+   */
+  getVariantKey(primaryKey, fields, req) {
+    return fields.reduce((key, field) => {
+      // Absent headers select their own variant, distinct from empty ones
+      const value = req.headers[field];
+      const normalized = value === undefined
+        ? '-'
+        : `"${String(value).trim().replace(/\s+/g, ' ')}"`;
+      return `${key}:${field}=${normalized}`;
+    }, primaryKey);
+  }
+  
+  /**
+   * Parse the Vary header of a response
+   * @param {Object} headers - Response headers
+   * @returns {Array|null} Sorted lowercase header names, or null for Vary: *
+   */
+  getVaryFields(headers) {
+    const vary = headers && headers.vary;
+    if (!vary) {
+      return [];
     }
     
-    const acceptLanguage = req.headers['accept-language'];
-    if (acceptLanguage) {
-      key += `:lang=${acceptLanguage.split(',')[0].trim()}`;
+    const fields = (Array.isArray(vary) ? vary.join(',') : String(vary))
+      .split(',')
+      .map(field => field.trim().toLowerCase())
+      .filter(Boolean);
+    
+    if (fields.includes('*')) {
+      return null;
     }
     
-    return key;
+    // Entries hold identity bodies; encodings are negotiated when serving
+    return [...new Set(fields)]
+      .filter(field => field !== 'accept-encoding')
+      .sort();
   }
   
   /**
@@ -108,8 +241,8 @@ class CacheManager {
   shouldCache(req, res) {
     if (!this.enabled) return false;
     
-    // Only cache GET and HEAD requests
-    if (req.method !== 'GET' && req.method !== 'HEAD') {
+    // Only cache GET requests; a HEAD response has no body to serve a GET with
+    if (req.method !== 'GET') {
       return false;
     }
     
@@ -118,11 +251,31 @@ class CacheManager {
       return false;
     }
     
-    // Don't cache private responses or no-store if respecting cache control
-    if (config.cache.respectCacheControl && res.get('Cache-Control')) {
-      const cacheControl = res.get('Cache-Control').toLowerCase();
-      if (cacheControl.includes('no-store') || 
-          (cacheControl.includes('private') && !config.cache.cacheCookies)) {
+    // Never store partial content - it would be served as the full body
+    if (res.statusCode === 206 || res.get('Content-Range')) {
+      return false;
+    }
+    
+    // A 304 only confirms the client's own copy, there's no body to store
+    if (res.statusCode === 304) {
+      return false;
+    }
+    
+    // Don't cache what the origin's directives rule out if respecting cache control
+    if (config.cache.respectCacheControl) {
+      const headers = this.getResponseHeaders(res);
+      const freshness = freshnessPolicy.evaluate(headers, {
+        status: res.statusCode,
+        authorized: !!(req.headers && req.headers.authorization),
+        requestTime: req.originRequestTime,
+        responseTime: req.originResponseTime
+      });
+      if (!freshness.storable) {
+        return false;
+      }
+      
+      // Stale on arrival and nothing to revalidate it with
+      if (freshness.ttl <= 0 && !this.isRevalidatable({ headers })) {
         return false;
       }
     }
@@ -141,52 +294,148 @@ class CacheManager {
       return false;
     }
     
+    // Vary: * means no request can ever be matched to the stored response
+    if (this.getVaryFields({ vary: res.get('Vary') }) === null) {
+      return false;
+    }
+    
     return true;
   }
   
   /**
-   * Get TTL from Cache-Control header or use default
+   * Collect the response headers freshness depends on
+   * @param {Object} res - Express response object
+   * @returns {Object} Lowercase keyed headers
+   */
+  getResponseHeaders(res) {
+    const headers = {};
+    [...FRESHNESS_HEADERS, ...config.cache.freshness.targetedHeaders].forEach(name => {
+      const value = res.get(name);
+      if (value !== undefined) {
+        headers[name] = value;
+      }
+    });
+    return headers;
+  }
+  
+  /**
+   * Get the remaining freshness lifetime of a response
    * @param {Object} res - Express response object
+   * @param {Object} req - Express request, carrying when the origin was asked
+   * @returns {Number} TTL in seconds
+   */
+  getTtl(res, req = {}) {
+    return this.getTtlFromHeaders(this.getResponseHeaders(res), {
+      status: res.statusCode,
+      requestTime: req.originRequestTime,
+      responseTime: req.originResponseTime
+    });
+  }
+  
+  /**
+   * Get the remaining freshness lifetime from a plain (lowercase keyed)
+   * header object: the lifetime the origin gave, less the age the response
+   * already had when it arrived
+   * @param {Object} headers - Response headers
+   * @param {Object} options - Status code and origin request/response times
    * @returns {Number} TTL in seconds
    */
-  getTtl(res) {
+  getTtlFromHeaders(headers, options = {}) {
     if (!config.cache.respectCacheControl) {
       return config.cache.defaultTtl;
     }
     
-    const cacheControl = res.get('Cache-Control');
-    if (!cacheControl) {
-      return config.cache.defaultTtl;
+    const { ttl } = freshnessPolicy.evaluate(headers, options);
+    return Math.min(ttl, config.cache.maxTtl);
+  }
+  
+  /**
+   * Get the current age of a cached entry, as sent in the Age header
+   * @param {Object} entry - Cached response
+   * @returns {Number} Age in seconds
+   */
+  getAge(entry) {
+    const resident = entry.storedAt ? Math.max(0, Date.now() - entry.storedAt) / 1000 : 0;
+    return Math.floor((entry.initialAge || 0) + resident);
+  }
+  
+  /**
+   * Check whether a cached entry is still within its freshness lifetime
+   * @param {Object} entry - Cached response
+   * @returns {Boolean} True if the entry can be served without revalidation
+   */
+  isFresh(entry) {
+    return !entry.expiresAt || Date.now() < entry.expiresAt;
+  }
+  
+  /**
+   * Get the stale-while-revalidate / stale-if-error grace periods for a response
+   * @param {Object} headers - Response headers
+   * @returns {Object} Grace periods in seconds
+   */
+  getStaleWindows(headers) {
+    const windows = { staleWhileRevalidate: 0, staleIfError: 0 };
+    if (!config.cache.staleServing.enabled) {
+      return windows;
     }
     
-    const maxAgeMatch = cacheControl.match(/max-age=(\d+)/);
-    if (maxAgeMatch) {
-      const maxAge = parseInt(maxAgeMatch[1], 10);
-      return Math.min(maxAge, config.cache.maxTtl);
+    // The origin asked for every stale use to be checked with it first
+    if (freshnessPolicy.requiresRevalidation(headers)) {
+      return windows;
     }
     
-    return config.cache.defaultTtl;
+    const { directives } = freshnessPolicy.getControl(headers);
+    const directive = (name, fallback) => {
+      if (!config.cache.respectCacheControl) {
+        return fallback;
+      }
+      const seconds = freshnessPolicy.getSeconds(directives, name);
+      return seconds === null ? fallback : seconds;
+    };
+    
+    windows.staleWhileRevalidate = directive('stale-while-revalidate', config.cache.staleServing.staleWhileRevalidate);
+    windows.staleIfError = directive('stale-if-error', config.cache.staleServing.staleIfError);
+    return windows;
+  }
+  
+  /**
+   * Check whether an expired entry may still be served
+   * @param {Object} entry - Cached response
+   * @param {String} reason - 'revalidate' while refreshing in the background,
+   *   'error' when the origin failed
+   * @returns {Boolean} True if the entry is within the matching grace period
+   */
+  canServeStale(entry, reason) {
+    const until = reason === 'error' ? entry.staleIfErrorUntil : entry.staleWhileRevalidateUntil;
+    return !!until && Date.now() < until;
+  }
+  
+  /**
+   * Check whether an entry should outlive its TTL so it can be revalidated
+   * @param {Object} data - Response data to cache
+   * @returns {Boolean} True if the entry carries validators
+   */
+  isRevalidatable(data) {
+    return config.cache.revalidation.enabled &&
+      !!data.headers && !!(data.headers.etag || data.headers['last-modified']);
   }
   
   /**
    * Get a cached response
    * @param {String} key - Cache key
+   * @param {Object} options - Lookup options
+   * @param {Boolean} options.allowStale - Also return expired entries kept for revalidation
    * @returns {Object|null} Cached response or null if not found
    */
-  get(key) {
+  get(key, { allowStale = false } = {}) {
     if (!this.enabled) return null;
     
     try {
       const cached = this.cache.get(key);
       if (cached) {
-        this.stats.hits++;
-        logger.debug(`Cache hit: ${key}`);
-        return cached;
-      } else {
-        this.stats.misses++;
-        logger.debug(`Cache miss: ${key}`);
-        return null;
+        this.remeasure(key, cached);
       }
+      return this.checkEntry(key, cached, allowStale);
     } catch (err) {
       this.stats.errors++;
       logger.error(`Cache get error: ${err.message}`);
@@ -194,6 +443,273 @@ class CacheManager {
     }
   }
   
+  /**
+   * Get a cached response from memory, or from disk when memory doesn't
+   * have it. Entries read from disk often enough are promoted to memory
+   * @param {String} key - Cache key
+   * @param {Object} options - Lookup options
+   * @param {Boolean} options.allowStale - Also return expired entries kept for revalidation
+   * @returns {Promise<Object|null>} Cached response or null if not found
+   */
+  async lookup(key, { allowStale = false } = {}) {
+    if (!this.enabled || this.cache.has(key)) {
+      return this.get(key, { allowStale });
+    }
+    
+    let cached = null;
+    if (this.diskCache.has(key)) {
+      cached = await this.diskCache.get(key);
+      if (cached) {
+        this.promote(key, cached);
+      }
+    } else if (clusterCoordinator.sharedEnabled && clusterCoordinator.isWorker) {
+      cached = await this.lookupShared(key);
+    }
+    return this.checkEntry(key, cached, allowStale);
+  }
+  
+  /**
+   * Look a key up in the cache the cluster primary shares between workers,
+   * keeping what it returns in memory
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} Cached response or null
+   */
+  async lookupShared(key) {
+    const reply = await clusterCoordinator.lookupShared(key);
+    
+    // The URL is stored in Vary variants: select them from the next request on
+    if (reply && reply.fields && !this.variants.has(key)) {
+      this.variants.set(key, { fields: reply.fields, keys: new Set() });
+    }
+    if (!reply || !reply.entry) {
+      return null;
+    }
+    
+    const entry = reply.entry;
+    try {
+      if (this.setInMemory(key, entry, reply.ttl)) {
+        this.untagEntry(key);
+        this.tagEntry(key, entry.tags);
+        if (entry.primaryKey) {
+          this.indexVariant(entry.primaryKey, this.getVaryFields(entry.headers), key);
+        }
+      }
+    } catch (err) {
+      logger.debug(`Not keeping shared entry ${key} in memory: ${err.message}`);
+    }
+    return entry;
+  }
+  
+  /**
+   * Count a lookup result and apply freshness
+   * @param {String} key - Cache key
+   * @param {Object|undefined} cached - Stored entry, if any
+   * @param {Boolean} allowStale - Return expired entries kept for revalidation
+   * @returns {Object|null} Cached response or null
+   */
+  checkEntry(key, cached, allowStale) {
+    this.evictionPolicy.access(key);
+    
+    if (cached && !this.isFresh(cached)) {
+      this.stats.stale++;
+      logger.debug(`Cache stale: ${key}`);
+      if (!allowStale) {
+        return null;
+      }
+      cached.hits = (cached.hits || 0) + 1;
+      return cached;
+    } else if (cached) {
+      this.stats.hits++;
+      cached.hits = (cached.hits || 0) + 1;
+      logger.debug(`Cache hit: ${key}`);
+      return cached;
+    } else {
+      this.stats.misses++;
+      logger.debug(`Cache miss: ${key}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Copy a disk entry into memory once it has been read often enough
+   * @param {String} key - Cache key
+   * @param {Object} entry - Entry read from disk
+   */
+  promote(key, entry) {
+    const info = this.diskCache.getInfo(key);
+    if (!info || info.hits < config.cache.disk.promoteAfterHits) {
+      return;
+    }
+    
+    // Keep the removal time the entry has on disk
+    const ttl = info.expires ? Math.ceil((info.expires - Date.now()) / 1000) : 0;
+    if (info.expires && ttl <= 0) {
+      return;
+    }
+    
+    try {
+      if (this.setInMemory(key, entry, ttl)) {
+        this.stats.promotions++;
+        logger.debug(`Promoted to memory: ${key}`);
+      }
+    } catch (err) {
+      this.stats.errors++;
+      logger.error(`Cache promotion error: ${err.message}`);
+    }
+  }
+  
+  /**
+   * Store an entry in the memory tier
+   * @param {String} key - Cache key
+   * @param {Object} data - Response data
+   * @param {Number} ttl - TTL in seconds
+   * @returns {Boolean} False if the entry is too large or wasn't admitted
+   */
+  setInMemory(key, data, ttl) {
+    const size = this.getEntrySize(data);
+    
+    if (!this.makeRoom(key, size)) {
+      // An older copy left in memory would shadow the new one on disk
+      this.cache.del(key);
+      logger.debug(`Not keeping ${key} (${size} bytes) in memory`);
+      return false;
+    }
+    
+    const success = this.cache.set(key, data, ttl);
+    if (success) {
+      this.track(key, data, size);
+    }
+    return success;
+  }
+  
+  /**
+   * Estimate the memory an entry takes: its bodies and headers
+   * @param {Object} entry - Cached response
+   * @returns {Number} Size in bytes
+   */
+  getEntrySize(entry) {
+    const byteLength = body => {
+      if (body === undefined || body === null) {
+        return 0;
+      }
+      return Buffer.isBuffer(body) ? body.length : Buffer.byteLength(String(body));
+    };
+    
+    const variants = Object.values(entry.variants || {});
+    return byteLength(entry.body) +
+      byteLength(JSON.stringify(entry.headers || {})) +
+      variants.reduce((total, variant) => total + byteLength(variant), 0);
+  }
+  
+  /**
+   * Evict entries until one of the given size fits the memory limits.
+   * Entries over the per-object cap, or refused by the policy's admission
+   * filter, don't get stored
+   * @param {String} key - Key of the entry to store
+   * @param {Number} size - Its size in bytes
+   * @returns {Boolean} True if the entry may be stored
+   */
+  makeRoom(key, size) {
+    const { maxBytes, maxEntrySize } = config.cache.eviction;
+    const maxItems = config.cache.maxItems;
+    
+    if (maxEntrySize > 0 && size > maxEntrySize) {
+      this.stats.oversized++;
+      return false;
+    }
+    
+    const existing = this.entrySizes.get(key);
+    
+    let bytes = this.memoryBytes - (existing ? existing.size : 0) + size;
+    let count = this.entrySizes.size + (existing ? 0 : 1);
+    const fits = () => (maxBytes <= 0 || bytes <= maxBytes) && (maxItems <= 0 || count <= maxItems);
+    
+    // Pick every victim first so a refused entry evicts nothing
+    const victims = [];
+    for (const victim of this.evictionPolicy.victims()) {
+      if (fits()) {
+        break;
+      }
+      if (victim !== key) {
+        victims.push(victim);
+        bytes -= this.entrySizes.get(victim).size;
+        count--;
+      }
+    }
+    
+    if (!fits()) {
+      this.stats.oversized++;
+      return false;
+    }
+    
+    // Replacing an entry is always allowed, it was admitted before
+    if (!existing && victims.some(victim => !this.evictionPolicy.admit(key, victim))) {
+      this.stats.admissionRejected++;
+      return false;
+    }
+    
+    victims.forEach(victim => this.evict(victim));
+    return true;
+  }
+  
+  /**
+   * Remove an entry from memory to make room; the disk tier keeps its copy
+   * @param {String} key - Cache key
+   */
+  evict(key) {
+    const tracked = this.entrySizes.get(key);
+    this.stats.evictions++;
+    this.stats.evictedBytes += tracked ? tracked.size : 0;
+    logger.debug(`Evicted from memory: ${key}`);
+    this.cache.del(key);
+  }
+  
+  /**
+   * Account for an entry stored in memory
+   * @param {String} key - Cache key
+   * @param {Object} entry - Stored entry
+   * @param {Number} size - Entry size in bytes
+   */
+  track(key, entry, size) {
+    const existing = this.entrySizes.get(key);
+    this.memoryBytes += size - (existing ? existing.size : 0);
+    this.entrySizes.set(key, { size, variants: entry.variants });
+    this.evictionPolicy.add(key);
+  }
+  
+  /**
+   * Stop accounting for an entry removed from memory
+   * @param {String} key - Cache key
+   */
+  untrack(key) {
+    const existing = this.entrySizes.get(key);
+    if (existing) {
+      this.memoryBytes -= existing.size;
+      this.entrySizes.delete(key);
+      this.evictionPolicy.remove(key);
+    }
+  }
+  
+  /**
+   * Update the size of an entry whose encoded variants were built since it
+   * was stored
+   * @param {String} key - Cache key
+   * @param {Object} entry - Entry in memory
+   */
+  remeasure(key, entry) {
+    const tracked = this.entrySizes.get(key);
+    if (!tracked || tracked.variants === entry.variants) {
+      return;
+    }
+    
+    const size = this.getEntrySize(entry);
+    if (this.makeRoom(key, size)) {
+      this.track(key, entry, size);
+    } else {
+      this.cache.del(key);
+    }
+  }
+  
   /**
    * Store a response in cache
    * @param {String} key - Cache key
@@ -205,15 +721,45 @@ class CacheManager {
     if (!this.enabled) return false;
     
     try {
-      // Apply configured max TTL
-      const finalTtl = Math.min(ttl, config.cache.maxTtl);
+      // Apply configured max TTL; 0 means stale on arrival
+      const finalTtl = Math.max(0, Math.min(ttl, config.cache.maxTtl));
+      
+      // Headers sent over HTTP/2 include :status, which can't be replayed,
+      // and connection-specific ones would be replayed to other connections
+      if (data.headers) {
+        data.headers = hopByHopHeaders.strip(data.headers);
+        Object.keys(data.headers)
+          .filter(name => name.startsWith(':'))
+          .forEach(name => delete data.headers[name]);
+      }
+      
+      // Track freshness ourselves so entries with validators can be kept
+      // past their TTL and revalidated instead of refetched
+      const now = Date.now();
+      data.storedAt = now;
+      data.expiresAt = now + finalTtl * 1000;
+      
+      const windows = this.getStaleWindows(data.headers || {});
+      data.staleWhileRevalidateUntil = data.expiresAt + windows.staleWhileRevalidate * 1000;
+      data.staleIfErrorUntil = data.expiresAt + windows.staleIfError * 1000;
+      const retention = Math.max(
+        windows.staleWhileRevalidate,
+        windows.staleIfError,
+        this.isRevalidatable(data) ? config.cache.revalidation.staleRetention : 0
+      );
+      
+      // Nothing to serve it from: not fresh, and neither stale use nor revalidation allowed
+      if (finalTtl + retention <= 0) {
+        logger.debug(`Not cached: ${key} is stale on arrival`);
+        return false;
+      }
       
-      // Store in cache
-      const success = this.cache.set(key, data, finalTtl);
+      const success = this.storeEntry(key, data, finalTtl + retention);
       if (success) {
         logger.debug(`Cached: ${key} (TTL: ${finalTtl}s)`);
       } else {
-        logger.warn(`Failed to cache: ${key}`);
+        // Too large, or refused by the eviction policy's admission filter
+        logger.debug(`Not cached: ${key}`);
       }
       
       return success;
@@ -224,6 +770,405 @@ class CacheManager {
     }
   }
   
+  /**
+   * Write an entry with its freshness already set to every tier
+   * @param {String} key - Cache key
+   * @param {Object} data - Cached response
+   * @param {Number} ttl - Seconds the entry is kept, including stale retention
+   * @returns {Boolean} Success status
+   */
+  storeEntry(key, data, ttl) {
+    // Write through to disk, then store in memory
+    const onDisk = this.diskCache.set(key, data, ttl, {
+      primaryKey: data.primaryKey,
+      fields: data.primaryKey ? this.getVaryFields(data.headers) : undefined,
+      tags: data.tags
+    });
+    const success = this.setInMemory(key, data, ttl) || onDisk;
+    
+    if (success) {
+      // Overwriting an entry doesn't emit 'del', so replace its tags here
+      this.untagEntry(key);
+      this.tagEntry(key, data.tags);
+      clusterCoordinator.storeShared(key, data, ttl);
+    }
+    return success;
+  }
+  
+  /**
+   * Get the seconds left until an entry is removed from the cache
+   * @param {String} key - Cache key
+   * @returns {Number} Seconds, 0 for no limit
+   */
+  getRemainingTtl(key) {
+    const memoryExpiry = this.cache.getTtl(key);
+    const info = this.diskCache.getInfo(key);
+    const expires = memoryExpiry !== undefined ? memoryExpiry : (info && info.expires) || 0;
+    
+    return expires ? Math.max(1, Math.ceil((expires - Date.now()) / 1000)) : 0;
+  }
+  
+  /**
+   * Check whether either tier holds an entry
+   * @param {String} key - Cache key
+   * @returns {Boolean} True if the key is cached
+   */
+  has(key) {
+    return this.enabled && (this.cache.has(key) || this.diskCache.has(key));
+  }
+  
+  /**
+   * Read an entry from memory, or from disk, without counting a hit or
+   * promoting it
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} { entry, tier }, or null if not cached
+   */
+  async peek(key) {
+    if (!this.enabled) return null;
+    
+    const cached = this.cache.get(key);
+    if (cached) {
+      return { entry: cached, tier: 'memory' };
+    }
+    
+    const stored = await this.diskCache.peek(key);
+    return stored ? { entry: stored, tier: 'disk' } : null;
+  }
+  
+  /**
+   * Describe a cached entry for operators, without counting a hit
+   * @param {String} key - Cache key
+   * @param {Object} options - Inspection options
+   * @param {Boolean} options.body - Include the body, base64 encoded if binary
+   * @returns {Promise<Object|null>} Entry metadata, or null if not cached
+   */
+  async inspect(key, { body = false } = {}) {
+    const found = await this.peek(key);
+    if (!found) {
+      return null;
+    }
+    
+    const { entry, tier } = found;
+    const info = this.diskCache.getInfo(key);
+    const toDate = time => (time ? new Date(time).toISOString() : null);
+    const description = {
+      key,
+      tier,
+      onDisk: !!info,
+      status: entry.status,
+      headers: entry.headers || {},
+      size: this.getEntrySize(entry),
+      storedAt: toDate(entry.storedAt),
+      expiresAt: toDate(entry.expiresAt),
+      fresh: this.isFresh(entry),
+      ttl: entry.expiresAt ? Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000)) : null,
+      age: this.getAge(entry),
+      retainedFor: this.getRemainingTtl(key),
+      hits: tier === 'memory' ? entry.hits || 0 : info.hits,
+      pathTransformation: entry.pathTransformation || null,
+      originalEncoding: entry.originalEncoding || null,
+      primaryKey: entry.primaryKey || null,
+      tags: entry.tags || [],
+      encodedVariants: Object.keys(entry.variants || {})
+    };
+    
+    if (body) {
+      const binary = Buffer.isBuffer(entry.body);
+      description.bodyEncoding = binary ? 'base64' : 'utf8';
+      description.body = binary ? entry.body.toString('base64') : String(entry.body === undefined ? '' : entry.body);
+    }
+    
+    return description;
+  }
+  
+  /**
+   * Store an entry taken from another cache as it was, keeping its
+   * freshness, tags and Vary index
+   * @param {String} key - Cache key
+   * @param {Object} entry - Cached response
+   * @param {Number} ttl - Seconds the entry is kept, including stale retention
+   * @returns {Boolean} Success status
+   */
+  restore(key, entry, ttl) {
+    if (!this.enabled) return false;
+    
+    if (!this.storeEntry(key, entry, ttl)) {
+      return false;
+    }
+    if (entry.primaryKey) {
+      this.indexVariant(entry.primaryKey, this.getVaryFields(entry.headers), key);
+    }
+    return true;
+  }
+  
+  /**
+   * Store a response for a request under the key of the variant it was
+   * selected for, according to the response's Vary header
+   * @param {Object} req - Express request the response answers
+   * @param {Object} data - Response data to cache
+   * @param {Number} ttl - TTL in seconds
+   * @returns {Boolean} Success status
+   */
+  store(req, data, ttl = config.cache.defaultTtl) {
+    if (!this.enabled) return false;
+    
+    const fields = this.getVaryFields(data.headers);
+    if (fields === null) {
+      this.stats.varyRejected++;
+      logger.debug(`Not caching response with Vary: * for ${req.method} ${req.headers.host}${req.url}`);
+      return false;
+    }
+    
+    const primaryKey = this.generatePrimaryKey(req);
+    const key = this.getVariantKey(primaryKey, fields, req);
+    const variants = this.variants.get(primaryKey);
+    
+    if (!variants && fields.length > 0) {
+      // An entry stored before the response started to vary would shadow nothing but memory
+      this.remove(primaryKey);
+    } else if (variants && variants.fields.join() !== fields.join()) {
+      // The origin changed what it varies on; the old variants can't be selected anymore
+      this.dropVariants(primaryKey);
+    } else if (variants && !variants.keys.has(key) && variants.keys.size >= config.cache.vary.maxVariants) {
+      this.stats.varyRejected++;
+      logger.debug(`Not caching variant beyond ${config.cache.vary.maxVariants} for ${primaryKey}`);
+      return false;
+    }
+    
+    if (fields.length > 0) {
+      data.primaryKey = primaryKey;
+    }
+    
+    if (req.cacheTags && req.cacheTags.length > 0) {
+      data.tags = req.cacheTags;
+    }
+    
+    // Lets hits report how old the response really is in their Age header
+    data.initialAge = freshnessPolicy.getInitialAge(data.headers || {}, req.originRequestTime, req.originResponseTime);
+    
+    // Tag headers are for the cache only and never reach clients
+    if (data.headers && Object.keys(data.headers).some(name => this.isTagHeader(name))) {
+      data.headers = Object.fromEntries(Object.entries(data.headers)
+        .filter(([name]) => !this.isTagHeader(name)));
+    }
+    
+    // A traffic split assignment cookie belongs to the client it was set for
+    const splitCookie = req.splitVariant && req.splitVariant.cookie;
+    if (splitCookie && data.headers && data.headers['set-cookie']) {
+      const cookies = [].concat(data.headers['set-cookie']).filter(cookie => cookie !== splitCookie);
+      data.headers = { ...data.headers };
+      if (cookies.length > 0) {
+        data.headers['set-cookie'] = cookies;
+      } else {
+        delete data.headers['set-cookie'];
+      }
+    }
+    
+    const success = this.set(key, data, ttl);
+    if (success && fields.length > 0) {
+      this.indexVariant(primaryKey, fields, key);
+    }
+    
+    return success;
+  }
+  
+  /**
+   * Record a stored variant of a primary key
+   * @param {String} primaryKey - Primary cache key
+   * @param {Array} fields - Request headers the response varies on
+   * @param {String} key - Variant cache key
+   */
+  indexVariant(primaryKey, fields, key) {
+    let index = this.variants.get(primaryKey);
+    if (!index || index.fields.join() !== fields.join()) {
+      index = { fields, keys: new Set() };
+      this.variants.set(primaryKey, index);
+    }
+    index.keys.add(key);
+  }
+  
+  /**
+   * Delete every stored variant of a primary key
+   * @param {String} primaryKey - Primary cache key
+   */
+  dropVariants(primaryKey) {
+    const variants = this.variants.get(primaryKey);
+    if (!variants) {
+      return;
+    }
+    
+    this.variants.delete(primaryKey);
+    this.remove([...variants.keys]);
+  }
+  
+  /**
+   * Forget a deleted or expired entry in the variant index
+   * @param {String} key - Cache key
+   * @param {Object} value - Deleted entry
+   */
+  removeVariant(key, value) {
+    const variants = value && value.primaryKey && this.variants.get(value.primaryKey);
+    if (!variants) {
+      return;
+    }
+    
+    variants.keys.delete(key);
+    if (variants.keys.size === 0) {
+      this.variants.delete(value.primaryKey);
+    }
+  }
+  
+  /**
+   * Parse a tag list; tags are separated by spaces (Surrogate-Key) or commas (Cache-Tag)
+   * @param {String|Array} value - Header value or list of values
+   * @returns {Array} Unique tags
+   */
+  parseTags(value) {
+    const raw = Array.isArray(value) ? value.join(' ') : String(value || '');
+    return [...new Set(raw.split(/[\s,]+/).filter(Boolean))];
+  }
+  
+  /**
+   * Check whether a response header carries cache tags
+   * @param {String} name - Lowercase header name
+   * @returns {Boolean} True for configured tag headers
+   */
+  isTagHeader(name) {
+    return config.cache.tags.enabled && config.cache.tags.headers.includes(name);
+  }
+  
+  /**
+   * Read the cache tags of an origin response
+   * @param {Object} headers - Origin response headers
+   * @returns {Array} Tags, capped at the configured number per entry
+   */
+  getTagsFromHeaders(headers) {
+    if (!config.cache.tags.enabled) {
+      return [];
+    }
+    
+    const values = config.cache.tags.headers
+      .map(name => headers[name])
+      .filter(Boolean);
+    
+    return this.parseTags(values).slice(0, config.cache.tags.maxPerEntry);
+  }
+  
+  /**
+   * Add a cached entry to the tag index
+   * @param {String} key - Cache key
+   * @param {Array} tags - Entry tags
+   */
+  tagEntry(key, tags) {
+    if (!tags || tags.length === 0) {
+      return;
+    }
+    
+    this.entryTags.set(key, tags);
+    tags.forEach(tag => {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    });
+  }
+  
+  /**
+   * Remove a cached entry from the tag index
+   * @param {String} key - Cache key
+   */
+  untagEntry(key) {
+    const tags = this.entryTags.get(key);
+    if (!tags) {
+      return;
+    }
+    
+    tags.forEach(tag => {
+      const keys = this.tags.get(tag);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          this.tags.delete(tag);
+        }
+      }
+    });
+    this.entryTags.delete(key);
+  }
+  
+  /**
+   * Purge every cached entry carrying any of the tags
+   * @param {Array} tags - Cache tags
+   * @returns {Object} Result with count and keys of purged items
+   */
+  purgeTags(tags) {
+    if (!this.enabled) return { purged: 0, tags };
+    
+    const keys = new Set();
+    tags.forEach(tag => {
+      (this.tags.get(tag) || []).forEach(key => keys.add(key));
+    });
+    
+    this.remove([...keys]);
+    this.stats.tagPurges++;
+    logger.info(`Purged ${keys.size} items tagged: ${tags.join(', ')}`);
+    
+    return { purged: keys.size, keys: [...keys], tags };
+  }
+  
+  /**
+   * Refresh a stale entry after the origin confirmed it with a 304
+   * @param {String} key - Cache key
+   * @param {Object} entry - Stale cached response
+   * @param {Object} headers - Headers of the origin's 304 response
+   * @param {Object} req - Request the revalidation was made for
+   * @returns {Object|null} The refreshed entry, or null if it couldn't be stored
+   */
+  refresh(key, entry, headers, req = {}) {
+    if (!this.enabled) return null;
+    
+    REVALIDATION_UPDATED_HEADERS.forEach(header => {
+      if (headers[header] !== undefined) {
+        entry.headers[header] = headers[header];
+      }
+    });
+    
+    // The stored Age described the old response, not this confirmation
+    if (headers.age === undefined) {
+      delete entry.headers.age;
+    }
+    
+    const timing = {
+      status: entry.status,
+      requestTime: req.originRequestTime,
+      responseTime: req.originResponseTime
+    };
+    entry.initialAge = freshnessPolicy.getInitialAge(entry.headers, timing.requestTime, timing.responseTime);
+    
+    if (!this.set(key, entry, this.getTtlFromHeaders(entry.headers, timing))) {
+      return null;
+    }
+    
+    logger.debug(`Cache revalidated: ${key}`);
+    return entry;
+  }
+  
+  /**
+   * Delete entries from both tiers
+   * @param {String|Array} keys - Cache key or keys
+   */
+  remove(keys) {
+    this.cache.del(keys);
+    this.diskCache.delete(keys);
+  }
+  
+  /**
+   * Get the keys held by either tier
+   * @returns {Array} Cache keys
+   */
+  allKeys() {
+    return [...new Set([...this.cache.keys(), ...this.diskCache.keys()])];
+  }
+  
   /**
    * Purge cache by key or pattern
    * @param {String} pattern - Key or pattern to purge (* for all)
@@ -235,12 +1180,13 @@ class CacheManager {
     
     try {
       if (pattern === '*' && !domain) {
-        const count = this.cache.keys().length;
+        const count = this.allKeys().length;
         this.cache.flushAll();
+        this.diskCache.clear();
         logger.info(`Purged entire cache (${count} items)`);
         return { purged: count };
       } else {
-        const keys = this.cache.keys().filter(key => {
+        const keys = this.allKeys().filter(key => {
           // Domain filtering
           if (domain) {
             const keyParts = key.split(':');
@@ -261,7 +1207,7 @@ class CacheManager {
           }
         });
         
-        keys.forEach(key => this.cache.del(key));
+        this.remove(keys);
         const domainInfo = domain ? ` for domain ${domain}` : '';
         logger.info(`Purged ${keys.length} items matching pattern: ${pattern}${domainInfo}`);
         return { purged: keys.length, keys, domain, pattern };
@@ -292,7 +1238,7 @@ class CacheManager {
     if (!this.enabled) return { purged: 0 };
     
     try {
-      const keys = this.cache.keys().filter(key => {
+      const keys = this.allKeys().filter(key => {
         const keyParts = key.split(':');
         
         // Check domain match
@@ -322,7 +1268,7 @@ class CacheManager {
         return true;
       });
       
-      keys.forEach(key => this.cache.del(key));
+      this.remove(keys);
       logger.info(`Purged ${keys.length} path transformation cache items for domain ${domain}, pattern: ${pathPattern}`);
       return { purged: keys.length, keys, domain, pathPattern, type: 'path-transformation' };
     } catch (err) {
@@ -338,7 +1284,7 @@ class CacheManager {
    * @returns {Object} Cache statistics
    */
   getDomainStats(domain = null) {
-    const allKeys = this.cache.keys();
+    const allKeys = this.allKeys();
     
     if (!domain) {
       return this.getStats();
@@ -369,7 +1315,7 @@ class CacheManager {
     if (!this.enabled) return [];
     
     try {
-      const keys = this.cache.keys();
+      const keys = this.allKeys();
       
       if (!pattern) {
         return keys;
@@ -403,10 +1349,33 @@ class CacheManager {
     return {
       ...this.stats,
       keys: this.cache.keys().length,
+      variedUrls: this.variants.size,
+      tags: this.tags.size,
       hitRate: this.stats.hits + this.stats.misses > 0
         ? (this.stats.hits / (this.stats.hits + this.stats.misses)).toFixed(2)
         : 0,
-      ...cacheStats
+      ...cacheStats,
+      tiers: {
+        memory: {
+          entries: cacheStats.keys,
+          hits: cacheStats.hits,
+          misses: cacheStats.misses,
+          bytes: this.memoryBytes
+        },
+        disk: this.diskCache.getStats()
+      },
+      eviction: {
+        policy: config.cache.eviction.policy,
+        maxItems: config.cache.maxItems,
+        maxBytes: config.cache.eviction.maxBytes,
+        maxEntrySize: config.cache.eviction.maxEntrySize,
+        bytes: this.memoryBytes,
+        evictions: this.stats.evictions,
+        evictedBytes: this.stats.evictedBytes,
+        admissionRejected: this.stats.admissionRejected,
+        oversized: this.stats.oversized
+      },
+      cluster: clusterCoordinator.getStats()
     };
   }
   
@@ -417,8 +1386,16 @@ class CacheManager {
     this.stats = {
       hits: 0,
       misses: 0,
+      stale: 0,
       sets: 0,
-      errors: 0
+      errors: 0,
+      varyRejected: 0,
+      tagPurges: 0,
+      promotions: 0,
+      evictions: 0,
+      evictedBytes: 0,
+      admissionRejected: 0,
+      oversized: 0
     };
   }
   
@@ -438,7 +1415,9 @@ class CacheManager {
       clearInterval(this.statsInterval);
       this.statsInterval = null;
     }
+    // Memory goes, the disk tier keeps its entries for the next start
     this.cache.flushAll();
+    this.diskCache.shutdown();
     logger.info('Cache manager shutting down');
   }
 }
@@ -0,0 +1,204 @@
+// cache-snapshot.js
+const readline = require('readline');
+const { once } = require('events');
+const logger = require('../logger').getModuleLogger('cache-snapshot');
+const cacheManager = require('./cache-manager');
+
+// Import errors reported per import
+const MAX_ERRORS = 100;
+
+/**
+ * Cache Snapshot
+ * Exports cached responses as NDJSON and imports them again, so the cache of
+ * a node can be pre-seeded before traffic moves to it:
+ * - One JSON object per line: { key, expires, bodyType, body, entry }, with
+ *   binary bodies base64 encoded. Encoded variants are left out; they are
+ *   rebuilt on demand
+ * - Entries keep their absolute freshness times, so entries that expired
+ *   between export and import are skipped (node clocks should agree)
+ * - Both directions stream, one entry at a time; entries already cached on
+ *   the importing node are kept unless overwriting is asked for
+ */
+class CacheSnapshot {
+  constructor() {
+    this.stats = {
+      exports: 0,
+      exported: 0,
+      imports: 0,
+      imported: 0,
+      skipped: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Turn a cached entry into one snapshot line
+   * @param {String} key - Cache key
+   * @param {Object} entry - Cached response
+   * @param {Number|null} expires - When the entry is removed (ms), null for no limit
+   * @returns {String} JSON, without the line break
+   */
+  serialize(key, entry, expires) {
+    // Hit counts belong to the node that served them
+    const { body, variants, hits, ...meta } = entry;
+
+    let bodyType = 'none';
+    let encoded;
+    if (Buffer.isBuffer(body)) {
+      bodyType = 'buffer';
+      encoded = body.toString('base64');
+    } else if (body !== undefined && body !== null) {
+      bodyType = 'string';
+      encoded = String(body);
+    }
+
+    return JSON.stringify({ key, expires, bodyType, body: encoded, entry: meta });
+  }
+
+  /**
+   * Parse one snapshot line
+   * @param {String} line - JSON line
+   * @returns {Object} { key, expires, entry }
+   * @throws {Error} If the line isn't a cache entry
+   */
+  deserialize(line) {
+    const record = JSON.parse(line);
+    if (!record || typeof record.key !== 'string' || !record.key) {
+      throw new Error('Missing key');
+    }
+    if (!record.entry || typeof record.entry !== 'object' || typeof record.entry.status !== 'number') {
+      throw new Error('Missing entry status');
+    }
+
+    const entry = { ...record.entry, headers: record.entry.headers || {} };
+    if (record.bodyType === 'buffer') {
+      entry.body = Buffer.from(String(record.body || ''), 'base64');
+    } else if (record.bodyType === 'string') {
+      entry.body = String(record.body === undefined ? '' : record.body);
+    }
+
+    return { key: record.key, expires: Number(record.expires) || null, entry };
+  }
+
+  /**
+   * Check whether a key belongs to a domain, as purges filter them
+   * @param {String} key - Cache key
+   * @param {String} domain - Domain
+   * @returns {Boolean} True if the key is for the domain
+   */
+  matchesDomain(key, domain) {
+    const keyParts = key.split(':');
+    return keyParts.length >= 2 && keyParts[1] === domain;
+  }
+
+  /**
+   * Write the cached entries to a stream, one line each
+   * @param {Object} output - Writable stream
+   * @param {Object} options - Export options
+   * @param {String} options.pattern - Only keys matching this pattern
+   * @param {String} options.domain - Only keys of this domain
+   * @returns {Promise<Number>} Number of entries written
+   */
+  async export(output, { pattern = null, domain = null } = {}) {
+    this.stats.exports++;
+
+    const keys = cacheManager.getKeys(pattern)
+      .filter(key => !domain || this.matchesDomain(key, domain));
+    let exported = 0;
+
+    for (const key of keys) {
+      // The client went away
+      if (output.destroyed) {
+        break;
+      }
+
+      const found = await cacheManager.peek(key);
+      if (!found) {
+        continue;
+      }
+
+      const ttl = cacheManager.getRemainingTtl(key);
+      const line = this.serialize(key, found.entry, ttl ? Date.now() + ttl * 1000 : null);
+      if (!output.write(`${line}\n`)) {
+        await Promise.race([once(output, 'drain'), once(output, 'close')]);
+      }
+      exported++;
+    }
+
+    this.stats.exported += exported;
+    logger.info(`Exported ${exported} cache entries`);
+    return exported;
+  }
+
+  /**
+   * Read entries from a stream of snapshot lines into the cache
+   * @param {Object} input - Readable stream
+   * @param {Object} options - Import options
+   * @param {Boolean} options.overwrite - Replace entries that are already cached
+   * @returns {Promise<Object>} { imported, skipped, failed, errors }
+   */
+  async import(input, { overwrite = false } = {}) {
+    this.stats.imports++;
+
+    const result = { imported: 0, skipped: 0, failed: 0, errors: [] };
+    const fail = (line, error) => {
+      result.failed++;
+      if (result.errors.length < MAX_ERRORS) {
+        result.errors.push({ line, error });
+      }
+    };
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let number = 0;
+
+    for await (const line of lines) {
+      number++;
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = this.deserialize(line);
+      } catch (err) {
+        fail(number, err.message);
+        continue;
+      }
+
+      const { key, expires, entry } = record;
+      const ttl = expires ? Math.ceil((expires - Date.now()) / 1000) : 0;
+
+      // Expired since the export, or already cached here
+      if ((expires && ttl <= 0) || (!overwrite && cacheManager.has(key))) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        if (cacheManager.restore(key, entry, ttl)) {
+          result.imported++;
+        } else {
+          fail(number, 'Not stored');
+        }
+      } catch (err) {
+        fail(number, err.message);
+      }
+    }
+
+    this.stats.imported += result.imported;
+    this.stats.skipped += result.skipped;
+    this.stats.failed += result.failed;
+    logger.info(`Imported ${result.imported} cache entries (${result.skipped} skipped, ${result.failed} failed)`);
+    return result;
+  }
+
+  /**
+   * Get snapshot statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new CacheSnapshot();
@@ -0,0 +1,470 @@
+// cache-warmer.js
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('cache-warmer');
+const domainManager = require('../domain/domain-manager');
+
+// Failures listed per job; beyond this they are only counted
+const MAX_REPORTED_FAILURES = 100;
+
+// The sitemap protocol caps uncompressed sitemaps at 50 MB
+const MAX_SITEMAP_SIZE = 50 * 1024 * 1024;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Cache Warmer
+ * Fills the cache ahead of users, typically after a deploy and purge:
+ * - Jobs read URLs from an origin sitemap.xml (following sitemap indexes,
+ *   gzipped or not) and/or a posted list of URLs or paths
+ * - Every URL is requested from this server itself, so it passes through the
+ *   whole proxy pipeline: path rewriting, compute functions, URL
+ *   transformation and caching
+ * - Requests per domain are bounded across all running jobs
+ * - Jobs report progress and failures until they are pruned
+ */
+class CacheWarmer {
+  constructor() {
+    // Job id -> job, oldest first
+    this.jobs = new Map();
+
+    // Host -> { active, queue } of request slots
+    this.slots = new Map();
+
+    this.stats = {
+      jobs: 0,
+      requests: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * Start a warming job
+   * @param {Object} options - Job options
+   * @param {String} options.domain - Host URLs without one are requested for,
+   *   defaults to the origin domain
+   * @param {String} options.sitemap - Sitemap or sitemap index URL or path
+   * @param {Array} options.urls - URLs or paths to warm
+   * @returns {Object} Job summary
+   */
+  start({ domain, sitemap, urls = [] } = {}) {
+    if (!sitemap && urls.length === 0) {
+      throw new Error('A sitemap or a list of URLs is required');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      domain: domain || config.cdn.originDomain,
+      sitemap: sitemap || null,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      sitemaps: 0,
+      total: 0,
+      completed: 0,
+      succeeded: 0,
+      failed: 0,
+      hits: 0,
+      skipped: 0,
+      failures: [],
+      cancelled: false,
+      requests: new Set()
+    };
+
+    this.jobs.set(job.id, job);
+    this.stats.jobs++;
+    this.prune();
+    logger.info(`Cache warming job ${job.id} started for ${job.domain}`);
+
+    this.run(job, sitemap, urls)
+      .then(() => {
+        job.status = job.cancelled ? 'cancelled' : 'completed';
+      })
+      .catch(err => {
+        job.status = 'failed';
+        job.error = err.message;
+        logger.error(`Cache warming job ${job.id} failed: ${err.message}`);
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        logger.info(`Cache warming job ${job.id} ${job.status}: ${job.succeeded}/${job.total} URLs warmed, ${job.failed} failed`);
+      });
+
+    return this.summarize(job);
+  }
+
+  /**
+   * Collect a job's URLs and request them
+   * @param {Object} job - Warming job
+   * @param {String} sitemap - Sitemap URL or path
+   * @param {Array} urls - URLs or paths
+   */
+  async run(job, sitemap, urls) {
+    const targets = new Map();
+    const add = location => {
+      const target = this.resolveTarget(location, job.domain);
+      if (!target) {
+        this.recordFailure(job, location, 'Invalid URL');
+        return;
+      }
+
+      const id = `${target.host}${target.path}`;
+      if (targets.has(id)) {
+        return;
+      }
+      if (targets.size >= config.cache.warming.maxUrls) {
+        job.skipped++;
+        return;
+      }
+      targets.set(id, target);
+      job.total = targets.size;
+    };
+
+    urls.forEach(add);
+    if (sitemap) {
+      await this.readSitemaps(job, sitemap, add);
+    }
+
+    await Promise.all([...targets.values()].map(target =>
+      this.withSlot(target.host, () => this.warm(job, target))));
+  }
+
+  /**
+   * Read a sitemap, and the sitemaps it lists if it is a sitemap index
+   * @param {Object} job - Warming job
+   * @param {String} sitemap - Sitemap URL or path
+   * @param {Function} add - Receives every page URL found
+   */
+  async readSitemaps(job, sitemap, add) {
+    const queue = [sitemap];
+    const read = new Set();
+
+    while (queue.length > 0 && !job.cancelled) {
+      const location = queue.shift();
+      if (read.has(location)) {
+        continue;
+      }
+      if (read.size >= config.cache.warming.maxSitemaps) {
+        job.skipped += queue.length + 1;
+        break;
+      }
+      read.add(location);
+
+      const target = this.resolveTarget(location, job.domain);
+      if (!target) {
+        this.recordFailure(job, location, 'Invalid URL');
+        continue;
+      }
+
+      try {
+        const response = await this.withSlot(target.host, () => this.request(job, target, true));
+        if (response.status !== 200) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const { type, locations } = this.parseSitemap(this.decodeSitemap(response.body));
+        job.sitemaps++;
+        if (type === 'index') {
+          queue.push(...locations);
+        } else {
+          locations.forEach(add);
+        }
+      } catch (err) {
+        this.recordFailure(job, location, err.message);
+      }
+    }
+  }
+
+  /**
+   * Decompress a gzipped sitemap (sitemap.xml.gz)
+   * @param {Buffer} body - Response body
+   * @returns {String} Sitemap XML
+   */
+  decodeSitemap(body) {
+    const gzipped = body.length > 2 && body[0] === 0x1f && body[1] === 0x8b;
+    const xml = gzipped ? zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_SIZE }) : body;
+    return xml.toString('utf8');
+  }
+
+  /**
+   * Parse a sitemap or sitemap index
+   * @param {String} xml - Sitemap XML
+   * @returns {Object} { type: 'index' or 'urlset', locations }
+   */
+  parseSitemap(xml) {
+    const type = /<(?:[\w-]+:)?sitemapindex[\s>]/i.test(xml) ? 'index' : 'urlset';
+    const locations = [];
+    const pattern = /<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/(?:[\w-]+:)?loc>/gi;
+
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      const location = match[1]
+        .replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name])
+        .trim();
+      if (location) {
+        locations.push(location);
+      }
+    }
+
+    return { type, locations };
+  }
+
+  /**
+   * Work out which host and path to request for a URL. URLs on the origin,
+   * or on hosts this CDN doesn't serve, are requested for the job's domain
+   * @param {String} location - Absolute URL or path
+   * @param {String} domain - Job domain
+   * @returns {Object|null} { host, path }, or null if the URL is invalid
+   */
+  resolveTarget(location, domain) {
+    if (typeof location !== 'string' || location.length === 0) {
+      return null;
+    }
+
+    if (location.startsWith('/') && !location.startsWith('//')) {
+      return { host: domain, path: location };
+    }
+
+    try {
+      const url = new URL(location);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+      }
+
+      const served = url.host !== config.cdn.targetDomain && domainManager.isAllowedHost(url.host);
+      return { host: served ? url.host : domain, path: `${url.pathname}${url.search}` };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Warm one URL
+   * @param {Object} job - Warming job
+   * @param {Object} target - { host, path }
+   */
+  async warm(job, target) {
+    if (job.cancelled) {
+      return;
+    }
+
+    try {
+      const response = await this.request(job, target, false);
+      if (response.status >= 400) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      job.succeeded++;
+      if (/^HIT/i.test(response.headers['x-cache'] || '')) {
+        job.hits++;
+      }
+    } catch (err) {
+      if (job.cancelled) {
+        return;
+      }
+      job.failed++;
+      this.recordFailure(job, `//${target.host}${target.path}`, err.message);
+    } finally {
+      job.completed++;
+    }
+  }
+
+  /**
+   * Request a URL from this server
+   * @param {Object} job - Warming job, whose cancellation aborts the request
+   * @param {Object} target - { host, path }
+   * @param {Boolean} keepBody - Collect the body (sitemaps) or discard it (pages)
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  request(job, target, keepBody) {
+    const secure = config.server.ssl.enabled;
+    const listening = config.server.host;
+    const options = {
+      // A wildcard listen address is reachable on loopback
+      hostname: !listening || listening === '0.0.0.0' || listening === '::' ? '127.0.0.1' : listening,
+      port: config.server.port,
+      path: target.path,
+      headers: {
+        host: target.host,
+        'user-agent': 'advanced-cdn-warmer',
+        accept: '*/*'
+      },
+      timeout: config.cache.warming.timeout
+    };
+
+    if (secure) {
+      // The certificate is issued for the served domains, not for loopback
+      options.servername = target.host.split(':')[0];
+      options.rejectUnauthorized = false;
+    }
+
+    this.stats.requests++;
+
+    return new Promise((resolve, reject) => {
+      let response = null;
+      const req = (secure ? https : http).get(options, res => {
+        response = res;
+        const chunks = [];
+        let size = 0;
+
+        res.on('data', chunk => {
+          if (!keepBody) {
+            return;
+          }
+          size += chunk.length;
+          if (size > MAX_SITEMAP_SIZE) {
+            req.destroy(new Error('Sitemap too large'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks)
+        }));
+        res.on('error', reject);
+      });
+
+      job.requests.add(req);
+      req.on('close', () => {
+        job.requests.delete(req);
+        // Aborted mid-response: 'end' never comes
+        if (!response || !response.complete) {
+          reject(new Error('Connection closed'));
+        }
+      });
+      req.on('timeout', () => req.destroy(new Error('Timeout')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Run a task once fewer than the configured number of warming requests
+   * are in flight for a host
+   * @param {String} host - Host the task requests
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<*>} Result of the task
+   */
+  async withSlot(host, task) {
+    let slot = this.slots.get(host);
+    if (!slot) {
+      slot = { active: 0, queue: [] };
+      this.slots.set(host, slot);
+    }
+
+    if (slot.active >= config.cache.warming.concurrency) {
+      // A finishing task hands its slot over
+      await new Promise(resolve => slot.queue.push(resolve));
+    } else {
+      slot.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = slot.queue.shift();
+      if (next) {
+        next();
+      } else if (--slot.active === 0) {
+        this.slots.delete(host);
+      }
+    }
+  }
+
+  /**
+   * Record a failed URL or sitemap
+   * @param {Object} job - Warming job
+   * @param {String} url - URL that failed
+   * @param {String} error - Reason
+   */
+  recordFailure(job, url, error) {
+    this.stats.failures++;
+    if (job.failures.length < MAX_REPORTED_FAILURES) {
+      job.failures.push({ url, error });
+    }
+    logger.debug(`Cache warming failed for ${url}: ${error}`);
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the configured number
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.status !== 'running');
+    finished
+      .slice(0, Math.max(0, finished.length - config.cache.warming.keepJobs))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Get the reportable state of a job
+   * @param {Object} job - Warming job
+   * @returns {Object} Job summary
+   */
+  summarize(job) {
+    const { requests, cancelled, ...summary } = job;
+    return {
+      ...summary,
+      pending: job.total - job.completed,
+      progress: job.total > 0 ? Math.round((job.completed / job.total) * 100) : 0
+    };
+  }
+
+  /**
+   * Get a job
+   * @param {String} id - Job id
+   * @returns {Object|null} Job summary
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.summarize(job) : null;
+  }
+
+  /**
+   * List known jobs
+   * @returns {Array} Job summaries, oldest first
+   */
+  listJobs() {
+    return [...this.jobs.values()].map(job => this.summarize(job));
+  }
+
+  /**
+   * Stop a running job; requests in flight are aborted
+   * @param {String} id - Job id
+   * @returns {Boolean} True if the job was running
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running' || job.cancelled) {
+      return false;
+    }
+
+    job.cancelled = true;
+    job.requests.forEach(req => req.destroy(new Error('Cancelled')));
+    logger.info(`Cache warming job ${id} cancelled`);
+    return true;
+  }
+
+  /**
+   * Get warming statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      running: [...this.jobs.values()].filter(job => job.status === 'running').length
+    };
+  }
+
+  /**
+   * Cancel running jobs so their requests don't hold the server open
+   */
+  shutdown() {
+    this.jobs.forEach(job => this.cancel(job.id));
+  }
+}
+
+module.exports = new CacheWarmer();
@@ -0,0 +1,423 @@
+// cluster-coordinator.js
+const cluster = require('cluster');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('cluster-coordinator');
+
+/**
+ * Combine the results of a command from several workers: numbers are
+ * summed, arrays merged without duplicates, anything else is taken from
+ * the first result
+ * @param {Array} results - Command results
+ * @returns {Object} Combined result
+ */
+function aggregateResults(results) {
+  return results.reduce((combined, result) => {
+    Object.entries(result || {}).forEach(([name, value]) => {
+      if (typeof value === 'number' && typeof combined[name] === 'number') {
+        combined[name] += value;
+      } else if (Array.isArray(value) && Array.isArray(combined[name])) {
+        combined[name] = [...new Set(combined[name].concat(value))];
+      } else if (!(name in combined)) {
+        combined[name] = value;
+      }
+    });
+    return combined;
+  }, {});
+}
+
+/**
+ * Cluster Coordinator
+ * Keeps the caches of cluster workers consistent through the primary process:
+ * - Cache commands (purge, tag purge, nuke) received by one worker are
+ *   broadcast by the primary to every worker, and their results aggregated
+ * - In shared cache mode the primary holds a cache of its own; workers store
+ *   every entry there and look up their memory misses in it
+ * - Outside cluster mode commands simply run in the current process
+ */
+class ClusterCoordinator {
+  constructor() {
+    this.isWorker = cluster.isWorker;
+    this.workerId = process.env.NODE_APP_INSTANCE;
+    this.sharedEnabled = config.server.cluster.enabled && config.cache.shared.enabled;
+
+    // Command name -> { handler, aggregate }
+    this.commands = new Map();
+
+    // Requests waiting for an answer, by id
+    this.pending = new Map();
+    this.nextId = 0;
+
+    // Worker -> worker slot (NODE_APP_INSTANCE), on the primary
+    this.workerSlots = new WeakMap();
+
+    this.stats = {
+      commands: 0,
+      broadcasts: 0,
+      timeouts: 0,
+      sharedHits: 0,
+      sharedMisses: 0,
+      sharedStores: 0
+    };
+
+    if (this.isWorker) {
+      process.on('message', message => this.handlePrimaryMessage(message));
+    }
+  }
+
+  /**
+   * Register a cache command that can be broadcast to all workers
+   * @param {String} name - Command name
+   * @param {Function} handler - Runs the command locally, receives the arguments
+   * @param {Function} aggregate - Combines the results of all workers
+   */
+  register(name, handler, aggregate = aggregateResults) {
+    this.commands.set(name, { handler, aggregate });
+  }
+
+  /**
+   * Run a command on every worker of the cluster, or locally outside cluster mode
+   * @param {String} name - Command name
+   * @param {Object} args - Command arguments
+   * @returns {Promise<Object>} The local result, or the aggregated result
+   *   with a per-worker "workers" list in cluster mode
+   */
+  async run(name, args = {}) {
+    const command = this.commands.get(name);
+    if (!command) {
+      throw new Error(`Unknown cache command: ${name}`);
+    }
+
+    if (!this.isWorker) {
+      return command.handler(args);
+    }
+
+    this.stats.commands++;
+
+    // The primary waits commandTimeout for each worker; allow for the round trip
+    const results = await this.request('cache:command', { command: name, args },
+      config.server.cluster.commandTimeout + 1000);
+
+    if (!results) {
+      logger.warn(`Primary did not answer cache command ${name}, running it on worker ${this.workerId} only`);
+      const result = await command.handler(args);
+      return { ...result, workers: [{ worker: this.workerId, result }] };
+    }
+
+    const succeeded = results.filter(entry => !entry.error).map(entry => entry.result);
+    return { ...command.aggregate(succeeded), workers: results };
+  }
+
+  /**
+   * Send a request to the primary and wait for its reply
+   * @param {String} type - Message type
+   * @param {Object} payload - Message fields
+   * @param {Number} timeout - Milliseconds to wait
+   * @returns {Promise<*>} The reply, or null if none arrived in time
+   */
+  request(type, payload, timeout) {
+    const id = `${this.workerId}:${++this.nextId}`;
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.stats.timeouts++;
+        resolve(null);
+      }, timeout);
+      this.pending.set(id, { resolve, timer });
+
+      process.send({ type, id, ...payload }, err => {
+        if (err) {
+          logger.error(`Failed to send ${type} to the primary: ${err.message}`);
+          clearTimeout(timer);
+          this.pending.delete(id);
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolve a pending request
+   * @param {String} id - Request id
+   * @param {*} result - Reply
+   */
+  settle(id, result) {
+    const pending = this.pending.get(id);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(id);
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Handle a message from the primary (worker side)
+   * @param {*} message - IPC message
+   */
+  handlePrimaryMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    if (message.type === 'cache:reply') {
+      this.settle(message.id, message.result);
+    } else if (message.type === 'cache:execute') {
+      this.execute(message);
+    }
+  }
+
+  /**
+   * Run a broadcast command on this worker and report the result to the primary
+   * @param {Object} message - { id, command, args }
+   */
+  execute(message) {
+    const command = this.commands.get(message.command);
+
+    Promise.resolve()
+      .then(() => {
+        if (!command) {
+          throw new Error(`Unknown cache command: ${message.command}`);
+        }
+        return command.handler(message.args);
+      })
+      .then(result => process.send({ type: 'cache:executed', id: message.id, worker: this.workerId, result }))
+      .catch(err => process.send({ type: 'cache:executed', id: message.id, worker: this.workerId, error: err.message }));
+  }
+
+  /**
+   * Listen to a forked worker's cache messages (primary side)
+   * @param {Object} worker - Cluster worker
+   * @param {String|Number} slot - Worker slot (NODE_APP_INSTANCE)
+   */
+  attach(worker, slot) {
+    this.workerSlots.set(worker, String(slot));
+    worker.on('message', message => this.handleWorkerMessage(worker, message));
+  }
+
+  /**
+   * Handle a message from a worker (primary side)
+   * @param {Object} worker - Cluster worker
+   * @param {*} message - IPC message
+   */
+  handleWorkerMessage(worker, message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    switch (message.type) {
+      case 'cache:command':
+        this.broadcast(worker, message);
+        break;
+      case 'cache:executed':
+        this.settle(message.id, message.error
+          ? { worker: message.worker, error: message.error }
+          : { worker: message.worker, result: message.result });
+        break;
+      case 'cache:get':
+        this.getShared(message.key)
+          .then(result => this.reply(worker, message.id, result));
+        break;
+      case 'cache:set':
+        this.setShared(message);
+        break;
+    }
+  }
+
+  /**
+   * Answer a worker's request
+   * @param {Object} worker - Cluster worker
+   * @param {String} id - Request id
+   * @param {*} result - Reply
+   */
+  reply(worker, id, result) {
+    if (worker.isConnected()) {
+      worker.send({ type: 'cache:reply', id, result });
+    }
+  }
+
+  /**
+   * Run a command on every worker, and on the shared cache, then send the
+   * collected results to the worker that asked
+   * @param {Object} origin - Worker that received the command
+   * @param {Object} message - { id, command, args }
+   */
+  async broadcast(origin, message) {
+    this.stats.broadcasts++;
+    logger.info(`Broadcasting cache command ${message.command} to all workers`);
+
+    const workers = Object.values(cluster.workers).filter(worker => worker.isConnected());
+    const results = await Promise.all(workers.map(worker => this.executeOn(worker, message)));
+
+    if (this.sharedEnabled) {
+      try {
+        results.push({ worker: 'primary', result: await this.executeShared(message.command, message.args) });
+      } catch (err) {
+        results.push({ worker: 'primary', error: err.message });
+      }
+    }
+
+    this.reply(origin, message.id, results);
+  }
+
+  /**
+   * Ask one worker to run a command
+   * @param {Object} worker - Cluster worker
+   * @param {Object} message - { command, args }
+   * @returns {Promise<Object>} { worker, result } or { worker, error }
+   */
+  executeOn(worker, { command, args }) {
+    const id = `primary:${++this.nextId}`;
+    const slot = this.workerSlots.get(worker) || String(worker.id);
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.stats.timeouts++;
+        logger.warn(`Worker ${slot} did not run cache command ${command} in time`);
+        resolve({ worker: slot, error: 'timeout' });
+      }, config.server.cluster.commandTimeout);
+      this.pending.set(id, { resolve, timer });
+
+      worker.send({ type: 'cache:execute', id, command, args });
+    });
+  }
+
+  /**
+   * Get the cache the primary shares between workers
+   * @returns {Object} Cache manager of the primary process
+   */
+  getSharedCache() {
+    // Loaded on first use so the primary only builds a cache in shared mode
+    return require('./cache-manager');
+  }
+
+  /**
+   * Apply a broadcast command to the shared cache
+   * @param {String} command - Command name
+   * @param {Object} args - Command arguments
+   * @returns {Object|Promise<Object>} Command result
+   */
+  executeShared(command, args) {
+    const cacheManager = this.getSharedCache();
+
+    switch (command) {
+      case 'purge':
+        return cacheManager.purge(args.pattern, args.domain);
+      case 'purgeTags':
+        return cacheManager.purgeTags(args.tags);
+      case 'nuke':
+        return {
+          clearedCaches: [{
+            cache: 'shared',
+            type: 'response-cache',
+            itemsCleared: cacheManager.purge('*').purged || 0,
+            status: 'success'
+          }]
+        };
+      case 'inspect':
+        return cacheManager.inspect(args.key, { body: args.body })
+          .then(entry => ({ entries: entry ? [{ worker: 'primary', ...entry }] : [] }));
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Look an entry up in the shared cache (primary side)
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} { entry, ttl }, { fields } when the key
+   *   is a URL stored in Vary variants, or null
+   */
+  async getShared(key) {
+    if (!this.sharedEnabled) {
+      return null;
+    }
+
+    const cacheManager = this.getSharedCache();
+    try {
+      const entry = await cacheManager.lookup(key, { allowStale: true });
+      if (entry) {
+        // Encoded variants are rebuilt by each worker
+        const { variants, ...shared } = entry;
+        return { entry: shared, ttl: cacheManager.getRemainingTtl(key) };
+      }
+
+      const variants = cacheManager.variants.get(key);
+      return variants ? { fields: variants.fields } : null;
+    } catch (err) {
+      logger.error(`Shared cache lookup error: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry a worker cached in the shared cache (primary side)
+   * @param {Object} message - { key, entry, ttl }
+   */
+  setShared({ key, entry, ttl }) {
+    if (!this.sharedEnabled) {
+      return;
+    }
+
+    const cacheManager = this.getSharedCache();
+    try {
+      cacheManager.restore(key, entry, ttl);
+    } catch (err) {
+      logger.debug(`Shared cache store failed for ${key}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Look a memory miss up in the shared cache (worker side)
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} Reply of the primary, see getShared
+   */
+  lookupShared(key) {
+    if (!this.sharedEnabled || !this.isWorker) {
+      return Promise.resolve(null);
+    }
+    return this.request('cache:get', { key }, config.cache.shared.timeout).then(reply => {
+      if (reply && reply.entry) {
+        this.stats.sharedHits++;
+      } else {
+        this.stats.sharedMisses++;
+      }
+      return reply;
+    });
+  }
+
+  /**
+   * Send a newly cached entry to the shared cache (worker side)
+   * @param {String} key - Cache key
+   * @param {Object} entry - Cached response
+   * @param {Number} ttl - Seconds the entry is kept
+   */
+  storeShared(key, entry, ttl) {
+    if (!this.sharedEnabled || !this.isWorker) {
+      return;
+    }
+
+    const { variants, ...shared } = entry;
+    this.stats.sharedStores++;
+    process.send({ type: 'cache:set', key, entry: shared, ttl }, err => {
+      if (err) {
+        logger.debug(`Failed to share ${key}: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Get coordination statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      role: this.isWorker ? 'worker' : 'primary',
+      worker: this.workerId,
+      sharedCache: this.sharedEnabled,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ClusterCoordinator();
@@ -0,0 +1,157 @@
+// conditional-handler.js
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('conditional-handler');
+
+// Headers a 304 must not carry - they describe a body that isn't sent
+const NOT_MODIFIED_STRIPPED_HEADERS = [
+  'content-length',
+  'content-encoding',
+  'content-type',
+  'content-range',
+  'transfer-encoding'
+];
+
+/**
+ * Conditional Request Handler
+ * Implements validator handling for cached responses:
+ * - Answers If-None-Match / If-Modified-Since with 304 Not Modified from cache
+ * - Builds conditional origin requests to revalidate stale entries
+ */
+class ConditionalHandler {
+  constructor() {
+    this.enabled = config.cache.revalidation.enabled;
+
+    this.stats = {
+      notModified: 0,
+      revalidations: 0,
+      revalidated: 0,
+      revalidationReplaced: 0
+    };
+  }
+
+  /**
+   * Check whether a cached entry carries validators the origin can confirm
+   * @param {Object} headers - Cached response headers
+   * @returns {Boolean} True if the entry has an ETag or Last-Modified
+   */
+  hasValidators(headers) {
+    return !!(headers && (headers.etag || headers['last-modified']));
+  }
+
+  /**
+   * Check whether a stale entry should be revalidated with the origin
+   * @param {Object} req - Express request
+   * @param {Object} cached - Stale cached response
+   * @returns {Boolean} True if a conditional origin request should be made
+   */
+  canRevalidate(req, cached) {
+    return this.enabled &&
+      (req.method === 'GET' || req.method === 'HEAD') &&
+      this.hasValidators(cached.headers);
+  }
+
+  /**
+   * Compare entity tags using the weak comparison function (RFC 9110 8.8.3.2)
+   * @param {String} a - First entity tag
+   * @param {String} b - Second entity tag
+   * @returns {Boolean} True if the tags match
+   */
+  weakMatch(a, b) {
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return strip(a) === strip(b);
+  }
+
+  /**
+   * Evaluate a client's conditional headers against a cached entry
+   * @param {Object} req - Express request
+   * @param {Object} headers - Cached response headers
+   * @returns {Boolean} True if the client's copy is still current
+   */
+  isNotModified(req, headers) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return false;
+    }
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+      // If-None-Match takes precedence over If-Modified-Since
+      const etag = headers.etag;
+      if (!etag) {
+        return false;
+      }
+      if (ifNoneMatch.trim() === '*') {
+        return true;
+      }
+      return ifNoneMatch.split(',').some(tag => this.weakMatch(tag, etag));
+    }
+
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince && headers['last-modified']) {
+      const since = Date.parse(ifModifiedSince);
+      const lastModified = Date.parse(headers['last-modified']);
+      if (!isNaN(since) && !isNaN(lastModified)) {
+        return lastModified <= since;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Finish a response as 304 Not Modified
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response with cached headers already applied
+   */
+  serveNotModified(req, res) {
+    this.stats.notModified++;
+    NOT_MODIFIED_STRIPPED_HEADERS.forEach(header => res.removeHeader(header));
+    res.status(304);
+    res.end();
+
+    logger.debug('Served 304 Not Modified from cache', { url: req.url });
+  }
+
+  /**
+   * Replace the client's validators on an origin request with the
+   * validators of the stale cached entry being revalidated
+   * @param {Object} proxyReq - Outgoing origin request
+   * @param {Object} cached - Stale cached response
+   */
+  applyRevalidationHeaders(proxyReq, cached) {
+    this.stats.revalidations++;
+    proxyReq.removeHeader('if-none-match');
+    proxyReq.removeHeader('if-modified-since');
+
+    if (cached.headers.etag) {
+      proxyReq.setHeader('If-None-Match', cached.headers.etag);
+    }
+    if (cached.headers['last-modified']) {
+      proxyReq.setHeader('If-Modified-Since', cached.headers['last-modified']);
+    }
+  }
+
+  /**
+   * Record the origin's answer to a revalidation request
+   * @param {Boolean} notModified - True if the origin answered 304
+   */
+  recordRevalidation(notModified) {
+    if (notModified) {
+      this.stats.revalidated++;
+    } else {
+      this.stats.revalidationReplaced++;
+    }
+  }
+
+  /**
+   * Get conditional request statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ConditionalHandler();
@@ -0,0 +1,519 @@
+// disk-cache.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('../logger').getModuleLogger('disk-cache');
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+
+/**
+ * Disk Cache
+ * Second cache tier behind the in-memory NodeCache:
+ * - One file per entry in a sharded layout (ab/cd/<sha1 of key>), holding
+ *   the entry's metadata as JSON followed by the raw body
+ * - An index of keys, sizes, expiry, Vary fields and tags, saved to
+ *   index.json and reloaded on start so entries survive restarts
+ * - Bounded by total bytes; least recently used entries are evicted first
+ * - Emits 'del' (key, info) whenever an entry leaves the tier
+ * - Cluster workers each get their own directory, keyed on the worker slot
+ */
+class DiskCache extends EventEmitter {
+  constructor(options) {
+    super();
+    this.enabled = options.enabled;
+    this.options = options;
+
+    // Worker slots are stable across restarts, so a recycled worker finds its entries again
+    const instance = process.env.NODE_APP_INSTANCE;
+    this.dir = path.resolve(options.path, instance !== undefined ? `worker-${instance}` : '');
+
+    // Key -> { file, size, expires, primaryKey, fields, tags, hits }, least recently used first
+    this.index = new Map();
+    this.size = 0;
+    this.indexDirty = false;
+    this.savingIndex = false;
+
+    // File operations in flight per key; later operations on the key wait for them
+    this.operations = new Map();
+    // A clear in progress; file operations started meanwhile wait for it
+    this.clearing = null;
+    this.writeSequence = 0;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      writeErrors: 0,
+      readErrors: 0,
+      evictions: 0,
+      expired: 0
+    };
+
+    // Loading turns the tier off if its directory can't be created
+    if (this.enabled) {
+      this.load();
+    }
+    if (this.enabled) {
+      this.saveInterval = setInterval(() => this.saveIndex(), options.indexSaveInterval);
+      this.saveInterval.unref();
+      this.cleanupInterval = setInterval(() => this.removeExpired(), options.cleanupInterval);
+      this.cleanupInterval.unref();
+    }
+  }
+
+  /**
+   * Create the cache directory and load the index of a previous run
+   */
+  load() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+    } catch (err) {
+      logger.error(`Disk cache disabled, cannot create ${this.dir}: ${err.message}`);
+      this.enabled = false;
+      return;
+    }
+
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(path.join(this.dir, INDEX_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`Disk cache index unreadable, starting empty: ${err.message}`);
+      }
+      logger.info(`Disk cache started empty in ${this.dir}`);
+      return;
+    }
+
+    if (saved.version !== INDEX_VERSION || !Array.isArray(saved.entries)) {
+      logger.warn(`Disk cache index has an unknown format, starting empty`);
+      return;
+    }
+
+    const now = Date.now();
+    saved.entries.forEach(([key, info]) => {
+      if (info.expires && info.expires <= now) {
+        this.unlink(key, info.file);
+        this.stats.expired++;
+        return;
+      }
+      this.index.set(key, info);
+      this.size += info.size;
+    });
+    this.indexDirty = this.stats.expired > 0;
+
+    logger.info(`Disk cache loaded ${this.index.size} entries (${this.size} bytes) from ${this.dir}`);
+  }
+
+  /**
+   * Get the path of an entry file
+   * @param {String} file - Entry file name (sha1 of the key)
+   * @returns {String} Absolute path
+   */
+  filePath(file) {
+    return path.join(this.dir, file.slice(0, 2), file.slice(2, 4), file);
+  }
+
+  /**
+   * Run a file operation for a key after the ones already queued for it
+   * @param {String} key - Cache key
+   * @param {Function} task - Returns a promise
+   * @returns {Promise} Settles when the task is done
+   */
+  enqueue(key, task) {
+    const previous = Promise.allSettled([this.operations.get(key), this.clearing]);
+    const operation = previous.then(task);
+
+    this.operations.set(key, operation);
+    operation.finally(() => {
+      if (this.operations.get(key) === operation) {
+        this.operations.delete(key);
+      }
+    }).catch(() => {});
+
+    return operation;
+  }
+
+  /**
+   * Check whether an unexpired entry is on disk
+   * @param {String} key - Cache key
+   * @returns {Boolean} True if the key is indexed
+   */
+  has(key) {
+    const info = this.index.get(key);
+    return !!info && (!info.expires || info.expires > Date.now());
+  }
+
+  /**
+   * Get the index information of an entry
+   * @param {String} key - Cache key
+   * @returns {Object|undefined} { size, expires, hits, ... }
+   */
+  getInfo(key) {
+    return this.index.get(key);
+  }
+
+  /**
+   * Get all keys on disk
+   * @returns {Array} Cache keys
+   */
+  keys() {
+    return [...this.index.keys()];
+  }
+
+  /**
+   * Write an entry to disk. The index is updated right away; the file is
+   * written in the background
+   * @param {String} key - Cache key
+   * @param {Object} entry - Cached response
+   * @param {Number} ttl - Seconds until the entry is removed, 0 for no limit
+   * @param {Object} info - { primaryKey, fields, tags } kept in the index
+   * @returns {Boolean} True if the entry was accepted
+   */
+  set(key, entry, ttl, { primaryKey, fields, tags } = {}) {
+    if (!this.enabled) return false;
+
+    // Encoded variants are rebuilt on demand and not worth the disk space
+    const { body, variants, ...meta } = entry;
+    let bodyType = 'none';
+    let bodyBuffer = Buffer.alloc(0);
+    if (Buffer.isBuffer(body)) {
+      bodyType = 'buffer';
+      bodyBuffer = body;
+    } else if (body !== undefined && body !== null) {
+      bodyType = 'string';
+      bodyBuffer = Buffer.from(String(body), 'utf8');
+    }
+
+    const header = Buffer.from(JSON.stringify({ key, bodyType, entry: meta }), 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(header.length, 0);
+    const size = length.length + header.length + bodyBuffer.length;
+
+    // An older copy would be served in place of the one that didn't fit
+    if (size > this.options.maxEntrySize || size > this.options.maxSize) {
+      this.delete(key);
+      return false;
+    }
+
+    const previous = this.index.get(key);
+    if (previous) {
+      this.size -= previous.size;
+      this.index.delete(key);
+    }
+
+    const info = {
+      file: crypto.createHash('sha1').update(key).digest('hex'),
+      size,
+      expires: ttl > 0 ? Date.now() + ttl * 1000 : null,
+      primaryKey,
+      fields,
+      tags,
+      hits: 0
+    };
+    this.index.set(key, info);
+    this.size += size;
+    this.indexDirty = true;
+
+    const data = Buffer.concat([length, header, bodyBuffer]);
+    this.enqueue(key, () => this.writeFile(info.file, data))
+      .then(() => {
+        this.stats.writes++;
+      })
+      .catch(err => {
+        this.stats.writeErrors++;
+        logger.error(`Disk cache write error for ${key}: ${err.message}`);
+        if (this.index.get(key) === info) {
+          this.remove(key);
+        }
+      });
+
+    this.evict();
+    return true;
+  }
+
+  /**
+   * Write an entry file atomically
+   * @param {String} file - Entry file name
+   * @param {Buffer} data - File contents
+   * @returns {Promise} Settles when the file is in place
+   */
+  async writeFile(file, data) {
+    const target = this.filePath(file);
+    const temp = `${target}.${process.pid}.${++this.writeSequence}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(temp, data);
+    await fs.promises.rename(temp, target);
+  }
+
+  /**
+   * Read an entry from disk
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} Cached response, or null if not on disk
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+
+    const info = this.index.get(key);
+    if (!info) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (info.expires && info.expires <= Date.now()) {
+      this.stats.misses++;
+      this.stats.expired++;
+      this.remove(key);
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = await this.read(key, info);
+    } catch (err) {
+      // A file written over or deleted while it was read isn't an error
+      if (this.index.get(key) === info) {
+        this.stats.readErrors++;
+        logger.warn(`Disk cache read error for ${key}: ${err.message}`);
+        this.remove(key);
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    if (this.index.get(key) !== info) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    info.hits++;
+    this.index.delete(key);
+    this.index.set(key, info);
+    this.indexDirty = true;
+
+    this.stats.hits++;
+    logger.debug(`Disk cache hit: ${key}`);
+    return entry;
+  }
+
+  /**
+   * Read an entry from disk without counting it as a hit or touching its
+   * recency, for inspection and export
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} Cached response, or null if not on disk
+   */
+  async peek(key) {
+    if (!this.enabled || !this.has(key)) return null;
+
+    try {
+      return await this.read(key, this.index.get(key));
+    } catch (err) {
+      logger.debug(`Disk cache peek failed for ${key}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read and parse the file of an entry, once pending writes are done
+   * @param {String} key - Cache key
+   * @param {Object} info - Index information of the entry
+   * @returns {Promise<Object>} Cached response
+   */
+  async read(key, info) {
+    await this.operations.get(key);
+    const data = await fs.promises.readFile(this.filePath(info.file));
+    const headerLength = data.readUInt32BE(0);
+    const header = JSON.parse(data.toString('utf8', 4, 4 + headerLength));
+    if (header.key !== key) {
+      throw new Error('file belongs to another key');
+    }
+
+    const body = data.subarray(4 + headerLength);
+    const entry = header.entry;
+    if (header.bodyType === 'buffer') {
+      entry.body = body;
+    } else if (header.bodyType === 'string') {
+      entry.body = body.toString('utf8');
+    }
+    return entry;
+  }
+
+  /**
+   * Delete entries from disk
+   * @param {String|Array} keys - Cache key or keys
+   * @returns {Number} Number of entries deleted
+   */
+  delete(keys) {
+    return (Array.isArray(keys) ? keys : [keys])
+      .filter(key => this.remove(key))
+      .length;
+  }
+
+  /**
+   * Remove one entry from the index and delete its file
+   * @param {String} key - Cache key
+   * @returns {Boolean} True if the key was indexed
+   */
+  remove(key) {
+    const info = this.index.get(key);
+    if (!info) {
+      return false;
+    }
+
+    this.index.delete(key);
+    this.size -= info.size;
+    this.indexDirty = true;
+    this.unlink(key, info.file);
+    this.emit('del', key, info);
+    return true;
+  }
+
+  /**
+   * Delete an entry file once pending operations on its key are done
+   * @param {String} key - Cache key
+   * @param {String} file - Entry file name
+   */
+  unlink(key, file) {
+    // A file that's already gone, e.g. after a clear, is what we wanted
+    this.enqueue(key, () => fs.promises.unlink(this.filePath(file)).catch(err => {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    })).catch(err => logger.warn(`Disk cache could not delete ${file}: ${err.message}`));
+  }
+
+  /**
+   * Evict least recently used entries until the tier fits its byte budget
+   */
+  evict() {
+    while (this.size > this.options.maxSize && this.index.size > 0) {
+      const key = this.index.keys().next().value;
+      this.remove(key);
+      this.stats.evictions++;
+      logger.debug(`Disk cache evicted: ${key}`);
+    }
+  }
+
+  /**
+   * Remove entries past their expiry
+   */
+  removeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    this.index.forEach((info, key) => {
+      if (info.expires && info.expires <= now) {
+        this.remove(key);
+        removed++;
+      }
+    });
+
+    if (removed > 0) {
+      this.stats.expired += removed;
+      logger.debug(`Disk cache removed ${removed} expired entries`);
+    }
+  }
+
+  /**
+   * Delete every entry
+   * @returns {Promise} Settles when the entry files are gone
+   */
+  clear() {
+    if (!this.enabled) return Promise.resolve();
+
+    const count = this.index.size;
+    this.index.clear();
+    this.size = 0;
+    this.indexDirty = true;
+
+    logger.info(`Disk cache cleared (${count} entries)`);
+
+    // Writes in flight would race the removal of their directories, and
+    // writes started from now on must not be removed with them
+    const pending = [this.clearing, ...this.operations.values()].filter(Boolean);
+    const clearing = Promise.allSettled(pending)
+      .then(() => fs.promises.readdir(this.dir))
+      // Shard directories are two hex characters; index.json stays
+      .then(names => Promise.all(names
+        .filter(name => /^[0-9a-f]{2}$/.test(name))
+        .map(name => fs.promises.rm(path.join(this.dir, name), { recursive: true, force: true }))))
+      .catch(err => logger.error(`Disk cache clear error: ${err.message}`))
+      .finally(() => {
+        if (this.clearing === clearing) {
+          this.clearing = null;
+        }
+      });
+
+    this.clearing = clearing;
+    return clearing;
+  }
+
+  /**
+   * Serialize the index
+   * @returns {String} index.json contents
+   */
+  serializeIndex() {
+    return JSON.stringify({ version: INDEX_VERSION, entries: [...this.index] });
+  }
+
+  /**
+   * Save the index in the background if it changed
+   */
+  saveIndex() {
+    if (!this.enabled || !this.indexDirty || this.savingIndex) return;
+
+    this.indexDirty = false;
+    this.savingIndex = true;
+
+    const target = path.join(this.dir, INDEX_FILE);
+    fs.promises.writeFile(`${target}.tmp`, this.serializeIndex())
+      .then(() => fs.promises.rename(`${target}.tmp`, target))
+      .catch(err => {
+        this.indexDirty = true;
+        logger.error(`Disk cache index save error: ${err.message}`);
+      })
+      .finally(() => {
+        this.savingIndex = false;
+      });
+  }
+
+  /**
+   * Get disk tier statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      path: this.dir,
+      entries: this.index.size,
+      bytes: this.size,
+      maxBytes: this.options.maxSize,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop timers and save the index synchronously
+   */
+  shutdown() {
+    clearInterval(this.saveInterval);
+    clearInterval(this.cleanupInterval);
+
+    if (!this.enabled || !this.indexDirty) return;
+
+    try {
+      const target = path.join(this.dir, INDEX_FILE);
+      fs.writeFileSync(`${target}.tmp`, this.serializeIndex());
+      fs.renameSync(`${target}.tmp`, target);
+      this.indexDirty = false;
+      logger.info(`Disk cache index saved (${this.index.size} entries)`);
+    } catch (err) {
+      logger.error(`Disk cache index save error: ${err.message}`);
+    }
+  }
+}
+
+module.exports = DiskCache;
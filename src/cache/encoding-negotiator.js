@@ -0,0 +1,260 @@
+// encoding-negotiator.js
+const zlib = require('zlib');
+const { promisify } = require('util');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('encoding-negotiator');
+
+const ENCODERS = {
+  br: promisify(zlib.brotliCompress),
+  gzip: promisify(zlib.gzip)
+};
+
+/**
+ * Encoding Negotiator
+ * Serves cached bodies in the content coding a client prefers:
+ * - Cache entries hold one identity body; br/gzip variants are built on
+ *   first use and kept on the entry, so hits on entries in memory never
+ *   recompress (copies read from the disk tier are not kept)
+ * - Accept-Encoding is parsed with q-values (RFC 9110 section 12.5.3)
+ * - Vary: Accept-Encoding on every response that has encoded variants
+ */
+class EncodingNegotiator {
+  constructor() {
+    this.enabled = config.cache.encodings.enabled;
+    this.encodings = config.cache.encodings.preferred.filter(encoding => ENCODERS[encoding]);
+
+    // Variants being compressed, per entry, so concurrent hits share the work
+    this.pending = new WeakMap();
+
+    this.stats = {
+      served: { identity: 0 },
+      variantsBuilt: 0,
+      variantBytes: 0,
+      buildErrors: 0
+    };
+    this.encodings.forEach(encoding => {
+      this.stats.served[encoding] = 0;
+    });
+  }
+
+  /**
+   * Parse an Accept-Encoding header
+   * @param {String} header - Accept-Encoding header value
+   * @returns {Object} Map of lowercase coding (or '*') -> q-value
+   */
+  parseAcceptEncoding(header) {
+    const accepted = {};
+
+    String(header || '').split(',').forEach(part => {
+      const [coding, ...params] = part.split(';').map(token => token.trim());
+      if (!coding) {
+        return;
+      }
+
+      let q = 1;
+      params.forEach(param => {
+        const match = /^q\s*=\s*([0-9.]+)$/i.exec(param);
+        if (match) {
+          q = Math.min(Math.max(parseFloat(match[1]) || 0, 0), 1);
+        }
+      });
+
+      // x-gzip is an alias for gzip
+      const name = coding.toLowerCase() === 'x-gzip' ? 'gzip' : coding.toLowerCase();
+      accepted[name] = Math.max(accepted[name] || 0, q);
+    });
+
+    return accepted;
+  }
+
+  /**
+   * Pick the content coding to answer with
+   * @param {String} header - Accept-Encoding header value
+   * @returns {String} One of the configured encodings, or 'identity'
+   */
+  negotiate(header) {
+    if (!header) {
+      return 'identity';
+    }
+
+    const accepted = this.parseAcceptEncoding(header);
+    const listed = Object.values(accepted);
+    const qualityOf = (coding) => {
+      if (accepted[coding] !== undefined) {
+        return accepted[coding];
+      }
+      if (accepted['*'] !== undefined) {
+        return accepted['*'];
+      }
+      // identity is acceptable unless excluded explicitly or through *;q=0,
+      // but never preferred over a coding the client listed
+      return coding === 'identity' ? Math.min(1, ...listed.filter(q => q > 0)) : 0;
+    };
+
+    // Highest q-value wins; ties go to the first configured encoding
+    let best = 'identity';
+    let bestQ = 0;
+    this.encodings.forEach(encoding => {
+      const q = qualityOf(encoding);
+      if (q > bestQ) {
+        best = encoding;
+        bestQ = q;
+      }
+    });
+
+    // With nothing acceptable, an unencoded body beats a 406
+    return qualityOf('identity') > bestQ ? 'identity' : best;
+  }
+
+  /**
+   * Check whether a cached entry gets encoded variants
+   * @param {Object} entry - Cached response
+   * @returns {Boolean} True if the body is worth compressing
+   */
+  isEncodable(entry) {
+    if (!this.enabled || this.encodings.length === 0 || !entry.body) {
+      return false;
+    }
+
+    const headers = entry.headers || {};
+    if (headers['content-encoding'] && headers['content-encoding'] !== 'identity') {
+      return false;
+    }
+    if (/\bno-transform\b/i.test(headers['cache-control'] || '')) {
+      return false;
+    }
+
+    const size = Buffer.byteLength(entry.body);
+    if (size < config.cache.encodings.minSize) {
+      return false;
+    }
+
+    const contentType = String(headers['content-type'] || '').toLowerCase();
+    return config.cache.encodings.types.some(type => contentType.includes(type));
+  }
+
+  /**
+   * Add Accept-Encoding to a response's Vary header
+   * @param {Object} res - Express response
+   */
+  addVary(res) {
+    const current = res.getHeader('Vary');
+    const fields = String(current || '').split(',').map(field => field.trim()).filter(Boolean);
+
+    if (fields.includes('*') || fields.some(field => field.toLowerCase() === 'accept-encoding')) {
+      return;
+    }
+
+    fields.push('Accept-Encoding');
+    res.setHeader('Vary', fields.join(', '));
+  }
+
+  /**
+   * Get the body of a cached entry in an encoding, building and storing the
+   * variant on the entry the first time it is asked for
+   * @param {Object} entry - Cached response
+   * @param {String} encoding - Content coding
+   * @returns {Promise<Buffer>} Encoded body
+   */
+  async getVariant(entry, encoding) {
+    if (entry.variants && entry.variants[encoding]) {
+      return entry.variants[encoding];
+    }
+
+    let pending = this.pending.get(entry);
+    if (!pending) {
+      pending = {};
+      this.pending.set(entry, pending);
+    }
+
+    if (!pending[encoding]) {
+      pending[encoding] = this.compress(entry.body, encoding)
+        .then(variant => {
+          entry.variants = { ...entry.variants, [encoding]: variant };
+          this.stats.variantsBuilt++;
+          this.stats.variantBytes += variant.length;
+          return variant;
+        })
+        .finally(() => {
+          delete pending[encoding];
+        });
+    }
+
+    return pending[encoding];
+  }
+
+  /**
+   * Compress a body without blocking the event loop
+   * @param {String|Buffer} body - Identity body
+   * @param {String} encoding - Content coding
+   * @returns {Promise<Buffer>} Encoded body
+   */
+  compress(body, encoding) {
+    const input = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+
+    if (encoding === 'br') {
+      return ENCODERS.br(input, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: config.cache.encodings.brotliQuality,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: input.length
+        }
+      });
+    }
+
+    return ENCODERS.gzip(input, { level: config.cache.encodings.gzipLevel });
+  }
+
+  /**
+   * Send a cached body in the encoding the client prefers
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response with status and headers already set
+   * @param {Object} entry - Cached response
+   */
+  async send(req, res, entry) {
+    let encoding = this.isEncodable(entry) ? this.negotiate(req.headers['accept-encoding']) : 'identity';
+    let body = entry.body;
+
+    if (encoding !== 'identity') {
+      try {
+        body = await this.getVariant(entry, encoding);
+      } catch (err) {
+        this.stats.buildErrors++;
+        logger.error(`Failed to build ${encoding} variant: ${err.message}`, { url: req.url });
+        encoding = 'identity';
+        body = entry.body;
+      }
+    }
+
+    // The client went away while the variant was being built
+    if (res.writableEnded || res.destroyed) {
+      return;
+    }
+
+    if (encoding !== 'identity') {
+      res.setHeader('Content-Encoding', encoding);
+    }
+    // HEAD requests are served from the GET entry, so this is the length a GET would get
+    res.setHeader('Content-Length', Buffer.byteLength(body || ''));
+    this.stats.served[encoding]++;
+
+    if (req.method !== 'HEAD') {
+      res.end(body);
+    } else {
+      res.end();
+    }
+  }
+
+  /**
+   * Get negotiation statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      encodings: this.encodings,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new EncodingNegotiator();
@@ -0,0 +1,308 @@
+// eviction-policy.js
+
+/**
+ * Least recently used: entries are evicted in the order they were last used
+ */
+class LRUPolicy {
+  constructor() {
+    // Map order is the eviction order, least recently used first
+    this.entries = new Map();
+  }
+
+  /**
+   * Start tracking a stored entry
+   * @param {String} key - Cache key
+   */
+  add(key) {
+    this.entries.delete(key);
+    this.entries.set(key, true);
+  }
+
+  /**
+   * Record a request for a key
+   * @param {String} key - Cache key
+   */
+  access(key) {
+    if (this.entries.has(key)) {
+      this.add(key);
+    }
+  }
+
+  /**
+   * Stop tracking a deleted entry
+   * @param {String} key - Cache key
+   */
+  remove(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Decide whether a new entry may displace a victim
+   * @returns {Boolean} Always true, every new entry is admitted
+   */
+  admit() {
+    return true;
+  }
+
+  /**
+   * List tracked keys in eviction order
+   * @returns {Iterable} Keys, the next victim first
+   */
+  victims() {
+    return this.entries.keys();
+  }
+
+  /**
+   * Forget every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Least frequently used: entries requested least often since they were
+ * stored are evicted first, the least recently used of them on a tie
+ */
+class LFUPolicy {
+  constructor() {
+    // Key -> request count, and request count -> keys in recency order
+    this.counts = new Map();
+    this.buckets = new Map();
+  }
+
+  /**
+   * Move a key to the bucket of a request count
+   * @param {String} key - Cache key
+   * @param {Number} count - New request count
+   */
+  setCount(key, count) {
+    this.remove(key);
+    this.counts.set(key, count);
+    if (!this.buckets.has(count)) {
+      this.buckets.set(count, new Set());
+    }
+    this.buckets.get(count).add(key);
+  }
+
+  /**
+   * Start tracking a stored entry
+   * @param {String} key - Cache key
+   */
+  add(key) {
+    // A replaced entry keeps its popularity
+    this.setCount(key, this.counts.get(key) || 1);
+  }
+
+  /**
+   * Record a request for a key
+   * @param {String} key - Cache key
+   */
+  access(key) {
+    if (this.counts.has(key)) {
+      this.setCount(key, this.counts.get(key) + 1);
+    }
+  }
+
+  /**
+   * Stop tracking a deleted entry
+   * @param {String} key - Cache key
+   */
+  remove(key) {
+    const count = this.counts.get(key);
+    if (count === undefined) {
+      return;
+    }
+
+    const bucket = this.buckets.get(count);
+    bucket.delete(key);
+    if (bucket.size === 0) {
+      this.buckets.delete(count);
+    }
+    this.counts.delete(key);
+  }
+
+  /**
+   * Decide whether a new entry may displace a victim
+   * @returns {Boolean} Always true, every new entry is admitted
+   */
+  admit() {
+    return true;
+  }
+
+  /**
+   * List tracked keys in eviction order
+   * @returns {Iterable} Keys, the next victim first
+   */
+  *victims() {
+    const counts = [...this.buckets.keys()].sort((a, b) => a - b);
+    for (const count of counts) {
+      yield* [...this.buckets.get(count)];
+    }
+  }
+
+  /**
+   * Forget every entry
+   */
+  clear() {
+    this.counts.clear();
+    this.buckets.clear();
+  }
+}
+
+/**
+ * Count-min sketch of request frequencies with 4-bit counters, halved
+ * periodically so past popularity fades
+ */
+class FrequencySketch {
+  /**
+   * @param {Number} capacity - Expected number of cached entries
+   */
+  constructor(capacity) {
+    let width = 64;
+    while (width < capacity * 2) {
+      width *= 2;
+    }
+
+    this.width = width;
+    this.depth = 4;
+    this.table = new Uint8Array(width * this.depth);
+    this.sampleSize = width * 10;
+    this.additions = 0;
+  }
+
+  /**
+   * Get the counter positions of a key, one per row
+   * @param {String} key - Cache key
+   * @returns {Array} Table indexes
+   */
+  indexes(key) {
+    // FNV-1a, with each row seeded differently
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+    }
+
+    const indexes = [];
+    for (let row = 0; row < this.depth; row++) {
+      const rowHash = Math.imul(hash ^ (row * 0x9e3779b9), 0x85ebca6b) >>> 0;
+      indexes.push(row * this.width + (rowHash & (this.width - 1)));
+    }
+    return indexes;
+  }
+
+  /**
+   * Count one request for a key
+   * @param {String} key - Cache key
+   */
+  increment(key) {
+    const indexes = this.indexes(key);
+    const min = Math.min(...indexes.map(index => this.table[index]));
+
+    // Conservative update: only the smallest counters can be too low
+    if (min < 15) {
+      indexes.forEach(index => {
+        if (this.table[index] === min) {
+          this.table[index]++;
+        }
+      });
+    }
+
+    if (++this.additions >= this.sampleSize) {
+      this.age();
+    }
+  }
+
+  /**
+   * Estimate how often a key was requested
+   * @param {String} key - Cache key
+   * @returns {Number} Estimated request count
+   */
+  estimate(key) {
+    return Math.min(...this.indexes(key).map(index => this.table[index]));
+  }
+
+  /**
+   * Halve every counter
+   */
+  age() {
+    for (let i = 0; i < this.table.length; i++) {
+      this.table[i] >>= 1;
+    }
+    this.additions = Math.floor(this.additions / 2);
+  }
+
+  /**
+   * Reset every counter
+   */
+  clear() {
+    this.table.fill(0);
+    this.additions = 0;
+  }
+}
+
+/**
+ * TinyLFU: least recently used eviction, behind an admission filter that
+ * only lets a new entry displace one that was requested less often.
+ * Frequencies include misses, so a URL requested once is never cached at
+ * the expense of a popular one. They outlive purges: clear() only forgets
+ * the cached entries
+ */
+class TinyLFUPolicy extends LRUPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Number} options.capacity - Expected number of cached entries
+   */
+  constructor({ capacity }) {
+    super();
+    this.sketch = new FrequencySketch(capacity);
+  }
+
+  /**
+   * Record a request for a key, cached or not
+   * @param {String} key - Cache key
+   */
+  access(key) {
+    this.sketch.increment(key);
+    super.access(key);
+  }
+
+  /**
+   * Decide whether a new entry may displace a victim
+   * @param {String} key - Key of the new entry
+   * @param {String} victim - Key of the entry it would evict
+   * @returns {Boolean} True if the new entry is requested more often
+   */
+  admit(key, victim) {
+    return this.sketch.estimate(key) > this.sketch.estimate(victim);
+  }
+}
+
+const POLICIES = {
+  lru: LRUPolicy,
+  lfu: LFUPolicy,
+  tinylfu: TinyLFUPolicy
+};
+
+/**
+ * Create an eviction policy by name
+ * @param {String} name - lru, lfu or tinylfu
+ * @param {Object} options - Policy options
+ * @param {Number} options.capacity - Expected number of cached entries
+ * @returns {Object} Eviction policy
+ */
+function createEvictionPolicy(name, options = {}) {
+  const Policy = POLICIES[String(name).toLowerCase()];
+  if (!Policy) {
+    throw new Error(`Unknown cache eviction policy: ${name}`);
+  }
+  return new Policy({ capacity: 1000, ...options });
+}
+
+module.exports = {
+  createEvictionPolicy,
+  LRUPolicy,
+  LFUPolicy,
+  TinyLFUPolicy,
+  FrequencySketch
+};
@@ -0,0 +1,226 @@
+// freshness-policy.js
+const config = require('../config');
+
+// Status codes that may be given a heuristic lifetime (RFC 9110 15.1)
+const HEURISTICALLY_CACHEABLE = [200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501];
+
+// Name, optionally followed by a token or quoted-string value
+const DIRECTIVE_PATTERN = /([^\s=,]+)(?:\s*=\s*("(?:[^"\\]|\\.)*"|[^,]*))?/g;
+
+/**
+ * Freshness Policy
+ * Decides, as a shared cache under RFC 9111, whether a response may be
+ * stored and how long it stays fresh:
+ * - A CDN-targeted field (CDN-Cache-Control, Surrogate-Control) replaces
+ *   Cache-Control and Expires when present (RFC 9213)
+ * - The lifetime comes from s-maxage, then max-age, then Expires minus Date,
+ *   then a share of the time since Last-Modified, then the default TTL
+ * - The age a response already had upstream (Age, Date and the time the
+ *   origin took to answer) is subtracted from its lifetime
+ * - no-store, private and Authorization-protected responses are not stored;
+ *   no-cache ones are stored stale, to be revalidated on every use
+ */
+class FreshnessPolicy {
+  /**
+   * Parse a Cache-Control style field
+   * @param {String|Array} value - Field value(s)
+   * @returns {Object} Lowercase directive name -> value, or true without one
+   */
+  parseDirectives(value) {
+    const directives = {};
+    const raw = Array.isArray(value) ? value.join(',') : String(value || '');
+
+    let match;
+    DIRECTIVE_PATTERN.lastIndex = 0;
+    while ((match = DIRECTIVE_PATTERN.exec(raw)) !== null) {
+      const name = match[1].toLowerCase();
+      // Repeated directives are invalid; the first one counts
+      if (name in directives) {
+        continue;
+      }
+
+      let argument = match[2] === undefined ? true : match[2].trim();
+      if (typeof argument === 'string' && argument.startsWith('"')) {
+        argument = argument.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+      directives[name] = argument;
+    }
+
+    return directives;
+  }
+
+  /**
+   * Read a delta-seconds directive
+   * @param {Object} directives - Parsed directives
+   * @param {String} name - Directive name
+   * @returns {Number|null} Seconds, 0 for an invalid value, null if absent
+   */
+  getSeconds(directives, name) {
+    if (!(name in directives)) {
+      return null;
+    }
+
+    const value = String(directives[name]);
+    return /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+  }
+
+  /**
+   * Check for a directive that applies to the whole response; qualified
+   * forms like no-cache="Set-Cookie" only concern the listed fields
+   * @param {Object} directives - Parsed directives
+   * @param {String} name - Directive name
+   * @returns {Boolean} True if the directive is present without field names
+   */
+  hasDirective(directives, name) {
+    return directives[name] === true;
+  }
+
+  /**
+   * Get the directives that govern this cache
+   * @param {Object} headers - Lowercase response headers
+   * @returns {Object} { field, directives, targeted }
+   */
+  getControl(headers) {
+    const targeted = config.cache.freshness.targetedHeaders.find(name => headers[name] !== undefined);
+    const field = targeted || 'cache-control';
+
+    return {
+      field,
+      directives: this.parseDirectives(headers[field]),
+      targeted: !!targeted
+    };
+  }
+
+  /**
+   * Parse an HTTP date
+   * @param {String} value - Header value
+   * @returns {Number|null} Milliseconds since the epoch, or null if invalid
+   */
+  parseDate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Compute the freshness lifetime of a response (RFC 9111 4.2.1, 4.2.2)
+   * @param {Object} headers - Lowercase response headers
+   * @param {Object} options - Response details
+   * @param {Number} options.status - Response status code
+   * @param {Number} options.responseTime - When the response arrived (ms)
+   * @returns {Object} { lifetime: seconds, source }
+   */
+  getLifetime(headers, { status = 200, responseTime = Date.now() } = {}) {
+    const { directives, targeted } = this.getControl(headers);
+
+    const sMaxAge = this.getSeconds(directives, 's-maxage');
+    if (sMaxAge !== null) {
+      return { lifetime: sMaxAge, source: 's-maxage' };
+    }
+
+    const maxAge = this.getSeconds(directives, 'max-age');
+    if (maxAge !== null) {
+      return { lifetime: maxAge, source: 'max-age' };
+    }
+
+    if (!targeted && headers.expires !== undefined) {
+      // An invalid Expires, like "0", means already expired
+      const expires = this.parseDate(headers.expires);
+      const date = this.parseDate(headers.date) || responseTime;
+      const lifetime = expires === null ? 0 : Math.max(0, Math.floor((expires - date) / 1000));
+      return { lifetime, source: 'expires' };
+    }
+
+    const { heuristicFraction, heuristicMaxTtl } = config.cache.freshness;
+    const lastModified = this.parseDate(headers['last-modified']);
+    const heuristic = HEURISTICALLY_CACHEABLE.includes(status) || this.hasDirective(directives, 'public');
+
+    if (heuristicFraction > 0 && lastModified !== null && heuristic) {
+      const date = this.parseDate(headers.date) || responseTime;
+      const lifetime = Math.floor(Math.max(0, date - lastModified) / 1000 * heuristicFraction);
+      return { lifetime: Math.min(lifetime, heuristicMaxTtl), source: 'heuristic' };
+    }
+
+    return { lifetime: config.cache.defaultTtl, source: 'default' };
+  }
+
+  /**
+   * Compute how old a response already was when it arrived (RFC 9111 4.2.3)
+   * @param {Object} headers - Lowercase response headers
+   * @param {Number} requestTime - When the request was sent (ms)
+   * @param {Number} responseTime - When the response arrived (ms)
+   * @returns {Number} Corrected initial age in seconds
+   */
+  getInitialAge(headers, requestTime, responseTime) {
+    const received = responseTime || Date.now();
+    const sent = requestTime || received;
+    const date = this.parseDate(headers.date);
+
+    const apparentAge = date === null ? 0 : Math.max(0, (received - date) / 1000);
+    const ageValue = /^\d+$/.test(String(headers.age || '').trim()) ? parseInt(headers.age, 10) : 0;
+    const correctedAgeValue = ageValue + Math.max(0, received - sent) / 1000;
+
+    return Math.floor(Math.max(apparentAge, correctedAgeValue));
+  }
+
+  /**
+   * Decide whether and for how long a response may be cached
+   * @param {Object} headers - Lowercase response headers
+   * @param {Object} options - Request and response details
+   * @param {Number} options.status - Response status code
+   * @param {Boolean} options.authorized - The request carried Authorization
+   * @param {Number} options.requestTime - When the request was sent (ms)
+   * @param {Number} options.responseTime - When the response arrived (ms)
+   * @returns {Object} { storable, reason, lifetime, source, age, ttl }
+   */
+  evaluate(headers, { status = 200, authorized = false, requestTime, responseTime } = {}) {
+    const { field, directives } = this.getControl(headers);
+    const age = this.getInitialAge(headers, requestTime, responseTime);
+    const refuse = reason => ({ storable: false, reason, field, lifetime: 0, source: null, age, ttl: 0 });
+
+    if ('no-store' in directives) {
+      return refuse('no-store');
+    }
+
+    // Kept for sites that cache per-user pages on purpose (CACHE_COOKIES)
+    if (this.hasDirective(directives, 'private') && !config.cache.cacheCookies) {
+      return refuse('private');
+    }
+
+    // Responses to authenticated requests need explicit permission (RFC 9111 3.5)
+    if (authorized && !('public' in directives || 's-maxage' in directives || 'must-revalidate' in directives)) {
+      return refuse('authorization');
+    }
+
+    if (this.hasDirective(directives, 'no-cache')) {
+      return { storable: true, reason: 'no-cache', field, lifetime: 0, source: 'no-cache', age, ttl: 0 };
+    }
+
+    const { lifetime, source } = this.getLifetime(headers, { status, responseTime });
+    return {
+      storable: true,
+      reason: null,
+      field,
+      lifetime,
+      source,
+      age,
+      ttl: Math.max(0, lifetime - age)
+    };
+  }
+
+  /**
+   * Check whether stale copies of a response must never be served without
+   * asking the origin (must-revalidate, proxy-revalidate, no-cache, s-maxage)
+   * @param {Object} headers - Lowercase response headers
+   * @returns {Boolean} True if stale serving is ruled out
+   */
+  requiresRevalidation(headers) {
+    const { directives } = this.getControl(headers);
+    return ['must-revalidate', 'proxy-revalidate', 'no-cache', 's-maxage'].some(name => name in directives);
+  }
+}
+
+module.exports = new FreshnessPolicy();
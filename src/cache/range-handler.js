@@ -0,0 +1,240 @@
+// range-handler.js
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('range-handler');
+
+/**
+ * Range Handler
+ * Serves HTTP Range requests (RFC 9110 section 14) from cached response bodies:
+ * - Single ranges as 206 Partial Content with Content-Range
+ * - Multiple ranges as multipart/byteranges
+ * - If-Range validation against the cached ETag / Last-Modified
+ * - 416 Range Not Satisfiable for ranges outside the body
+ */
+class RangeHandler {
+  constructor() {
+    this.enabled = config.cache.rangeRequests.enabled;
+    this.maxRanges = config.cache.rangeRequests.maxRanges;
+
+    this.stats = {
+      rangeRequests: 0,
+      singleRange: 0,
+      multipartRange: 0,
+      unsatisfiable: 0,
+      ifRangeMismatch: 0,
+      ignored: 0
+    };
+  }
+
+  /**
+   * Check whether a request asks for a byte range we could serve
+   * @param {Object} req - Express request
+   * @returns {Boolean} True if the request carries a Range header
+   */
+  isRangeRequest(req) {
+    return this.enabled && req.method === 'GET' && !!req.headers.range;
+  }
+
+  /**
+   * Parse a Range header value against a body length
+   * @param {String} header - Range header value
+   * @param {Number} size - Total body length in bytes
+   * @returns {Array|Number|null} Array of {start, end} ranges, -1 if unsatisfiable,
+   *   or null if the header is malformed and should be ignored
+   */
+  parseRange(header, size) {
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+    if (!match) {
+      return null;
+    }
+
+    const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+    if (specs.length === 0 || specs.length > this.maxRanges) {
+      return null;
+    }
+
+    const ranges = [];
+    for (const spec of specs) {
+      const parts = /^(\d*)-(\d*)$/.exec(spec);
+      if (!parts || (parts[1] === '' && parts[2] === '')) {
+        return null;
+      }
+
+      let start;
+      let end;
+
+      if (parts[1] === '') {
+        // Suffix range: last N bytes
+        const suffixLength = parseInt(parts[2], 10);
+        if (suffixLength === 0) continue;
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+      } else {
+        start = parseInt(parts[1], 10);
+        end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+        if (parts[2] !== '' && parseInt(parts[2], 10) < start) {
+          return null;
+        }
+      }
+
+      if (start >= size) continue;
+      ranges.push({ start, end });
+    }
+
+    if (ranges.length === 0) {
+      return -1;
+    }
+
+    return this.coalesceRanges(ranges);
+  }
+
+  /**
+   * Merge overlapping or adjacent ranges so a client can't make us
+   * repeat the same bytes many times over
+   * @param {Array} ranges - Parsed ranges
+   * @returns {Array} Coalesced ranges in ascending order
+   */
+  coalesceRanges(ranges) {
+    if (ranges.length < 2) {
+      return ranges;
+    }
+
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    const merged = [{ ...sorted[0] }];
+
+    for (let i = 1; i < sorted.length; i++) {
+      const last = merged[merged.length - 1];
+      if (sorted[i].start <= last.end + 1) {
+        last.end = Math.max(last.end, sorted[i].end);
+      } else {
+        merged.push({ ...sorted[i] });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Evaluate an If-Range precondition against a cached entry
+   * @param {Object} req - Express request
+   * @param {Object} headers - Cached response headers
+   * @returns {Boolean} True if the range may be served
+   */
+  checkIfRange(req, headers) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) {
+      return true;
+    }
+
+    // Entity tag form - requires a strong match
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+      const etag = headers.etag;
+      return !!etag && !ifRange.startsWith('W/') && !etag.startsWith('W/') && etag === ifRange;
+    }
+
+    // HTTP-date form - must exactly match Last-Modified
+    const lastModified = headers['last-modified'];
+    return !!lastModified && lastModified === ifRange;
+  }
+
+  /**
+   * Serve a Range request from a cached entry
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} cached - Cached response
+   * @returns {Boolean} True if a 206/416 response was sent, false if the
+   *   caller should serve the full body instead
+   */
+  serveRange(req, res, cached) {
+    this.stats.rangeRequests++;
+
+    if (cached.status !== 200) {
+      this.stats.ignored++;
+      return false;
+    }
+
+    if (!this.checkIfRange(req, cached.headers)) {
+      this.stats.ifRangeMismatch++;
+      logger.debug('If-Range validator does not match cached entry, serving full body', { url: req.url });
+      return false;
+    }
+
+    const body = Buffer.isBuffer(cached.body) ? cached.body : Buffer.from(cached.body || '', 'utf8');
+    const ranges = this.parseRange(req.headers.range, body.length);
+
+    if (ranges === null) {
+      this.stats.ignored++;
+      logger.debug('Ignoring malformed Range header', { url: req.url, range: req.headers.range });
+      return false;
+    }
+
+    // Ranges always refer to the identity-encoded representation
+    res.removeHeader('content-encoding');
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (ranges === -1) {
+      this.stats.unsatisfiable++;
+      res.status(416);
+      res.setHeader('Content-Range', `bytes */${body.length}`);
+      res.setHeader('Content-Length', 0);
+      res.end();
+      return true;
+    }
+
+    res.status(206);
+
+    if (ranges.length === 1) {
+      this.stats.singleRange++;
+      const { start, end } = ranges[0];
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${body.length}`);
+      res.setHeader('Content-Length', end - start + 1);
+      res.end(body.subarray(start, end + 1));
+      return true;
+    }
+
+    this.stats.multipartRange++;
+    const payload = this.buildMultipartBody(body, ranges, cached.headers['content-type']);
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${payload.boundary}`);
+    res.setHeader('Content-Length', payload.body.length);
+    res.end(payload.body);
+    return true;
+  }
+
+  /**
+   * Build a multipart/byteranges body
+   * @param {Buffer} body - Full representation
+   * @param {Array} ranges - Ranges to include
+   * @param {String} contentType - Content type of the full representation
+   * @returns {Object} Boundary and assembled body
+   */
+  buildMultipartBody(body, ranges, contentType) {
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const parts = [];
+
+    for (const { start, end } of ranges) {
+      let partHeader = `\r\n--${boundary}\r\n`;
+      if (contentType) {
+        partHeader += `Content-Type: ${contentType}\r\n`;
+      }
+      partHeader += `Content-Range: bytes ${start}-${end}/${body.length}\r\n\r\n`;
+      parts.push(Buffer.from(partHeader), body.subarray(start, end + 1));
+    }
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+    return { boundary, body: Buffer.concat(parts) };
+  }
+
+  /**
+   * Get range handling statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      maxRanges: this.maxRanges,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new RangeHandler();
@@ -0,0 +1,129 @@
+// request-coalescer.js
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('request-coalescer');
+
+/**
+ * Request Coalescer
+ * Collapses concurrent cache misses for the same cache key into a single
+ * origin request:
+ * - The first miss for a key becomes the leader and is proxied
+ * - Later misses wait until the leader's response has been cached
+ * - Waiters give up after a timeout and fall through to the origin
+ */
+class RequestCoalescer {
+  constructor() {
+    this.enabled = config.cache.coalescing.enabled;
+    this.timeout = config.cache.coalescing.timeout;
+    this.maxWaiters = config.cache.coalescing.maxWaiters;
+
+    // Cache key -> { waiters: Set of resolve callbacks, startedAt }
+    this.inFlight = new Map();
+
+    this.stats = {
+      leaders: 0,
+      coalesced: 0,
+      served: 0,
+      fallthrough: 0,
+      timeouts: 0,
+      overflow: 0
+    };
+  }
+
+  /**
+   * Check whether a request may share an origin fetch with others
+   * @param {Object} req - Express request
+   * @returns {Boolean} True if the request can be coalesced
+   */
+  isCoalescable(req) {
+    return this.enabled && (req.method === 'GET' || req.method === 'HEAD');
+  }
+
+  /**
+   * Register a cache miss. The first caller for a key becomes the leader;
+   * everyone else gets a promise that settles when the leader is done.
+   * @param {String} key - Cache key
+   * @returns {Promise|null} null for the leader, otherwise a promise
+   *   resolving to true when the leader finished or false on timeout
+   */
+  join(key) {
+    const flight = this.inFlight.get(key);
+
+    if (!flight) {
+      this.inFlight.set(key, { waiters: new Set(), startedAt: Date.now() });
+      this.stats.leaders++;
+      return null;
+    }
+
+    if (flight.waiters.size >= this.maxWaiters) {
+      this.stats.overflow++;
+      return Promise.resolve(false);
+    }
+
+    this.stats.coalesced++;
+    return new Promise((resolve) => {
+      const waiter = (completed) => {
+        clearTimeout(timer);
+        flight.waiters.delete(waiter);
+        resolve(completed);
+      };
+      const timer = setTimeout(() => {
+        this.stats.timeouts++;
+        logger.debug(`Coalesced request timed out waiting for ${key}`);
+        waiter(false);
+      }, this.timeout);
+
+      flight.waiters.add(waiter);
+    });
+  }
+
+  /**
+   * Mark the leader for a key as finished and wake its waiters
+   * @param {String} key - Cache key
+   */
+  release(key) {
+    const flight = this.inFlight.get(key);
+    if (!flight) {
+      return;
+    }
+
+    this.inFlight.delete(key);
+    if (flight.waiters.size > 0) {
+      logger.debug(`Releasing ${flight.waiters.size} coalesced requests for ${key}`, {
+        waitedMs: Date.now() - flight.startedAt
+      });
+    }
+    [...flight.waiters].forEach(waiter => waiter(true));
+  }
+
+  /**
+   * Record what happened to a request after it stopped waiting
+   * @param {Boolean} served - True if it was served from the leader's cache entry
+   */
+  recordOutcome(served) {
+    if (served) {
+      this.stats.served++;
+    } else {
+      this.stats.fallthrough++;
+    }
+  }
+
+  /**
+   * Get coalescing statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let waiting = 0;
+    this.inFlight.forEach(flight => {
+      waiting += flight.waiters.size;
+    });
+
+    return {
+      enabled: this.enabled,
+      inFlight: this.inFlight.size,
+      waiting,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new RequestCoalescer();
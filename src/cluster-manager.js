@@ -3,6 +3,7 @@ const cluster = require('cluster');
 const os = require('os');
 const config = require('./config');
 const logger = require('./logger').getModuleLogger('cluster-manager');
+const clusterCoordinator = require('./cache/cluster-coordinator');
 
 // Import app only in worker mode to avoid initialization conflicts
 const app = cluster.isPrimary ? null : require('./app');
@@ -16,6 +17,9 @@ function startWorker(id) {
   
   logger.info(`Started worker ${id} (pid: ${worker.process.pid})`);
   
+  // Cache purges and the shared cache go through the primary
+  clusterCoordinator.attach(worker, id);
+  
   worker.on('message', (message) => {
     if (message.type === 'log') {
       // Handle forwarded logs from workers
@@ -40,6 +44,9 @@ function startCluster() {
     
     logger.info(`Starting cluster with ${numWorkers} workers`);
     
+    // Cached bodies sent over IPC stay Buffers instead of JSON arrays
+    cluster.setupPrimary({ serialization: 'advanced' });
+    
     // Start initial workers
     for (let i = 0; i < numWorkers; i++) {
       startWorker(i);
@@ -82,6 +89,9 @@ function startCluster() {
         
         if (remainingWorkers === 0) {
           clearTimeout(forceKillTimeout);
+          if (clusterCoordinator.sharedEnabled) {
+            clusterCoordinator.getSharedCache().shutdown();
+          }
           logger.info('All workers exited, shutting down master');
           process.exit(0);
         }
@@ -17,7 +17,9 @@ const config = {
       enabled: process.env.ENABLE_CLUSTER === 'true',
       workers: process.env.CLUSTER_WORKERS 
         ? parseInt(process.env.CLUSTER_WORKERS, 10) 
-        : Math.max(1, require('os').cpus().length - 1)
+        : Math.max(1, require('os').cpus().length - 1),
+      // How long (ms) the primary waits for each worker to run a broadcast cache command
+      commandTimeout: parseInt(process.env.CLUSTER_COMMAND_TIMEOUT || '5000', 10)
     },
     // SSL configuration (if using HTTPS directly)
     ssl: {
@@ -25,7 +27,14 @@ const config = {
       cert: process.env.SSL_CERT_PATH || path.join(__dirname, '..', 'ssl', 'cert.pem'),
       key: process.env.SSL_KEY_PATH || path.join(__dirname, '..', 'ssl', 'key.pem'),
       passphrase: process.env.SSL_PASSPHRASE || '',
-      httpRedirect: process.env.HTTP_TO_HTTPS_REDIRECT === 'true'
+      httpRedirect: process.env.HTTP_TO_HTTPS_REDIRECT === 'true',
+      // Serve HTTP/2 (negotiated via ALPN) on the TLS listener
+      http2: {
+        enabled: process.env.SSL_HTTP2_ENABLED === 'true',
+        // Keep serving HTTP/1.1 clients that don't offer h2
+        allowHTTP1: process.env.SSL_HTTP2_ALLOW_HTTP1 !== 'false',
+        maxConcurrentStreams: parseInt(process.env.SSL_HTTP2_MAX_CONCURRENT_STREAMS || '100', 10)
+      }
     }
   },
 
@@ -51,8 +60,8 @@ const config = {
 
   // Domain-based path rewriting configuration
   pathRewriting: {
-    // Enable path rewriting functionality
-    enabled: process.env.PATH_REWRITE_ENABLED === 'true',
+    // Enable path rewriting functionality (implied by a routing file)
+    enabled: process.env.PATH_REWRITE_ENABLED === 'true' || !!process.env.ROUTING_CONFIG_FILE,
     
     // Simple domain-to-path prefix mapping
     // Format: domain1:/prefix1,domain2:/prefix2
@@ -93,6 +102,16 @@ const config = {
         })()
       : {},
     
+    // Declarative routing file (YAML or JSON) with a top-level "domains" map in the
+    // DOMAIN_ROUTING_RULES format; its domains override the environment ones and it
+    // is reloaded when it changes
+    routingFile: {
+      path: process.env.ROUTING_CONFIG_FILE || null,
+      watch: process.env.ROUTING_CONFIG_WATCH !== 'false',
+      // Quiet period (ms) after a change before the file is read again
+      debounce: parseInt(process.env.ROUTING_CONFIG_DEBOUNCE || '250', 10)
+    },
+    
     // Default fallback behavior when no rules match
     defaultFallback: {
       action: process.env.PATH_REWRITE_DEFAULT_FALLBACK || 'passthrough', // passthrough, prefix, error
@@ -110,7 +129,7 @@ const config = {
       // Add simple domain-to-path mappings
       for (const [domain, pathPrefix] of Object.entries(this.domainPathMapping)) {
         domains[domain] = {
-          target: this.domainTargets[domain] || config.cdn.targetDomain,
+          target: this.targetName(domain, this.domainTargets[domain]) || config.cdn.targetDomain,
           pathPrefix,
           fallback: 'prefix'
         };
@@ -119,7 +138,9 @@ const config = {
       // Add complex routing rules (these override simple mappings)
       for (const [domain, rules] of Object.entries(this.domainRoutingRules)) {
         domains[domain] = {
-          target: rules.target || this.domainTargets[domain] || config.cdn.targetDomain,
+          target: this.targetName(domain, rules.target) ||
+            this.targetName(domain, this.domainTargets[domain]) ||
+            config.cdn.targetDomain,
           pathPrefix: rules.pathPrefix || '',
           rules: rules.rules || [],
           fallback: rules.fallback || 'prefix'
@@ -130,7 +151,7 @@ const config = {
       for (const [domain, target] of Object.entries(this.domainTargets)) {
         if (!domains[domain]) {
           domains[domain] = {
-            target,
+            target: this.targetName(domain, target),
             pathPrefix: '',
             fallback: 'passthrough'
           };
@@ -140,6 +161,15 @@ const config = {
       return domains;
     },
     
+    // Domain targets may be a backend string or an inline origin pool (array
+    // or object); inline pools are registered under "pool:<domain>"
+    targetName(domain, target) {
+      if (!target) {
+        return null;
+      }
+      return typeof target === 'string' ? target : `pool:${domain}`;
+    },
+    
     // Get configuration for PathRewriter initialization
     get rewriterConfig() {
       return {
@@ -152,6 +182,126 @@ const config = {
     }
   },
 
+  // Weighted traffic splits between backends ("split" in domain routing rules)
+  trafficSplit: {
+    // Cookie that keeps clients on their variant, unless a split names its own
+    cookieName: process.env.SPLIT_COOKIE_NAME || 'cdn_split',
+    // How long (seconds) clients keep their variant
+    cookieMaxAge: parseInt(process.env.SPLIT_COOKIE_MAX_AGE || '604800', 10)
+  },
+
+  // Origin pools - several backends behind one target name
+  originPools: {
+    // Named pools (JSON format), referenced by name from TARGET_DOMAIN, DOMAIN_TARGETS
+    // or DOMAIN_ROUTING_RULES targets
+    // Example: {"api-pool": {"strategy": "least-connections", "origins": [{"host": "api1.internal", "weight": 3}, "api2.internal"], "backup": ["api-dr.internal"]}}
+    definitions: process.env.ORIGIN_POOLS
+      ? (() => {
+          try {
+            return JSON.parse(process.env.ORIGIN_POOLS);
+          } catch (err) {
+            console.warn('Invalid ORIGIN_POOLS JSON format, using empty object');
+            return {};
+          }
+        })()
+      : {},
+    // Selection strategy for pools that don't set one: round-robin, least-connections, consistent-hash
+    defaultStrategy: process.env.ORIGIN_POOL_STRATEGY || 'round-robin',
+    // Passive health: consecutive failures before an origin is ejected, and for how long (ms)
+    maxFailures: parseInt(process.env.ORIGIN_POOL_MAX_FAILURES || '3', 10),
+    ejectionTime: parseInt(process.env.ORIGIN_POOL_EJECTION_TIME || '30000', 10),
+    // Origin status codes counted as failures
+    failureStatusCodes: process.env.ORIGIN_POOL_FAILURE_STATUS_CODES
+      ? process.env.ORIGIN_POOL_FAILURE_STATUS_CODES.split(',').map(c => parseInt(c.trim(), 10))
+      : [500, 502, 503, 504],
+    // Active health probes
+    healthCheck: {
+      enabled: process.env.ORIGIN_POOL_HEALTH_CHECK_ENABLED !== 'false',
+      interval: parseInt(process.env.ORIGIN_POOL_HEALTH_CHECK_INTERVAL || '10000', 10)
+    },
+    
+    // All pools: named ones plus inline pools from domain targets
+    get pools() {
+      const pools = { ...this.definitions };
+      const { domainTargets, domainRoutingRules } = config.pathRewriting;
+      
+      for (const [domain, target] of Object.entries(domainTargets)) {
+        if (target && typeof target === 'object') {
+          pools[`pool:${domain}`] = target;
+        }
+      }
+      for (const [domain, rules] of Object.entries(domainRoutingRules)) {
+        if (rules.target && typeof rules.target === 'object') {
+          pools[`pool:${domain}`] = rules.target;
+        }
+      }
+      
+      return pools;
+    }
+  },
+
+  // Automatic retries of failed origin requests
+  originRetry: {
+    enabled: process.env.ORIGIN_RETRY_ENABLED !== 'false',
+    // Retries after the first attempt
+    attempts: parseInt(process.env.ORIGIN_RETRY_ATTEMPTS || '2', 10),
+    // Timeout (ms) for each attempt of a retryable request
+    perTryTimeout: parseInt(process.env.ORIGIN_RETRY_PER_TRY_TIMEOUT || '10000', 10),
+    // Exponential backoff with full jitter (ms)
+    backoffBase: parseInt(process.env.ORIGIN_RETRY_BACKOFF_BASE || '100', 10),
+    backoffMax: parseInt(process.env.ORIGIN_RETRY_BACKOFF_MAX || '2000', 10),
+    // Idempotent methods that may be retried (only when they carry no body)
+    methods: process.env.ORIGIN_RETRY_METHODS
+      ? process.env.ORIGIN_RETRY_METHODS.split(',').map(m => m.trim().toUpperCase())
+      : ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    retryableStatusCodes: process.env.ORIGIN_RETRY_STATUS_CODES
+      ? process.env.ORIGIN_RETRY_STATUS_CODES.split(',').map(c => parseInt(c.trim(), 10))
+      : [502, 503, 504],
+    retryableErrors: process.env.ORIGIN_RETRY_ERRORS
+      ? process.env.ORIGIN_RETRY_ERRORS.split(',').map(e => e.trim())
+      : ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH'],
+    // Per-domain overrides (JSON format)
+    // Example: {"api.example.com": {"attempts": 0}, "static.example.com": {"attempts": 4, "perTryTimeout": 3000}}
+    domains: process.env.ORIGIN_RETRY_DOMAINS
+      ? (() => {
+          try {
+            return JSON.parse(process.env.ORIGIN_RETRY_DOMAINS);
+          } catch (err) {
+            console.warn('Invalid ORIGIN_RETRY_DOMAINS JSON format, using empty object');
+            return {};
+          }
+        })()
+      : {}
+  },
+
+  // Origin shield: route cache misses through a parent advanced-cdn instance
+  shield: {
+    enabled: process.env.SHIELD_ENABLED === 'true',
+    // Parent as host[:port], http(s)://host[:port] or an origin pool name
+    parent: process.env.SHIELD_PARENT || '',
+    // Protocol for a parent given without one
+    parentHttps: process.env.SHIELD_PARENT_HTTPS === 'true',
+    // Request domains to shield (empty means all)
+    domains: process.env.SHIELD_DOMAINS
+      ? process.env.SHIELD_DOMAINS.split(',').map(d => d.trim()).filter(Boolean)
+      : [],
+    // Go straight to the origin when the parent can't be reached
+    bypassOnError: process.env.SHIELD_BYPASS_ON_ERROR !== 'false',
+    // Reject requests whose Via header already lists this node's CDN_NAME
+    loopDetection: process.env.SHIELD_LOOP_DETECTION !== 'false'
+  },
+
+  // WebSocket proxying
+  websocket: {
+    enabled: process.env.WEBSOCKET_ENABLED !== 'false',
+    // Request domains allowed to open WebSockets (empty means all)
+    domains: process.env.WEBSOCKET_DOMAINS
+      ? process.env.WEBSOCKET_DOMAINS.split(',').map(d => d.trim()).filter(Boolean)
+      : [],
+    // Close connections without traffic in either direction for this long (ms, 0 disables)
+    idleTimeout: parseInt(process.env.WEBSOCKET_IDLE_TIMEOUT || '300000', 10)
+  },
+
   // Cache configuration
   cache: {
     // Whether caching is enabled
@@ -164,8 +314,27 @@ const config = {
     checkPeriod: parseInt(process.env.CACHE_CHECK_PERIOD || '120', 10),
     // Maximum number of items in cache
     maxItems: parseInt(process.env.CACHE_MAX_ITEMS || '1000', 10),
+    // What is evicted from memory once maxItems or maxBytes is reached
+    eviction: {
+      // lru, lfu or tinylfu (LRU behind a frequency-based admission filter)
+      policy: (process.env.CACHE_EVICTION_POLICY || 'lru').toLowerCase(),
+      // Memory budget for cached bodies and headers in bytes (0 = no limit)
+      maxBytes: parseInt(process.env.CACHE_MAX_BYTES || '268435456', 10),
+      // Larger responses are not kept in memory (0 = no limit)
+      maxEntrySize: parseInt(process.env.CACHE_MAX_ENTRY_SIZE || '10485760', 10)
+    },
     // Whether to respect Cache-Control headers
     respectCacheControl: process.env.RESPECT_CACHE_CONTROL !== 'false',
+    // How long responses stay fresh when respecting Cache-Control (RFC 9111)
+    freshness: {
+      // CDN-targeted fields that replace Cache-Control and Expires for this cache; the first present wins
+      targetedHeaders: (process.env.CACHE_TARGETED_HEADERS || 'cdn-cache-control,surrogate-control')
+        .split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+      // Share of the time since Last-Modified a response without an explicit lifetime stays fresh (0 = use defaultTtl)
+      heuristicFraction: parseFloat(process.env.CACHE_HEURISTIC_FRACTION || '0.1'),
+      // Upper bound for heuristic lifetimes in seconds
+      heuristicMaxTtl: parseInt(process.env.CACHE_HEURISTIC_MAX_TTL || '86400', 10)
+    },
     // Whether to cache responses with cookies
     cacheCookies: process.env.CACHE_COOKIES === 'true',
     // Content types to cache (comma-separated in .env)
@@ -191,7 +360,129 @@ const config = {
     // Status codes to cache
     cacheableStatusCodes: process.env.CACHEABLE_STATUS_CODES
       ? process.env.CACHEABLE_STATUS_CODES.split(',').map(c => parseInt(c.trim(), 10))
-      : [200, 301, 302, 304]
+      : [200, 301, 302, 304],
+    // Serve Range requests (206 Partial Content) from cached bodies
+    rangeRequests: {
+      enabled: process.env.CACHE_RANGE_REQUESTS_ENABLED !== 'false',
+      // Requests asking for more ranges than this get the full body instead
+      maxRanges: parseInt(process.env.CACHE_RANGE_MAX_RANGES || '20', 10)
+    },
+    // Conditional requests: 304s from cache and origin revalidation of stale entries
+    revalidation: {
+      enabled: process.env.CACHE_REVALIDATION_ENABLED !== 'false',
+      // How long (seconds) an expired entry with an ETag/Last-Modified is kept for revalidation
+      staleRetention: parseInt(process.env.CACHE_STALE_RETENTION || '3600', 10)
+    },
+    // Serve expired entries while refreshing them or while the origin is failing
+    staleServing: {
+      enabled: process.env.CACHE_STALE_SERVING_ENABLED !== 'false',
+      // Defaults (seconds) for responses without stale-while-revalidate / stale-if-error directives
+      staleWhileRevalidate: parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE || '0', 10),
+      staleIfError: parseInt(process.env.CACHE_STALE_IF_ERROR || '0', 10),
+      // Origin status codes treated as errors for stale-if-error
+      errorStatusCodes: process.env.CACHE_STALE_IF_ERROR_STATUS_CODES
+        ? process.env.CACHE_STALE_IF_ERROR_STATUS_CODES.split(',').map(c => parseInt(c.trim(), 10))
+        : [500, 502, 503, 504]
+    },
+    // Collapse concurrent misses for the same cache key into one origin request
+    coalescing: {
+      enabled: process.env.CACHE_COALESCING_ENABLED !== 'false',
+      // How long (ms) a request waits for the leading request before going to the origin itself
+      timeout: parseInt(process.env.CACHE_COALESCING_TIMEOUT || '30000', 10),
+      // Requests beyond this many waiters per key go straight to the origin
+      maxWaiters: parseInt(process.env.CACHE_COALESCING_MAX_WAITERS || '1000', 10)
+    },
+    // What makes up a cache key; domains override these with a "cacheKey" object
+    // in their DOMAIN_ROUTING_RULES entry
+    // Example: {"shop.example.com": {"pathPrefix": "/shop", "cacheKey": {"excludeParams": ["utm_*", "fbclid", "gclid"], "sortParams": true}}}
+    keyPolicy: {
+      // Leave the query string out of the key entirely
+      ignoreQuery: process.env.CACHE_KEY_IGNORE_QUERY === 'true',
+      // Only these query parameters count (comma-separated, trailing * matches a prefix)
+      includeParams: process.env.CACHE_KEY_INCLUDE_PARAMS
+        ? process.env.CACHE_KEY_INCLUDE_PARAMS.split(',').map(p => p.trim()).filter(Boolean)
+        : [],
+      // These query parameters never count
+      excludeParams: process.env.CACHE_KEY_EXCLUDE_PARAMS
+        ? process.env.CACHE_KEY_EXCLUDE_PARAMS.split(',').map(p => p.trim()).filter(Boolean)
+        : [],
+      // Treat ?a=1&b=2 and ?b=2&a=1 as the same key
+      sortParams: process.env.CACHE_KEY_SORT_PARAMS === 'true',
+      lowercasePath: process.env.CACHE_KEY_LOWERCASE_PATH === 'true',
+      // Cookies and request headers whose values become part of the key
+      cookies: process.env.CACHE_KEY_COOKIES
+        ? process.env.CACHE_KEY_COOKIES.split(',').map(c => c.trim()).filter(Boolean)
+        : [],
+      headers: process.env.CACHE_KEY_HEADERS
+        ? process.env.CACHE_KEY_HEADERS.split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+        : []
+    },
+    // Responses with a Vary header are stored once per combination of the named request headers
+    vary: {
+      // Further variants of a URL are not stored once it has this many
+      maxVariants: parseInt(process.env.CACHE_VARY_MAX_VARIANTS || '50', 10)
+    },
+    // Serve cached bodies as br/gzip variants negotiated from Accept-Encoding
+    encodings: {
+      enabled: process.env.CACHE_ENCODING_VARIANTS_ENABLED !== 'false',
+      // Encodings offered, in order of preference for equal q-values
+      preferred: process.env.CACHE_ENCODINGS
+        ? process.env.CACHE_ENCODINGS.split(',').map(e => e.trim().toLowerCase())
+        : ['br', 'gzip'],
+      // Variants are built once per entry, so higher levels than on-the-fly compression are affordable
+      brotliQuality: parseInt(process.env.CACHE_BROTLI_QUALITY || '9', 10),
+      gzipLevel: parseInt(process.env.CACHE_GZIP_LEVEL || '9', 10),
+      // Bodies smaller than this (bytes) are always served unencoded
+      minSize: parseInt(process.env.CACHE_ENCODING_MIN_SIZE || process.env.COMPRESSION_MIN_SIZE || '1024', 10),
+      // Content types that get variants (substring match)
+      types: process.env.CACHE_ENCODING_TYPES
+        ? process.env.CACHE_ENCODING_TYPES.split(',').map(t => t.trim().toLowerCase())
+        : ['text/', 'javascript', 'json', 'xml', 'svg', 'font/ttf', 'font/otf', 'vnd.ms-fontobject']
+    },
+    // Cache tags from origin response headers, for purging groups of entries at once
+    tags: {
+      enabled: process.env.CACHE_TAGS_ENABLED !== 'false',
+      // Headers read for tags (space- or comma-separated values); stripped before responses reach clients
+      headers: process.env.CACHE_TAG_HEADERS
+        ? process.env.CACHE_TAG_HEADERS.split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+        : ['surrogate-key', 'cache-tag'],
+      // Tags beyond this many per response are ignored
+      maxPerEntry: parseInt(process.env.CACHE_TAGS_MAX_PER_ENTRY || '100', 10)
+    },
+    // In cluster mode, share cached entries between workers through the primary process
+    shared: {
+      enabled: process.env.CACHE_SHARED_ENABLED === 'true',
+      // Lookups the primary doesn't answer within this many ms count as misses
+      timeout: parseInt(process.env.CACHE_SHARED_TIMEOUT || '1000', 10)
+    },
+    // Second cache tier on disk, consulted when an entry isn't in memory
+    disk: {
+      enabled: process.env.CACHE_DISK_ENABLED === 'true',
+      // Cluster workers use a worker-<n> subdirectory
+      path: process.env.CACHE_DISK_PATH || path.join(__dirname, '..', '.cache', 'responses'),
+      // Byte budget for all entry files; least recently used entries are evicted beyond it
+      maxSize: parseInt(process.env.CACHE_DISK_MAX_SIZE || String(1024 * 1024 * 1024), 10),
+      // Larger entries stay in memory only
+      maxEntrySize: parseInt(process.env.CACHE_DISK_MAX_ENTRY_SIZE || String(50 * 1024 * 1024), 10),
+      // Disk hits needed before an entry is copied back into memory
+      promoteAfterHits: parseInt(process.env.CACHE_DISK_PROMOTE_AFTER_HITS || '2', 10),
+      // How often (ms) the index is saved and expired entries are removed
+      indexSaveInterval: parseInt(process.env.CACHE_DISK_INDEX_SAVE_INTERVAL || '5000', 10),
+      cleanupInterval: parseInt(process.env.CACHE_DISK_CLEANUP_INTERVAL || '60000', 10)
+    },
+    // Warming jobs request URLs from sitemaps or lists through the proxy
+    warming: {
+      // Requests sent at once per domain
+      concurrency: parseInt(process.env.CACHE_WARM_CONCURRENCY || '4', 10),
+      // Per-request timeout in ms
+      timeout: parseInt(process.env.CACHE_WARM_TIMEOUT || '30000', 10),
+      // URLs beyond this many per job are skipped
+      maxUrls: parseInt(process.env.CACHE_WARM_MAX_URLS || '10000', 10),
+      // Sitemaps read per job, including those listed in sitemap indexes
+      maxSitemaps: parseInt(process.env.CACHE_WARM_MAX_SITEMAPS || '50', 10),
+      // Finished jobs kept for the status endpoint
+      keepJobs: parseInt(process.env.CACHE_WARM_KEEP_JOBS || '20', 10)
+    }
   },
 
   // Security configuration
@@ -211,6 +502,13 @@ const config = {
       enabled: process.env.RATE_LIMIT_ENABLED === 'true',
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
       max: parseInt(process.env.RATE_LIMIT_MAX || '100', 10)
+    },
+    // Admin API (routing rule changes): keys accepted in X-API-Key or
+    // Authorization: Bearer; without keys the admin endpoints refuse every request
+    adminApi: {
+      keys: process.env.ADMIN_API_KEYS
+        ? process.env.ADMIN_API_KEYS.split(',').map(k => k.trim()).filter(Boolean)
+        : []
     }
   },
 
@@ -239,6 +537,26 @@ const config = {
     timeout: parseInt(process.env.REQUEST_TIMEOUT || '30000', 10)
   },
 
+  // Response streaming configuration
+  streaming: {
+    // Stream origin responses that don't need body processing instead of buffering them
+    enabled: process.env.STREAMING_ENABLED !== 'false',
+
+    // Largest response (bytes) that will be buffered for compute functions / URL transformation
+    maxBufferSize: parseInt(process.env.STREAMING_MAX_BUFFER_SIZE || '10485760', 10), // 10MB
+
+    // Largest streamed response (bytes) that is also tee'd into the cache
+    maxCacheSize: parseInt(process.env.STREAMING_MAX_CACHE_SIZE || '52428800', 10), // 50MB
+
+    // Content types that are always streamed straight through, never buffered or cached
+    neverBufferContentTypes: process.env.STREAMING_NEVER_BUFFER_CONTENT_TYPES
+      ? process.env.STREAMING_NEVER_BUFFER_CONTENT_TYPES.split(',').map(t => t.trim())
+      : [
+          'text/event-stream',
+          'multipart/x-mixed-replace'
+        ]
+  },
+
   // URL Transformation configuration
   urlTransformation: {
     // Enable URL transformation system
@@ -52,6 +52,11 @@ class CDNDashboard {
     document.getElementById('test-all-btn').addEventListener('click', () => {
       this.testAllHealthEndpoints();
     });
+
+    // Routing trace
+    document.getElementById('trace-btn').addEventListener('click', () => {
+      this.traceRequest();
+    });
   }
 
   /**
@@ -821,6 +826,147 @@ class CDNDashboard {
     });
   }
 
+  /**
+   * Trace a request through the routing rules
+   */
+  async traceRequest() {
+    const host = document.getElementById('trace-host').value.trim();
+    if (!host) {
+      this.showNotification('Please enter a host', 'warning');
+      return;
+    }
+
+    // "Name: value" lines
+    const headers = {};
+    document.getElementById('trace-headers').value.split('\n').forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+      }
+    });
+
+    try {
+      const response = await fetch('/api/routing/trace', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': document.getElementById('trace-key').value
+        },
+        body: JSON.stringify({
+          host,
+          method: document.getElementById('trace-method').value,
+          path: document.getElementById('trace-path').value.trim() || '/',
+          headers,
+          ip: document.getElementById('trace-ip').value.trim()
+        })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        this.showNotification(`Trace failed: ${result.error}`, 'error');
+        return;
+      }
+      this.displayRoutingTrace(result);
+
+    } catch (error) {
+      console.error('Error tracing request:', error);
+      this.showNotification('Failed to trace request', 'error');
+    }
+  }
+
+  /**
+   * Display a routing trace, one step per decision
+   */
+  displayRoutingTrace(trace) {
+    const resultsContainer = document.getElementById('trace-results');
+    resultsContainer.innerHTML = '';
+
+    // Built with textContent, the values come from request headers
+    const addStep = (title, details, status, conditions = null) => {
+      const step = document.createElement('div');
+      step.className = `test-result ${status}`;
+
+      const header = document.createElement('div');
+      header.className = 'test-result-header';
+      header.textContent = title;
+      step.appendChild(header);
+
+      const body = document.createElement('div');
+      body.className = 'test-result-details';
+      body.textContent = details;
+      step.appendChild(body);
+
+      if (conditions) {
+        const pre = document.createElement('pre');
+        pre.className = 'trace-conditions';
+        pre.textContent = JSON.stringify(conditions, null, 2);
+        step.appendChild(pre);
+      }
+
+      resultsContainer.appendChild(step);
+    };
+
+    const { request } = trace;
+    addStep(`${request.method} ${request.host}${request.path}`,
+      trace.allowed ? 'Host allowed' : 'Host not allowed, answered with 404', trace.allowed ? 'success' : 'error');
+    if (!trace.allowed) {
+      return;
+    }
+
+    if (!trace.rewriting) {
+      addStep('Path rewriting', 'Disabled, the path is sent unchanged', 'skipped');
+    } else if (trace.circuitBreakerOpen) {
+      addStep('Circuit breaker', 'Open for this domain, the default fallback applies', 'error');
+    } else if (trace.domainRule) {
+      const rule = trace.domainRule;
+      addStep(`Domain rule ${rule.pattern}`,
+        `${rule.match} match, target ${rule.target}, fallback ${rule.fallback}` +
+        (rule.subdomains.length ? `, subdomains ${rule.subdomains.join(', ')}` : ''), 'success');
+    } else {
+      addStep('Domain rule', 'No rule for this host', 'error');
+    }
+
+    trace.rules.forEach(rule => {
+      addStep(`Rule ${rule.index}: ${rule.pattern}${rule.exact ? ' (exact)' : ''}`,
+        rule.outcome.replace(/_/g, ' ') + (rule.transformedPath ? ` → ${rule.transformedPath}` : ''),
+        rule.outcome === 'matched' ? 'success' : 'skipped',
+        rule.conditions);
+    });
+
+    if (trace.fallback) {
+      addStep('Fallback', `${trace.fallback.reason.replace(/_/g, ' ')}: ${trace.fallback.action}` +
+        (trace.fallback.error ? ` (${trace.fallback.error})` : ''), 'error');
+    }
+
+    if (trace.split) {
+      const { split } = trace;
+      const sticky = {
+        cookie: 'kept by the client cookie',
+        ip: 'by client address',
+        new: 'one random pick for a new client, who gets a cookie'
+      };
+      addStep(`Traffic split ${split.split}`, `Variant ${split.variant}, ${sticky[split.source]}`, 'success');
+    }
+
+    const { target, transformation } = trace;
+    const poolOrigins = pool => ` (${pool.origins.concat(pool.backup.map(url => `${url} backup`)).join(', ')})`;
+    addStep('Target',
+      `${transformation ? transformation.transformedPath : request.path} on ` +
+      (target.pool ? `pool ${target.backend}${poolOrigins(target.origins)}` : target.url) +
+      (target.viaParent ? `, through parent ${target.parent}` : '') +
+      (target.parentOrigins ? poolOrigins(target.parentOrigins) : ''), 'success');
+
+    addStep('Cache key', `${trace.cache.key}${trace.cache.cached ? ' (cached)' : ''}`,
+      trace.cache.cacheable ? 'success' : 'skipped');
+
+    const files = trace.fileResolution;
+    addStep('File resolution',
+      files.attempt
+        ? `Tried with ${files.extensions.join(', ')}${files.baseUrl ? ` on ${files.baseUrl}` : ''}`
+        : `Not tried: ${files.reason.replace(/_/g, ' ')}`,
+      files.attempt ? 'success' : 'skipped');
+  }
+
   /**
    * Trigger API scan
    */
@@ -4,6 +4,7 @@ const logger = require('../logger').getModuleLogger('domain-manager');
 const PathRewriter = require('./path-rewriter');
 const fileResolver = require('./file-resolver');
 const fileResolutionCache = require('../cache/file-resolution-cache');
+const trafficSplit = require('./traffic-split');
 
 class DomainManager {
   constructor() {
@@ -96,9 +97,10 @@ class DomainManager {
    * @param {String} domain - Request domain
    * @param {String} originalPath - Original request path
    * @param {String} method - HTTP method
+   * @param {Object} req - Request, for rules with conditions
    * @returns {Object} Path transformation result
    */
-  getPathTransformation(domain, originalPath, method = 'GET') {
+  getPathTransformation(domain, originalPath, method = 'GET', req = null) {
     if (!this.pathRewritingEnabled || !this.pathRewriter) {
       return {
         domain,
@@ -112,7 +114,7 @@ class DomainManager {
     }
     
     try {
-      const result = this.pathRewriter.transformPath(domain, originalPath, method);
+      const result = this.pathRewriter.transformPath(domain, originalPath, method, null, req);
       logger.debug(`Path transformation: ${domain}${originalPath} → ${result.target}${result.transformedPath}`);
       return result;
     } catch (error) {
@@ -176,7 +178,7 @@ class DomainManager {
       return next();
     }
     
-    const host = req.headers.host;
+    const host = this.getRequestHost(req);
     
     if (this.isAllowedHost(host)) {
       // Set origin domain for downstream use
@@ -186,9 +188,12 @@ class DomainManager {
       
       // Add path transformation information to request
       if (this.pathRewritingEnabled) {
-        const transformation = this.getPathTransformation(host, req.url, req.method);
+        const transformation = this.getPathTransformation(host, req.url, req.method, req);
         req.pathTransformation = transformation;
         
+        // Domains with a traffic split send each client to its variant
+        req.splitVariant = trafficSplit.assign(req, res);
+        
         // Log path rewriting activity
         if (transformation.matched) {
           logger.debug(`Path rewriting applied for ${host}: ${req.url} → ${transformation.transformedPath}`);
@@ -202,6 +207,22 @@ class DomainManager {
     }
   }
   
+  /**
+   * Get the host a request is addressed to
+   * @param {Object} req - Express request
+   * @returns {String} Host header, or the :authority pseudo-header of HTTP/2 requests
+   */
+  getRequestHost(req) {
+    const host = req.headers.host || req.headers[':authority'];
+    
+    // HTTP/2 requests only carry :authority; downstream code reads Host
+    if (host && !req.headers.host) {
+      req.headers.host = host;
+    }
+    
+    return host;
+  }
+  
   /**
    * Get path rewriting statistics
    * @returns {Object} Statistics
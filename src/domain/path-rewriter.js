@@ -1,5 +1,6 @@
 // path-rewriter.js
 const logger = require('../logger').getModuleLogger('path-rewriter');
+const routeConditions = require('./route-conditions');
 
 /**
  * Path Rewriter Engine
@@ -7,6 +8,8 @@ const logger = require('../logger').getModuleLogger('path-rewriter');
  * - Simple prefix mapping (ddt.com → /ddt prefix)
  * - Complex regex transformations
  * - Wildcard domain matching
+ * - Conditional rules on headers, query, cookies, client address and time,
+ *   with their own target
  * - Fallback mechanisms
  * - Performance optimization through rule caching
  */
@@ -116,7 +119,9 @@ class PathRewriter {
           replacement: pathRule.replacement,
           methods: pathRule.method || ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
           exact: pathRule.exact || false,
-          regex: null
+          regex: null,
+          target: pathRule.target || null,
+          conditions: pathRule.conditions !== undefined ? routeConditions.compile(pathRule.conditions) : null
         };
         
         // Compile regex pattern
@@ -137,9 +142,11 @@ class PathRewriter {
    * @param {String} originalPath - Original request path
    * @param {String} method - HTTP method
    * @param {String} requestId - Optional request ID for tracing
+   * @param {Object} request - Request conditional rules are evaluated against;
+   *   without it they don't apply
    * @returns {Object} Transformation result
    */
-  transformPath(domain, originalPath, method = 'GET', requestId = null) {
+  transformPath(domain, originalPath, method = 'GET', requestId = null, request = null) {
     const startTime = process.hrtime.bigint();
     this.stats.transformations++;
     
@@ -200,7 +207,7 @@ class PathRewriter {
       }
       
       // Apply path transformation
-      const result = this.applyTransformation(rule, domain, originalPath, method, requestId);
+      const result = this.applyTransformation(rule, domain, originalPath, method, requestId, request);
       
       // Calculate transformation time
       const duration = Number(process.hrtime.bigint() - startTime) / 1000000;
@@ -224,8 +231,10 @@ class PathRewriter {
         });
       }
       
-      // Cache the result
-      this.domainCache.set(cacheKey, result);
+      // Cache the result, unless it depends on the request
+      if (!result.conditional) {
+        this.domainCache.set(cacheKey, result);
+      }
       
       // Record successful transformation
       this.recordSuccess(domain);
@@ -300,61 +309,192 @@ class PathRewriter {
    * @param {String} originalPath - Original path
    * @param {String} method - HTTP method
    * @param {String} requestId - Request ID
+   * @param {Object} request - Request for conditional rules, if any
+   * @param {Array} trace - Receives what happened to each path rule, if given
    * @returns {Object} Transformation result
    */
-  applyTransformation(rule, domain, originalPath, method, requestId) {
+  applyTransformation(rule, domain, originalPath, method, requestId, request = null, trace = null) {
     let transformedPath = originalPath;
     let ruleMatched = false;
     let appliedRule = null;
+    let conditional = false;
+    let context = null;
+    let explained = null;
+    
+    const record = (pathRule, outcome, details = {}) => {
+      if (trace) {
+        trace.push({
+          index: rule.rules.indexOf(pathRule),
+          pattern: pathRule.pattern,
+          exact: pathRule.exact,
+          methods: pathRule.methods,
+          target: pathRule.target,
+          outcome,
+          ...(pathRule.conditions ? { conditions: explained } : {}),
+          ...details
+        });
+      }
+    };
+    
+    // Conditional rules are skipped when their conditions don't hold
+    const conditionsHold = pathRule => {
+      if (!pathRule.conditions) {
+        return true;
+      }
+      conditional = true;
+      if (!request) {
+        return false;
+      }
+      context = context || routeConditions.getContext(request);
+      if (trace) {
+        explained = routeConditions.explain(pathRule.conditions, context);
+        return explained.result;
+      }
+      return routeConditions.evaluate(pathRule.conditions, context);
+    };
     
     // Apply specific path rules first
     for (const pathRule of rule.rules) {
+      explained = null;
+      
       if (!pathRule.methods.includes(method)) {
+        record(pathRule, 'method_not_allowed');
         continue;
       }
       
+      let match = null;
       if (pathRule.exact) {
-        if (originalPath === pathRule.pattern) {
-          transformedPath = pathRule.replacement;
-          ruleMatched = true;
-          appliedRule = pathRule;
-          break;
-        }
+        match = originalPath === pathRule.pattern ? [originalPath] : null;
       } else if (pathRule.regex) {
-        const match = originalPath.match(pathRule.regex);
-        if (match) {
-          transformedPath = pathRule.replacement.replace(/\$(\d+)/g, (_, num) => {
-            return match[parseInt(num)] || '';
-          });
-          
-          // Handle subdomain substitution for wildcard domains
-          if (rule.subdomainMatches) {
-            transformedPath = transformedPath.replace(/\{subdomain\}/g, rule.subdomainMatches[0] || '');
-          }
-          
-          ruleMatched = true;
-          appliedRule = pathRule;
-          break;
+        match = originalPath.match(pathRule.regex);
+      }
+      
+      if (!match) {
+        record(pathRule, 'no_path_match');
+        continue;
+      }
+      
+      if (!conditionsHold(pathRule)) {
+        record(pathRule, 'conditions_not_met');
+        continue;
+      }
+      
+      if (pathRule.exact) {
+        transformedPath = pathRule.replacement;
+      } else {
+        transformedPath = pathRule.replacement.replace(/\$(\d+)/g, (_, num) => {
+          return match[parseInt(num)] || '';
+        });
+        
+        // Handle subdomain substitution for wildcard domains
+        if (rule.subdomainMatches) {
+          transformedPath = transformedPath.replace(/\{subdomain\}/g, rule.subdomainMatches[0] || '');
         }
       }
+      
+      ruleMatched = true;
+      appliedRule = pathRule;
+      record(pathRule, 'matched', { transformedPath });
+      break;
+    }
+    
+    // Rules after the one that matched aren't tried
+    if (trace && appliedRule) {
+      rule.rules.slice(rule.rules.indexOf(appliedRule) + 1).forEach(pathRule => record(pathRule, 'not_evaluated'));
     }
     
     // Apply fallback if no specific rule matched
     if (!ruleMatched) {
       transformedPath = this.applyFallback(rule, originalPath);
-      this.stats.fallbacks++;
+      if (!trace) {
+        this.stats.fallbacks++;
+      }
     }
     
     return {
       domain,
       originalPath,
       transformedPath,
-      target: rule.target,
+      target: (appliedRule && appliedRule.target) || rule.target,
       method,
       matched: ruleMatched,
       appliedRule,
-      fallbackUsed: !ruleMatched
+      fallbackUsed: !ruleMatched,
+      conditional
+    };
+  }
+  
+  /**
+   * Trace how a request would be transformed, rule by rule, the way
+   * transformPath would do it but without its cache, statistics or
+   * circuit breaker bookkeeping
+   * @param {String} domain - Request domain
+   * @param {String} originalPath - Original request path
+   * @param {String} method - HTTP method
+   * @param {Object} request - Request conditional rules are evaluated against
+   * @returns {Object} { domainRule, circuitBreakerOpen, rules, fallback, result }
+   */
+  traceTransformation(domain, originalPath, method = 'GET', request = null) {
+    const breaker = this.circuitBreakers.get(domain);
+    const circuitBreakerOpen = !!(this.circuitBreakerEnabled && breaker &&
+      breaker.state === 'OPEN' && Date.now() <= breaker.halfOpenTime);
+    const defaultFallback = this.config.defaultFallback || { action: 'passthrough' };
+    
+    const rule = circuitBreakerOpen ? null : this.findMatchingRule(domain);
+    const trace = {
+      domainRule: rule ? {
+        pattern: rule.domain,
+        match: rule.isWildcard ? 'wildcard' : 'exact',
+        subdomains: rule.isWildcard ? rule.subdomainMatches : [],
+        target: rule.target,
+        pathPrefix: rule.pathPrefix,
+        fallback: rule.fallback
+      } : null,
+      circuitBreakerOpen,
+      rules: [],
+      fallback: null,
+      result: null
     };
+    
+    if (circuitBreakerOpen) {
+      trace.fallback = { reason: 'circuit_breaker_open', action: defaultFallback.action };
+      trace.result = this.createFallbackResult(domain, originalPath, method, 'circuit_breaker_open', null);
+      return trace;
+    }
+    
+    if (!rule) {
+      trace.fallback = { reason: 'no_rule_match', action: defaultFallback.action };
+      trace.result = defaultFallback.action === 'error'
+        ? this.createFallbackResult(domain, originalPath, method,
+          `No routing configuration found for domain: ${domain}`, null)
+        : {
+          domain,
+          originalPath,
+          transformedPath: defaultFallback.action === 'prefix'
+            ? (defaultFallback.value || '') + originalPath
+            : originalPath,
+          target: this.config.defaultTarget,
+          method,
+          matched: false,
+          fallbackUsed: true,
+          noRuleMatch: true,
+          fallbackReason: 'no_rule_match'
+        };
+      return trace;
+    }
+    
+    try {
+      trace.result = this.applyTransformation(rule, domain, originalPath, method, null, request, trace.rules);
+      if (trace.result.fallbackUsed) {
+        trace.fallback = { reason: 'no_path_rule_match', action: rule.fallback };
+      }
+    } catch (error) {
+      // As in transformPath, errors fall back to the default behaviour
+      trace.fallback = { reason: 'error', action: rule.fallback, error: error.message };
+      trace.result = this.createFallbackResult(domain, originalPath, method, error.message, null);
+    }
+    
+    return trace;
   }
   
   /**
@@ -453,22 +593,37 @@ class PathRewriter {
   /**
    * Validate routing rules
    * @param {Object} rules - Rules to validate
-   * @returns {Object} Validation result
+   * @returns {Object} Validation result; issues hold each error as
+   *   { domain, rule, message }, with rule null for domain-level errors
    */
   validateRules(rules) {
     const errors = [];
     const warnings = [];
+    const issues = [];
+    const fail = (domain, rule, message, error) => {
+      errors.push(error);
+      issues.push({ domain, rule, message });
+    };
     
     for (const [domain, config] of Object.entries(rules)) {
       // Validate domain format
       if (!domain || typeof domain !== 'string') {
-        errors.push(`Invalid domain: ${domain}`);
+        fail(domain, null, 'Invalid domain', `Invalid domain: ${domain}`);
+        continue;
+      }
+      
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        fail(domain, null, 'Domain configuration must be an object', `Invalid configuration for domain: ${domain}`);
         continue;
       }
       
       // Validate target
       if (!config.target && !this.config.defaultTarget) {
-        errors.push(`No target specified for domain: ${domain}`);
+        fail(domain, null, 'No target specified', `No target specified for domain: ${domain}`);
+      }
+      
+      if (config.rules !== undefined && !Array.isArray(config.rules)) {
+        fail(domain, null, 'Rules must be a list', `Rules must be a list for domain: ${domain}`);
       }
       
       // Validate path rules
@@ -476,12 +631,17 @@ class PathRewriter {
         for (let i = 0; i < config.rules.length; i++) {
           const rule = config.rules[i];
           
+          if (!rule || typeof rule !== 'object') {
+            fail(domain, i, 'Rule must be an object', `Invalid rule ${i} for domain: ${domain}`);
+            continue;
+          }
+          
           if (!rule.pattern) {
-            errors.push(`Missing pattern in rule ${i} for domain: ${domain}`);
+            fail(domain, i, 'Missing pattern', `Missing pattern in rule ${i} for domain: ${domain}`);
           }
           
           if (!rule.replacement) {
-            errors.push(`Missing replacement in rule ${i} for domain: ${domain}`);
+            fail(domain, i, 'Missing replacement', `Missing replacement in rule ${i} for domain: ${domain}`);
           }
           
           // Test regex compilation
@@ -489,7 +649,23 @@ class PathRewriter {
             try {
               new RegExp(rule.pattern);
             } catch (error) {
-              errors.push(`Invalid regex pattern in rule ${i} for domain ${domain}: ${error.message}`);
+              fail(domain, i, `Invalid regex pattern: ${error.message}`,
+                `Invalid regex pattern in rule ${i} for domain ${domain}: ${error.message}`);
+            }
+          }
+          
+          if (rule.target !== undefined && (typeof rule.target !== 'string' || !rule.target)) {
+            fail(domain, i, 'Target must be a host name or an origin pool name',
+              `Invalid target in rule ${i} for domain: ${domain}`);
+          }
+          
+          // Test condition compilation
+          if (rule.conditions !== undefined) {
+            try {
+              routeConditions.compile(rule.conditions);
+            } catch (error) {
+              fail(domain, i, `Invalid conditions: ${error.message}`,
+                `Invalid conditions in rule ${i} for domain ${domain}: ${error.message}`);
             }
           }
         }
@@ -504,7 +680,8 @@ class PathRewriter {
     return {
       valid: errors.length === 0,
       errors,
-      warnings
+      warnings,
+      issues
     };
   }
   
@@ -0,0 +1,421 @@
+// route-conditions.js
+const net = require('net');
+
+// Request attributes a condition can test
+const ATTRIBUTES = ['header', 'query', 'cookie'];
+const OPERATORS = ['equals', 'matches', 'exists', 'ignoreCase'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_FIELDS = ['from', 'to', 'days', 'timezone', 'after', 'before'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Route Conditions
+ * Compiles and evaluates the conditions a path rule can carry, on top of
+ * its path pattern and methods:
+ * - { header | query | cookie: name } with equals (a value or a list of
+ *   them), matches (a regex, optionally with ignoreCase) or exists
+ * - { clientIp: CIDR or address, or a list of them } (IPv4 and IPv6)
+ * - { time: { from, to, days, timezone, after, before } }: a daily window
+ *   ("22:00" to "06:00" wraps midnight), weekdays and/or absolute bounds
+ * - { all: [...] }, { any: [...] } and { not: condition } to compose them;
+ *   a plain list means all
+ */
+class RouteConditions {
+  constructor() {
+    // Date formatters per time zone
+    this.formatters = new Map();
+  }
+
+  /**
+   * Compile a condition
+   * @param {Object|Array} spec - Condition as written in the routing rules
+   * @param {String} path - Where the condition sits, for error messages
+   * @returns {Object} Compiled condition
+   * @throws {Error} If the condition is invalid, naming where
+   */
+  compile(spec, path = 'conditions') {
+    const fail = message => {
+      throw new Error(`${path}: ${message}`);
+    };
+
+    if (Array.isArray(spec)) {
+      return this.compile({ all: spec }, path);
+    }
+    if (!spec || typeof spec !== 'object') {
+      fail('must be a condition map or a list of them');
+    }
+
+    const keys = Object.keys(spec);
+    const kind = keys.find(key => ['all', 'any', 'not', 'clientIp', 'time', ...ATTRIBUTES].includes(key));
+    if (!kind) {
+      fail(`expected one of all, any, not, header, query, cookie, clientIp or time, got ${keys.join(', ') || 'nothing'}`);
+    }
+
+    const allowed = ATTRIBUTES.includes(kind) ? [kind, ...OPERATORS] : [kind];
+    const extra = keys.find(key => !allowed.includes(key));
+    if (extra) {
+      fail(`unexpected "${extra}" next to "${kind}"`);
+    }
+
+    switch (kind) {
+      case 'all':
+      case 'any': {
+        if (!Array.isArray(spec[kind]) || spec[kind].length === 0) {
+          fail(`${kind} must be a non-empty list`);
+        }
+        return {
+          type: kind,
+          conditions: spec[kind].map((condition, i) => this.compile(condition, `${path}.${kind}[${i}]`))
+        };
+      }
+
+      case 'not':
+        return { type: 'not', condition: this.compile(spec.not, `${path}.not`) };
+
+      case 'clientIp':
+        return this.compileClientIp(spec.clientIp, fail);
+
+      case 'time':
+        return this.compileTime(spec.time, fail);
+
+      default:
+        return this.compileAttribute(kind, spec, fail);
+    }
+  }
+
+  /**
+   * Compile a header, query or cookie condition
+   * @param {String} type - header, query or cookie
+   * @param {Object} spec - Condition
+   * @param {Function} fail - Throws an error for this condition
+   * @returns {Object} Compiled condition
+   */
+  compileAttribute(type, spec, fail) {
+    const name = spec[type];
+    if (typeof name !== 'string' || !name) {
+      fail(`${type} must be a name`);
+    }
+
+    const operators = ['equals', 'matches', 'exists'].filter(operator => spec[operator] !== undefined);
+    if (operators.length > 1) {
+      fail(`use one of equals, matches or exists, not ${operators.join(' and ')}`);
+    }
+
+    const condition = {
+      type,
+      // Header names are case-insensitive
+      name: type === 'header' ? name.toLowerCase() : name,
+      equals: null,
+      matches: null,
+      exists: operators.length === 0 ? true : null
+    };
+
+    if (spec.equals !== undefined) {
+      const values = Array.isArray(spec.equals) ? spec.equals : [spec.equals];
+      if (values.length === 0 || values.some(value => value === null || typeof value === 'object')) {
+        fail('equals must be a value or a list of values');
+      }
+      condition.equals = values.map(String);
+    } else if (spec.matches !== undefined) {
+      try {
+        condition.matches = new RegExp(spec.matches, spec.ignoreCase ? 'i' : '');
+      } catch (error) {
+        fail(`invalid regex: ${error.message}`);
+      }
+    } else if (spec.exists !== undefined) {
+      if (typeof spec.exists !== 'boolean') {
+        fail('exists must be true or false');
+      }
+      condition.exists = spec.exists;
+    }
+
+    return condition;
+  }
+
+  /**
+   * Compile a client address condition
+   * @param {String|Array} spec - CIDR ranges or addresses
+   * @param {Function} fail - Throws an error for this condition
+   * @returns {Object} Compiled condition
+   */
+  compileClientIp(spec, fail) {
+    const ranges = Array.isArray(spec) ? spec : [spec];
+    if (ranges.length === 0) {
+      fail('clientIp must be an address or CIDR range, or a list of them');
+    }
+
+    const list = new net.BlockList();
+    for (const range of ranges) {
+      const [address, prefix, ...rest] = String(range).trim().split('/');
+      const version = net.isIP(address);
+      const bits = version === 6 ? 128 : 32;
+
+      if (!version || rest.length > 0 ||
+          (prefix !== undefined && !(/^\d+$/.test(prefix) && parseInt(prefix, 10) <= bits))) {
+        fail(`invalid address or CIDR range "${range}"`);
+      }
+
+      const family = version === 6 ? 'ipv6' : 'ipv4';
+      if (prefix === undefined) {
+        list.addAddress(address, family);
+      } else {
+        list.addSubnet(address, parseInt(prefix, 10), family);
+      }
+    }
+
+    return { type: 'clientIp', ranges: ranges.map(String), list };
+  }
+
+  /**
+   * Compile a time window condition
+   * @param {Object} spec - Time window
+   * @param {Function} fail - Throws an error for this condition
+   * @returns {Object} Compiled condition
+   */
+  compileTime(spec, fail) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      fail('time must be a map');
+    }
+
+    const extra = Object.keys(spec).find(key => !TIME_FIELDS.includes(key));
+    if (extra || Object.keys(spec).length === 0) {
+      fail(extra ? `unexpected "${extra}" in time` : `time needs one of ${TIME_FIELDS.join(', ')}`);
+    }
+
+    const minutes = field => {
+      const match = TIME_OF_DAY.exec(String(spec[field]));
+      if (!match) {
+        fail(`time.${field} must be HH:MM`);
+      }
+      return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    };
+    const instant = field => {
+      const time = Date.parse(spec[field]);
+      if (Number.isNaN(time)) {
+        fail(`time.${field} must be a date`);
+      }
+      return time;
+    };
+
+    if ((spec.from === undefined) !== (spec.to === undefined)) {
+      fail('time.from and time.to go together');
+    }
+
+    const days = spec.days === undefined ? null : [].concat(spec.days).map(day => String(day).slice(0, 3).toLowerCase());
+    if (days && (days.length === 0 || days.some(day => !DAYS.includes(day)))) {
+      fail(`time.days must list days of the week (${DAYS.join(', ')})`);
+    }
+
+    const timezone = spec.timezone || 'UTC';
+    try {
+      this.getFormatter(timezone);
+    } catch (error) {
+      fail(`unknown time zone "${timezone}"`);
+    }
+
+    return {
+      type: 'time',
+      spec: { ...spec },
+      from: spec.from === undefined ? null : minutes('from'),
+      to: spec.to === undefined ? null : minutes('to'),
+      days,
+      timezone,
+      after: spec.after === undefined ? null : instant('after'),
+      before: spec.before === undefined ? null : instant('before')
+    };
+  }
+
+  /**
+   * Get a formatter for the weekday and time of day in a time zone
+   * @param {String} timezone - IANA time zone
+   * @returns {Intl.DateTimeFormat} Formatter
+   * @throws {RangeError} For unknown time zones
+   */
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }));
+    }
+    return this.formatters.get(timezone);
+  }
+
+  /**
+   * Parse a Cookie header
+   * @param {String} header - Cookie header value
+   * @returns {Object} Cookie values by name
+   */
+  parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+      }
+    });
+    return cookies;
+  }
+
+  /**
+   * Get the address of the client that sent a request
+   * @param {Object} req - Request
+   * @returns {String} IPv4 or IPv6 address, empty if unknown
+   */
+  getClientIp(req) {
+    const ip = req.ip || (req.socket && req.socket.remoteAddress) || '';
+    // IPv4 clients of dual-stack sockets show up as ::ffff:a.b.c.d
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  }
+
+  /**
+   * Collect what conditions look at from a request
+   * @param {Object} req - Request
+   * @returns {Object} Evaluation context
+   */
+  getContext(req) {
+    const url = req.originalUrl || req.url || '';
+    const queryIndex = url.indexOf('?');
+
+    return {
+      headers: req.headers || {},
+      query: new URLSearchParams(queryIndex === -1 ? '' : url.slice(queryIndex + 1)),
+      cookies: this.parseCookies(req.headers && req.headers.cookie),
+      ip: this.getClientIp(req),
+      now: Date.now()
+    };
+  }
+
+  /**
+   * Evaluate a compiled condition
+   * @param {Object} condition - Compiled condition
+   * @param {Object} context - Evaluation context from getContext
+   * @returns {Boolean} True if the condition holds
+   */
+  evaluate(condition, context) {
+    switch (condition.type) {
+      case 'all':
+        return condition.conditions.every(child => this.evaluate(child, context));
+      case 'any':
+        return condition.conditions.some(child => this.evaluate(child, context));
+      case 'not':
+        return !this.evaluate(condition.condition, context);
+      case 'clientIp': {
+        const version = net.isIP(context.ip);
+        return version > 0 && condition.list.check(context.ip, version === 6 ? 'ipv6' : 'ipv4');
+      }
+      case 'time':
+        return this.inTimeWindow(condition, context.now);
+      default:
+        return this.matchValues(condition, this.getValues(condition, context));
+    }
+  }
+
+  /**
+   * Evaluate a compiled condition and every condition inside it, for
+   * tracing why a rule did or didn't apply
+   * @param {Object} condition - Compiled condition
+   * @param {Object} context - Evaluation context from getContext
+   * @returns {Object} The condition with what it saw and its result
+   */
+  explain(condition, context) {
+    switch (condition.type) {
+      case 'all':
+      case 'any': {
+        const conditions = condition.conditions.map(child => this.explain(child, context));
+        const result = condition.type === 'all'
+          ? conditions.every(child => child.result)
+          : conditions.some(child => child.result);
+        return { [condition.type]: conditions, result };
+      }
+      case 'not': {
+        const explained = this.explain(condition.condition, context);
+        return { not: explained, result: !explained.result };
+      }
+      case 'clientIp':
+        return { clientIp: condition.ranges, ip: context.ip, result: this.evaluate(condition, context) };
+      case 'time':
+        return { time: condition.spec, now: new Date(context.now).toISOString(), result: this.inTimeWindow(condition, context.now) };
+      default: {
+        const values = this.getValues(condition, context);
+        const operator = condition.exists !== null
+          ? { exists: condition.exists }
+          : condition.equals ? { equals: condition.equals } : { matches: String(condition.matches) };
+        return { [condition.type]: condition.name, ...operator, values, result: this.matchValues(condition, values) };
+      }
+    }
+  }
+
+  /**
+   * Get the values of the request attribute a condition tests
+   * @param {Object} condition - Compiled header, query or cookie condition
+   * @param {Object} context - Evaluation context
+   * @returns {Array} Values, empty if absent
+   */
+  getValues(condition, context) {
+    if (condition.type === 'query') {
+      return context.query.getAll(condition.name);
+    }
+
+    const source = condition.type === 'header' ? context.headers : context.cookies;
+    const value = Object.prototype.hasOwnProperty.call(source, condition.name) ? source[condition.name] : undefined;
+    if (value === undefined) {
+      return [];
+    }
+    return Array.isArray(value) ? [value.join(', ')] : [String(value)];
+  }
+
+  /**
+   * Test attribute values against a condition
+   * @param {Object} condition - Compiled header, query or cookie condition
+   * @param {Array} values - Values of the attribute
+   * @returns {Boolean} True if the condition holds
+   */
+  matchValues(condition, values) {
+    if (condition.exists !== null) {
+      return (values.length > 0) === condition.exists;
+    }
+    if (condition.equals) {
+      return values.some(value => condition.equals.includes(value));
+    }
+    return values.some(value => condition.matches.test(value));
+  }
+
+  /**
+   * Check a time window
+   * @param {Object} condition - Compiled time condition
+   * @param {Number} now - Current time (ms)
+   * @returns {Boolean} True if now is inside the window
+   */
+  inTimeWindow(condition, now) {
+    if ((condition.after !== null && now < condition.after) ||
+        (condition.before !== null && now >= condition.before)) {
+      return false;
+    }
+    if (condition.from === null && !condition.days) {
+      return true;
+    }
+
+    const parts = {};
+    this.getFormatter(condition.timezone).formatToParts(now)
+      .forEach(part => { parts[part.type] = part.value; });
+
+    if (condition.days && !condition.days.includes(parts.weekday.toLowerCase())) {
+      return false;
+    }
+    if (condition.from === null) {
+      return true;
+    }
+
+    const minute = parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+    // A window ending before it starts wraps midnight
+    return condition.from <= condition.to
+      ? minute >= condition.from && minute < condition.to
+      : minute >= condition.from || minute < condition.to;
+  }
+}
+
+module.exports = new RouteConditions();
@@ -0,0 +1,501 @@
+// routing-config.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('routing-config');
+const domainManager = require('./domain-manager');
+const trafficSplit = require('./traffic-split');
+const cacheKeyPolicy = require('../cache/cache-key-policy');
+const originPoolManager = require('../proxy/origin-pool');
+
+// Fields a domain entry of the routing file may set
+const DOMAIN_FIELDS = ['target', 'pathPrefix', 'rules', 'fallback', 'cacheKey', 'split'];
+
+/**
+ * Create an error for a refused rule change
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @param {Array} issues - Formatted validation problems
+ * @returns {Error} Error
+ */
+function routingError(code, message, issues = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.issues = issues;
+  return error;
+}
+
+/**
+ * Routing Config
+ * Loads domain routing rules from a YAML or JSON file (ROUTING_CONFIG_FILE)
+ * and keeps them in sync with it:
+ * - The file holds a "domains" map in the DOMAIN_ROUTING_RULES format; its
+ *   domains replace environment entries of the same name
+ * - Changes are picked up by watching the file's directory, so editors that
+ *   save by renaming a new file into place are noticed too
+ * - Every version is validated with PathRewriter.validateRules before it is
+ *   swapped in; a version that fails keeps the current rules and is logged
+ *   with the file, line, domain and rule index of each problem
+ * - Inline origin pools of the file are rebuilt when they change
+ * - Rule changes made through the admin API are written back to the file,
+ *   and carry the version they were based on so concurrent edits conflict
+ */
+class RoutingConfig {
+  constructor() {
+    this.file = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    // DOMAIN_ROUTING_RULES as set in the environment
+    this.baseRules = null;
+    // Last applied contents of the file, and their version
+    this.document = null;
+    this.version = 0;
+    this.domains = [];
+    this.checksum = null;
+    this.loadedAt = null;
+    this.lastFailure = null;
+
+    this.stats = {
+      reloads: 0,
+      applied: 0,
+      unchanged: 0,
+      failures: 0,
+      changes: 0
+    };
+  }
+
+  /**
+   * Load the routing file and start watching it, if one is configured
+   * @returns {Boolean} True if the file's rules are in effect
+   */
+  start() {
+    const { path: file, watch } = config.pathRewriting.routingFile;
+    if (!file || this.file) {
+      return false;
+    }
+
+    if (!domainManager.pathRewriter) {
+      logger.warn(`Routing file ${file} ignored: path rewriting is disabled`);
+      return false;
+    }
+
+    this.file = path.resolve(file);
+    this.baseRules = { ...config.pathRewriting.domainRoutingRules };
+
+    const result = this.reload();
+    if (watch) {
+      this.watch();
+    }
+
+    return result.applied;
+  }
+
+  /**
+   * Watch the directory of the routing file for changes to it
+   */
+  watch() {
+    const directory = path.dirname(this.file);
+    const name = path.basename(this.file);
+
+    try {
+      this.watcher = fs.watch(directory, (event, filename) => {
+        // Some platforms don't report the name; reloading an unchanged file is cheap
+        if (!filename || filename.toString() === name) {
+          this.scheduleReload();
+        }
+      });
+      this.watcher.on('error', error => {
+        logger.error(`Stopped watching ${this.file}: ${error.message}`);
+        this.unwatch();
+      });
+      logger.info(`Watching routing file ${this.file}`);
+    } catch (error) {
+      logger.error(`Cannot watch ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reload once the file has been quiet for the debounce period, as one save
+   * can fire several events
+   */
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.reload();
+    }, config.pathRewriting.routingFile.debounce);
+  }
+
+  /**
+   * Read, validate and apply the routing file. The file is small and read
+   * synchronously, so no request sees a half-applied version
+   * @returns {Object} { applied, unchanged, domains, issues }
+   */
+  reload() {
+    if (!this.file) {
+      return { applied: false, unchanged: true, domains: this.domains, issues: [] };
+    }
+    this.stats.reloads++;
+
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      // A file that was never there is created by the first rule change
+      if (error.code === 'ENOENT' && !this.document) {
+        logger.info(`Routing file ${this.file} does not exist yet`);
+        return { applied: false, unchanged: true, domains: this.domains, issues: [] };
+      }
+      return this.reject([{ file: this.file, message: `Cannot read file: ${error.message}` }]);
+    }
+
+    const checksum = crypto.createHash('sha1').update(text).digest('hex');
+    if (checksum === this.checksum) {
+      this.stats.unchanged++;
+      return { applied: false, unchanged: true, domains: this.domains, issues: [] };
+    }
+
+    const candidate = this.check(text);
+    if (candidate.issues.length > 0) {
+      return this.reject(candidate.issues);
+    }
+    candidate.warnings.forEach(warning => logger.warn(`${this.file}: ${warning}`));
+
+    const previousRules = config.pathRewriting.domainRoutingRules;
+    const previousPools = JSON.stringify(config.originPools.pools);
+
+    config.pathRewriting.domainRoutingRules = candidate.merged;
+    if (!domainManager.reloadPathRewritingRules(config.pathRewriting.domains)) {
+      config.pathRewriting.domainRoutingRules = previousRules;
+      return this.reject([{ file: this.file, message: 'Path rewriter refused the rules' }]);
+    }
+
+    if (JSON.stringify(config.originPools.pools) !== previousPools) {
+      originPoolManager.reloadPools();
+    }
+
+    // The file's version counts unless it went backwards or wasn't bumped
+    const { version } = candidate.document;
+    this.version = Number.isInteger(version) && version > this.version ? version : this.version + 1;
+
+    this.document = candidate.document;
+    this.checksum = checksum;
+    this.domains = Object.keys(candidate.rules);
+    this.loadedAt = Date.now();
+    this.lastFailure = null;
+    this.stats.applied++;
+    logger.info(`Loaded ${this.domains.length} domains from ${this.file} (version ${this.version})`);
+
+    return { applied: true, unchanged: false, domains: this.domains, issues: [] };
+  }
+
+  /**
+   * Add, replace or remove the rules of one domain: the routing file is
+   * rewritten and applied. Refused unless the change was based on the
+   * current version, so concurrent edits can't overwrite each other
+   * @param {String} domain - Domain
+   * @param {Object|null} entry - Domain routing rules, null to remove them
+   * @param {Number} version - Version the change was based on
+   * @returns {Object} { domain, version, created, removed }
+   * @throws {Error} With code NO_ROUTING_FILE, FILE_INVALID, VERSION_CONFLICT,
+   *   NOT_FOUND or INVALID_RULES (with issues)
+   */
+  change(domain, entry, version) {
+    if (!this.file) {
+      throw routingError('NO_ROUTING_FILE', 'Set ROUTING_CONFIG_FILE to change routing rules at runtime');
+    }
+
+    // Catch up with edits the watcher hasn't delivered yet
+    if (this.reload().issues.length > 0) {
+      throw routingError('FILE_INVALID', `${this.file} has changes that can't be applied; fix them first`,
+        this.lastFailure.issues);
+    }
+    if (version !== this.version) {
+      throw routingError('VERSION_CONFLICT', `Routing rules are at version ${this.version}, not ${version}`);
+    }
+
+    const document = this.document || { domains: {} };
+    const exists = Object.prototype.hasOwnProperty.call(document.domains, domain);
+    if (entry === null && !exists) {
+      throw routingError('NOT_FOUND', `${domain} has no rules in the routing file`);
+    }
+
+    const domains = { ...document.domains };
+    if (entry === null) {
+      delete domains[domain];
+    } else {
+      domains[domain] = entry;
+    }
+
+    const next = this.version + 1;
+    const text = this.serialize(Object.assign({ version: next }, document, { version: next, domains }));
+    const { issues } = this.check(text);
+    if (issues.length > 0) {
+      throw routingError('INVALID_RULES', 'Invalid routing rules', issues.map(issue => this.formatIssue(issue)));
+    }
+
+    // Renamed into place, so readers never see a partial file
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, text);
+    fs.renameSync(temporary, this.file);
+    this.reload();
+
+    this.stats.changes++;
+    logger.info(`${entry === null ? 'Removed' : exists ? 'Updated' : 'Added'} routing rules for ${domain} ` +
+      `(version ${this.version})`);
+
+    return { domain, version: this.version, created: entry !== null && !exists, removed: entry === null };
+  }
+
+  /**
+   * Write a routing document in the format of the file. YAML comments
+   * don't survive a rewrite
+   * @param {Object} document - Routing document
+   * @returns {String} File contents
+   */
+  serialize(document) {
+    return path.extname(this.file).toLowerCase() === '.json'
+      ? `${JSON.stringify(document, null, 2)}\n`
+      : yaml.dump(document, { lineWidth: -1, noRefs: true });
+  }
+
+  /**
+   * Get the rules of every routed domain
+   * @returns {Object} Domain -> rules, with source "file" or "environment"
+   */
+  listDomains() {
+    const fileRules = this.document ? this.document.domains : {};
+    const environmentRules = this.baseRules || config.pathRewriting.domainRoutingRules;
+    const domains = {};
+
+    for (const [domain, unified] of Object.entries(config.pathRewriting.domains)) {
+      domains[domain] = Object.prototype.hasOwnProperty.call(fileRules, domain)
+        ? { source: 'file', ...fileRules[domain] }
+        : { source: 'environment', ...(environmentRules[domain] || unified) };
+    }
+
+    return domains;
+  }
+
+  /**
+   * Dry run of a version of the routing file: parse it and validate the
+   * routing it would lead to, without applying anything
+   * @param {String} text - File contents
+   * @returns {Object} { document, rules, merged, issues, warnings }
+   */
+  check(text) {
+    const { document, rules, issues } = this.parse(text);
+    const merged = { ...this.baseRules, ...rules };
+
+    // Rules of entries that aren't even maps can't be checked
+    const entries = {};
+    Object.entries(rules)
+      .filter(([, entry]) => entry && typeof entry === 'object' && !Array.isArray(entry))
+      .forEach(([domain, entry]) => { entries[domain] = entry; });
+
+    const validation = this.validate(entries, { ...this.baseRules, ...entries });
+    return {
+      document,
+      rules,
+      merged,
+      issues: [...issues, ...validation.issues],
+      warnings: validation.warnings
+    };
+  }
+
+  /**
+   * Parse the routing file and check its shape
+   * @param {String} text - File contents
+   * @returns {Object} { document, rules: domain -> routing rules, issues }
+   */
+  parse(text) {
+    let document;
+    try {
+      document = path.extname(this.file).toLowerCase() === '.json'
+        ? JSON.parse(text)
+        : yaml.load(text, { filename: this.file });
+    } catch (error) {
+      return { document: null, rules: {}, issues: [this.describeSyntaxError(text, error)] };
+    }
+
+    if (!document || typeof document !== 'object' || Array.isArray(document) ||
+        !document.domains || typeof document.domains !== 'object' || Array.isArray(document.domains)) {
+      return { document, rules: {}, issues: [{ file: this.file, message: 'Expected a top-level "domains" map' }] };
+    }
+
+    const issues = [];
+    for (const [domain, entry] of Object.entries(document.domains)) {
+      this.checkEntry(entry, domain).forEach(message => issues.push({ file: this.file, domain, rule: null, message }));
+    }
+
+    return { document, rules: document.domains, issues };
+  }
+
+  /**
+   * Check the fields of one domain entry
+   * @param {Object} entry - Domain routing rules
+   * @param {String} domain - Domain pattern of the entry
+   * @returns {Array} Problems found
+   */
+  checkEntry(entry, domain) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return ['Domain entry must be a map'];
+    }
+
+    const problems = Object.keys(entry)
+      .filter(field => !DOMAIN_FIELDS.includes(field))
+      .map(field => `Unknown field "${field}"`);
+
+    const { target, pathPrefix, cacheKey } = entry;
+    const validTarget = typeof target === 'string' ? target.length > 0 : !!target && typeof target === 'object';
+    if (target !== undefined && !validTarget) {
+      problems.push('Target must be a host name or an origin pool');
+    }
+    if (pathPrefix !== undefined && typeof pathPrefix !== 'string') {
+      problems.push('pathPrefix must be a string');
+    }
+    if (cacheKey !== undefined) {
+      try {
+        cacheKeyPolicy.compile(cacheKey);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    if (entry.split !== undefined) {
+      try {
+        trafficSplit.compile(entry.split, domain);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Locate a YAML or JSON syntax error in the file
+   * @param {String} text - File contents
+   * @param {Error} error - Parser error
+   * @returns {Object} Issue with line and column when the parser reports them
+   */
+  describeSyntaxError(text, error) {
+    // js-yaml marks the position itself
+    if (error.mark) {
+      return { file: this.file, line: error.mark.line + 1, column: error.mark.column + 1, message: error.reason };
+    }
+
+    const position = /position (\d+)/.exec(error.message);
+    if (position) {
+      const before = text.slice(0, parseInt(position[1], 10)).split('\n');
+      return {
+        file: this.file,
+        line: before.length,
+        column: before[before.length - 1].length + 1,
+        message: error.message.replace(/ at position \d+.*$/, '')
+      };
+    }
+
+    return { file: this.file, message: error.message };
+  }
+
+  /**
+   * Dry run: validate the routing PathRewriter would get, without applying it
+   * @param {Object} rules - Domains from the file
+   * @param {Object} merged - Environment and file domains together
+   * @returns {Object} { valid, issues, warnings }
+   */
+  validate(rules, merged) {
+    // The unified domain view of the config, over the candidate rules
+    const candidate = Object.create(config.pathRewriting, {
+      domainRoutingRules: { value: merged }
+    });
+    const validation = domainManager.pathRewriter.validateRules(candidate.domains);
+
+    return {
+      valid: validation.valid,
+      warnings: validation.warnings,
+      issues: validation.issues.map(issue => ({
+        // Environment rules can be at fault too
+        file: issue.domain in rules ? this.file : 'environment',
+        ...issue
+      }))
+    };
+  }
+
+  /**
+   * Keep the current rules and log why the file was refused
+   * @param {Array} issues - Problems found
+   * @returns {Object} { applied, unchanged, domains, issues }
+   */
+  reject(issues) {
+    this.stats.failures++;
+    this.lastFailure = {
+      at: new Date().toISOString(),
+      issues: issues.map(issue => this.formatIssue(issue))
+    };
+
+    logger.error(`Routing file ${this.file} not applied, keeping the current rules`);
+    this.lastFailure.issues.forEach(issue => logger.error(issue));
+
+    return { applied: false, unchanged: false, domains: this.domains, issues };
+  }
+
+  /**
+   * Format an issue as file:line:column domain "x" rule n: message
+   * @param {Object} issue - Issue
+   * @returns {String} Diagnostic
+   */
+  formatIssue({ file, line, column, domain, rule, message }) {
+    let location = file;
+    if (line) {
+      location += `:${line}:${column}`;
+    }
+    if (domain !== undefined && domain !== null) {
+      location += ` domain "${domain}"`;
+    }
+    if (rule !== undefined && rule !== null) {
+      location += ` rule ${rule}`;
+    }
+    return `${location}: ${message}`;
+  }
+
+  /**
+   * Stop watching the file
+   */
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Get routing file status
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      file: this.file,
+      version: this.version,
+      watching: !!this.watcher,
+      domains: this.domains,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      lastFailure: this.lastFailure,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop watching, on shutdown
+   */
+  shutdown() {
+    this.unwatch();
+  }
+}
+
+module.exports = new RoutingConfig();
@@ -0,0 +1,236 @@
+// routing-trace.js
+const config = require('../config');
+const domainManager = require('./domain-manager');
+const trafficSplit = require('./traffic-split');
+const cacheManager = require('../cache/cache-manager');
+const fileResolutionCache = require('../cache/file-resolution-cache');
+const originPoolManager = require('../proxy/origin-pool');
+const shieldManager = require('../proxy/shield-manager');
+const proxyManager = require('../proxy/proxy-manager');
+
+/**
+ * Routing Trace
+ * Simulates a request through the routing decisions the proxy makes, without
+ * sending it anywhere, and reports each of them:
+ * - Whether the host is allowed, and the domain rule it matched (exact or
+ *   wildcard)
+ * - Every path rule with its outcome (method not allowed, no path match,
+ *   conditions not met, matched, not evaluated) and the conditions it saw
+ * - The fallback applied, the traffic split variant, the final path and the
+ *   target backend, origin pool or parent tier
+ * - The resulting cache key, and whether file resolution would be tried
+ */
+class RoutingTrace {
+  constructor() {
+    this.stats = {
+      traces: 0
+    };
+  }
+
+  /**
+   * Build the request a trace simulates
+   * @param {Object} input - { host, path, method, headers, ip }
+   * @returns {Object} Request, as far as routing looks at it
+   * @throws {Error} With code INVALID_REQUEST for unusable input
+   */
+  buildRequest({ host, path = '/', method = 'GET', headers = {}, ip = '' } = {}) {
+    const invalid = message => Object.assign(new Error(message), { code: 'INVALID_REQUEST' });
+
+    if (typeof host !== 'string' || !host) {
+      throw invalid('A host is required');
+    }
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw invalid('The path must start with /');
+    }
+    if (typeof method !== 'string' || !/^[A-Za-z]+$/.test(method)) {
+      throw invalid('The method must be an HTTP method name');
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      throw invalid('Headers must be an object of header names to values');
+    }
+    if (typeof ip !== 'string') {
+      throw invalid('The client address must be a string');
+    }
+
+    // Node lowercases header names; the host always comes from the trace
+    const requestHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+      requestHeaders[name.toLowerCase()] = Array.isArray(value) ? value.map(String) : String(value);
+    }
+    requestHeaders.host = host;
+
+    return {
+      method: method.toUpperCase(),
+      url: path,
+      originalUrl: path,
+      headers: requestHeaders,
+      ip
+    };
+  }
+
+  /**
+   * Trace a request through routing
+   * @param {Object} input - { host, path, method, headers, ip }
+   * @returns {Object} Decision trace
+   * @throws {Error} With code INVALID_REQUEST for unusable input
+   */
+  trace(input) {
+    const req = this.buildRequest(input);
+    const { host } = req.headers;
+    this.stats.traces++;
+
+    const result = {
+      request: { host, path: req.url, method: req.method, headers: req.headers, ip: req.ip },
+      allowed: domainManager.isAllowedHost(host),
+      rewriting: !!(domainManager.pathRewritingEnabled && domainManager.pathRewriter),
+      domainRule: null,
+      circuitBreakerOpen: false,
+      rules: [],
+      fallback: null,
+      transformation: null,
+      split: null,
+      target: null,
+      cache: null,
+      fileResolution: null
+    };
+
+    // Answered with a 404 before routing
+    if (!result.allowed) {
+      return result;
+    }
+
+    if (result.rewriting) {
+      const { result: transformation, ...steps } = domainManager.pathRewriter
+        .traceTransformation(host, req.url, req.method, req);
+      Object.assign(result, steps);
+      req.pathTransformation = transformation;
+      result.transformation = this.describeTransformation(transformation);
+      
+      // Chosen without counting it; a new cookie assignment is random
+      req.splitVariant = trafficSplit.choose(req);
+      result.split = req.splitVariant;
+    }
+
+    result.target = this.describeTarget(req);
+    result.cache = this.describeCache(req);
+    result.fileResolution = this.describeFileResolution(req, result.target);
+
+    return result;
+  }
+
+  /**
+   * Summarize a transformation result
+   * @param {Object} transformation - Path transformation result
+   * @returns {Object} Summary
+   */
+  describeTransformation(transformation) {
+    const { appliedRule } = transformation;
+    return {
+      transformedPath: transformation.transformedPath,
+      target: transformation.target,
+      matched: transformation.matched,
+      appliedRule: appliedRule ? { pattern: appliedRule.pattern, replacement: appliedRule.replacement } : null,
+      fallbackUsed: transformation.fallbackUsed,
+      fallbackReason: transformation.fallbackReason || null,
+      conditional: !!transformation.conditional
+    };
+  }
+
+  /**
+   * Describe where a request would be sent, without picking a pool origin
+   * @param {Object} req - Simulated request
+   * @returns {Object} { backend, pool, origins, viaParent, parent, parentOrigins, url }
+   */
+  describeTarget(req) {
+    const backend = proxyManager.getTargetBackend(req);
+    const pool = originPoolManager.hasPool(backend);
+    const viaParent = shieldManager.appliesTo(req);
+    const parent = viaParent ? shieldManager.parent : null;
+    const protocol = config.cdn.targetHttps ? 'https' : 'http';
+
+    return {
+      backend,
+      pool,
+      origins: pool ? this.describePoolOrigins(backend) : null,
+      // Misses go through the parent tier, which routes them the same way
+      viaParent,
+      parent: parent ? (parent.pool || parent.url) : null,
+      parentOrigins: parent && parent.pool ? this.describePoolOrigins(parent.pool) : null,
+      url: pool ? null : `${protocol}://${backend}`
+    };
+  }
+
+  /**
+   * List the URLs of a pool's origins, with the protocol each one is
+   * proxied over
+   * @param {String} name - Pool name
+   * @returns {Object} { origins, backup } URLs
+   */
+  describePoolOrigins(name) {
+    const pool = originPoolManager.getStats().pools[name];
+    const urls = origins => origins.map(origin => `${origin.protocol}://${origin.host}`);
+    return { origins: urls(pool.origins), backup: urls(pool.backup) };
+  }
+
+  /**
+   * Describe the cache entry a request would use
+   * @param {Object} req - Simulated request
+   * @returns {Object} { enabled, cacheable, primaryKey, key, cached }
+   */
+  describeCache(req) {
+    const key = cacheManager.generateKey(req);
+    return {
+      enabled: cacheManager.enabled,
+      // Only GET and HEAD responses are stored
+      cacheable: cacheManager.enabled && (req.method === 'GET' || req.method === 'HEAD'),
+      primaryKey: cacheManager.generatePrimaryKey(req),
+      key,
+      cached: cacheManager.has(key)
+    };
+  }
+
+  /**
+   * Describe whether file resolution would be tried for a request
+   * @param {Object} req - Simulated request
+   * @param {Object} target - Target from describeTarget
+   * @returns {Object} { attempt, reason, baseUrl, extensions, cached }
+   */
+  describeFileResolution(req, target) {
+    const check = proxyManager.checkFileResolution(req);
+    const domainConfig = config.fileResolution.getDomainConfig(req.headers.host);
+
+    let reason = check.reason;
+    if (!reason && domainConfig.enabled === false) {
+      reason = 'domain_disabled';
+    }
+    if (reason) {
+      return { attempt: false, reason, baseUrl: null, extensions: [], cached: null };
+    }
+
+    // Pool origins are picked per request, so there's no single URL to show
+    const origin = target.viaParent ? shieldManager.parent.url : target.url;
+    if (!origin) {
+      return { attempt: true, reason: null, baseUrl: null, extensions: domainConfig.extensions, cached: null };
+    }
+
+    // With the protocol of the parent, as the proxy uses it
+    const baseUrl = `${origin}${check.transformedPath}`;
+    return {
+      attempt: true,
+      reason: null,
+      baseUrl,
+      extensions: domainConfig.extensions,
+      cached: fileResolutionCache.has(fileResolutionCache.generateKey(baseUrl, domainConfig.extensions))
+    };
+  }
+
+  /**
+   * Get trace statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new RoutingTrace();
@@ -0,0 +1,270 @@
+// traffic-split.js
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('traffic-split');
+const routeConditions = require('./route-conditions');
+
+const SPLIT_FIELDS = ['name', 'sticky', 'cookie', 'cookieMaxAge', 'variants'];
+const VARIANT_FIELDS = ['name', 'weight', 'target'];
+const STICKY = ['cookie', 'ip'];
+// Names end up in cookies and metric labels
+const NAME = /^[A-Za-z0-9_.-]+$/;
+const COOKIE_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Traffic Split
+ * Sends weighted shares of a domain's traffic to different backends, for
+ * canary releases and A/B tests, from the "split" entry of the domain's
+ * routing rules:
+ * - Variants with a name, a weight and an optional target (a host name or
+ *   an origin pool name; the domain's target when left out)
+ * - Sticky assignment: a cookie naming the variant, set on the first
+ *   response, or a hash of the client address
+ * - Variants with weight 0 take no new clients, and clients whose cookie
+ *   names them are assigned again, so a canary can be rolled back
+ * - Read on every request, so rule changes apply without a restart
+ */
+class TrafficSplit {
+  constructor() {
+    // Compiled splits by their definition, recompiled when rules change
+    this.compiled = new WeakMap();
+
+    this.stats = {
+      assigned: 0,
+      sticky: 0,
+      invalid: 0
+    };
+  }
+
+  /**
+   * Compile a split definition
+   * @param {Object} spec - Split from the domain's routing rules
+   * @param {String} domain - Domain pattern, the split's default name
+   * @returns {Object} Compiled split
+   * @throws {Error} If the split is invalid, naming where
+   */
+  compile(spec, domain) {
+    const fail = message => {
+      throw new Error(`split: ${message}`);
+    };
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      fail('must be a map');
+    }
+    const extra = Object.keys(spec).find(key => !SPLIT_FIELDS.includes(key));
+    if (extra) {
+      fail(`unknown field "${extra}"`);
+    }
+
+    const name = spec.name === undefined ? domain : spec.name;
+    if (typeof name !== 'string' || !NAME.test(name.replace(/\*/g, '_'))) {
+      fail('name may only hold letters, digits, ".", "_" and "-"');
+    }
+
+    const sticky = spec.sticky === undefined ? 'cookie' : spec.sticky;
+    if (!STICKY.includes(sticky)) {
+      fail(`sticky must be one of ${STICKY.join(', ')}`);
+    }
+
+    const cookie = spec.cookie === undefined ? config.trafficSplit.cookieName : spec.cookie;
+    if (typeof cookie !== 'string' || !COOKIE_NAME.test(cookie)) {
+      fail('cookie must be a cookie name');
+    }
+
+    const cookieMaxAge = spec.cookieMaxAge === undefined ? config.trafficSplit.cookieMaxAge : spec.cookieMaxAge;
+    if (!Number.isInteger(cookieMaxAge) || cookieMaxAge <= 0) {
+      fail('cookieMaxAge must be a number of seconds');
+    }
+
+    if (!Array.isArray(spec.variants) || spec.variants.length < 2) {
+      fail('variants must list at least two variants');
+    }
+
+    const variants = spec.variants.map((variant, i) => {
+      const where = `variants[${i}]`;
+      if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        fail(`${where} must be a map`);
+      }
+      const unknown = Object.keys(variant).find(key => !VARIANT_FIELDS.includes(key));
+      if (unknown) {
+        fail(`${where}: unknown field "${unknown}"`);
+      }
+      if (typeof variant.name !== 'string' || !NAME.test(variant.name)) {
+        fail(`${where}: name may only hold letters, digits, ".", "_" and "-"`);
+      }
+      if (typeof variant.weight !== 'number' || !Number.isFinite(variant.weight) || variant.weight < 0) {
+        fail(`${where}: weight must be a number of 0 or more`);
+      }
+      if (variant.target !== undefined && (typeof variant.target !== 'string' || !variant.target)) {
+        fail(`${where}: target must be a host name or an origin pool name`);
+      }
+      return { name: variant.name, weight: variant.weight, target: variant.target || null };
+    });
+
+    const duplicate = variants.find((variant, i) => variants.findIndex(other => other.name === variant.name) !== i);
+    if (duplicate) {
+      fail(`variant "${duplicate.name}" is listed twice`);
+    }
+
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    if (totalWeight <= 0) {
+      fail('at least one variant needs a weight above 0');
+    }
+
+    return { name, sticky, cookie, cookieMaxAge, variants, totalWeight };
+  }
+
+  /**
+   * Get the split of a request domain
+   * @param {String} host - Request host header
+   * @returns {Object|null} Compiled split, or null if the domain has none
+   */
+  getSplit(host) {
+    const rules = config.pathRewriting.domainRoutingRules || {};
+    const domain = (host || '').split(':')[0].toLowerCase();
+
+    let pattern = [host, domain].find(name => rules[name] && rules[name].split);
+    if (!pattern) {
+      pattern = Object.keys(rules).find(name => name.includes('*') && rules[name] && rules[name].split &&
+        new RegExp('^' + name.replace(/\./g, '\\.').replace(/\*/g, '[^.]+') + '$', 'i').test(domain));
+    }
+    if (!pattern) {
+      return null;
+    }
+
+    const spec = rules[pattern].split;
+    if (!this.compiled.has(spec)) {
+      try {
+        this.compiled.set(spec, this.compile(spec, pattern));
+      } catch (error) {
+        // Routing files are checked before they apply; environment rules aren't
+        this.stats.invalid++;
+        logger.error(`Ignoring the traffic split of ${pattern}: ${error.message}`);
+        this.compiled.set(spec, null);
+      }
+    }
+    return this.compiled.get(spec);
+  }
+
+  /**
+   * Pick a variant by weight
+   * @param {Object} split - Compiled split
+   * @param {Number} fraction - Position in [0, 1)
+   * @returns {Object} Variant
+   */
+  pick(split, fraction) {
+    let position = fraction * split.totalWeight;
+    const candidates = split.variants.filter(variant => variant.weight > 0);
+
+    for (const variant of candidates) {
+      position -= variant.weight;
+      if (position < 0) {
+        return variant;
+      }
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * Hash a client address onto [0, 1), so a client keeps its variant
+   * @param {String} split - Split name, so splits divide clients independently
+   * @param {String} ip - Client address
+   * @returns {Number} Position in [0, 1)
+   */
+  hash(split, ip) {
+    return crypto.createHash('md5').update(`${split}:${ip}`).digest().readUInt32BE(0) / 0x100000000;
+  }
+
+  /**
+   * Decide the variant of a request, without side effects
+   * @param {Object} req - Request
+   * @returns {Object|null} { split, variant, target, sticky, source, cookie }, with
+   *   source "cookie" or "ip" for sticky assignments and "new" for new
+   *   cookie assignments; null when the domain has no split
+   */
+  choose(req) {
+    const split = this.getSplit(req.headers.host);
+    if (!split) {
+      return null;
+    }
+
+    const assignment = variant => ({
+      split: split.name,
+      variant: variant.name,
+      target: variant.target,
+      sticky: split.sticky
+    });
+
+    if (split.sticky === 'ip') {
+      const ip = routeConditions.getClientIp(req);
+      return { ...assignment(this.pick(split, this.hash(split.name, ip))), source: 'ip', cookie: null };
+    }
+
+    const current = routeConditions.parseCookies(req.headers.cookie)[split.cookie];
+    const variant = split.variants.find(candidate => candidate.name === current && candidate.weight > 0);
+    if (variant) {
+      return { ...assignment(variant), source: 'cookie', cookie: null };
+    }
+
+    const chosen = this.pick(split, Math.random());
+    return {
+      ...assignment(chosen),
+      source: 'new',
+      cookie: `${split.cookie}=${chosen.name}; Path=/; Max-Age=${split.cookieMaxAge}; HttpOnly; SameSite=Lax`
+    };
+  }
+
+  /**
+   * Assign a request to a variant. New cookie assignments are added to the
+   * request's Cookie header, so a parent tier and the origin see them too,
+   * and set on the response
+   * @param {Object} req - Request
+   * @param {Object} res - Response, if one can carry the cookie
+   * @returns {Object|null} Assignment from choose
+   */
+  assign(req, res = null) {
+    const assignment = this.choose(req);
+    if (!assignment) {
+      return null;
+    }
+
+    this.stats.assigned++;
+    if (assignment.source !== 'new') {
+      this.stats.sticky++;
+      return assignment;
+    }
+
+    const pair = assignment.cookie.split(';')[0];
+    req.headers.cookie = req.headers.cookie ? `${req.headers.cookie}; ${pair}` : pair;
+    if (res) {
+      this.setCookie(res, assignment.cookie);
+    }
+    return assignment;
+  }
+
+  /**
+   * Add the assignment cookie when the response headers go out. Added any
+   * earlier, it would count as the origin's Set-Cookie when deciding whether
+   * to cache, and be replaced by the origin's own cookies
+   * @param {Object} res - Response
+   * @param {String} cookie - Set-Cookie value
+   */
+  setCookie(res, cookie) {
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+      const existing = res.getHeader('Set-Cookie');
+      res.setHeader('Set-Cookie', [].concat(existing || [], cookie));
+      return writeHead.apply(this, args);
+    };
+  }
+
+  /**
+   * Get traffic split statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new TrafficSplit();
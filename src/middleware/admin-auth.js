@@ -0,0 +1,92 @@
+// admin-auth.js
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('admin-auth');
+
+/**
+ * Admin Auth
+ * Guards the admin endpoints with the API keys of ADMIN_API_KEYS:
+ * - Keys are accepted in X-API-Key or as Authorization: Bearer <key>
+ * - Keys are compared in constant time
+ * - Without configured keys every request is refused, so the endpoints are
+ *   closed until an operator opts in
+ */
+class AdminAuth {
+  constructor() {
+    // Digests have a fixed length, as timingSafeEqual needs
+    this.digests = config.security.adminApi.keys.map(key => this.digest(key));
+
+    this.stats = {
+      allowed: 0,
+      denied: 0
+    };
+  }
+
+  /**
+   * Hash a key
+   * @param {String} key - API key
+   * @returns {Buffer} SHA-256 digest
+   */
+  digest(key) {
+    return crypto.createHash('sha256').update(key).digest();
+  }
+
+  /**
+   * Get the API key a request presents
+   * @param {Object} req - Express request object
+   * @returns {String|null} API key
+   */
+  getKey(req) {
+    const authorization = req.headers.authorization || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+    return req.headers['x-api-key'] || (bearer && bearer[1].trim()) || null;
+  }
+
+  /**
+   * Check a request's API key
+   * @param {Object} req - Express request object
+   * @returns {Boolean} True if the key is one of the configured keys
+   */
+  authenticate(req) {
+    const key = this.getKey(req);
+    if (!key) {
+      return false;
+    }
+
+    const presented = this.digest(key);
+    return this.digests.some(digest => crypto.timingSafeEqual(digest, presented));
+  }
+
+  /**
+   * Get the middleware that refuses unauthenticated requests
+   * @returns {Function} Express middleware
+   */
+  getMiddleware() {
+    return (req, res, next) => {
+      if (this.digests.length === 0) {
+        this.stats.denied++;
+        return res.status(403).json({ error: 'Admin API is disabled: set ADMIN_API_KEYS to enable it' });
+      }
+
+      if (!this.authenticate(req)) {
+        this.stats.denied++;
+        logger.warn(`Admin API request refused: ${req.ip} - ${req.method} ${req.originalUrl}`);
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'A valid API key is required in X-API-Key or Authorization: Bearer' });
+      }
+
+      this.stats.allowed++;
+      next();
+    };
+  }
+
+  /**
+   * Get authentication statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new AdminAuth();
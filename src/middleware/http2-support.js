@@ -0,0 +1,189 @@
+// http2-support.js
+const http2 = require('http2');
+const express = require('express');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('http2-support');
+
+/**
+ * HTTP/2 Support
+ * Serves HTTP/2 on the TLS listener with an HTTP/1.1 fallback:
+ * - h2 is negotiated via ALPN, HTTP/1.1 clients use the same port
+ * - Keeps the HTTP/2 compat API on Express request/response objects
+ * - Maps the :authority pseudo-header to Host and keeps pseudo-headers
+ *   away from origin requests
+ * - Counts negotiated protocols and request versions
+ */
+class Http2Support {
+  constructor() {
+    this.enabled = config.server.ssl.enabled && config.server.ssl.http2.enabled;
+    this.prototypes = null;
+
+    this.stats = {
+      sessions: 0,
+      alpn: {},
+      requests: {}
+    };
+  }
+
+  /**
+   * Create the TLS server for an app
+   * @param {Object} sslOptions - Key, certificate and passphrase
+   * @param {Function} app - Express app
+   * @returns {Object} HTTP/2 secure server
+   */
+  createServer(sslOptions, app) {
+    this.prototypes = this.createPrototypes(app);
+
+    const server = http2.createSecureServer({
+      ...sslOptions,
+      allowHTTP1: config.server.ssl.http2.allowHTTP1,
+      settings: {
+        maxConcurrentStreams: config.server.ssl.http2.maxConcurrentStreams
+      }
+    }, this.wrapApp(app));
+
+    server.on('secureConnection', (tlsSocket) => {
+      const protocol = tlsSocket.alpnProtocol || 'none';
+      this.stats.alpn[protocol] = (this.stats.alpn[protocol] || 0) + 1;
+    });
+
+    server.on('session', () => {
+      this.stats.sessions++;
+    });
+
+    // Without allowHTTP1, clients that can't speak h2 are turned away here
+    server.on('unknownProtocol', (tlsSocket) => {
+      this.stats.alpn.rejected = (this.stats.alpn.rejected || 0) + 1;
+      logger.debug(`Rejected TLS connection without h2 from ${tlsSocket.remoteAddress}`);
+    });
+
+    logger.info(`HTTP/2 enabled${config.server.ssl.http2.allowHTTP1 ? ' with HTTP/1.1 fallback' : ''}`);
+    return server;
+  }
+
+  /**
+   * Build Express request/response prototypes on top of the HTTP/2 compat
+   * classes. Express swaps every request onto prototypes derived from the
+   * HTTP/1 classes, which hides the compat getters (headers, method, url...)
+   * @param {Function} app - Express app
+   * @returns {Object} { request, response } prototypes
+   */
+  createPrototypes(app) {
+    const request = Object.create(http2.Http2ServerRequest.prototype);
+    Object.defineProperties(request, Object.getOwnPropertyDescriptors(express.request));
+    Object.defineProperties(request, Object.getOwnPropertyDescriptors(app.request));
+
+    const response = Object.create(http2.Http2ServerResponse.prototype);
+    Object.defineProperties(response, Object.getOwnPropertyDescriptors(express.response));
+    Object.defineProperties(response, Object.getOwnPropertyDescriptors(app.response));
+
+    // Used by the compression middleware, only http.ServerResponse has it
+    response._implicitHeader = function _implicitHeader() {
+      this.writeHead(this.statusCode);
+    };
+
+    return { request, response };
+  }
+
+  /**
+   * Wrap the app so HTTP/2 requests survive Express's initialisation
+   * @param {Function} app - Express app
+   * @returns {Function} Request handler
+   */
+  wrapApp(app) {
+    return (req, res) => {
+      if (req.httpVersionMajor === 2) {
+        this.prepareRequest(req);
+      }
+      app(req, res);
+    };
+  }
+
+  /**
+   * Copy the compat getters Express needs before getMiddleware() runs onto
+   * the request itself, and give it an HTTP/1.1 style header set
+   * @param {Object} req - HTTP/2 compat request
+   */
+  prepareRequest(req) {
+    const headers = this.normalizeHeaders(req.headers);
+
+    // A body of unknown length is what chunked encoding signals in HTTP/1.1;
+    // body parsers and the retry policy rely on it to tell a body is present
+    if (!req.stream.endAfterHeaders && headers['content-length'] === undefined) {
+      headers['transfer-encoding'] = 'chunked';
+    }
+
+    const own = {
+      url: req.url,
+      method: req.method,
+      httpVersion: req.httpVersion,
+      httpVersionMajor: req.httpVersionMajor,
+      httpVersionMinor: req.httpVersionMinor,
+      headers
+    };
+
+    Object.entries(own).forEach(([name, value]) => {
+      Object.defineProperty(req, name, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    });
+  }
+
+  /**
+   * Get the Express middleware; must be the first one registered so it runs
+   * right after Express's own initialisation
+   * @returns {Function} Express middleware
+   */
+  getMiddleware() {
+    return (req, res, next) => {
+      const version = `HTTP/${req.httpVersion}`;
+      this.stats.requests[version] = (this.stats.requests[version] || 0) + 1;
+
+      if (req.httpVersionMajor === 2 && this.prototypes) {
+        Object.setPrototypeOf(req, this.prototypes.request);
+        Object.setPrototypeOf(res, this.prototypes.response);
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Build an HTTP/1.1 style header set from HTTP/2 request headers
+   * @param {Object} h2Headers - Request headers including pseudo-headers
+   * @returns {Object} Headers with Host and without pseudo-headers
+   */
+  normalizeHeaders(h2Headers) {
+    const headers = {};
+    Object.entries(h2Headers).forEach(([name, value]) => {
+      // Pseudo-headers are not valid HTTP/1.1 header names for origin requests
+      if (!name.startsWith(':')) {
+        headers[name] = value;
+      }
+    });
+
+    // Everything downstream (domain checks, cache keys, routing) reads Host
+    if (!headers.host && h2Headers[':authority']) {
+      headers.host = h2Headers[':authority'];
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get protocol statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      allowHTTP1: config.server.ssl.http2.allowHTTP1,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new Http2Support();
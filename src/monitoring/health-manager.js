@@ -7,6 +7,9 @@ const domainManager = require('../domain/domain-manager');
 const fileResolver = require('../domain/file-resolver');
 const fileResolutionCache = require('../cache/file-resolution-cache');
 const transformerManager = require('../transform/transformers');
+const originPoolManager = require('../proxy/origin-pool');
+const shieldManager = require('../proxy/shield-manager');
+const http2Support = require('../middleware/http2-support');
 const { version } = require('../../package.json');
 
 class HealthManager {
@@ -58,13 +61,14 @@ class HealthManager {
   /**
    * Check if backend is reachable
    * @param {String} targetDomain - Optional specific target domain to check
+   * @param {String} targetProtocol - Optional protocol override (http/https)
    * @returns {Promise<Object>} Backend status
    */
-  async checkBackend(targetDomain = null) {
+  async checkBackend(targetDomain = null, targetProtocol = null) {
     const domain = targetDomain || config.cdn.targetDomain;
+    const protocol = targetProtocol || (config.cdn.targetHttps ? 'https' : 'http');
     
     try {
-      const protocol = config.cdn.targetHttps ? 'https' : 'http';
       const url = `${protocol}://${domain}`;
       
       const startTime = Date.now();
@@ -91,19 +95,41 @@ class HealthManager {
         domain,
         reachable: false,
         error: err.message,
-        url: `${config.cdn.targetHttps ? 'https' : 'http'}://${domain}`
+        url: `${protocol}://${domain}`
       };
     }
   }
   
+  /**
+   * Check a routing target, which is either a backend or an origin pool
+   * @param {String} target - Backend domain or pool name
+   * @returns {Promise<Object>} Target status
+   */
+  async checkTarget(target) {
+    // Pool origins are probed by the origin pool manager itself
+    if (originPoolManager.hasPool(target)) {
+      const pool = originPoolManager.getStats().pools[target];
+      const available = [...pool.origins, ...pool.backup].filter(origin => origin.available);
+      return {
+        domain: target,
+        pool: true,
+        reachable: available.length > 0,
+        availableOrigins: available.map(origin => origin.host)
+      };
+    }
+    
+    return this.checkBackend(target);
+  }
+  
   /**
    * Check health of all configured domain backends
    * @returns {Promise<Object>} All backend statuses
    */
   async checkAllBackends() {
     const results = {
-      primary: await this.checkBackend(),
-      domains: {}
+      primary: await this.checkTarget(config.cdn.targetDomain),
+      domains: {},
+      originPools: originPoolManager.getStats().pools
     };
     
     if (this.pathRewritingEnabled) {
@@ -111,11 +137,19 @@ class HealthManager {
       
       for (const [domain, domainConfig] of Object.entries(domains)) {
         if (domainConfig.target && domainConfig.target !== config.cdn.targetDomain) {
-          results.domains[domain] = await this.checkBackend(domainConfig.target);
+          results.domains[domain] = await this.checkTarget(domainConfig.target);
         }
       }
     }
     
+    // Parent tier of the origin shield
+    if (shieldManager.enabled) {
+      const parent = shieldManager.parent;
+      results.shieldParent = parent.pool
+        ? await this.checkTarget(parent.pool)
+        : await this.checkBackend(parent.host, parent.protocol);
+    }
+    
     return results;
   }
   
@@ -426,6 +460,7 @@ class HealthManager {
       cache: this.getCacheInfo(),
       domains: this.getDomainHealth(),
       backends: backendChecks,
+      protocols: http2Support.getStats(),
       config: {
         originDomain: config.cdn.originDomain,
         targetDomain: config.cdn.targetDomain,
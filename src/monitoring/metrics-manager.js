@@ -95,6 +95,71 @@ class MetricsManager {
       registers: [this.register]
     });
     
+    this.coalescedRequestsCounter = new promClient.Counter({
+      name: 'cache_coalesced_requests_total',
+      help: 'Total number of cache misses that waited on an in-flight origin request for the same key',
+      labelNames: ['domain', 'outcome'],
+      registers: [this.register]
+    });
+    
+    this.originRetriesCounter = new promClient.Counter({
+      name: 'origin_retries_total',
+      help: 'Total number of origin request retries',
+      labelNames: ['domain'],
+      registers: [this.register]
+    });
+    
+    this.retriedRequestsCounter = new promClient.Counter({
+      name: 'origin_retried_requests_total',
+      help: 'Total number of requests that needed at least one origin retry',
+      labelNames: ['domain', 'outcome'],
+      registers: [this.register]
+    });
+    
+    // Traffic split metrics, to compare the backends of a split's variants
+    this.trafficSplitRequestsCounter = new promClient.Counter({
+      name: 'traffic_split_requests_total',
+      help: 'Total number of requests by traffic split variant',
+      labelNames: ['split', 'variant', 'backend', 'status', 'cache'],
+      registers: [this.register]
+    });
+    
+    this.trafficSplitErrorsCounter = new promClient.Counter({
+      name: 'traffic_split_errors_total',
+      help: 'Total number of traffic split requests answered with a server error',
+      labelNames: ['split', 'variant', 'backend', 'status'],
+      registers: [this.register]
+    });
+    
+    this.trafficSplitDurationHistogram = new promClient.Histogram({
+      name: 'traffic_split_request_duration_seconds',
+      help: 'Duration of traffic split requests in seconds',
+      labelNames: ['split', 'variant', 'backend', 'cache'],
+      buckets: [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10],
+      registers: [this.register]
+    });
+    
+    this.protocolRequestsCounter = new promClient.Counter({
+      name: 'http_requests_by_protocol_total',
+      help: 'Total number of HTTP requests by protocol version',
+      labelNames: ['protocol'],
+      registers: [this.register]
+    });
+    
+    this.websocketConnectionsCounter = new promClient.Counter({
+      name: 'websocket_connections_total',
+      help: 'Total number of WebSocket upgrade requests',
+      labelNames: ['domain', 'outcome'],
+      registers: [this.register]
+    });
+    
+    this.websocketActiveGauge = new promClient.Gauge({
+      name: 'websocket_connections_active',
+      help: 'Number of open proxied WebSocket connections',
+      labelNames: ['domain'],
+      registers: [this.register]
+    });
+    
     this.cacheKeysGauge = new promClient.Gauge({
       name: 'cache_keys_total',
       help: 'Total number of keys in cache',
@@ -325,6 +390,60 @@ class MetricsManager {
     }
   }
   
+  /**
+   * Record the request, error and latency metrics of a traffic split variant
+   * @param {Object} req - Request, with its traffic split assignment
+   * @param {Number} status - Response status code
+   * @param {String} cacheStatus - Cache status from the X-Cache header
+   * @param {Number} duration - Duration in seconds
+   */
+  recordTrafficSplitMetrics(req, status, cacheStatus, duration) {
+    const assignment = req.splitVariant;
+    if (!this.enabled || !assignment) return;
+    
+    try {
+      // Path rule targets win over the variant's, as when proxying
+      const appliedRule = req.pathTransformation && req.pathTransformation.appliedRule;
+      const labels = {
+        split: assignment.split,
+        variant: assignment.variant,
+        backend: (appliedRule && appliedRule.target) || assignment.target ||
+          domainManager.getTargetBackend(req.headers.host)
+      };
+      
+      this.trafficSplitRequestsCounter.inc({ ...labels, status, cache: cacheStatus });
+      this.trafficSplitDurationHistogram.observe({ ...labels, cache: cacheStatus }, duration);
+      
+      if (status >= 500) {
+        this.trafficSplitErrorsCounter.inc({ ...labels, status });
+      }
+    } catch (error) {
+      logger.error(`Error recording traffic split metrics: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Record the outcome of a WebSocket upgrade request
+   * @param {String} domain - Request domain
+   * @param {String} outcome - opened, rejected, refused or failed
+   */
+  recordWebSocketUpgrade(domain, outcome) {
+    if (!this.enabled) return;
+    
+    this.websocketConnectionsCounter.inc({ domain, outcome });
+  }
+  
+  /**
+   * Track open WebSocket connections
+   * @param {String} domain - Request domain
+   * @param {Number} delta - 1 when a connection opens, -1 when it closes
+   */
+  recordWebSocketActive(domain, delta) {
+    if (!this.enabled) return;
+    
+    this.websocketActiveGauge.inc({ domain }, delta);
+  }
+  
   /**
    * Record file resolution metrics
    * @param {Object} resolution - File resolution result
@@ -486,6 +605,26 @@ class MetricsManager {
         });
       }
       
+      // Record the negotiated protocol version
+      this.protocolRequestsCounter.inc({ protocol: `HTTP/${req.httpVersion}` });
+      
+      // Record requests that waited on another request's origin fetch
+      if (req.coalesced) {
+        this.coalescedRequestsCounter.inc({
+          domain,
+          outcome: req.coalesced
+        });
+      }
+      
+      // Record origin retries and whether they paid off
+      if (req.retryCount) {
+        this.originRetriesCounter.inc({ domain }, req.retryCount);
+        this.retriedRequestsCounter.inc({
+          domain,
+          outcome: res.statusCode < 500 ? 'recovered' : 'failed'
+        });
+      }
+      
       // Record domain requests
       this.domainRequestsCounter.inc({
         domain,
@@ -497,6 +636,11 @@ class MetricsManager {
         this.recordPathRewriteMetrics(req.pathTransformation, 0);
       }
       
+      // Record per-variant metrics of traffic splits
+      if (req.splitVariant) {
+        this.recordTrafficSplitMetrics(req, res.statusCode, cacheStatus, durationSeconds);
+      }
+      
       // Call the original end method
       return originalEnd.apply(res, args);
     };
@@ -544,7 +688,10 @@ class MetricsManager {
         'path_rewrites_total',
         'path_rewrite_duration_seconds',
         'domain_requests_total',
-        'path_transformation_errors_total'
+        'path_transformation_errors_total',
+        'traffic_split_requests_total',
+        'traffic_split_errors_total',
+        'traffic_split_request_duration_seconds'
       ]
     };
   }
@@ -0,0 +1,53 @@
+// hop-by-hop-headers.js
+
+// Fields that only describe one connection (RFC 9110 7.6.1, RFC 2616 13.5.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'transfer-encoding',
+  'upgrade',
+  'te',
+  'trailer'
+];
+
+/**
+ * Hop-by-Hop Headers
+ * Keeps connection-specific fields of one hop away from the next:
+ * - The fixed hop-by-hop fields and every field named in Connection
+ * - Origin headers copied to clients, stored in the cache or replayed on
+ *   hits would otherwise describe the wrong connection, and HTTP/2
+ *   responses carrying them are refused by Node
+ */
+class HopByHopHeaders {
+  /**
+   * Get the hop-by-hop field names of a header set
+   * @param {Object} headers - Lowercase header names to values
+   * @returns {Set} Lowercase field names
+   */
+  getNames(headers) {
+    const names = new Set(HOP_BY_HOP_HEADERS);
+
+    [].concat(headers.connection || []).forEach(value => {
+      String(value).split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .forEach(name => names.add(name));
+    });
+
+    return names;
+  }
+
+  /**
+   * Copy a header set without its hop-by-hop fields
+   * @param {Object} headers - Lowercase header names to values
+   * @returns {Object} End-to-end headers
+   */
+  strip(headers) {
+    const names = this.getNames(headers);
+    return Object.fromEntries(Object.entries(headers)
+      .filter(([name]) => !names.has(name.toLowerCase())));
+  }
+}
+
+module.exports = new HopByHopHeaders();
@@ -0,0 +1,403 @@
+// origin-pool.js
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('origin-pool');
+
+const STRATEGIES = ['round-robin', 'least-connections', 'consistent-hash'];
+
+// Virtual nodes per unit of weight on the consistent hash ring
+const HASH_RING_REPLICAS = 100;
+
+/**
+ * Origin Pool Manager
+ * Lets a target name stand for several backends:
+ * - Weighted round-robin, least-connections or consistent-hash selection
+ * - Passive ejection of origins after consecutive 5xx / connection errors
+ * - Active health probes through HealthManager.checkBackend
+ * - Failover to a backup pool when every primary origin is down
+ */
+class OriginPoolManager {
+  constructor() {
+    this.pools = new Map();
+    this.healthCheckInterval = null;
+
+    this.stats = {
+      selections: 0,
+      failovers: 0,
+      exhausted: 0,
+      ejections: 0
+    };
+
+    this.loadPools(config.originPools.pools);
+
+    if (config.originPools.healthCheck.enabled && this.pools.size > 0) {
+      this.startHealthChecks();
+    }
+  }
+
+  /**
+   * Build pools from their definitions
+   * @param {Object} definitions - Pool name -> array of origins or
+   *   { origins, backup, strategy } object
+   */
+  loadPools(definitions) {
+    this.pools.clear();
+
+    for (const [name, definition] of Object.entries(definitions || {})) {
+      try {
+        this.pools.set(name, this.createPool(name, definition));
+      } catch (error) {
+        logger.error(`Invalid origin pool ${name}: ${error.message}`);
+      }
+    }
+
+    if (this.pools.size > 0) {
+      logger.info(`Loaded ${this.pools.size} origin pools: ${Array.from(this.pools.keys()).join(', ')}`);
+    }
+  }
+
+  /**
+   * Rebuild the pools from the configuration after it changed. Origins start
+   * over healthy, as their old state belongs to the previous definitions
+   */
+  reloadPools() {
+    this.loadPools(config.originPools.pools);
+
+    if (config.originPools.healthCheck.enabled && this.pools.size > 0 && !this.healthCheckInterval) {
+      this.startHealthChecks();
+    }
+  }
+
+  /**
+   * Normalize a pool definition
+   * @param {String} name - Pool name
+   * @param {Array|Object} definition - Pool definition
+   * @returns {Object} Pool
+   */
+  createPool(name, definition) {
+    const spec = Array.isArray(definition) ? { origins: definition } : definition;
+    const strategy = spec.strategy || config.originPools.defaultStrategy;
+
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`unknown strategy "${strategy}"`);
+    }
+    if (!Array.isArray(spec.origins) || spec.origins.length === 0) {
+      throw new Error('at least one origin is required');
+    }
+
+    const origins = spec.origins.map(origin => this.createOrigin(origin));
+    const backup = (spec.backup || []).map(origin => this.createOrigin(origin));
+
+    return {
+      name,
+      strategy,
+      origins,
+      backup,
+      ring: strategy === 'consistent-hash' ? this.buildHashRing(origins) : null,
+      backupRing: strategy === 'consistent-hash' && backup.length > 0 ? this.buildHashRing(backup) : null
+    };
+  }
+
+  /**
+   * Normalize an origin definition
+   * @param {String|Object} definition - "host[:port]", "https://host" or
+   *   { host, weight, protocol }
+   * @returns {Object} Origin state
+   */
+  createOrigin(definition) {
+    const spec = typeof definition === 'string' ? { host: definition } : { ...definition };
+    if (!spec.host) {
+      throw new Error('origin without host');
+    }
+
+    const protocolMatch = /^(https?):\/\//.exec(spec.host);
+    const protocol = protocolMatch
+      ? protocolMatch[1]
+      : (spec.protocol || (config.cdn.targetHttps ? 'https' : 'http'));
+    const host = spec.host.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+    const weight = Math.max(1, parseInt(spec.weight || 1, 10));
+
+    return {
+      host,
+      protocol,
+      url: `${protocol}://${host}`,
+      weight,
+      currentWeight: 0,
+      activeConnections: 0,
+      consecutiveFailures: 0,
+      ejectedUntil: 0,
+      probeHealthy: true,
+      requests: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * Build a consistent hash ring with virtual nodes proportional to weight
+   * @param {Array} origins - Origins to place on the ring
+   * @returns {Array} Sorted ring of { point, origin }
+   */
+  buildHashRing(origins) {
+    const ring = [];
+    origins.forEach(origin => {
+      for (let i = 0; i < origin.weight * HASH_RING_REPLICAS; i++) {
+        ring.push({ point: this.hash(`${origin.url}#${i}`), origin });
+      }
+    });
+    return ring.sort((a, b) => a.point - b.point);
+  }
+
+  /**
+   * Hash a string onto the ring
+   * @param {String} value - Value to hash
+   * @returns {Number} 32-bit hash
+   */
+  hash(value) {
+    return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+  }
+
+  /**
+   * Check whether a target name refers to a pool
+   * @param {String} name - Target name
+   * @returns {Boolean} True if it is a pool
+   */
+  hasPool(name) {
+    return this.pools.has(name);
+  }
+
+  /**
+   * Check whether an origin can take traffic
+   * @param {Object} origin - Origin state
+   * @param {Number} now - Current time
+   * @returns {Boolean} True if the origin is healthy
+   */
+  isAvailable(origin, now = Date.now()) {
+    return origin.probeHealthy && origin.ejectedUntil <= now;
+  }
+
+  /**
+   * Pick an origin from a pool for a request
+   * @param {String} name - Pool name
+   * @param {Object} req - Express request
+   * @returns {Object|null} Selected origin, or null if the pool doesn't exist
+   */
+  select(name, req) {
+    const pool = this.pools.get(name);
+    if (!pool) {
+      return null;
+    }
+
+    const now = Date.now();
+    let origin = this.chooseFrom(pool, pool.origins, pool.ring, req, now);
+
+    if (!origin && pool.backup.length > 0) {
+      origin = this.chooseFrom(pool, pool.backup, pool.backupRing, req, now);
+      if (origin) {
+        this.stats.failovers++;
+        logger.debug(`All primary origins of ${name} are down, using backup ${origin.host}`);
+      }
+    }
+
+    // Nothing is healthy - keep sending traffic rather than failing every request
+    if (!origin) {
+      this.stats.exhausted++;
+      logger.warn(`No healthy origins in pool ${name}, ignoring health state`);
+      origin = this.chooseFrom(pool, pool.origins, pool.ring, req, now, true);
+    }
+
+    this.stats.selections++;
+    origin.requests++;
+    return origin;
+  }
+
+  /**
+   * Apply the pool's strategy to a set of origins
+   * @param {Object} pool - Pool
+   * @param {Array} origins - Candidate origins
+   * @param {Array|null} ring - Hash ring for the candidates
+   * @param {Object} req - Express request
+   * @param {Number} now - Current time
+   * @param {Boolean} ignoreHealth - Consider unhealthy origins too
+   * @returns {Object|null} Selected origin
+   */
+  chooseFrom(pool, origins, ring, req, now, ignoreHealth = false) {
+    const candidates = ignoreHealth ? origins : origins.filter(origin => this.isAvailable(origin, now));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    switch (pool.strategy) {
+      case 'least-connections': {
+        // Ties (e.g. an idle pool) are broken by weighted round-robin
+        const load = origin => origin.activeConnections / origin.weight;
+        const lowest = Math.min(...candidates.map(load));
+        return this.weightedRoundRobin(candidates.filter(origin => load(origin) === lowest));
+      }
+
+      case 'consistent-hash': {
+        const point = this.hash(`${req.headers.host}${req.url}`);
+        const start = ring.findIndex(node => node.point >= point);
+        for (let i = 0; i < ring.length; i++) {
+          const node = ring[(Math.max(start, 0) + i) % ring.length];
+          if (candidates.includes(node.origin)) {
+            return node.origin;
+          }
+        }
+        return candidates[0];
+      }
+
+      case 'round-robin':
+      default:
+        return this.weightedRoundRobin(candidates);
+    }
+  }
+
+  /**
+   * Smooth weighted round-robin: spreads picks evenly while honouring weights
+   * @param {Array} candidates - Origins to choose from
+   * @returns {Object} Selected origin
+   */
+  weightedRoundRobin(candidates) {
+    let totalWeight = 0;
+    let best = null;
+    candidates.forEach(origin => {
+      origin.currentWeight += origin.weight;
+      totalWeight += origin.weight;
+      if (!best || origin.currentWeight > best.currentWeight) {
+        best = origin;
+      }
+    });
+    best.currentWeight -= totalWeight;
+    return best;
+  }
+
+  /**
+   * Track a request starting on an origin
+   * @param {Object} origin - Origin state
+   */
+  acquire(origin) {
+    origin.activeConnections++;
+  }
+
+  /**
+   * Track a request finishing on an origin
+   * @param {Object} origin - Origin state
+   */
+  release(origin) {
+    origin.activeConnections = Math.max(0, origin.activeConnections - 1);
+  }
+
+  /**
+   * Record a successful response from an origin
+   * @param {Object} origin - Origin state
+   */
+  reportSuccess(origin) {
+    origin.consecutiveFailures = 0;
+  }
+
+  /**
+   * Record a failed response from an origin, ejecting it after too many
+   * consecutive failures
+   * @param {Object} origin - Origin state
+   * @param {String} reason - Failure description
+   */
+  reportFailure(origin, reason) {
+    origin.failures++;
+    origin.consecutiveFailures++;
+
+    if (origin.consecutiveFailures >= config.originPools.maxFailures && origin.ejectedUntil <= Date.now()) {
+      origin.ejectedUntil = Date.now() + config.originPools.ejectionTime;
+      this.stats.ejections++;
+      logger.warn(`Ejected origin ${origin.host} for ${config.originPools.ejectionTime}ms after ${origin.consecutiveFailures} failures`, {
+        reason
+      });
+    }
+  }
+
+  /**
+   * Start periodic active health probes
+   */
+  startHealthChecks() {
+    this.healthCheckInterval = setInterval(() => {
+      this.runHealthChecks().catch(error => {
+        logger.error(`Origin health checks failed: ${error.message}`);
+      });
+    }, config.originPools.healthCheck.interval);
+
+    // Don't keep the process alive just for probes
+    if (this.healthCheckInterval.unref) {
+      this.healthCheckInterval.unref();
+    }
+  }
+
+  /**
+   * Probe every origin in every pool
+   * @returns {Promise<void>}
+   */
+  async runHealthChecks() {
+    // Required lazily - the health manager reports on pools itself
+    const healthManager = require('../monitoring/health-manager');
+    const origins = [];
+    this.pools.forEach(pool => origins.push(...pool.origins, ...pool.backup));
+
+    await Promise.all(origins.map(async origin => {
+      const result = await healthManager.checkBackend(origin.host, origin.protocol);
+      const healthy = result.reachable && result.status < 500;
+
+      if (healthy !== origin.probeHealthy) {
+        logger.info(`Origin ${origin.host} is now ${healthy ? 'healthy' : 'unhealthy'}`);
+      }
+      origin.probeHealthy = healthy;
+      if (healthy && origin.ejectedUntil > Date.now()) {
+        // Probe confirms recovery, don't wait out the ejection
+        origin.ejectedUntil = 0;
+        origin.consecutiveFailures = 0;
+      }
+    }));
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const now = Date.now();
+    const describe = origin => ({
+      host: origin.host,
+      protocol: origin.protocol,
+      weight: origin.weight,
+      available: this.isAvailable(origin, now),
+      probeHealthy: origin.probeHealthy,
+      ejected: origin.ejectedUntil > now,
+      activeConnections: origin.activeConnections,
+      requests: origin.requests,
+      failures: origin.failures
+    });
+
+    const pools = {};
+    this.pools.forEach((pool, name) => {
+      pools[name] = {
+        strategy: pool.strategy,
+        origins: pool.origins.map(describe),
+        backup: pool.backup.map(describe)
+      };
+    });
+
+    return {
+      ...this.stats,
+      pools
+    };
+  }
+
+  /**
+   * Clean up resources
+   */
+  shutdown() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+  }
+}
+
+module.exports = new OriginPoolManager();
@@ -7,11 +7,73 @@ const domainManager = require('../domain/domain-manager');
 const fileResolver = require('../domain/file-resolver');
 const transformerManager = require('../transform/transformers');
 const fileResolutionCache = require('../cache/file-resolution-cache');
+const rangeHandler = require('../cache/range-handler');
+const conditionalHandler = require('../cache/conditional-handler');
+const requestCoalescer = require('../cache/request-coalescer');
+const encodingNegotiator = require('../cache/encoding-negotiator');
+const originPoolManager = require('./origin-pool');
+const hopByHopHeaders = require('./hop-by-hop-headers');
+const retryPolicy = require('./retry-policy');
+const shieldManager = require('./shield-manager');
 const URLTransformer = require('../transform/url-transformer');
 const ComputeFunctionManager = require('../transform/compute/compute-function-manager');
+const http = require('http');
 const https = require('https');
 const zlib = require('zlib');
 
+/**
+ * Create the agent origin requests are made with. Pool origins and the parent
+ * tier can use another protocol than TARGET_HTTPS, and Node refuses a request
+ * whose agent is for the other protocol, so each request is handed to the
+ * keep-alive agent of its own
+ * @param {Object} agents - { http, https } agents
+ * @returns {Object} Agent
+ */
+function createOriginAgent(agents) {
+  return {
+    // Lets requests keep their connections open, as the agents do
+    keepAlive: true,
+    maxSockets: agents.https.maxSockets,
+    addRequest(request, options) {
+      const agent = request.protocol === 'https:' ? agents.https : agents.http;
+      return agent.addRequest(request, options);
+    }
+  };
+}
+
+/**
+ * Create a stand-in for an Express response that only records status and
+ * headers, so header setup and cacheability checks can run for requests
+ * the proxy makes on its own behalf
+ * @returns {Object} Detached response
+ */
+function createDetachedResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return headers[name.toLowerCase()];
+    },
+    get(name) {
+      return headers[name.toLowerCase()];
+    },
+    removeHeader(name) {
+      delete headers[name.toLowerCase()];
+    },
+    getHeaders() {
+      return { ...headers };
+    }
+  };
+}
+
 class ProxyManager {
   constructor() {
     this.targetProtocol = config.cdn.targetHttps ? 'https' : 'http';
@@ -33,6 +95,17 @@ class ProxyManager {
       rejectUnauthorized: true // Validate SSL certs
     });
     
+    // HTTP agent for origins and parents that don't use HTTPS
+    this.httpAgent = new http.Agent({
+      keepAlive: true,
+      keepAliveMsecs: 1000,
+      maxSockets: 256,
+      maxFreeSockets: 256,
+      timeout: config.performance.timeout
+    });
+    
+    this.originAgent = createOriginAgent({ http: this.httpAgent, https: this.httpsAgent });
+    
     // Initialize URL transformer
     this.urlTransformer = new URLTransformer(config.urlTransformation || {});
     this.logURLTransformationStatus();
@@ -44,6 +117,15 @@ class ProxyManager {
       logger.info('Compute function manager initialized');
     }
     
+    // Cache keys currently being refreshed in the background
+    this.backgroundRefreshes = new Set();
+    this.staleStats = {
+      whileRevalidate: 0,
+      ifError: 0,
+      backgroundRefreshes: 0,
+      backgroundRefreshFailures: 0
+    };
+    
     // Create proxy middleware
     this.proxy = this.createProxyMiddleware();
   }
@@ -100,17 +182,53 @@ class ProxyManager {
    * @returns {String} Target URL
    */
   getTargetForRequest(req) {
+    // Pick a pool origin only once per request so every caller sees the same one
+    if (req.selectedOrigin) {
+      return req.selectedOrigin.url;
+    }
+    
+    // Misses go through the parent tier when origin shield applies
+    req.viaParent = shieldManager.appliesTo(req);
+    if (req.viaParent) {
+      return shieldManager.getParentUrl(req);
+    }
+    
+    const targetBackend = this.getTargetBackend(req);
+    
+    if (originPoolManager.hasPool(targetBackend)) {
+      req.selectedOrigin = originPoolManager.select(targetBackend, req);
+      return req.selectedOrigin.url;
+    }
+    
     if (!this.pathRewritingEnabled) {
       return this.targetUrl;
     }
     
-    const host = req.headers.host;
-    const targetBackend = domainManager.getTargetBackend(host);
     const targetProtocol = config.cdn.targetHttps ? 'https' : 'http';
     
     return `${targetProtocol}://${targetBackend}`;
   }
   
+  /**
+   * Get the backend routing sends a request to: a host name or an origin
+   * pool name
+   * @param {Object} req - Express request
+   * @returns {String} Target backend
+   */
+  getTargetBackend(req) {
+    if (!this.pathRewritingEnabled) {
+      return config.cdn.targetDomain;
+    }
+    
+    // Path rules can send their matches to a target of their own, then
+    // traffic split variants to theirs
+    const transformation = req.pathTransformation;
+    const ruleTarget = transformation && transformation.appliedRule && transformation.appliedRule.target;
+    const splitTarget = req.splitVariant && req.splitVariant.target;
+    
+    return ruleTarget || splitTarget || domainManager.getTargetBackend(req.headers.host);
+  }
+  
   /**
    * Rewrite path for a request based on domain routing rules
    * @param {String} path - Original path
@@ -118,7 +236,8 @@ class ProxyManager {
    * @returns {String} Rewritten path
    */
   rewritePathForRequest(path, req) {
-    if (!this.pathRewritingEnabled) {
+    // The parent applies the same routing rules to the original path
+    if (!this.pathRewritingEnabled || req.viaParent) {
       return path;
     }
     
@@ -141,7 +260,7 @@ class ProxyManager {
     const proxyOptions = {
       target: this.targetUrl, // Default target, will be overridden dynamically
       changeOrigin: true,
-      agent: this.targetProtocol === 'https' ? this.httpsAgent : undefined,
+      agent: this.originAgent, // Picks the agent of each target's protocol
       xfwd: true, // Add x-forwarded-* headers
       hostRewrite: config.cdn.targetDomain, // Default host rewrite
       autoRewrite: true,
@@ -170,6 +289,36 @@ class ProxyManager {
           pathTransformation: req.pathTransformation
         });
         
+        // The per-attempt timeout aborts the origin request, which surfaces as a reset
+        if (req.originAttemptTimedOut) {
+          err.code = 'ETIMEDOUT';
+        }
+        
+        if (req.selectedOrigin) {
+          originPoolManager.reportFailure(req.selectedOrigin, err.code || err.message);
+        }
+        
+        // The parent is unreachable - fetch this miss from the origin directly
+        if (!res.headersSent && shieldManager.canBypass(req)) {
+          logger.warn(`Parent unreachable (${err.code || err.message}), bypassing shield for ${req.headers.host}${req.originalUrl || req.url}`);
+          shieldManager.recordBypass();
+          req.bypassShield = true;
+          this.resendRequest(req, res);
+          return;
+        }
+        
+        if (!res.headersSent && this.retryRequest(req, res, { error: err })) {
+          return;
+        }
+        
+        if (this.serveStaleOnError(req, res)) {
+          return;
+        }
+        
+        if (req.retryCount) {
+          res.setHeader('X-Origin-Retries', req.retryCount);
+        }
+        
         // Handle timeouts specifically
         if (err.code === 'ECONNRESET' || err.code === 'ETIMEDOUT') {
           res.status(504).send('Gateway Timeout');
@@ -180,11 +329,20 @@ class ProxyManager {
       
       // Manipulate request before sending to target
       onProxyReq: (proxyReq, req, res) => {
+        // Responses age from when they were asked for (RFC 9111 4.2.3)
+        req.originRequestTime = Date.now();
+        
         // Add custom request headers
         proxyReq.setHeader('X-Forwarded-Host', req.headers.host);
         proxyReq.setHeader('X-Forwarded-Proto', req.protocol);
         proxyReq.setHeader('X-Proxy-Name', config.cdn.cdnName);
         
+        // The parent routes on the client's host, not its own
+        if (req.viaParent) {
+          proxyReq.setHeader('Host', req.headers.host);
+          shieldManager.recordForward();
+        }
+        
         // Add path rewriting information to headers
         if (req.pathTransformation) {
           proxyReq.setHeader('X-Original-Path', req.pathTransformation.originalPath);
@@ -199,6 +357,31 @@ class ProxyManager {
           : `1.1 ${config.cdn.cdnName}`;
         proxyReq.setHeader('Via', viaValue);
         
+        // Bound the wait for response headers of each retryable attempt.
+        // A plain timer, since http-proxy resets the socket timeout after this hook
+        const perTryTimeout = retryPolicy.getPerTryTimeout(req);
+        if (perTryTimeout) {
+          req.originAttemptTimedOut = false;
+          const attemptTimer = setTimeout(() => {
+            req.originAttemptTimedOut = true;
+            proxyReq.destroy();
+          }, perTryTimeout);
+          proxyReq.once('response', () => clearTimeout(attemptTimer));
+          proxyReq.once('close', () => clearTimeout(attemptTimer));
+        }
+        
+        // Track in-flight requests per pool origin for least-connections
+        if (req.selectedOrigin) {
+          const origin = req.selectedOrigin;
+          originPoolManager.acquire(origin);
+          proxyReq.once('close', () => originPoolManager.release(origin));
+        }
+        
+        // Ask the origin to confirm a stale cached copy instead of resending it
+        if (req.cacheRevalidation) {
+          conditionalHandler.applyRevalidationHeaders(proxyReq, req.cacheRevalidation.entry);
+        }
+        
         // Log proxy request with path transformation info
         const targetUrl = this.getTargetForRequest(req);
         const finalPath = this.rewritePathForRequest(req.url, req);
@@ -207,6 +390,39 @@ class ProxyManager {
       
       // Handle response from target
       onProxyRes: (proxyRes, req, res) => {
+        req.originResponseTime = Date.now();
+        
+        // Passive health tracking for pool origins
+        if (req.selectedOrigin) {
+          this.reportOriginStatus(req.selectedOrigin, proxyRes.statusCode);
+        }
+        
+        // Try again rather than pass on a transient origin failure
+        if (this.retryRequest(req, res, { statusCode: proxyRes.statusCode })) {
+          proxyRes.resume();
+          return;
+        }
+        if (req.retryCount) {
+          res.setHeader('X-Origin-Retries', req.retryCount);
+          retryPolicy.recordOutcome(!config.originRetry.retryableStatusCodes.includes(proxyRes.statusCode));
+        }
+        
+        // Origin answered a revalidation request
+        if (req.cacheRevalidation) {
+          conditionalHandler.recordRevalidation(proxyRes.statusCode === 304);
+          if (proxyRes.statusCode === 304) {
+            this.handleRevalidatedResponse(proxyRes, req, res);
+            return;
+          }
+        }
+        
+        // Origin is failing but we still hold a usable copy
+        if (config.cache.staleServing.errorStatusCodes.includes(proxyRes.statusCode) &&
+            this.serveStaleOnError(req, res)) {
+          proxyRes.resume();
+          return;
+        }
+        
         // Handle 404 responses for JavaScript and CSS files to prevent browser syntax errors
         if (proxyRes.statusCode === 404) {
           if (this.isJavaScriptRequest(req)) {
@@ -230,15 +446,32 @@ class ProxyManager {
         
         // Set up response headers
         this.setupResponseHeaders(proxyRes, req, res);
-        
-        // Handle the response data
-        this.handleProxyResponse(proxyRes, req, res);
+
+        // Stream bodies we don't need to touch, buffer the ones we transform
+        if (this.shouldStreamResponse(proxyRes, req)) {
+          this.streamProxyResponse(proxyRes, req, res);
+        } else {
+          this.handleProxyResponse(proxyRes, req, res);
+        }
       }
     };
     
     return createProxyMiddleware(proxyOptions);
   }
   
+  /**
+   * Pass cache tags on to a downstream CDN tier, which indexes them itself.
+   * Tiers identify themselves with X-Proxy-Name on their origin requests
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Array} tags - Cache tags of the response
+   */
+  setTierTags(req, res, tags) {
+    if (req.headers['x-proxy-name'] && tags && tags.length > 0) {
+      res.setHeader('Surrogate-Key', tags.join(' '));
+    }
+  }
+  
   /**
    * Set up response headers
    * @param {Object} proxyRes - Proxy response
@@ -261,11 +494,17 @@ class ProxyManager {
       originalContentLength: proxyRes.headers['content-length']
     });
     
+    // Cache tags are indexed with the entry and kept from clients
+    req.cacheTags = cacheManager.getTagsFromHeaders(proxyRes.headers);
+    
+    // Connection-specific headers describe the origin connection, not the client's
+    const hopByHop = hopByHopHeaders.getNames(proxyRes.headers);
+    
     // Copy all headers from proxy response, excluding problematic ones
     Object.keys(proxyRes.headers).forEach(key => {
       const value = proxyRes.headers[key];
-      // Skip server, connection, and conditionally skip content-length
-      if (key === 'server' || key === 'connection') {
+      // Skip server, hop-by-hop and tag headers, and conditionally skip content-length
+      if (key === 'server' || hopByHop.has(key) || cacheManager.isTagHeader(key)) {
         return; // Always skip these
       }
       
@@ -303,6 +542,13 @@ class ProxyManager {
       : `1.1 ${config.cdn.cdnName}`;
     res.setHeader('Via', viaValue);
     
+    // Keep the parent's cache status visible next to our own
+    if (req.viaParent && proxyRes.headers['x-cache']) {
+      res.setHeader('X-Cache-Parent', proxyRes.headers['x-cache']);
+    }
+    
+    this.setTierTags(req, res, req.cacheTags);
+    
     // Cache status header (will be updated later if we're serving from cache)
     res.setHeader('X-Cache', 'MISS');
     
@@ -326,6 +572,349 @@ class ProxyManager {
     res.status(proxyRes.statusCode);
   }
   
+  /**
+   * Check whether a content type needs its body buffered for compute functions
+   * or URL transformation
+   * @param {String} contentType - Response content type
+   * @returns {Boolean} True if the body will be processed
+   */
+  needsBodyProcessing(contentType) {
+    const mainType = contentType.split(';')[0].trim().toLowerCase();
+    if (!mainType) {
+      return false;
+    }
+
+    if (this.urlTransformer && config.urlTransformation.enabled &&
+        config.urlTransformation.transformableContentTypes.some(type => mainType.includes(type))) {
+      return true;
+    }
+
+    if (this.computeFunctionManager && config.computeFunctions.urlRelativization?.enabled &&
+        config.computeFunctions.urlRelativization.processableContentTypes.some(type => mainType.includes(type))) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Decide whether a proxy response should be streamed to the client
+   * rather than buffered in memory
+   * @param {Object} proxyRes - Proxy response
+   * @param {Object} req - Express request
+   * @returns {Boolean} True if the response should be streamed
+   */
+  shouldStreamResponse(proxyRes, req) {
+    if (!config.streaming.enabled) {
+      return false;
+    }
+
+    const contentType = (proxyRes.headers['content-type'] || '').toLowerCase();
+
+    // Partial content from the origin is passed through untouched
+    if (proxyRes.statusCode === 206) {
+      return true;
+    }
+
+    // Event streams and similar push responses never end, so never buffer them
+    if (config.streaming.neverBufferContentTypes.some(type => contentType.includes(type))) {
+      return true;
+    }
+
+    // Anything we don't transform goes straight through, including chunked long-polls.
+    // The parent has already transformed what it sends
+    if (req.viaParent || !this.needsBodyProcessing(contentType)) {
+      return true;
+    }
+
+    // Transformable, but too large to hold in memory
+    const contentLength = parseInt(proxyRes.headers['content-length'], 10);
+    if (contentLength > config.streaming.maxBufferSize) {
+      logger.debug('Streaming transformable response above buffer threshold', {
+        url: req.url,
+        contentLength,
+        maxBufferSize: config.streaming.maxBufferSize
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Pipe a proxy response straight to the client, tee-ing it into the cache
+   * when it is cacheable
+   * @param {Object} proxyRes - Proxy response
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  streamProxyResponse(proxyRes, req, res) {
+    const contentType = (proxyRes.headers['content-type'] || '').toLowerCase();
+    const neverBuffer = config.streaming.neverBufferContentTypes.some(type => contentType.includes(type));
+    let shouldCache = !neverBuffer && cacheManager.shouldCache(req, res);
+    let cachedBytes = 0;
+    let completed = false;
+    const chunks = [];
+
+    // The body is passed through untouched, so the origin's length still holds
+    if (proxyRes.headers['content-length']) {
+      res.setHeader('Content-Length', proxyRes.headers['content-length']);
+    }
+
+    logger.debug('Streaming proxy response', {
+      url: req.url,
+      contentType,
+      contentLength: proxyRes.headers['content-length'],
+      shouldCache
+    });
+
+    if (shouldCache) {
+      proxyRes.on('data', (chunk) => {
+        if (!shouldCache) return;
+
+        cachedBytes += chunk.length;
+        if (cachedBytes > config.streaming.maxCacheSize) {
+          logger.debug('Streamed response exceeds cache size limit, not caching', {
+            url: req.url,
+            maxCacheSize: config.streaming.maxCacheSize
+          });
+          shouldCache = false;
+          chunks.length = 0;
+          return;
+        }
+        chunks.push(chunk);
+      });
+    }
+
+    proxyRes.on('end', () => {
+      completed = true;
+      if (shouldCache) {
+        this.cacheStreamedResponse(req, res, proxyRes, Buffer.concat(chunks));
+      }
+    });
+
+    proxyRes.on('aborted', () => {
+      shouldCache = false;
+      logger.warn('Origin aborted streamed response', { url: req.url });
+    });
+
+    // Stop reading from the origin if the client goes away mid-stream
+    res.on('close', () => {
+      if (!completed) {
+        shouldCache = false;
+        proxyRes.destroy();
+      }
+    });
+
+    if (req.method === 'HEAD') {
+      proxyRes.resume();
+      res.end();
+      return;
+    }
+
+    // Push headers out immediately so event-stream clients see the connection open
+    if (neverBuffer) {
+      res.flushHeaders();
+    }
+    proxyRes.pipe(res);
+  }
+
+  /**
+   * Store a fully streamed response in cache. Compressed bodies are
+   * decompressed off the response path so cache entries keep the same
+   * shape as buffered ones.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} proxyRes - Proxy response
+   * @param {Buffer} body - Complete response body as received from origin
+   */
+  cacheStreamedResponse(req, res, proxyRes, body) {
+    const contentEncoding = proxyRes.headers['content-encoding'];
+
+    const store = (finalBody) => {
+      // The stored body is identity; an encoding on the response came from
+      // the origin or the compression middleware
+      const headers = { ...res.getHeaders() };
+      delete headers['content-encoding'];
+      delete headers['content-length'];
+
+      cacheManager.store(req, {
+        status: proxyRes.statusCode,
+        headers,
+        body: finalBody,
+        originalEncoding: contentEncoding,
+        pathTransformation: req.pathTransformation
+      }, cacheManager.getTtl(res, req));
+    };
+
+    if (!contentEncoding) {
+      store(body);
+      return;
+    }
+
+    // Coalesced requests wait on this before re-reading the cache
+    req.pendingCacheWrite = this.decompressBody(body, contentEncoding)
+      .then(store)
+      .catch(err => {
+        logger.warn(`Not caching streamed response: ${err.message}`, {
+          url: req.url,
+          encoding: contentEncoding
+        });
+      });
+  }
+
+  /**
+   * Decompress a response body without blocking the event loop
+   * @param {Buffer} body - Encoded body
+   * @param {String} contentEncoding - Content-Encoding of the body
+   * @returns {Promise<Buffer>} Decoded body
+   */
+  decompressBody(body, contentEncoding) {
+    let decompress = null;
+    if (contentEncoding.includes('gzip')) {
+      decompress = zlib.gunzip;
+    } else if (contentEncoding.includes('deflate')) {
+      decompress = zlib.inflate;
+    } else if (contentEncoding.includes('br')) {
+      decompress = zlib.brotliDecompress;
+    }
+
+    if (!decompress) {
+      return Promise.reject(new Error(`unsupported encoding ${contentEncoding}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      decompress(body, (err, decompressed) => {
+        if (err) {
+          reject(new Error(`decompression failed: ${err.message}`));
+        } else {
+          resolve(decompressed);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run compute functions and URL transformation over a text response body
+   * @param {String} content - Decoded response body
+   * @param {String} contentType - Response content type
+   * @param {Object} req - Express request
+   * @returns {Object} Processed content and whether it changed
+   */
+  async transformResponseContent(content, contentType, req) {
+    let modified = false;
+    
+    // Content from the parent tier has already been transformed there
+    if (req.viaParent) {
+      return { content, modified };
+    }
+    
+    // Apply compute functions if enabled and content is processable
+    if (this.computeFunctionManager) {
+      try {
+        const requestContext = {
+          originalUrl: req.url,
+          proxyHost: req.headers.host,
+          originDomain: req.originDomain || req.headers.host,
+          pathTransformation: req.pathTransformation,
+          protocol: req.protocol || 'https',
+          domainManager: domainManager
+        };
+        
+        const computeResult = await this.computeFunctionManager.processContent(
+          content,
+          contentType,
+          requestContext
+        );
+        
+        if (computeResult.modified) {
+          content = computeResult.content;
+          modified = true;
+          
+          logger.info('Compute functions applied', {
+            url: req.url,
+            contentType,
+            totalModifications: computeResult.totalModifications,
+            functionsExecuted: computeResult.functionsExecuted,
+            processingTime: computeResult.totalProcessingTime,
+            functions: computeResult.results.map(r => ({
+              name: r.computeFunction,
+              success: r.success,
+              modified: r.modified
+            }))
+          });
+        }
+      } catch (computeError) {
+        logger.error('Compute function processing error', {
+          url: req.url,
+          error: computeError.message,
+          contentType,
+          stack: computeError.stack
+        });
+        // Continue with original content on compute error
+      }
+    }
+    
+    // Apply URL transformation if content is transformable
+    if (this.urlTransformer) {
+      try {
+        const requestContext = {
+          originalUrl: req.url,
+          proxyHost: req.headers.host,
+          originDomain: req.originDomain || req.headers.host,
+          pathTransformation: req.pathTransformation,
+          protocol: req.protocol || 'https',
+          domainManager: domainManager,
+          // Lets a tag purge drop the URL transformations made for this response
+          cacheTags: req.cacheTags
+        };
+        
+        // Log request-level transformation attempt
+        if (config.urlTransformation?.debugMode) {
+          logger.info(`🔍 [URL-TRANSFORM] Processing request: ${req.method} ${req.url}`, {
+            contentType,
+            contentSize: content.length,
+            proxyHost: req.headers.host,
+            pathTransformation: req.pathTransformation ? 'enabled' : 'disabled'
+          });
+        }
+        
+        const transformResult = await this.urlTransformer.transformContent(
+          content,
+          contentType,
+          requestContext
+        );
+        
+        if (transformResult.transformed) {
+          content = transformResult.content;
+          modified = true;
+          
+          logger.info(`✅ [URL-TRANSFORM] Applied to ${req.url}`, {
+            urlsTransformed: transformResult.urlsTransformed,
+            originalSize: transformResult.originalSize,
+            transformedSize: transformResult.transformedSize,
+            contentType
+          });
+        } else if (config.urlTransformation?.debugMode) {
+          logger.debug(`⏭️  [URL-TRANSFORM] Skipped ${req.url}`, {
+            reason: transformResult.reason || transformResult.error || 'No URLs to transform',
+            contentType,
+            contentSize: content.length
+          });
+        }
+      } catch (transformError) {
+        logger.error(`❌ [URL-TRANSFORM] Error processing ${req.url}`, {
+          error: transformError.message,
+          contentType,
+          stack: transformError.stack
+        });
+        // Continue with original content on transformation error
+      }
+    }
+    
+    return { content, modified };
+  }
+  
   /**
    * Handle proxy response data
    * @param {Object} proxyRes - Proxy response
@@ -333,9 +922,8 @@ class ProxyManager {
    * @param {Object} res - Express response
    */
   async handleProxyResponse(proxyRes, req, res) {
-    const cacheKey = cacheManager.generateKey(req);
     const statusCode = proxyRes.statusCode;
-    const shouldCache = cacheManager.shouldCache(req, res);
+    let shouldCache = cacheManager.shouldCache(req, res);
     const contentEncoding = proxyRes.headers['content-encoding'];
     const contentType = proxyRes.headers['content-type'] || '';
     let chunks = [];
@@ -371,7 +959,7 @@ class ProxyManager {
             encoding: contentEncoding
           });
           
-          // Decompress for caching (we'll recompress when serving)
+          // Decompress for caching (encoded variants are built from the identity body)
           if (contentEncoding.includes('gzip')) {
             body = zlib.gunzipSync(body);
             decompressionSuccessful = true;
@@ -415,6 +1003,9 @@ class ProxyManager {
           body = originalBody;
           decompressionSuccessful = false;
           
+          // Cache entries hold identity bodies only
+          shouldCache = false;
+          
           // For JavaScript files, this is a critical error that will break the browser
           if (contentType.includes('javascript') || contentType.includes('js') || req.url.endsWith('.js')) {
             logger.error(`Critical: JavaScript file decompression failed - this will cause browser syntax errors`, {
@@ -457,110 +1048,18 @@ class ProxyManager {
         }
       }
       
-      // Apply compute functions if enabled and content is processable
-      if (typeof responseData === 'string' && this.computeFunctionManager) {
-        try {
-          const requestContext = {
-            originalUrl: req.url,
-            proxyHost: req.headers.host,
-            originDomain: req.originDomain || req.headers.host,
-            pathTransformation: req.pathTransformation,
-            protocol: req.protocol || 'https',
-            domainManager: domainManager
-          };
-          
-          const computeResult = await this.computeFunctionManager.processContent(
-            responseData,
-            contentType,
-            requestContext
-          );
-          
-          if (computeResult.modified) {
-            responseData = computeResult.content;
-            body = Buffer.from(responseData, 'utf8');
-            
-            logger.info('Compute functions applied', {
-              url: req.url,
-              contentType,
-              totalModifications: computeResult.totalModifications,
-              functionsExecuted: computeResult.functionsExecuted,
-              processingTime: computeResult.totalProcessingTime,
-              functions: computeResult.results.map(r => ({
-                name: r.computeFunction,
-                success: r.success,
-                modified: r.modified
-              }))
-            });
-          }
-        } catch (computeError) {
-          logger.error('Compute function processing error', {
-            url: req.url,
-            error: computeError.message,
-            contentType,
-            stack: computeError.stack
-          });
-          // Continue with original content on compute error
-        }
-      }
-      
-      // Apply URL transformation if content is transformable
-      if (typeof responseData === 'string' && this.urlTransformer) {
-        try {
-          const requestContext = {
-            originalUrl: req.url,
-            proxyHost: req.headers.host,
-            originDomain: req.originDomain || req.headers.host,
-            pathTransformation: req.pathTransformation,
-            protocol: req.protocol || 'https',
-            domainManager: domainManager
-          };
-          
-          // Log request-level transformation attempt
-          if (config.urlTransformation?.debugMode) {
-            logger.info(`🔍 [URL-TRANSFORM] Processing request: ${req.method} ${req.url}`, {
-              contentType,
-              contentSize: responseData.length,
-              proxyHost: req.headers.host,
-              pathTransformation: req.pathTransformation ? 'enabled' : 'disabled'
-            });
-          }
-          
-          const transformResult = await this.urlTransformer.transformContent(
-            responseData,
-            contentType,
-            requestContext
-          );
-          
-          if (transformResult.transformed) {
-            responseData = transformResult.content;
-            body = Buffer.from(responseData, 'utf8');
-            
-            logger.info(`✅ [URL-TRANSFORM] Applied to ${req.url}`, {
-              urlsTransformed: transformResult.urlsTransformed,
-              originalSize: transformResult.originalSize,
-              transformedSize: transformResult.transformedSize,
-              contentType
-            });
-          } else if (config.urlTransformation?.debugMode) {
-            logger.debug(`⏭️  [URL-TRANSFORM] Skipped ${req.url}`, {
-              reason: transformResult.reason || transformResult.error || 'No URLs to transform',
-              contentType,
-              contentSize: responseData.length
-            });
-          }
-        } catch (transformError) {
-          logger.error(`❌ [URL-TRANSFORM] Error processing ${req.url}`, {
-            error: transformError.message,
-            contentType,
-            stack: transformError.stack
-          });
-          // Continue with original content on transformation error
+      // Apply compute functions and URL transformation to text content
+      if (typeof responseData === 'string') {
+        const processed = await this.transformResponseContent(responseData, contentType, req);
+        if (processed.modified) {
+          responseData = processed.content;
+          body = Buffer.from(responseData, 'utf8');
         }
       }
       
       // Cache the response if needed
       if (shouldCache) {
-        const ttl = cacheManager.getTtl(res);
+        const ttl = cacheManager.getTtl(res, req);
         const cacheData = {
           status: statusCode,
           headers: res.getHeaders(),
@@ -569,15 +1068,18 @@ class ProxyManager {
           pathTransformation: req.pathTransformation // Include path transformation info in cache
         };
         
-        cacheManager.set(cacheKey, cacheData, ttl);
+        cacheManager.store(req, cacheData, ttl);
       }
       
       // Send the response only if not already handled
       if (!responseHandled && !res.headersSent) {
         responseHandled = true; // Mark response as handled
         
-        // Always set proper Content-Length header based on actual body size
-        res.setHeader('Content-Length', body.length);
+        // Always set proper Content-Length header based on actual body size;
+        // a HEAD has no body and keeps the origin's length, if it was passed on
+        if (req.method !== 'HEAD') {
+          res.setHeader('Content-Length', body.length);
+        }
         
         logger.debug('Setting final response headers and body', {
           url: req.url,
@@ -601,14 +1103,311 @@ class ProxyManager {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    * @param {String} cacheKey - Cache key
-   * @returns {Boolean} Whether the request was served from cache
+   * @returns {Promise<Boolean>} Whether the request was served from cache
    */
-  handleCachedRequest(req, res, cacheKey) {
+  async handleCachedRequest(req, res, cacheKey) {
     if (!config.cache.enabled) return false;
     
-    const cached = cacheManager.get(cacheKey);
+    const cached = await cacheManager.lookup(cacheKey, { allowStale: true });
     if (!cached) return false;
     
+    if (!cacheManager.isFresh(cached)) {
+      // Serve the stale copy right away and refresh it off the request path
+      if (cacheManager.canServeStale(cached, 'revalidate')) {
+        this.staleStats.whileRevalidate++;
+        this.serveCachedEntry(req, res, cached, 'STALE');
+        this.refreshInBackground(req, cacheKey, cached);
+        return true;
+      }
+      
+      // Keep the stale copy as a fallback if the origin fails
+      req.staleCacheEntry = { key: cacheKey, entry: cached };
+      
+      // Let the proxy revalidate the stale copy with a conditional request
+      if (conditionalHandler.canRevalidate(req, cached)) {
+        req.cacheRevalidation = { key: cacheKey, entry: cached };
+      }
+      return false;
+    }
+    
+    this.serveCachedEntry(req, res, cached, 'HIT');
+    return true;
+  }
+  
+  /**
+   * Send a failed origin request again after a backoff delay
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} failure - { error } for connection errors or { statusCode }
+   * @returns {Boolean} True if a retry was scheduled
+   */
+  retryRequest(req, res, failure) {
+    const delay = retryPolicy.nextRetryDelay(req, failure);
+    if (delay < 0) {
+      return false;
+    }
+    
+    const reason = failure.error ? failure.error.code : String(failure.statusCode);
+    req.retryCount = (req.retryCount || 0) + 1;
+    retryPolicy.recordRetry(reason);
+    
+    logger.warn(`Retrying origin request (${reason}), attempt ${req.retryCount + 1} in ${delay}ms`, {
+      url: req.originalUrl || req.url,
+      method: req.method,
+      host: req.headers.host,
+      origin: req.selectedOrigin ? req.selectedOrigin.host : undefined
+    });
+    
+    setTimeout(() => {
+      // Client went away during the backoff
+      if (res.writableEnded || req.socket.destroyed) {
+        return;
+      }
+      this.resendRequest(req, res);
+    }, delay);
+    
+    return true;
+  }
+  
+  /**
+   * Send a request through the proxy again after a failed attempt
+   * @param {Object} req - Express request without a body
+   * @param {Object} res - Express response
+   */
+  resendRequest(req, res) {
+    // Let a pool pick a (likely different) origin for the next attempt
+    req.selectedOrigin = null;
+    this.proxy(req, res, (err) => {
+      if (err) {
+        logger.error(`Resending request failed: ${err.message}`);
+        if (!res.headersSent) {
+          res.status(502).send('Bad Gateway');
+        }
+      }
+    });
+  }
+  
+  /**
+   * Serve the stale cached copy of a request when the origin failed
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Boolean} True if a stale response was sent
+   */
+  serveStaleOnError(req, res) {
+    if (!req.staleCacheEntry || res.headersSent) {
+      return false;
+    }
+    
+    const { entry } = req.staleCacheEntry;
+    if (!cacheManager.canServeStale(entry, 'error')) {
+      return false;
+    }
+    
+    this.staleStats.ifError++;
+    logger.warn(`Origin failed, serving stale cached copy: ${req.method} ${req.headers.host}${req.url}`);
+    this.serveCachedEntry(req, res, entry, 'STALE');
+    return true;
+  }
+  
+  /**
+   * Count an origin response towards the passive health of a pool origin
+   * @param {Object} origin - Selected pool origin
+   * @param {Number} statusCode - Origin response status
+   */
+  reportOriginStatus(origin, statusCode) {
+    if (config.originPools.failureStatusCodes.includes(statusCode)) {
+      originPoolManager.reportFailure(origin, `status ${statusCode}`);
+    } else {
+      originPoolManager.reportSuccess(origin);
+    }
+  }
+  
+  /**
+   * Refresh an expired cache entry with a direct origin request while the
+   * stale copy is being served
+   * @param {Object} req - Express request that found the stale entry
+   * @param {String} cacheKey - Cache key
+   * @param {Object} entry - Stale cached response
+   */
+  refreshInBackground(req, cacheKey, entry) {
+    // One refresh per key at a time
+    if (this.backgroundRefreshes.has(cacheKey)) {
+      return;
+    }
+    this.backgroundRefreshes.add(cacheKey);
+    this.staleStats.backgroundRefreshes++;
+    
+    // A HEAD was served from the GET entry, so refresh that entry with a GET
+    if (req.method === 'HEAD') {
+      req = Object.assign(Object.create(req), { method: 'GET' });
+    }
+    
+    const done = (error) => {
+      this.backgroundRefreshes.delete(cacheKey);
+      if (error) {
+        this.staleStats.backgroundRefreshFailures++;
+        logger.warn(`Background refresh failed for ${cacheKey}: ${error}`);
+      }
+    };
+    
+    try {
+      const targetUrl = new URL(this.rewritePathForRequest(req.url, req), this.getTargetForRequest(req));
+      const isHttps = targetUrl.protocol === 'https:';
+      const requestModule = isHttps ? https : http;
+      
+      const headers = hopByHopHeaders.strip(req.headers);
+      ['range', 'if-range', 'if-none-match', 'if-modified-since'].forEach(h => delete headers[h]);
+      headers.host = req.viaParent ? req.headers.host : targetUrl.host;
+      headers['x-forwarded-host'] = req.headers.host;
+      headers['x-proxy-name'] = config.cdn.cdnName;
+      headers.via = req.headers.via ? `${req.headers.via}, 1.1 ${config.cdn.cdnName}` : `1.1 ${config.cdn.cdnName}`;
+      if (conditionalHandler.canRevalidate(req, entry)) {
+        if (entry.headers.etag) headers['if-none-match'] = entry.headers.etag;
+        if (entry.headers['last-modified']) headers['if-modified-since'] = entry.headers['last-modified'];
+      }
+      
+      // The pool origin getTargetForRequest picked, if any
+      const origin = req.selectedOrigin;
+      
+      req.originRequestTime = Date.now();
+      const originReq = requestModule.request({
+        hostname: targetUrl.hostname,
+        // The origin agent has no default port of its own
+        port: targetUrl.port || (isHttps ? 443 : 80),
+        path: targetUrl.pathname + targetUrl.search,
+        method: req.method,
+        agent: this.originAgent,
+        timeout: config.performance.timeout,
+        headers
+      }, (originRes) => {
+        req.originResponseTime = Date.now();
+        if (origin) {
+          this.reportOriginStatus(origin, originRes.statusCode);
+        }
+        
+        if (originRes.statusCode === 304) {
+          originRes.resume();
+          conditionalHandler.recordRevalidation(true);
+          cacheManager.refresh(cacheKey, entry, originRes.headers, req);
+          done();
+          return;
+        }
+        
+        const detachedRes = createDetachedResponse();
+        this.setupResponseHeaders(originRes, req, detachedRes);
+        if (!cacheManager.shouldCache(req, detachedRes)) {
+          originRes.resume();
+          done(`origin answered ${originRes.statusCode}`);
+          return;
+        }
+        
+        const chunks = [];
+        let size = 0;
+        originRes.on('data', (chunk) => {
+          size += chunk.length;
+          if (size <= config.streaming.maxCacheSize) {
+            chunks.push(chunk);
+          }
+        });
+        originRes.on('error', err => done(err.message));
+        originRes.on('end', () => {
+          if (size > config.streaming.maxCacheSize) {
+            done('response exceeds cache size limit');
+            return;
+          }
+          this.storeRefreshedResponse(req, cacheKey, originRes, detachedRes, Buffer.concat(chunks))
+            .then(() => done())
+            .catch(err => done(err.message));
+        });
+      });
+      
+      // Refreshes count towards the load of a pool origin like proxied requests
+      if (origin) {
+        originPoolManager.acquire(origin);
+        originReq.once('close', () => originPoolManager.release(origin));
+      }
+      
+      originReq.on('timeout', () => originReq.destroy(new Error('timeout')));
+      originReq.on('error', (err) => {
+        if (origin) {
+          originPoolManager.reportFailure(origin, err.code || err.message);
+        }
+        done(err.message);
+      });
+      originReq.end();
+    } catch (err) {
+      done(err.message);
+    }
+  }
+  
+  /**
+   * Process and cache a response fetched by a background refresh, the same
+   * way a proxied response would have been
+   * @param {Object} req - Express request that found the stale entry
+   * @param {String} cacheKey - Cache key
+   * @param {Object} originRes - Origin response
+   * @param {Object} detachedRes - Response headers as they'd be sent to a client
+   * @param {Buffer} body - Origin body
+   */
+  async storeRefreshedResponse(req, cacheKey, originRes, detachedRes, body) {
+    const contentEncoding = originRes.headers['content-encoding'];
+    const contentType = originRes.headers['content-type'] || '';
+    
+    if (contentEncoding) {
+      body = await this.decompressBody(body, contentEncoding);
+    }
+    
+    let responseData = body;
+    if (contentType.includes('json') ||
+        contentType.includes('text') ||
+        contentType.includes('xml') ||
+        contentType.includes('html')) {
+      responseData = body.toString('utf8');
+      if (this.needsBodyProcessing(contentType)) {
+        responseData = (await this.transformResponseContent(responseData, contentType, req)).content;
+      }
+    }
+    
+    const headers = { ...detachedRes.getHeaders() };
+    delete headers['content-encoding'];
+    delete headers['content-length'];
+    
+    cacheManager.store(req, {
+      status: originRes.statusCode,
+      headers,
+      body: responseData,
+      originalEncoding: contentEncoding,
+      pathTransformation: req.pathTransformation
+    }, cacheManager.getTtl(detachedRes, req));
+    
+    logger.debug(`Background refresh stored ${cacheKey}`);
+  }
+  
+  /**
+   * Serve a cached entry once the origin confirmed it with a 304
+   * @param {Object} proxyRes - Origin 304 response
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  handleRevalidatedResponse(proxyRes, req, res) {
+    // A 304 has no body, but drain it so the socket can be reused
+    proxyRes.resume();
+    
+    const { key, entry } = req.cacheRevalidation;
+    const refreshed = cacheManager.refresh(key, entry, proxyRes.headers, req) || entry;
+    
+    logger.debug(`Revalidated cached entry: ${req.method} ${req.headers.host}${req.url}`);
+    this.serveCachedEntry(req, res, refreshed, 'REVALIDATED');
+  }
+  
+  /**
+   * Write a cached entry to the client
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} cached - Cached response
+   * @param {String} cacheStatus - Value for the X-Cache header
+   */
+  serveCachedEntry(req, res, cached, cacheStatus) {
     // Set status code
     res.status(cached.status);
     
@@ -620,7 +1419,15 @@ class ProxyManager {
     });
     
     // Update cache headers
-    res.setHeader('X-Cache', 'HIT');
+    res.setHeader('X-Cache', cacheStatus);
+    res.setHeader('Age', cacheManager.getAge(cached));
+    
+    // Caches downstream must key encoded variants on Accept-Encoding
+    if (encodingNegotiator.isEncodable(cached)) {
+      encodingNegotiator.addVary(res);
+    }
+    
+    this.setTierTags(req, res, cached.tags);
     
     // Add path transformation headers if available
     if (cached.pathTransformation) {
@@ -628,35 +1435,53 @@ class ProxyManager {
       res.setHeader('X-Cache-Backend', cached.pathTransformation.target);
     }
     
-    // If original response was compressed, we need to re-compress
-    let responseBody = cached.body;
-    if (cached.originalEncoding && typeof cached.body !== 'string') {
-      try {
-        if (cached.originalEncoding.includes('gzip')) {
-          responseBody = zlib.gzipSync(responseBody);
-          res.setHeader('content-encoding', 'gzip');
-        } else if (cached.originalEncoding.includes('deflate')) {
-          responseBody = zlib.deflateSync(responseBody);
-          res.setHeader('content-encoding', 'deflate');
-        } else if (cached.originalEncoding.includes('br')) {
-          responseBody = zlib.brotliCompressSync(responseBody);
-          res.setHeader('content-encoding', 'br');
-        }
-      } catch (err) {
-        logger.error(`Compression error: ${err.message}`);
-        // If compression fails, we'll serve uncompressed
-        res.removeHeader('content-encoding');
+    // The client already holds this representation
+    if (cached.status === 200 && conditionalHandler.isNotModified(req, cached.headers)) {
+      conditionalHandler.serveNotModified(req, res);
+      return;
+    }
+    
+    // Serve byte ranges straight from the cached body
+    if (cached.status === 200 && rangeHandler.enabled) {
+      res.setHeader('Accept-Ranges', 'bytes');
+      if (rangeHandler.isRangeRequest(req) && rangeHandler.serveRange(req, res, cached)) {
+        return;
       }
     }
     
-    // Send the response
-    if (req.method !== 'HEAD') {
-      res.end(responseBody);
-    } else {
-      res.end();
+    // Answer with a stored br/gzip variant when the client accepts one
+    encodingNegotiator.send(req, res, cached);
+  }
+  
+  /**
+   * Check whether a request is one file resolution is tried for
+   * @param {Object} req - Express request
+   * @returns {Object} { attempt, reason, originalPath, transformedPath }, with
+   *   reason set when it isn't tried
+   */
+  checkFileResolution(req) {
+    const originalPath = req.url.split('?')[0]; // Remove query parameters
+    
+    // Get the transformed path from path rewriter
+    const transformedPath = req.pathTransformation ?
+      req.pathTransformation.transformedPath : originalPath;
+    const check = reason => ({ attempt: !reason, reason, originalPath, transformedPath });
+    
+    if (!config.fileResolution.enabled) {
+      return check('disabled');
     }
     
-    return true;
+    // Only attempt file resolution for GET and HEAD requests
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return check('method');
+    }
+    
+    // Skip if path already has an extension
+    if (originalPath.includes('.') && !originalPath.endsWith('/')) {
+      return check('extension');
+    }
+    
+    return check(null);
   }
   
   /**
@@ -667,34 +1492,19 @@ class ProxyManager {
    */
   async handleFileResolution(req, res) {
     try {
-      // Check if file resolution is enabled
-      if (!config.fileResolution.enabled) {
-        return false;
-      }
-      
-      // Only attempt file resolution for GET and HEAD requests
-      if (req.method !== 'GET' && req.method !== 'HEAD') {
+      const { attempt, originalPath, transformedPath } = this.checkFileResolution(req);
+      if (!attempt) {
         return false;
       }
       
       const domain = req.headers.host;
-      const originalPath = req.url.split('?')[0]; // Remove query parameters
       
-      // Skip if path already has an extension
-      if (originalPath.includes('.') && !originalPath.endsWith('/')) {
-        return false;
-      }
-      
-      // Get the transformed path from path rewriter
-      const transformedPath = req.pathTransformation ? 
-        req.pathTransformation.transformedPath : originalPath;
-      
-      // Get target domain
-      const targetDomain = this.getTargetForRequest(req).replace(/^https?:\/\//, '');
+      // Get target, with the protocol of the parent or pool origin it may be
+      const target = this.getTargetForRequest(req);
+      const targetDomain = target.replace(/^https?:\/\//, '');
       
       // Create base URL for file resolution
-      const protocol = config.cdn.targetHttps ? 'https' : 'http';
-      const baseUrl = `${protocol}://${targetDomain}${transformedPath}`;
+      const baseUrl = `${target}${transformedPath}`;
       
       logger.debug('Attempting file resolution', {
         domain,
@@ -978,7 +1788,7 @@ class ProxyManager {
     const cacheKey = cacheManager.generateKey(req);
     
     // Check cache first
-    if (this.handleCachedRequest(req, res, cacheKey)) {
+    if (await this.handleCachedRequest(req, res, cacheKey)) {
       const pathInfo = req.pathTransformation ? 
         ` (${req.pathTransformation.originalPath} → ${req.pathTransformation.transformedPath})` : '';
       logger.debug(`Served from cache: ${req.method} ${req.headers.host}${req.url}${pathInfo}`);
@@ -1004,10 +1814,59 @@ class ProxyManager {
       // Continue with normal proxy flow on file resolution error
     }
     
+    // Never forward a request that has already passed through this node
+    if (shieldManager.detectLoop(req)) {
+      res.status(508).send('Loop Detected');
+      return;
+    }
+    
+    // Collapse concurrent misses for the same key into one origin request
+    if (requestCoalescer.isCoalescable(req)) {
+      const waiting = requestCoalescer.join(cacheKey);
+      
+      if (!waiting) {
+        this.releaseWhenCached(req, res, cacheKey);
+      } else {
+        const leaderFinished = await waiting;
+        
+        // Client gave up while waiting
+        if (res.writableEnded || req.socket?.destroyed) {
+          return;
+        }
+        
+        res.setHeader('X-Cache-Coalesced', 'true');
+        // Set before serving - the metrics middleware records on res.end()
+        req.coalesced = 'served';
+        // Look up again: the leader's response decides which variant this request selects
+        const served = leaderFinished && await this.handleCachedRequest(req, res, cacheManager.generateKey(req));
+        requestCoalescer.recordOutcome(served);
+        if (served) {
+          logger.debug(`Served coalesced request from cache: ${req.method} ${req.headers.host}${req.url}`);
+          return;
+        }
+        req.coalesced = 'fallthrough';
+      }
+    }
+    
     // Not in cache and not resolved via file resolution, proxy the request
     this.proxy(req, res, next);
   }
   
+  /**
+   * Release requests coalesced behind this one once its response is done
+   * and any cache write for it has completed
+   * @param {Object} req - Express request leading the origin fetch
+   * @param {Object} res - Express response
+   * @param {String} cacheKey - Cache key
+   */
+  releaseWhenCached(req, res, cacheKey) {
+    res.once('close', () => {
+      Promise.resolve(req.pendingCacheWrite)
+        .catch(() => {})
+        .then(() => requestCoalescer.release(cacheKey));
+    });
+  }
+  
   /**
    * Get proxy statistics including path rewriting info
    * @returns {Object} Statistics
@@ -1015,7 +1874,18 @@ class ProxyManager {
   getStats() {
     const stats = {
       pathRewritingEnabled: this.pathRewritingEnabled,
-      targetUrl: this.targetUrl
+      targetUrl: this.targetUrl,
+      rangeRequests: rangeHandler.getStats(),
+      conditionalRequests: conditionalHandler.getStats(),
+      coalescing: requestCoalescer.getStats(),
+      encodings: encodingNegotiator.getStats(),
+      originPools: originPoolManager.getStats(),
+      retries: retryPolicy.getStats(),
+      shield: shieldManager.getStats(),
+      staleServing: {
+        ...this.staleStats,
+        refreshesInFlight: this.backgroundRefreshes.size
+      }
     };
     
     if (this.pathRewritingEnabled) {
@@ -1069,6 +1939,11 @@ class ProxyManager {
     if (this.httpsAgent) {
       this.httpsAgent.destroy();
     }
+    if (this.httpAgent) {
+      this.httpAgent.destroy();
+    }
+    
+    originPoolManager.shutdown();
     
     // Shutdown URL transformer
     if (this.urlTransformer) {
@@ -0,0 +1,150 @@
+// retry-policy.js
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('retry-policy');
+
+/**
+ * Retry Policy
+ * Decides when a failed origin request may be sent again:
+ * - Only idempotent methods without a request body
+ * - Only for retryable connection errors and status codes
+ * - Exponential backoff with full jitter between attempts
+ * - Per-domain overrides of the global policy
+ */
+class RetryPolicy {
+  constructor() {
+    this.enabled = config.originRetry.enabled;
+    this.defaults = {
+      attempts: config.originRetry.attempts,
+      perTryTimeout: config.originRetry.perTryTimeout,
+      backoffBase: config.originRetry.backoffBase,
+      backoffMax: config.originRetry.backoffMax,
+      methods: config.originRetry.methods,
+      retryableStatusCodes: config.originRetry.retryableStatusCodes,
+      retryableErrors: config.originRetry.retryableErrors
+    };
+    this.domainPolicies = config.originRetry.domains;
+
+    this.stats = {
+      retries: 0,
+      byReason: {},
+      recovered: 0,
+      exhausted: 0
+    };
+  }
+
+  /**
+   * Get the effective policy for a request domain
+   * @param {String} host - Request host header
+   * @returns {Object} Retry policy
+   */
+  getPolicy(host) {
+    const domain = (host || '').split(':')[0];
+    const override = this.domainPolicies[host] || this.domainPolicies[domain];
+    return override ? { ...this.defaults, ...override } : this.defaults;
+  }
+
+  /**
+   * Check whether a request could be retried at all
+   * @param {Object} req - Express request
+   * @returns {Boolean} True if the request is idempotent and has no body
+   */
+  isRetryable(req) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const policy = this.getPolicy(req.headers.host);
+    if (policy.attempts <= 0 || !policy.methods.includes(req.method)) {
+      return false;
+    }
+
+    // The request body has already been streamed to the first origin
+    const contentLength = req.headers['content-length'];
+    return !req.headers['transfer-encoding'] && (!contentLength || contentLength === '0');
+  }
+
+  /**
+   * Decide whether a failed attempt should be retried
+   * @param {Object} req - Express request
+   * @param {Object} failure - { error } for connection errors or { statusCode }
+   * @returns {Number} Backoff delay in ms, or -1 if the request must not be retried
+   */
+  nextRetryDelay(req, failure) {
+    if (!this.isRetryable(req)) {
+      return -1;
+    }
+
+    const policy = this.getPolicy(req.headers.host);
+    const retryable = failure.error
+      ? policy.retryableErrors.includes(failure.error.code)
+      : policy.retryableStatusCodes.includes(failure.statusCode);
+    if (!retryable) {
+      return -1;
+    }
+
+    const retryCount = req.retryCount || 0;
+    if (retryCount >= policy.attempts) {
+      this.stats.exhausted++;
+      logger.debug(`Retries exhausted for ${req.method} ${req.headers.host}${req.originalUrl || req.url}`, {
+        attempts: retryCount + 1
+      });
+      return -1;
+    }
+
+    return this.getBackoff(retryCount, policy);
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {Number} retryCount - Retries already made
+   * @param {Object} policy - Retry policy
+   * @returns {Number} Delay in ms
+   */
+  getBackoff(retryCount, policy) {
+    const ceiling = Math.min(policy.backoffMax, policy.backoffBase * Math.pow(2, retryCount));
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * Get the per-attempt origin timeout for a request
+   * @param {Object} req - Express request
+   * @returns {Number|null} Timeout in ms, or null to use the proxy default
+   */
+  getPerTryTimeout(req) {
+    return this.isRetryable(req) ? this.getPolicy(req.headers.host).perTryTimeout : null;
+  }
+
+  /**
+   * Record a retry being scheduled
+   * @param {String} reason - Error code or status code that triggered it
+   */
+  recordRetry(reason) {
+    this.stats.retries++;
+    this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+  }
+
+  /**
+   * Record the final outcome of a request that was retried
+   * @param {Boolean} succeeded - True if a later attempt got a usable response
+   */
+  recordOutcome(succeeded) {
+    if (succeeded) {
+      this.stats.recovered++;
+    }
+  }
+
+  /**
+   * Get retry statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      policy: this.defaults,
+      domainOverrides: Object.keys(this.domainPolicies),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new RetryPolicy();
@@ -0,0 +1,149 @@
+// shield-manager.js
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('shield-manager');
+const originPoolManager = require('./origin-pool');
+
+/**
+ * Shield Manager
+ * Routes cache misses through a parent advanced-cdn instance (origin shield):
+ * - The parent is a host, URL or origin pool name
+ * - Requests keep their original host and path so the parent routes them
+ *   with the same rules as the edge
+ * - Loops are detected from this node's own entry in the Via header
+ * - Misses go straight to the origin when the parent is unreachable
+ */
+class ShieldManager {
+  constructor() {
+    this.enabled = config.shield.enabled && Boolean(config.shield.parent);
+    this.parent = this.enabled ? this.parseParent(config.shield.parent) : null;
+    this.domains = config.shield.domains;
+
+    this.stats = {
+      forwarded: 0,
+      bypassed: 0,
+      loopsDetected: 0
+    };
+
+    if (config.shield.enabled && !config.shield.parent) {
+      logger.warn('Origin shield enabled without SHIELD_PARENT, misses will go to the origin');
+    }
+    if (this.enabled) {
+      logger.info(`Origin shield enabled, misses are routed through ${this.parent.pool || this.parent.url}`);
+    }
+  }
+
+  /**
+   * Parse the parent definition
+   * @param {String} parent - "host[:port]", "http(s)://host[:port]" or a pool name
+   * @returns {Object} Parent { pool } or { host, protocol, url }
+   */
+  parseParent(parent) {
+    if (originPoolManager.hasPool(parent)) {
+      return { pool: parent };
+    }
+
+    const protocolMatch = /^(https?):\/\//.exec(parent);
+    const protocol = protocolMatch ? protocolMatch[1] : (config.shield.parentHttps ? 'https' : 'http');
+    const host = parent.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+    return { host, protocol, url: `${protocol}://${host}` };
+  }
+
+  /**
+   * Check whether a request should be routed through the parent
+   * @param {Object} req - Express request
+   * @returns {Boolean} True if the parent should serve the miss
+   */
+  appliesTo(req) {
+    if (!this.enabled || req.bypassShield) {
+      return false;
+    }
+
+    if (this.domains.length === 0) {
+      return true;
+    }
+    const domain = (req.headers.host || '').split(':')[0];
+    return this.domains.includes(domain);
+  }
+
+  /**
+   * Get the parent URL for a request
+   * @param {Object} req - Express request
+   * @returns {String} Parent URL
+   */
+  getParentUrl(req) {
+    if (this.parent.pool) {
+      req.selectedOrigin = originPoolManager.select(this.parent.pool, req);
+      return req.selectedOrigin.url;
+    }
+    return this.parent.url;
+  }
+
+  /**
+   * Check whether a request has already passed through this node
+   * @param {Object} req - Express request
+   * @returns {Boolean} True if this node's pseudonym is in the Via header
+   */
+  detectLoop(req) {
+    if (!config.shield.loopDetection || !req.headers.via) {
+      return false;
+    }
+
+    // Via: 1.1 edge-1, 1.1 shield (comment)
+    const looped = req.headers.via.split(',').some(entry => {
+      const pseudonym = entry.trim().split(/\s+/)[1];
+      return pseudonym === config.cdn.cdnName;
+    });
+
+    if (looped) {
+      this.stats.loopsDetected++;
+      logger.error(`Request loop detected: ${req.method} ${req.headers.host}${req.originalUrl || req.url}`, {
+        via: req.headers.via
+      });
+    }
+    return looped;
+  }
+
+  /**
+   * Check whether a request that failed at the parent may go to the origin instead
+   * @param {Object} req - Express request
+   * @returns {Boolean} True if the request can be resent without its body
+   */
+  canBypass(req) {
+    if (!config.shield.bypassOnError || !req.viaParent || req.bypassShield) {
+      return false;
+    }
+
+    // The request body has already been streamed to the parent
+    const contentLength = req.headers['content-length'];
+    return !req.headers['transfer-encoding'] && (!contentLength || contentLength === '0');
+  }
+
+  /**
+   * Record a request sent to the parent
+   */
+  recordForward() {
+    this.stats.forwarded++;
+  }
+
+  /**
+   * Record a request sent to the origin because the parent failed
+   */
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  /**
+   * Get shield statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      parent: this.parent ? (this.parent.pool || this.parent.url) : null,
+      domains: this.domains,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ShieldManager();
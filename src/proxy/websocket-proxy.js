@@ -0,0 +1,265 @@
+// websocket-proxy.js
+const http = require('http');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const config = require('../config');
+const logger = require('../logger').getModuleLogger('websocket-proxy');
+const domainManager = require('../domain/domain-manager');
+const trafficSplit = require('../domain/traffic-split');
+const proxyManager = require('./proxy-manager');
+const originPoolManager = require('./origin-pool');
+const shieldManager = require('./shield-manager');
+const metricsManager = require('../monitoring/metrics-manager');
+
+/**
+ * WebSocket Proxy
+ * Handles HTTP upgrade requests, which never reach the Express middleware:
+ * - Same domain checks, path rewriting and target selection as HTTP requests
+ * - Per-domain enablement
+ * - Idle timeout on proxied connections
+ * - Open connection counts per domain
+ */
+class WebSocketProxy {
+  constructor() {
+    this.enabled = config.websocket.enabled;
+    this.domains = config.websocket.domains;
+    this.idleTimeout = config.websocket.idleTimeout;
+
+    // Client sockets of open connections -> domain
+    this.connections = new Map();
+
+    this.stats = {
+      upgrades: 0,
+      opened: 0,
+      rejected: 0,
+      refused: 0,
+      failed: 0,
+      idleTimeouts: 0
+    };
+
+    this.proxy = this.createProxyMiddleware();
+  }
+
+  /**
+   * Create the proxy used for upgrades. Upgrades are fed to it explicitly
+   * instead of letting it subscribe to the server itself
+   * @returns {Function} Proxy middleware with an upgrade() handler
+   */
+  createProxyMiddleware() {
+    return createProxyMiddleware({
+      target: proxyManager.targetUrl,
+      changeOrigin: true,
+      xfwd: true,
+      logLevel: 'silent',
+
+      router: (req) => proxyManager.getTargetForRequest(req),
+
+      pathRewrite: (path, req) => proxyManager.rewritePathForRequest(path, req),
+
+      onProxyReqWs: (proxyReq, req, socket) => {
+        proxyReq.setHeader('X-Forwarded-Host', req.headers.host);
+        proxyReq.setHeader('X-Proxy-Name', config.cdn.cdnName);
+        proxyReq.setHeader('Via', req.headers.via
+          ? `${req.headers.via}, 1.1 ${config.cdn.cdnName}`
+          : `1.1 ${config.cdn.cdnName}`);
+
+        // The parent routes on the client's host, not its own
+        if (req.viaParent) {
+          proxyReq.setHeader('Host', req.headers.host);
+        }
+
+        // Track tunnels per pool origin for least-connections
+        if (req.selectedOrigin) {
+          const origin = req.selectedOrigin;
+          originPoolManager.acquire(origin);
+          socket.once('close', () => originPoolManager.release(origin));
+        }
+
+        proxyReq.once('upgrade', () => {
+          req.websocketOpened = true;
+          this.stats.opened++;
+          this.applyIdleTimeout(req, socket);
+          metricsManager.recordWebSocketUpgrade(req.websocketDomain, 'opened');
+          logger.debug(`WebSocket opened: ${req.headers.host}${req.url}`);
+        });
+
+        // The origin answered with a plain response instead of switching protocols
+        proxyReq.once('response', (proxyRes) => {
+          this.stats.refused++;
+          metricsManager.recordWebSocketUpgrade(req.websocketDomain, 'refused');
+          logger.debug(`Origin refused WebSocket upgrade with ${proxyRes.statusCode}: ${req.headers.host}${req.url}`);
+        });
+      },
+
+      onError: (err, req, socket) => {
+        if (req.selectedOrigin) {
+          originPoolManager.reportFailure(req.selectedOrigin, err.code || err.message);
+        }
+
+        // Errors after the upgrade just end the tunnel
+        if (req.websocketOpened) {
+          logger.debug(`WebSocket closed with error: ${err.message}`, { host: req.headers.host });
+          socket.destroy();
+          return;
+        }
+
+        logger.error(`WebSocket proxy error: ${err.message}`, {
+          url: req.url,
+          host: req.headers.host,
+          error: err.message
+        });
+        this.stats.failed++;
+        metricsManager.recordWebSocketUpgrade(req.websocketDomain, 'failed');
+        this.reject(socket, 502);
+      }
+    });
+  }
+
+  /**
+   * Check whether WebSockets are enabled for a domain
+   * @param {String} domain - Request domain without port
+   * @returns {Boolean} True if upgrades are allowed
+   */
+  isEnabledFor(domain) {
+    return this.enabled && (this.domains.length === 0 || this.domains.includes(domain));
+  }
+
+  /**
+   * Handle an HTTP upgrade request from the server's 'upgrade' event
+   * @param {Object} req - Incoming request
+   * @param {Object} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  handleUpgrade(req, socket, head) {
+    const host = req.headers.host || '';
+    const domain = host.split(':')[0];
+    req.websocketDomain = domain;
+    this.stats.upgrades++;
+
+    if (!domainManager.isAllowedHost(host)) {
+      logger.warn(`Blocked WebSocket upgrade to unauthorized domain: ${host}`);
+      return this.rejectUpgrade(req, socket, 404);
+    }
+
+    if (!this.isEnabledFor(domain)) {
+      logger.debug(`WebSocket upgrade not enabled for ${domain}`);
+      return this.rejectUpgrade(req, socket, 403);
+    }
+
+    if (shieldManager.detectLoop(req)) {
+      return this.rejectUpgrade(req, socket, 508);
+    }
+
+    // The domain middleware doesn't run for upgrades, so route here
+    req.originDomain = domainManager.useDynamicHostname ? host : domainManager.originDomain;
+    if (config.pathRewriting.enabled) {
+      req.pathTransformation = domainManager.getPathTransformation(host, req.url, req.method, req);
+      // No response to set a cookie on; the cookie goes to the origin only
+      req.splitVariant = trafficSplit.assign(req);
+    }
+
+    this.trackConnection(req, socket);
+    // Routing and path rewriting run in the middleware's async handler, whose
+    // errors would otherwise leave the client waiting
+    this.proxy.upgrade(req, socket, head).catch((err) => {
+      logger.error(`WebSocket routing error: ${err.message}`, {
+        url: req.url,
+        host: req.headers.host,
+        error: err.message
+      });
+      this.stats.failed++;
+      metricsManager.recordWebSocketUpgrade(req.websocketDomain, 'failed');
+      this.reject(socket, 502);
+    });
+  }
+
+  /**
+   * Count a connection until its socket closes
+   * @param {Object} req - Incoming request
+   * @param {Object} socket - Client socket
+   */
+  trackConnection(req, socket) {
+    const domain = req.websocketDomain;
+    this.connections.set(socket, domain);
+    metricsManager.recordWebSocketActive(domain, 1);
+
+    socket.once('close', () => {
+      this.connections.delete(socket);
+      metricsManager.recordWebSocketActive(domain, -1);
+    });
+  }
+
+  /**
+   * Close an open connection once it has carried no traffic for the idle timeout.
+   * Applied after the upgrade, since http-proxy clears the socket timeout
+   * @param {Object} req - Incoming request
+   * @param {Object} socket - Client socket
+   */
+  applyIdleTimeout(req, socket) {
+    if (this.idleTimeout <= 0) {
+      return;
+    }
+
+    // Reads and writes both reset the timer, so traffic either way keeps it open
+    socket.setTimeout(this.idleTimeout);
+    socket.once('timeout', () => {
+      this.stats.idleTimeouts++;
+      logger.debug(`Closing idle WebSocket for ${req.headers.host}${req.url}`);
+      socket.destroy();
+    });
+  }
+
+  /**
+   * Refuse an upgrade request before it is proxied
+   * @param {Object} req - Incoming request
+   * @param {Object} socket - Client socket
+   * @param {Number} statusCode - Response status
+   */
+  rejectUpgrade(req, socket, statusCode) {
+    this.stats.rejected++;
+    metricsManager.recordWebSocketUpgrade(req.websocketDomain, 'rejected');
+    this.reject(socket, statusCode);
+  }
+
+  /**
+   * Answer an upgrade request with a plain HTTP error and close the socket
+   * @param {Object} socket - Client socket
+   * @param {Number} statusCode - Response status
+   */
+  reject(socket, statusCode) {
+    if (socket.writable) {
+      socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    } else {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Get WebSocket statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const active = {};
+    this.connections.forEach(domain => {
+      active[domain] = (active[domain] || 0) + 1;
+    });
+
+    return {
+      enabled: this.enabled,
+      domains: this.domains,
+      idleTimeout: this.idleTimeout,
+      active: this.connections.size,
+      activeByDomain: active,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Close all proxied connections
+   */
+  shutdown() {
+    this.connections.forEach((domain, socket) => socket.destroy());
+    this.connections.clear();
+  }
+}
+
+module.exports = new WebSocketProxy();
@@ -40,6 +40,11 @@ class URLTransformer {
     this.patternCache = new Map();
     this.maxCacheSize = config.maxCacheSize || 10000;
     
+    // Cache tags of the responses each cached transformation came from, so a
+    // tag purge also drops the transformations made for those responses
+    this.tagIndex = new Map();
+    this.entryTags = new Map();
+    
     // URL patterns for different content types
     this.urlPatterns = this.initializeURLPatterns();
     
@@ -511,6 +516,7 @@ class URLTransformer {
     const cacheKey = `${url}:${requestContext.proxyHost}:${requestContext.protocol || 'https'}:${requestContext.pathTransformation?.target || ''}`;
     if (this.transformationCache.has(cacheKey)) {
       this.stats.cacheHits++;
+      this.tagEntry(cacheKey, requestContext.cacheTags);
       return this.transformationCache.get(cacheKey);
     }
     
@@ -539,8 +545,10 @@ class URLTransformer {
         // Simple LRU: remove oldest entries
         const firstKey = this.transformationCache.keys().next().value;
         this.transformationCache.delete(firstKey);
+        this.untagEntry(firstKey);
       }
       this.transformationCache.set(cacheKey, transformedURL);
+      this.tagEntry(cacheKey, requestContext.cacheTags);
       
       return transformedURL;
     } catch (error) {
@@ -554,6 +562,78 @@ class URLTransformer {
     }
   }
   
+  /**
+   * Record the cache tags of the response a cached transformation was used for
+   * @param {String} cacheKey - Transformation cache key
+   * @param {Array} tags - Cache tags of the response being transformed
+   */
+  tagEntry(cacheKey, tags) {
+    if (!tags || tags.length === 0) {
+      return;
+    }
+    
+    let entryTags = this.entryTags.get(cacheKey);
+    if (!entryTags) {
+      entryTags = new Set();
+      this.entryTags.set(cacheKey, entryTags);
+    }
+    
+    tags.forEach(tag => {
+      if (entryTags.has(tag)) {
+        return;
+      }
+      entryTags.add(tag);
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
+      }
+      this.tagIndex.get(tag).add(cacheKey);
+    });
+  }
+  
+  /**
+   * Remove a transformation from the tag index
+   * @param {String} cacheKey - Transformation cache key
+   */
+  untagEntry(cacheKey) {
+    const entryTags = this.entryTags.get(cacheKey);
+    if (!entryTags) {
+      return;
+    }
+    
+    entryTags.forEach(tag => {
+      const keys = this.tagIndex.get(tag);
+      if (keys) {
+        keys.delete(cacheKey);
+        if (keys.size === 0) {
+          this.tagIndex.delete(tag);
+        }
+      }
+    });
+    this.entryTags.delete(cacheKey);
+  }
+  
+  /**
+   * Drop the cached transformations made for responses with any of the tags
+   * @param {Array} tags - Cache tags
+   * @returns {Number} Number of transformations removed
+   */
+  purgeTags(tags) {
+    const keys = new Set();
+    tags.forEach(tag => {
+      (this.tagIndex.get(tag) || []).forEach(key => keys.add(key));
+    });
+    
+    keys.forEach(key => {
+      this.transformationCache.delete(key);
+      this.untagEntry(key);
+    });
+    
+    if (keys.size > 0) {
+      logger.info(`Purged ${keys.size} URL transformations for tags: ${tags.join(', ')}`);
+    }
+    return keys.size;
+  }
+  
   /**
    * Build proxy URL from original URL
    * @param {String} originalURL - Original URL to transform
@@ -877,6 +957,7 @@ class URLTransformer {
       ...this.stats,
       cacheSize: this.transformationCache.size,
       maxCacheSize: this.maxCacheSize,
+      taggedEntries: this.entryTags.size,
       config: {
         enabled: this.config.enabled,
         transformJavaScript: this.config.transformJavaScript,
@@ -892,6 +973,8 @@ class URLTransformer {
   clearCache() {
     this.transformationCache.clear();
     this.patternCache.clear();
+    this.tagIndex.clear();
+    this.entryTags.clear();
     logger.info('URL transformation cache cleared');
   }
   
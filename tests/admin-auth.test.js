@@ -0,0 +1,61 @@
+// admin-auth.test.js
+
+/**
+ * Unit tests for the Admin Auth middleware
+ *
+ * Tests API keys in X-API-Key and Authorization: Bearer, and that the admin
+ * endpoints stay closed without configured keys.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  security: {
+    adminApi: { keys: ['first-key', 'second-key'] }
+  }
+}));
+
+const adminAuth = require('../src/middleware/admin-auth');
+
+const run = (headers, auth = adminAuth) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = jest.fn();
+  auth.getMiddleware()({ headers, method: 'PUT', originalUrl: '/api/routing/domains/a', ip: '127.0.0.1' }, res, next);
+  return { res, next };
+};
+
+describe('AdminAuth', () => {
+  test('should accept any configured key in either header', () => {
+    expect(run({ 'x-api-key': 'second-key' }).next).toHaveBeenCalled();
+    expect(run({ authorization: 'Bearer first-key' }).next).toHaveBeenCalled();
+  });
+
+  test('should refuse missing and unknown keys', () => {
+    const { res, next } = run({ authorization: 'Basic Zmlyc3Qta2V5' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer');
+
+    expect(run({ 'x-api-key': 'first-key-but-longer' }).res.statusCode).toBe(401);
+  });
+
+  test('should refuse everything without configured keys', () => {
+    const closed = Object.create(adminAuth, { digests: { value: [] } });
+    const { res, next } = run({ 'x-api-key': 'first-key' }, closed);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,223 @@
+// cache-eviction.test.js
+
+/**
+ * Unit tests for cache eviction
+ *
+ * Tests the LRU, LFU and TinyLFU eviction policies, and how the Cache
+ * Manager accounts for entry sizes, evicts to stay within its item and byte
+ * budgets, and refuses entries over the per-object cap.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  server: { env: 'test', cluster: { enabled: false } },
+  pathRewriting: {
+    domainRoutingRules: {}
+  },
+  cache: {
+    enabled: true,
+    defaultTtl: 60,
+    maxTtl: 3600,
+    checkPeriod: 0,
+    maxItems: 100,
+    eviction: {
+      policy: 'lru',
+      maxBytes: 1000,
+      maxEntrySize: 400
+    },
+    respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
+    revalidation: {
+      enabled: true,
+      staleRetention: 0
+    },
+    staleServing: {
+      enabled: false,
+      staleWhileRevalidate: 0,
+      staleIfError: 0
+    },
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: []
+    },
+    vary: {
+      maxVariants: 50
+    },
+    tags: {
+      enabled: true,
+      headers: ['surrogate-key'],
+      maxPerEntry: 100
+    },
+    shared: {
+      enabled: false
+    },
+    disk: {
+      enabled: false,
+      path: '.cache/responses'
+    }
+  }
+}));
+
+const config = require('../src/config');
+const cacheManager = require('../src/cache/cache-manager');
+const { createEvictionPolicy, FrequencySketch } = require('../src/cache/eviction-policy');
+
+// Entries of a known size: 300 body bytes plus 2 for the empty headers
+const createEntry = (fill = 'x', length = 300) => ({
+  status: 200,
+  headers: {},
+  body: fill.repeat(length)
+});
+
+describe('Eviction policies', () => {
+  test('LRU should evict the least recently used key first', () => {
+    const policy = createEvictionPolicy('lru');
+    ['a', 'b', 'c'].forEach(key => policy.add(key));
+    policy.access('a');
+
+    expect([...policy.victims()]).toEqual(['b', 'c', 'a']);
+    policy.remove('b');
+    expect([...policy.victims()]).toEqual(['c', 'a']);
+  });
+
+  test('LFU should evict the least requested key, the oldest on a tie', () => {
+    const policy = createEvictionPolicy('lfu');
+    ['a', 'b', 'c'].forEach(key => policy.add(key));
+    policy.access('a');
+    policy.access('a');
+    policy.access('c');
+
+    expect([...policy.victims()]).toEqual(['b', 'c', 'a']);
+
+    // Replacing an entry keeps its count
+    policy.add('a');
+    expect([...policy.victims()][2]).toBe('a');
+  });
+
+  test('TinyLFU should only admit keys requested more often than the victim', () => {
+    const policy = createEvictionPolicy('tinylfu', { capacity: 10 });
+    policy.add('popular');
+    [1, 2, 3].forEach(() => policy.access('popular'));
+    policy.access('once');
+
+    expect(policy.admit('once', 'popular')).toBe(false);
+
+    [1, 2, 3, 4].forEach(() => policy.access('rising'));
+    expect(policy.admit('rising', 'popular')).toBe(true);
+  });
+
+  test('should reject unknown policies', () => {
+    expect(() => createEvictionPolicy('fifo')).toThrow('Unknown cache eviction policy: fifo');
+  });
+
+  test('frequency sketch should cap and age its counters', () => {
+    const sketch = new FrequencySketch(8);
+    for (let i = 0; i < 20; i++) {
+      sketch.increment('key');
+    }
+    expect(sketch.estimate('key')).toBe(15);
+
+    sketch.age();
+    expect(sketch.estimate('key')).toBe(7);
+    expect(sketch.estimate('other')).toBe(0);
+  });
+});
+
+describe('CacheManager eviction', () => {
+  afterAll(() => {
+    cacheManager.shutdown();
+  });
+
+  beforeEach(() => {
+    config.cache.maxItems = 100;
+    config.cache.eviction.maxBytes = 1000;
+    config.cache.eviction.maxEntrySize = 400;
+    cacheManager.cache.flushAll();
+  });
+
+  test('should account for the size of stored entries', () => {
+    cacheManager.set('a', createEntry(), 60);
+    cacheManager.set('b', createEntry('é', 100), 60);
+
+    expect(cacheManager.memoryBytes).toBe(302 + 202);
+    cacheManager.cache.del('a');
+    expect(cacheManager.memoryBytes).toBe(202);
+    expect(cacheManager.getStats().tiers.memory.bytes).toBe(202);
+  });
+
+  test('should evict least recently used entries beyond the byte budget', () => {
+    ['a', 'b', 'c'].forEach(key => cacheManager.set(key, createEntry(key), 60));
+    cacheManager.get('a');
+    cacheManager.set('d', createEntry('d'), 60);
+
+    expect(cacheManager.cache.keys().sort()).toEqual(['a', 'c', 'd']);
+
+    const stats = cacheManager.getStats().eviction;
+    expect(stats.evictions).toBe(1);
+    expect(stats.evictedBytes).toBe(302);
+    expect(stats.bytes).toBe(906);
+  });
+
+  test('should evict instead of failing once maxItems is reached', () => {
+    config.cache.maxItems = 2;
+
+    ['a', 'b', 'c'].forEach(key => {
+      expect(cacheManager.set(key, createEntry(key, 10), 60)).toBe(true);
+    });
+    expect(cacheManager.cache.keys().sort()).toEqual(['b', 'c']);
+  });
+
+  test('should not keep entries over the per-object cap in memory', () => {
+    cacheManager.set('big', createEntry('x', 100), 60);
+
+    expect(cacheManager.set('big', createEntry('x', 500), 60)).toBe(false);
+    expect(cacheManager.cache.has('big')).toBe(false);
+    expect(cacheManager.getStats().eviction.oversized).toBe(1);
+  });
+
+  test('should count encoded variants built after the entry was stored', () => {
+    cacheManager.set('a', createEntry(), 60);
+    const entry = cacheManager.get('a');
+    entry.variants = { gzip: Buffer.alloc(50) };
+
+    cacheManager.get('a');
+    expect(cacheManager.memoryBytes).toBe(352);
+  });
+
+  test('should keep a popular entry over a one-hit wonder with TinyLFU', () => {
+    const policy = cacheManager.evictionPolicy;
+    cacheManager.evictionPolicy = createEvictionPolicy('tinylfu', { capacity: 10 });
+
+    try {
+      ['a', 'b', 'c'].forEach(key => {
+        cacheManager.get(key);
+        cacheManager.set(key, createEntry(key), 60);
+        cacheManager.get(key);
+      });
+
+      cacheManager.get('once');
+      expect(cacheManager.set('once', createEntry('o'), 60)).toBe(false);
+      expect(cacheManager.getStats().eviction.admissionRejected).toBe(1);
+      expect(cacheManager.cache.keys().sort()).toEqual(['a', 'b', 'c']);
+    } finally {
+      cacheManager.evictionPolicy = policy;
+    }
+  });
+});
@@ -0,0 +1,186 @@
+// cache-key-policy.test.js
+
+/**
+ * Unit tests for the Cache Key Policy
+ *
+ * Tests query parameter filtering and sorting, path lowercasing, cookie
+ * and header key components, and compiling per-domain policies from the
+ * routing rules (invalid ones are ignored).
+ */
+
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => mockLogger
+}));
+
+jest.mock('../src/config', () => ({
+  pathRewriting: {
+    domainRoutingRules: {
+      'shop.example.com': {
+        pathPrefix: '/shop',
+        cacheKey: {
+          excludeParams: ['utm_*', 'fbclid', 'gclid'],
+          sortParams: true,
+          cookies: ['currency']
+        }
+      },
+      '*.static.example.com': {
+        cacheKey: { ignoreQuery: true, lowercasePath: true }
+      },
+      'api.example.com': {
+        pathPrefix: '/api'
+      }
+    }
+  },
+  cache: {
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: ['x-device']
+    }
+  }
+}));
+
+const config = require('../src/config');
+const cacheKeyPolicy = require('../src/cache/cache-key-policy');
+
+const createRequest = (host, url, headers = {}) => ({
+  method: 'GET',
+  url,
+  headers: { host, ...headers }
+});
+
+describe('CacheKeyPolicy', () => {
+  describe('getPolicy', () => {
+    test('should use the defaults for domains without a cacheKey policy', () => {
+      expect(cacheKeyPolicy.getPolicy('api.example.com')).toBe(cacheKeyPolicy.defaults);
+      expect(cacheKeyPolicy.getPolicy('www.example.com')).toBe(cacheKeyPolicy.defaults);
+    });
+
+    test('should merge domain policies over the defaults', () => {
+      const policy = cacheKeyPolicy.getPolicy('shop.example.com:8443');
+      expect(policy.sortParams).toBe(true);
+      expect(policy.headers).toEqual(['x-device']);
+    });
+
+    test('should match wildcard domains', () => {
+      expect(cacheKeyPolicy.getPolicy('img.static.example.com').ignoreQuery).toBe(true);
+      expect(cacheKeyPolicy.getPolicy('static.example.com').ignoreQuery).toBe(false);
+    });
+
+    test('should log and ignore invalid policies', () => {
+      const rules = config.pathRewriting.domainRoutingRules;
+      rules['bad.example.com'] = { cacheKey: { includeParams: ['page', 7] } };
+      try {
+        expect(cacheKeyPolicy.getPolicy('bad.example.com')).toBe(cacheKeyPolicy.defaults);
+        expect(cacheKeyPolicy.getPolicy('bad.example.com')).toBe(cacheKeyPolicy.defaults);
+        expect(mockLogger.error).toHaveBeenCalledTimes(1);
+        expect(mockLogger.error).toHaveBeenCalledWith(
+          'Ignoring the cache key policy of bad.example.com: cacheKey: includeParams must be a list of names');
+
+        // Fixed rules are picked up
+        rules['bad.example.com'] = { cacheKey: { includeParams: 'page' } };
+        expect(cacheKeyPolicy.getPolicy('bad.example.com').includeParams).toEqual(['page']);
+      } finally {
+        delete rules['bad.example.com'];
+      }
+    });
+  });
+
+  describe('compile', () => {
+    test('should read lists given as comma-separated strings', () => {
+      expect(cacheKeyPolicy.compile({
+        includeParams: 'utm_*',
+        excludeParams: ['fbclid'],
+        cookies: 'currency, lang',
+        headers: ['X-Device'],
+        sortParams: true
+      })).toEqual({
+        includeParams: ['utm_*'],
+        excludeParams: ['fbclid'],
+        cookies: ['currency', 'lang'],
+        headers: ['x-device'],
+        sortParams: true
+      });
+    });
+
+    test.each([
+      ['x', /^cacheKey: must be a map$/],
+      [[], /^cacheKey: must be a map$/],
+      [{ excludeParam: ['utm_*'] }, /^cacheKey: unknown field "excludeParam"$/],
+      [{ ignoreQuery: 'yes' }, /^cacheKey: ignoreQuery must be true or false$/],
+      [{ excludeParams: { utm: true } }, /^cacheKey: excludeParams must be a list of names$/],
+      [{ cookies: [''] }, /^cacheKey: cookies must be a list of names$/],
+      [{ headers: [null] }, /^cacheKey: headers must be a list of names$/]
+    ])('should refuse %j', (spec, message) => {
+      expect(() => cacheKeyPolicy.compile(spec)).toThrow(message);
+    });
+  });
+
+  describe('normalizeUrl', () => {
+    const policy = (overrides) => ({ ...cacheKeyPolicy.defaults, headers: [], ...overrides });
+
+    test('should leave URLs alone by default', () => {
+      expect(cacheKeyPolicy.normalizeUrl('/A/b?z=1&a=2', policy())).toBe('/A/b?z=1&a=2');
+    });
+
+    test('should drop excluded parameters, including prefix patterns', () => {
+      expect(cacheKeyPolicy.normalizeUrl('/p?id=7&utm_source=x&utm_medium=y&fbclid=abc',
+        policy({ excludeParams: ['utm_*', 'fbclid'] }))).toBe('/p?id=7');
+      expect(cacheKeyPolicy.normalizeUrl('/p?utm_source=x', policy({ excludeParams: ['utm_*'] }))).toBe('/p');
+    });
+
+    test('should keep only included parameters', () => {
+      expect(cacheKeyPolicy.normalizeUrl('/p?page=2&session=abc&sort=asc',
+        policy({ includeParams: ['page', 'sort'] }))).toBe('/p?page=2&sort=asc');
+    });
+
+    test('should sort parameters by name and keep their encoding', () => {
+      expect(cacheKeyPolicy.normalizeUrl('/p?b=2&a=%20x&c', policy({ sortParams: true }))).toBe('/p?a=%20x&b=2&c');
+    });
+
+    test('should ignore the query string and lowercase the path', () => {
+      expect(cacheKeyPolicy.normalizeUrl('/Img/Logo.PNG?v=3', policy({ ignoreQuery: true, lowercasePath: true })))
+        .toBe('/img/logo.png');
+    });
+  });
+
+  describe('apply', () => {
+    test('should give marketing links the same key URL', () => {
+      const plain = cacheKeyPolicy.apply(createRequest('shop.example.com', '/item?id=1&color=red'));
+      const tracked = cacheKeyPolicy.apply(createRequest('shop.example.com',
+        '/item?utm_campaign=spring&color=red&gclid=xyz&id=1'));
+
+      expect(tracked.url).toBe(plain.url);
+      expect(tracked.url).toBe('/item?color=red&id=1');
+    });
+
+    test('should normalize the rewritten path the same way', () => {
+      const req = createRequest('shop.example.com', '/item?utm_source=x&id=1');
+      req.pathTransformation = { transformedPath: '/shop/item?utm_source=x&id=1' };
+
+      expect(cacheKeyPolicy.apply(req).transformedPath).toBe('/shop/item?id=1');
+    });
+
+    test('should add selected cookies and headers to the key', () => {
+      const req = createRequest('shop.example.com', '/item', {
+        cookie: 'session=abc; currency=EUR',
+        'x-device': 'mobile'
+      });
+
+      expect(cacheKeyPolicy.apply(req).components).toBe(':cookie(currency)="EUR":header(x-device)="mobile"');
+      expect(cacheKeyPolicy.apply(createRequest('shop.example.com', '/item')).components)
+        .toBe(':cookie(currency)=-:header(x-device)=-');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// cache-manager-stale.test.js
+
+/**
+ * Unit tests for stale entry handling in the Cache Manager
+ *
+ * Tests freshness tracking, the stale-while-revalidate / stale-if-error
+ * grace periods, retention of expired entries and entry ages.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  server: { env: 'test', cluster: { enabled: false } },
+  cache: {
+    enabled: true,
+    defaultTtl: 60,
+    maxTtl: 3600,
+    checkPeriod: 0,
+    maxItems: 100,
+    eviction: {
+      policy: 'lru',
+      maxBytes: 0,
+      maxEntrySize: 0
+    },
+    respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
+    revalidation: {
+      enabled: true,
+      staleRetention: 600
+    },
+    staleServing: {
+      enabled: true,
+      staleWhileRevalidate: 5,
+      staleIfError: 0,
+      errorStatusCodes: [500, 502, 503, 504]
+    },
+    shared: {
+      enabled: false
+    },
+    disk: {
+      enabled: false,
+      path: '.cache/responses'
+    }
+  }
+}));
+
+const cacheManager = require('../src/cache/cache-manager');
+
+describe('CacheManager stale entries', () => {
+  afterAll(() => {
+    cacheManager.shutdown();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getStaleWindows', () => {
+    test('should read grace periods from Cache-Control', () => {
+      expect(cacheManager.getStaleWindows({
+        'cache-control': 'max-age=60, stale-while-revalidate=30, stale-if-error=300'
+      })).toEqual({ staleWhileRevalidate: 30, staleIfError: 300 });
+    });
+
+    test('should fall back to the configured defaults', () => {
+      expect(cacheManager.getStaleWindows({ 'cache-control': 'max-age=60' }))
+        .toEqual({ staleWhileRevalidate: 5, staleIfError: 0 });
+    });
+
+    test('should disable stale serving for must-revalidate responses', () => {
+      expect(cacheManager.getStaleWindows({
+        'cache-control': 'max-age=60, must-revalidate, stale-if-error=300'
+      })).toEqual({ staleWhileRevalidate: 0, staleIfError: 0 });
+    });
+  });
+
+  describe('freshness', () => {
+    test('should serve expired entries only within their grace periods', () => {
+      const now = Date.now();
+      cacheManager.set('k1', {
+        status: 200,
+        headers: { 'cache-control': 'max-age=10, stale-if-error=100' },
+        body: 'x'
+      }, 10);
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 12 * 1000);
+      const entry = cacheManager.get('k1', { allowStale: true });
+
+      expect(cacheManager.isFresh(entry)).toBe(false);
+      expect(cacheManager.get('k1')).toBeNull();
+      expect(cacheManager.canServeStale(entry, 'revalidate')).toBe(true);
+      expect(cacheManager.canServeStale(entry, 'error')).toBe(true);
+
+      Date.now.mockReturnValue(now + 20 * 1000);
+      expect(cacheManager.canServeStale(entry, 'revalidate')).toBe(false);
+      expect(cacheManager.canServeStale(entry, 'error')).toBe(true);
+    });
+
+    test('should keep entries with validators past their TTL', () => {
+      cacheManager.set('k2', { status: 200, headers: { etag: '"a"' }, body: 'x' }, 10);
+      cacheManager.set('k3', { status: 200, headers: { 'cache-control': 'max-age=10, stale-while-revalidate=0' }, body: 'x' }, 10);
+
+      const expiry = key => (cacheManager.cache.getTtl(key) - Date.now()) / 1000;
+      expect(expiry('k2')).toBeGreaterThan(600);
+      expect(expiry('k3')).toBeLessThanOrEqual(10);
+    });
+
+    test('should refresh headers and freshness after a 304', () => {
+      const entry = { status: 200, headers: { etag: '"a"', 'cache-control': 'max-age=1' }, body: 'x' };
+      cacheManager.set('k4', entry, 1);
+      entry.expiresAt = Date.now() - 1;
+
+      const refreshed = cacheManager.refresh('k4', entry, { 'cache-control': 'max-age=120', 'content-length': '0' });
+
+      expect(refreshed.headers['cache-control']).toBe('max-age=120');
+      expect(refreshed.headers['content-length']).toBeUndefined();
+      expect(cacheManager.isFresh(refreshed)).toBe(true);
+    });
+
+    test('should subtract the age a response arrived with', () => {
+      expect(cacheManager.getTtlFromHeaders({ 'cache-control': 'max-age=100', age: '30' })).toBe(70);
+      expect(cacheManager.getTtlFromHeaders({ 'cache-control': 'max-age=100', age: '300' })).toBe(0);
+      expect(cacheManager.getTtlFromHeaders({ 'cache-control': 'max-age=99999' })).toBe(3600);
+    });
+
+    test('should report the age of cached entries', () => {
+      const now = Date.now();
+      const entry = { status: 200, headers: { 'cache-control': 'max-age=100' }, body: 'x', initialAge: 30 };
+      cacheManager.set('k5', entry, 70);
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 5 * 1000);
+      expect(cacheManager.getAge(entry)).toBe(35);
+    });
+
+    test('should only keep responses that are stale on arrival if they can be revalidated', () => {
+      const stale = { 'cache-control': 'no-cache' };
+      expect(cacheManager.set('k6', { status: 200, headers: stale, body: 'x' }, 0)).toBe(false);
+
+      const entry = { status: 200, headers: { ...stale, etag: '"a"' }, body: 'x' };
+      expect(cacheManager.set('k7', entry, 0)).toBe(true);
+      expect(cacheManager.get('k7')).toBeNull();
+      expect(cacheManager.get('k7', { allowStale: true })).not.toBeNull();
+    });
+
+    test('should take the age of a 304 instead of the stored one', () => {
+      const entry = { status: 200, headers: { etag: '"a"', 'cache-control': 'max-age=100', age: '50' }, body: 'x' };
+      cacheManager.set('k8', entry, 50);
+
+      cacheManager.refresh('k8', entry, { age: '20' });
+      expect(entry.initialAge).toBe(20);
+      expect(cacheManager.getTtl({ get: name => entry.headers[name], statusCode: 200 })).toBe(80);
+
+      cacheManager.refresh('k8', entry, {});
+      expect(entry.headers.age).toBeUndefined();
+      expect(entry.initialAge).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// cache-manager-vary.test.js
+
+/**
+ * Unit tests for Vary handling in the Cache Manager
+ *
+ * Tests that responses are stored per variant of the request headers named
+ * in their Vary header, looked up by the same headers, and that Vary: *
+ * and changes of the varied headers are handled.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  server: { env: 'test', cluster: { enabled: false } },
+  pathRewriting: {
+    domainRoutingRules: {}
+  },
+  cache: {
+    enabled: true,
+    defaultTtl: 60,
+    maxTtl: 3600,
+    checkPeriod: 0,
+    maxItems: 100,
+    eviction: {
+      policy: 'lru',
+      maxBytes: 0,
+      maxEntrySize: 0
+    },
+    respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
+    cacheCookies: false,
+    cacheableStatusCodes: [200],
+    cacheableContentTypes: ['text/html'],
+    revalidation: {
+      enabled: true,
+      staleRetention: 0
+    },
+    staleServing: {
+      enabled: false,
+      staleWhileRevalidate: 0,
+      staleIfError: 0
+    },
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: []
+    },
+    vary: {
+      maxVariants: 3
+    },
+    tags: {
+      enabled: true,
+      headers: ['surrogate-key', 'cache-tag'],
+      maxPerEntry: 100
+    },
+    shared: {
+      enabled: false
+    },
+    disk: {
+      enabled: false,
+      path: '.cache/responses'
+    }
+  }
+}));
+
+const cacheManager = require('../src/cache/cache-manager');
+
+const createRequest = (headers = {}) => ({
+  method: 'GET',
+  url: '/page',
+  headers: { host: 'www.example.com', ...headers }
+});
+
+const createEntry = (vary, body = 'page') => ({
+  status: 200,
+  headers: { 'content-type': 'text/html', ...(vary ? { vary } : {}) },
+  body
+});
+
+describe('CacheManager Vary handling', () => {
+  afterAll(() => {
+    cacheManager.shutdown();
+  });
+
+  beforeEach(() => {
+    cacheManager.cache.flushAll();
+  });
+
+  test('should parse Vary into sorted request header names', () => {
+    expect(cacheManager.getVaryFields({ vary: 'User-Agent, accept-language' }))
+      .toEqual(['accept-language', 'user-agent']);
+    expect(cacheManager.getVaryFields({ vary: 'Accept-Encoding' })).toEqual([]);
+    expect(cacheManager.getVaryFields({ vary: 'Origin, *' })).toBeNull();
+    expect(cacheManager.getVaryFields({})).toEqual([]);
+  });
+
+  test('should ignore Vary and Accept-Language on requests', () => {
+    expect(cacheManager.generateKey(createRequest({ vary: 'Cookie', 'accept-language': 'de', cookie: 'a=1' })))
+      .toBe('GET:www.example.com:/page');
+  });
+
+  test('should store and select variants by the varied request headers', () => {
+    cacheManager.store(createRequest({ 'accept-language': 'en' }), createEntry('Accept-Language', 'hello'));
+    cacheManager.store(createRequest({ 'accept-language': 'de' }), createEntry('Accept-Language', 'hallo'));
+
+    const lookup = (headers) => cacheManager.get(cacheManager.generateKey(createRequest(headers)));
+    expect(lookup({ 'accept-language': 'de' }).body).toBe('hallo');
+    expect(lookup({ 'accept-language': 'en', 'user-agent': 'x' }).body).toBe('hello');
+    expect(lookup({ 'accept-language': 'fr' })).toBeNull();
+    expect(lookup({})).toBeNull();
+  });
+
+  test('should not split the cache on headers the response does not vary on', () => {
+    cacheManager.store(createRequest({ 'accept-language': 'en' }), createEntry(null, 'same'));
+
+    const key = cacheManager.generateKey(createRequest({ 'accept-language': 'de' }));
+    expect(cacheManager.get(key).body).toBe('same');
+  });
+
+  test('should refuse Vary: *', () => {
+    const rejected = cacheManager.getStats().varyRejected;
+
+    expect(cacheManager.store(createRequest(), createEntry('*'))).toBe(false);
+    expect(cacheManager.getStats().varyRejected).toBe(rejected + 1);
+    expect(cacheManager.get(cacheManager.generateKey(createRequest()))).toBeNull();
+
+    const res = {
+      statusCode: 200,
+      get: (name) => ({ 'content-type': 'text/html', vary: '*' })[name.toLowerCase()]
+    };
+    expect(cacheManager.shouldCache(createRequest(), res)).toBe(false);
+  });
+
+  test('should drop old variants when the varied headers change', () => {
+    cacheManager.store(createRequest({ 'accept-language': 'en' }), createEntry('Accept-Language', 'en'));
+    cacheManager.store(createRequest({ 'accept-language': 'en', cookie: 'a=1' }), createEntry('Cookie', 'cookie'));
+
+    expect(cacheManager.cache.keys()).toEqual(['GET:www.example.com:/page:cookie="a=1"']);
+    expect(cacheManager.variants.get('GET:www.example.com:/page').fields).toEqual(['cookie']);
+  });
+
+  test('should cap the number of variants per URL', () => {
+    ['a', 'b', 'c', 'd'].forEach(lang => {
+      cacheManager.store(createRequest({ 'accept-language': lang }), createEntry('Accept-Language', lang));
+    });
+
+    expect(cacheManager.cache.keys()).toHaveLength(3);
+    expect(cacheManager.get(cacheManager.generateKey(createRequest({ 'accept-language': 'd' })))).toBeNull();
+  });
+
+  test('should forget the variant index once all variants are gone', () => {
+    cacheManager.store(createRequest({ 'accept-language': 'en' }), createEntry('Accept-Language'));
+    expect(cacheManager.getStats().variedUrls).toBe(1);
+
+    cacheManager.cache.del(cacheManager.cache.keys());
+    expect(cacheManager.getStats().variedUrls).toBe(0);
+  });
+});
@@ -0,0 +1,215 @@
+// cache-snapshot.test.js
+
+/**
+ * Unit tests for cache entry inspection and snapshots
+ *
+ * Tests describing single entries, and exporting the cache as NDJSON and
+ * importing it again: bodies, freshness, tags and Vary variants survive the
+ * round trip, while expired, already cached and malformed lines are skipped.
+ */
+
+const { PassThrough, Readable } = require('stream');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  server: { env: 'test', cluster: { enabled: false } },
+  pathRewriting: {
+    domainRoutingRules: {}
+  },
+  cache: {
+    enabled: true,
+    defaultTtl: 60,
+    maxTtl: 3600,
+    checkPeriod: 0,
+    maxItems: 100,
+    eviction: {
+      policy: 'lru',
+      maxBytes: 0,
+      maxEntrySize: 0
+    },
+    respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
+    cacheCookies: false,
+    cacheableStatusCodes: [200],
+    cacheableContentTypes: ['text/html'],
+    revalidation: {
+      enabled: true,
+      staleRetention: 0
+    },
+    staleServing: {
+      enabled: false,
+      staleWhileRevalidate: 0,
+      staleIfError: 0
+    },
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: []
+    },
+    vary: {
+      maxVariants: 50
+    },
+    tags: {
+      enabled: true,
+      headers: ['surrogate-key', 'cache-tag'],
+      maxPerEntry: 3
+    },
+    shared: {
+      enabled: false
+    },
+    disk: {
+      enabled: false,
+      path: '.cache/responses'
+    }
+  }
+}));
+
+const cacheManager = require('../src/cache/cache-manager');
+const cacheSnapshot = require('../src/cache/cache-snapshot');
+
+const createRequest = (url, headers = {}, cacheTags) => ({
+  method: 'GET',
+  url,
+  headers: { host: 'www.example.com', ...headers },
+  cacheTags
+});
+
+const exportLines = async (options) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await cacheSnapshot.export(output, options);
+  output.end();
+  return Buffer.concat(chunks).toString('utf8').split('\n').filter(Boolean);
+};
+
+const importLines = (lines, options) => cacheSnapshot.import(Readable.from([lines.join('\n')]), options);
+
+describe('Cache inspection and snapshots', () => {
+  beforeEach(() => {
+    cacheManager.purge('*');
+    cacheManager.store(createRequest('/page', {}, ['home']), {
+      status: 200,
+      headers: { 'content-type': 'text/html', 'cache-control': 'max-age=60' },
+      body: '<p>page</p>',
+      originalEncoding: 'gzip',
+      pathTransformation: { matched: true, target: 'https://origin.example.net' }
+    }, 60);
+    cacheManager.store(createRequest('/logo.png'), {
+      status: 200,
+      headers: { 'content-type': 'image/png' },
+      body: Buffer.from([0, 1, 2, 255])
+    }, 60);
+    cacheManager.store(createRequest('/lang', { 'accept-language': 'de' }), {
+      status: 200,
+      headers: { 'content-type': 'text/html', vary: 'Accept-Language' },
+      body: 'Hallo'
+    }, 60);
+  });
+
+  afterAll(() => {
+    cacheManager.shutdown();
+  });
+
+  describe('inspect', () => {
+    test('should describe an entry without counting a hit', async () => {
+      const key = cacheManager.generateKey(createRequest('/page'));
+      cacheManager.get(key);
+      cacheManager.get(key);
+      const hits = cacheManager.stats.hits;
+
+      const entry = await cacheManager.inspect(key);
+
+      expect(entry).toMatchObject({
+        key,
+        tier: 'memory',
+        status: 200,
+        fresh: true,
+        hits: 2,
+        originalEncoding: 'gzip',
+        pathTransformation: { matched: true, target: 'https://origin.example.net' },
+        tags: ['home']
+      });
+      expect(entry.ttl).toBeGreaterThan(55);
+      expect(entry.size).toBeGreaterThan(0);
+      expect(entry.body).toBeUndefined();
+      expect(cacheManager.stats.hits).toBe(hits);
+    });
+
+    test('should include bodies on request, base64 encoded if binary', async () => {
+      const page = await cacheManager.inspect(cacheManager.generateKey(createRequest('/page')), { body: true });
+      const logo = await cacheManager.inspect(cacheManager.generateKey(createRequest('/logo.png')), { body: true });
+
+      expect(page).toMatchObject({ bodyEncoding: 'utf8', body: '<p>page</p>' });
+      expect(logo).toMatchObject({ bodyEncoding: 'base64', body: 'AAEC/w==' });
+      expect(await cacheManager.inspect('missing')).toBeNull();
+    });
+  });
+
+  describe('export and import', () => {
+    test('should write one line per entry', async () => {
+      const lines = await exportLines();
+      expect(lines).toHaveLength(3);
+
+      const logo = lines.map(line => JSON.parse(line)).find(record => record.key.includes('logo'));
+      expect(logo).toMatchObject({ bodyType: 'buffer', body: 'AAEC/w==' });
+      expect(logo.expires).toBeGreaterThan(Date.now());
+      expect(logo.entry.hits).toBeUndefined();
+    });
+
+    test('should filter exported keys by pattern', async () => {
+      expect(await exportLines({ pattern: '*logo*' })).toHaveLength(1);
+      expect(await exportLines({ domain: 'other.example.com' })).toHaveLength(0);
+    });
+
+    test('should restore entries with their tags and variants', async () => {
+      const lines = await exportLines();
+      const pageKey = cacheManager.generateKey(createRequest('/page'));
+      const expiresAt = cacheManager.get(pageKey).expiresAt;
+      cacheManager.purge('*');
+
+      const result = await importLines(lines);
+
+      expect(result).toEqual({ imported: 3, skipped: 0, failed: 0, errors: [] });
+      expect(cacheManager.get(pageKey)).toMatchObject({ body: '<p>page</p>', expiresAt });
+      expect(cacheManager.get(cacheManager.generateKey(createRequest('/logo.png'))).body)
+        .toEqual(Buffer.from([0, 1, 2, 255]));
+      expect(cacheManager.get(cacheManager.generateKey(createRequest('/lang', { 'accept-language': 'de' }))).body)
+        .toBe('Hallo');
+      expect(cacheManager.purgeTags(['home']).purged).toBe(1);
+    });
+
+    test('should skip cached and expired entries and report bad lines', async () => {
+      const lines = await exportLines();
+      const page = JSON.parse(lines.find(line => line.includes('/page')));
+      cacheManager.purge('*logo*');
+
+      const expired = JSON.stringify({ ...page, key: 'GET:www.example.com:/old', expires: Date.now() - 1000 });
+      const result = await importLines([...lines, expired, '', 'not json', '{"key":"x"}']);
+
+      expect(result).toMatchObject({ imported: 1, skipped: 3, failed: 2 });
+      expect(result.errors.map(error => error.line)).toEqual([6, 7]);
+    });
+
+    test('should replace cached entries when overwriting', async () => {
+      const lines = await exportLines();
+      expect((await importLines(lines, { overwrite: true })).imported).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+// cache-tags.test.js
+
+/**
+ * Unit tests for cache tags
+ *
+ * Tests reading tags from Surrogate-Key / Cache-Tag headers, the tag index
+ * of the Cache Manager, purging by tag, and the matching purge of cached
+ * URL transformations.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  server: { env: 'test', cluster: { enabled: false } },
+  pathRewriting: {
+    domainRoutingRules: {}
+  },
+  cache: {
+    enabled: true,
+    defaultTtl: 60,
+    maxTtl: 3600,
+    checkPeriod: 0,
+    maxItems: 100,
+    eviction: {
+      policy: 'lru',
+      maxBytes: 0,
+      maxEntrySize: 0
+    },
+    respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
+    cacheCookies: false,
+    cacheableStatusCodes: [200],
+    cacheableContentTypes: ['text/html'],
+    revalidation: {
+      enabled: true,
+      staleRetention: 0
+    },
+    staleServing: {
+      enabled: false,
+      staleWhileRevalidate: 0,
+      staleIfError: 0
+    },
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: []
+    },
+    vary: {
+      maxVariants: 50
+    },
+    tags: {
+      enabled: true,
+      headers: ['surrogate-key', 'cache-tag'],
+      maxPerEntry: 3
+    },
+    shared: {
+      enabled: false
+    },
+    disk: {
+      enabled: false,
+      path: '.cache/responses'
+    }
+  }
+}));
+
+const cacheManager = require('../src/cache/cache-manager');
+const URLTransformer = require('../src/transform/url-transformer');
+
+const createRequest = (url, cacheTags) => ({
+  method: 'GET',
+  url,
+  headers: { host: 'www.example.com' },
+  cacheTags
+});
+
+const createEntry = (headers = {}) => ({
+  status: 200,
+  headers: { 'content-type': 'text/html', ...headers },
+  body: 'page'
+});
+
+describe('Cache tags', () => {
+  afterAll(() => {
+    cacheManager.shutdown();
+  });
+
+  beforeEach(() => {
+    cacheManager.cache.flushAll();
+  });
+
+  describe('getTagsFromHeaders', () => {
+    test('should read space- and comma-separated tags from both headers', () => {
+      expect(cacheManager.getTagsFromHeaders({
+        'surrogate-key': 'article-1  home',
+        'cache-tag': 'home,author-2'
+      })).toEqual(['article-1', 'home', 'author-2']);
+    });
+
+    test('should cap the number of tags per response', () => {
+      expect(cacheManager.getTagsFromHeaders({ 'surrogate-key': 'a b c d e' })).toEqual(['a', 'b', 'c']);
+      expect(cacheManager.getTagsFromHeaders({})).toEqual([]);
+    });
+
+    test('should recognize tag headers', () => {
+      expect(cacheManager.isTagHeader('surrogate-key')).toBe(true);
+      expect(cacheManager.isTagHeader('cache-control')).toBe(false);
+    });
+  });
+
+  describe('tag index', () => {
+    test('should store tags with the entry and strip tag headers', () => {
+      cacheManager.store(createRequest('/a', ['article-1']), createEntry({ 'surrogate-key': 'article-1' }));
+
+      const cached = cacheManager.get('GET:www.example.com:/a');
+      expect(cached.tags).toEqual(['article-1']);
+      expect(cached.headers['surrogate-key']).toBeUndefined();
+      expect(cacheManager.getStats().tags).toBe(1);
+    });
+
+    test('should purge every entry carrying any of the tags', () => {
+      cacheManager.store(createRequest('/a', ['article-1', 'home']), createEntry());
+      cacheManager.store(createRequest('/b', ['article-2', 'home']), createEntry());
+      cacheManager.store(createRequest('/c', ['article-3']), createEntry());
+
+      const result = cacheManager.purgeTags(['article-1', 'article-2']);
+      expect(result.purged).toBe(2);
+      expect(cacheManager.cache.keys()).toEqual(['GET:www.example.com:/c']);
+      expect(cacheManager.tags.has('home')).toBe(false);
+    });
+
+    test('should replace the tags of an overwritten entry', () => {
+      cacheManager.store(createRequest('/a', ['old']), createEntry());
+      cacheManager.store(createRequest('/a', ['new']), createEntry());
+
+      expect(cacheManager.purgeTags(['old']).purged).toBe(0);
+      expect(cacheManager.purgeTags(['new']).purged).toBe(1);
+    });
+
+    test('should forget tags of deleted entries', () => {
+      cacheManager.store(createRequest('/a', ['article-1']), createEntry());
+      cacheManager.cache.del('GET:www.example.com:/a');
+
+      expect(cacheManager.tags.size).toBe(0);
+      expect(cacheManager.entryTags.size).toBe(0);
+    });
+  });
+
+  describe('URL transformation purge', () => {
+    test('should drop transformations made for tagged responses', () => {
+      const urlTransformer = new URLTransformer();
+      const context = (cacheTags) => ({ proxyHost: 'www.example.com', protocol: 'https', cacheTags });
+
+      urlTransformer.transformURL('https://www.example.com/one.js', context(['article-1']));
+      urlTransformer.transformURL('https://www.example.com/two.js', context(['article-2']));
+      expect(urlTransformer.transformationCache.size).toBe(2);
+
+      expect(urlTransformer.purgeTags(['article-1'])).toBe(1);
+      expect(urlTransformer.transformationCache.size).toBe(1);
+      expect(urlTransformer.getStats().taggedEntries).toBe(1);
+    });
+  });
+});
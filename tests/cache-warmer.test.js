@@ -0,0 +1,220 @@
+// cache-warmer.test.js
+
+/**
+ * Unit tests for the Cache Warmer
+ *
+ * Tests sitemap parsing, mapping sitemap URLs onto served domains, and
+ * warming jobs against a stand-in for the proxy server: sitemap indexes,
+ * gzipped sitemaps, the per-domain concurrency bound, failures and
+ * cancellation.
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  server: {
+    host: '0.0.0.0',
+    port: 0,
+    ssl: { enabled: false }
+  },
+  cdn: {
+    originDomain: 'www.example.com',
+    targetDomain: 'origin.example.net'
+  },
+  cache: {
+    warming: {
+      concurrency: 2,
+      timeout: 5000,
+      maxUrls: 100,
+      maxSitemaps: 10,
+      keepJobs: 20
+    }
+  }
+}));
+
+jest.mock('../src/domain/domain-manager', () => ({
+  isAllowedHost: host => host === 'www.example.com' || host === 'blog.example.com'
+}));
+
+const config = require('../src/config');
+const cacheWarmer = require('../src/cache/cache-warmer');
+
+const sitemapIndex = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://origin.example.net/sitemap-pages.xml.gz</loc></sitemap>
+  <sitemap><loc>https://blog.example.com/sitemap-blog.xml</loc></sitemap>
+</sitemapindex>`;
+
+const pagesSitemap = `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  ${[1, 2, 3, 4, 5].map(n => `<url><loc>https://origin.example.net/page-${n}?a=1&amp;b=2</loc></url>`).join('\n  ')}
+  <url><loc>https://origin.example.net/missing</loc></url>
+</urlset>`;
+
+const blogSitemap = `<urlset>
+  <url><loc><![CDATA[https://blog.example.com/post]]></loc></url>
+</urlset>`;
+
+const waitForJob = async (id) => {
+  for (let i = 0; i < 200; i++) {
+    const job = cacheWarmer.getJob(id);
+    if (job.status !== 'running') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Job did not finish');
+};
+
+describe('CacheWarmer', () => {
+  describe('parseSitemap', () => {
+    test('should read page URLs and decode entities', () => {
+      const { type, locations } = cacheWarmer.parseSitemap(pagesSitemap);
+      expect(type).toBe('urlset');
+      expect(locations[0]).toBe('https://origin.example.net/page-1?a=1&b=2');
+      expect(locations).toHaveLength(6);
+    });
+
+    test('should recognize sitemap indexes and CDATA locations', () => {
+      expect(cacheWarmer.parseSitemap(sitemapIndex).type).toBe('index');
+      expect(cacheWarmer.parseSitemap(blogSitemap).locations).toEqual(['https://blog.example.com/post']);
+    });
+  });
+
+  describe('resolveTarget', () => {
+    test('should keep served hosts and map the origin to the job domain', () => {
+      expect(cacheWarmer.resolveTarget('https://blog.example.com/a?x=1', 'www.example.com'))
+        .toEqual({ host: 'blog.example.com', path: '/a?x=1' });
+      expect(cacheWarmer.resolveTarget('https://origin.example.net/a', 'www.example.com'))
+        .toEqual({ host: 'www.example.com', path: '/a' });
+      expect(cacheWarmer.resolveTarget('/a', 'www.example.com'))
+        .toEqual({ host: 'www.example.com', path: '/a' });
+    });
+
+    test('should reject URLs that cannot be requested', () => {
+      expect(cacheWarmer.resolveTarget('ftp://www.example.com/a', 'www.example.com')).toBeNull();
+      expect(cacheWarmer.resolveTarget('not a url', 'www.example.com')).toBeNull();
+      expect(cacheWarmer.resolveTarget('', 'www.example.com')).toBeNull();
+    });
+  });
+
+  describe('warming jobs', () => {
+    let server;
+    let requests;
+    let active;
+    let maxActive;
+    let delay;
+
+    beforeAll(async () => {
+      // Stands in for the proxy the warmer sends its requests to
+      server = http.createServer((req, res) => {
+        const host = req.headers.host;
+        requests.push(`${host}${req.url}`);
+        active[host] = (active[host] || 0) + 1;
+        maxActive[host] = Math.max(maxActive[host] || 0, active[host]);
+
+        setTimeout(() => {
+          active[host]--;
+          if (req.url === '/sitemap.xml') {
+            res.end(sitemapIndex);
+          } else if (req.url === '/sitemap-pages.xml.gz') {
+            res.end(zlib.gzipSync(pagesSitemap));
+          } else if (req.url === '/sitemap-blog.xml') {
+            res.end(blogSitemap);
+          } else if (req.url === '/missing') {
+            res.statusCode = 404;
+            res.end();
+          } else {
+            res.setHeader('X-Cache', req.url === '/page-1?a=1&b=2' ? 'HIT' : 'MISS');
+            res.end('page');
+          }
+        }, delay);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      config.server.port = server.address().port;
+    });
+
+    afterAll(async () => {
+      cacheWarmer.shutdown();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      active = {};
+      maxActive = {};
+      delay = 10;
+    });
+
+    test('should warm every URL of a sitemap index', async () => {
+      const started = cacheWarmer.start({ sitemap: '/sitemap.xml' });
+      expect(started.status).toBe('running');
+
+      const job = await waitForJob(started.id);
+      expect(job).toMatchObject({
+        status: 'completed',
+        domain: 'www.example.com',
+        sitemaps: 3,
+        total: 7,
+        completed: 7,
+        succeeded: 6,
+        failed: 1,
+        hits: 1,
+        pending: 0,
+        progress: 100
+      });
+      expect(job.failures).toEqual([{ url: '//www.example.com/missing', error: 'HTTP 404' }]);
+      expect(requests).toContain('www.example.com/page-3?a=1&b=2');
+      expect(requests).toContain('blog.example.com/post');
+    });
+
+    test('should bound concurrent requests per domain', async () => {
+      const urls = [1, 2, 3, 4, 5, 6].map(n => `/page-${n}`);
+      const first = cacheWarmer.start({ urls });
+      const second = cacheWarmer.start({ urls: urls.map(url => `${url}?second`) });
+
+      await waitForJob(first.id);
+      await waitForJob(second.id);
+      expect(maxActive['www.example.com']).toBe(2);
+      expect(requests).toHaveLength(12);
+    });
+
+    test('should skip duplicates and URLs beyond the limit', async () => {
+      config.cache.warming.maxUrls = 2;
+      try {
+        const job = await waitForJob(cacheWarmer.start({ urls: ['/a', '/a', '/b', '/c', 'mailto:x'] }).id);
+        expect(job).toMatchObject({ total: 2, skipped: 1 });
+        expect(job.failures).toEqual([{ url: 'mailto:x', error: 'Invalid URL' }]);
+      } finally {
+        config.cache.warming.maxUrls = 100;
+      }
+    });
+
+    test('should stop a cancelled job', async () => {
+      delay = 200;
+      const started = cacheWarmer.start({ urls: ['/1', '/2', '/3', '/4', '/5', '/6'] });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(cacheWarmer.cancel(started.id)).toBe(true);
+      expect(cacheWarmer.cancel(started.id)).toBe(false);
+
+      const job = await waitForJob(started.id);
+      expect(job.status).toBe('cancelled');
+      expect(job.failed).toBe(0);
+      expect(requests.length).toBeLessThan(6);
+    });
+
+    test('should require a sitemap or URLs', () => {
+      expect(() => cacheWarmer.start({})).toThrow('A sitemap or a list of URLs is required');
+    });
+  });
+});
@@ -0,0 +1,240 @@
+// cluster-coordinator.test.js
+
+/**
+ * Unit tests for the Cluster Coordinator
+ *
+ * Tests running cache commands locally and across workers, the aggregation
+ * of worker results, the fallback when the primary doesn't answer, and the
+ * shared cache the primary keeps for its workers.
+ */
+
+const EventEmitter = require('events');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('cluster', () => ({
+  isWorker: false,
+  workers: {}
+}));
+
+jest.mock('../src/config', () => ({
+  server: {
+    env: 'test',
+    cluster: {
+      enabled: true,
+      commandTimeout: 100
+    }
+  },
+  pathRewriting: {
+    domainRoutingRules: {}
+  },
+  cache: {
+    enabled: true,
+    defaultTtl: 60,
+    maxTtl: 3600,
+    checkPeriod: 0,
+    maxItems: 100,
+    eviction: {
+      policy: 'lru',
+      maxBytes: 0,
+      maxEntrySize: 0
+    },
+    respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
+    revalidation: {
+      enabled: true,
+      staleRetention: 0
+    },
+    staleServing: {
+      enabled: false,
+      staleWhileRevalidate: 0,
+      staleIfError: 0
+    },
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: []
+    },
+    vary: {
+      maxVariants: 50
+    },
+    tags: {
+      enabled: true,
+      headers: ['surrogate-key'],
+      maxPerEntry: 100
+    },
+    shared: {
+      enabled: true,
+      timeout: 100
+    },
+    disk: {
+      enabled: false,
+      path: '.cache/responses'
+    }
+  }
+}));
+
+const cluster = require('cluster');
+const clusterCoordinator = require('../src/cache/cluster-coordinator');
+const cacheManager = require('../src/cache/cache-manager');
+
+/**
+ * Fake cluster worker whose process runs the commands it is sent
+ * through the coordinator, as the worker side would
+ */
+const createWorker = (slot, handler) => {
+  const worker = new EventEmitter();
+  worker.isConnected = () => true;
+  worker.sent = [];
+  worker.send = (message) => {
+    worker.sent.push(message);
+    if (message.type === 'cache:execute') {
+      setImmediate(() => {
+        const reply = handler
+          ? { worker: slot, result: handler(message.args) }
+          : null;
+        if (reply) {
+          clusterCoordinator.handleWorkerMessage(worker, { type: 'cache:executed', id: message.id, ...reply });
+        }
+      });
+    }
+  };
+  clusterCoordinator.attach(worker, slot);
+  return worker;
+};
+
+const waitFor = (worker, type) => new Promise(resolve => {
+  const check = () => {
+    const message = worker.sent.find(sent => sent.type === type);
+    return message ? resolve(message) : setTimeout(check, 5);
+  };
+  check();
+});
+
+describe('ClusterCoordinator', () => {
+  const originalSend = process.send;
+
+  afterEach(() => {
+    clusterCoordinator.isWorker = false;
+    clusterCoordinator.sharedEnabled = true;
+    cluster.workers = {};
+    process.send = originalSend;
+  });
+
+  afterAll(() => {
+    cacheManager.shutdown();
+  });
+
+  beforeEach(() => {
+    cacheManager.cache.flushAll();
+  });
+
+  test('should run commands locally outside a cluster worker', async () => {
+    clusterCoordinator.register('echo', args => ({ echoed: args.value }));
+
+    expect(await clusterCoordinator.run('echo', { value: 1 })).toEqual({ echoed: 1 });
+    await expect(clusterCoordinator.run('missing')).rejects.toThrow('Unknown cache command');
+  });
+
+  test('should aggregate the results of every worker', async () => {
+    clusterCoordinator.isWorker = true;
+    clusterCoordinator.workerId = '0';
+    clusterCoordinator.register('count', () => ({ purged: 1 }));
+    process.send = jest.fn((message) => {
+      setImmediate(() => clusterCoordinator.handlePrimaryMessage({
+        type: 'cache:reply',
+        id: message.id,
+        result: [
+          { worker: '0', result: { purged: 2, keys: ['a', 'b'], pattern: '*' } },
+          { worker: '1', result: { purged: 1, keys: ['a'], pattern: '*' } },
+          { worker: '2', error: 'timeout' }
+        ]
+      }));
+    });
+
+    const result = await clusterCoordinator.run('count', { pattern: '*' });
+
+    expect(process.send.mock.calls[0][0]).toMatchObject({ type: 'cache:command', command: 'count', args: { pattern: '*' } });
+    expect(result).toMatchObject({ purged: 3, keys: ['a', 'b'], pattern: '*' });
+    expect(result.workers).toHaveLength(3);
+  });
+
+  test('should run the command on its own worker when the primary does not answer', async () => {
+    clusterCoordinator.isWorker = true;
+    clusterCoordinator.workerId = '0';
+    clusterCoordinator.register('count', () => ({ purged: 1 }));
+    process.send = jest.fn();
+
+    jest.useFakeTimers();
+    const pending = clusterCoordinator.run('count');
+    jest.advanceTimersByTime(1100);
+    jest.useRealTimers();
+
+    expect(await pending).toEqual({ purged: 1, workers: [{ worker: '0', result: { purged: 1 } }] });
+  });
+
+  test('should report the result of a broadcast command to the primary', async () => {
+    clusterCoordinator.workerId = '1';
+    clusterCoordinator.register('count', () => ({ purged: 4 }));
+    process.send = jest.fn();
+
+    clusterCoordinator.handlePrimaryMessage({ type: 'cache:execute', id: 'primary:1', command: 'count', args: {} });
+    clusterCoordinator.handlePrimaryMessage({ type: 'cache:execute', id: 'primary:2', command: 'missing', args: {} });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(process.send).toHaveBeenCalledWith({ type: 'cache:executed', id: 'primary:1', worker: '1', result: { purged: 4 } });
+    expect(process.send).toHaveBeenCalledWith(expect.objectContaining({ id: 'primary:2', error: 'Unknown cache command: missing' }));
+  });
+
+  test('should broadcast commands to all workers and the shared cache', async () => {
+    cacheManager.set('GET:www.example.com:/a', { status: 200, headers: {}, body: 'a' }, 60);
+
+    const origin = createWorker('0', () => ({ purged: 1 }));
+    const other = createWorker('1', () => ({ purged: 2 }));
+    const stuck = createWorker('2', null);
+    cluster.workers = { 1: origin, 2: other, 3: stuck };
+
+    origin.emit('message', { type: 'cache:command', id: '0:1', command: 'purge', args: { pattern: '*', domain: null } });
+    const reply = await waitFor(origin, 'cache:reply');
+
+    expect(reply.id).toBe('0:1');
+    expect(reply.result).toEqual([
+      { worker: '0', result: { purged: 1 } },
+      { worker: '1', result: { purged: 2 } },
+      { worker: '2', error: 'timeout' },
+      { worker: 'primary', result: expect.objectContaining({ purged: 1 }) }
+    ]);
+    expect(cacheManager.cache.keys()).toEqual([]);
+  });
+
+  test('should store and serve entries of the shared cache', async () => {
+    const worker = createWorker('0');
+    const entry = { status: 200, headers: { 'content-type': 'text/html' }, body: 'shared', tags: ['home'] };
+
+    worker.emit('message', { type: 'cache:set', key: 'GET:www.example.com:/s', entry, ttl: 60 });
+    worker.emit('message', { type: 'cache:get', id: '0:2', key: 'GET:www.example.com:/s' });
+    const reply = await waitFor(worker, 'cache:reply');
+
+    expect(reply.result.entry.body).toBe('shared');
+    expect(reply.result.ttl).toBeGreaterThan(0);
+    expect(cacheManager.purgeTags(['home']).purged).toBe(1);
+
+    clusterCoordinator.sharedEnabled = false;
+    expect(await clusterCoordinator.getShared('GET:www.example.com:/s')).toBeNull();
+  });
+});
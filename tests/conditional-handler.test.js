@@ -0,0 +1,132 @@
+// conditional-handler.test.js
+
+/**
+ * Unit tests for the Conditional Handler
+ *
+ * Tests validator matching for If-None-Match / If-Modified-Since, the
+ * 304 responses generated from cache and the headers sent to the origin
+ * when a stale entry is revalidated.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cache: {
+    revalidation: {
+      enabled: true,
+      staleRetention: 3600
+    }
+  }
+}));
+
+const conditionalHandler = require('../src/cache/conditional-handler');
+
+/**
+ * Minimal response/request double recording headers and status
+ */
+function createMockMessage(headers = {}) {
+  return {
+    statusCode: 200,
+    headers: { ...headers },
+    ended: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    removeHeader(name) {
+      delete this.headers[name.toLowerCase()];
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+describe('ConditionalHandler', () => {
+  const headers = {
+    'content-type': 'text/html',
+    'content-length': '42',
+    etag: '"v1"',
+    'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT'
+  };
+
+  describe('isNotModified', () => {
+    test('should match If-None-Match against the cached ETag', () => {
+      const req = { method: 'GET', headers: { 'if-none-match': '"v0", "v1"' } };
+      expect(conditionalHandler.isNotModified(req, headers)).toBe(true);
+    });
+
+    test('should use weak comparison for If-None-Match', () => {
+      const req = { method: 'GET', headers: { 'if-none-match': 'W/"v1"' } };
+      expect(conditionalHandler.isNotModified(req, headers)).toBe(true);
+    });
+
+    test('should match a wildcard If-None-Match', () => {
+      const req = { method: 'GET', headers: { 'if-none-match': '*' } };
+      expect(conditionalHandler.isNotModified(req, headers)).toBe(true);
+    });
+
+    test('should let If-None-Match take precedence over If-Modified-Since', () => {
+      const req = {
+        method: 'GET',
+        headers: {
+          'if-none-match': '"v2"',
+          'if-modified-since': 'Thu, 22 Oct 2015 07:28:00 GMT'
+        }
+      };
+      expect(conditionalHandler.isNotModified(req, headers)).toBe(false);
+    });
+
+    test('should compare If-Modified-Since with Last-Modified', () => {
+      const later = { method: 'GET', headers: { 'if-modified-since': 'Thu, 22 Oct 2015 07:28:00 GMT' } };
+      const earlier = { method: 'GET', headers: { 'if-modified-since': 'Tue, 20 Oct 2015 07:28:00 GMT' } };
+      expect(conditionalHandler.isNotModified(later, headers)).toBe(true);
+      expect(conditionalHandler.isNotModified(earlier, headers)).toBe(false);
+    });
+
+    test('should ignore conditionals on unsafe methods', () => {
+      const req = { method: 'POST', headers: { 'if-none-match': '"v1"' } };
+      expect(conditionalHandler.isNotModified(req, headers)).toBe(false);
+    });
+  });
+
+  describe('serveNotModified', () => {
+    test('should answer 304 without body headers', () => {
+      const res = createMockMessage(headers);
+      conditionalHandler.serveNotModified({ url: '/a' }, res);
+
+      expect(res.statusCode).toBe(304);
+      expect(res.ended).toBe(true);
+      expect(res.headers.etag).toBe('"v1"');
+      expect(res.headers['content-length']).toBeUndefined();
+      expect(res.headers['content-type']).toBeUndefined();
+    });
+  });
+
+  describe('revalidation', () => {
+    test('should only revalidate entries with validators', () => {
+      const req = { method: 'GET', headers: {} };
+      expect(conditionalHandler.canRevalidate(req, { headers })).toBe(true);
+      expect(conditionalHandler.canRevalidate(req, { headers: { 'content-type': 'text/html' } })).toBe(false);
+      expect(conditionalHandler.canRevalidate({ method: 'POST', headers: {} }, { headers })).toBe(false);
+    });
+
+    test('should replace client validators with the cached ones', () => {
+      const proxyReq = createMockMessage({ 'if-none-match': '"client"' });
+      conditionalHandler.applyRevalidationHeaders(proxyReq, { headers });
+
+      expect(proxyReq.headers['if-none-match']).toBe('"v1"');
+      expect(proxyReq.headers['if-modified-since']).toBe('Wed, 21 Oct 2015 07:28:00 GMT');
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// disk-cache.test.js
+
+/**
+ * Unit tests for the disk cache tier
+ *
+ * Tests the entry file format and sharded layout, the index surviving a
+ * restart, byte-bounded LRU eviction and expiry, and how the Cache Manager
+ * falls back to disk on memory misses and promotes hot entries.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+const mockDiskPath = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-cache-manager-'));
+
+jest.mock('../src/config', () => ({
+  server: { env: 'test', cluster: { enabled: false } },
+  pathRewriting: {
+    domainRoutingRules: {}
+  },
+  cache: {
+    enabled: true,
+    defaultTtl: 60,
+    maxTtl: 3600,
+    checkPeriod: 0,
+    maxItems: 2,
+    eviction: {
+      policy: 'lru',
+      maxBytes: 0,
+      maxEntrySize: 0
+    },
+    respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
+    revalidation: {
+      enabled: true,
+      staleRetention: 0
+    },
+    staleServing: {
+      enabled: false,
+      staleWhileRevalidate: 0,
+      staleIfError: 0
+    },
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: []
+    },
+    vary: {
+      maxVariants: 50
+    },
+    tags: {
+      enabled: true,
+      headers: ['surrogate-key'],
+      maxPerEntry: 100
+    },
+    shared: {
+      enabled: false
+    },
+    disk: {
+      enabled: true,
+      path: mockDiskPath,
+      maxSize: 1024 * 1024,
+      maxEntrySize: 64 * 1024,
+      promoteAfterHits: 2,
+      indexSaveInterval: 60000,
+      cleanupInterval: 60000
+    }
+  }
+}));
+
+const DiskCache = require('../src/cache/disk-cache');
+const cacheManager = require('../src/cache/cache-manager');
+
+const createOptions = (dir, overrides = {}) => ({
+  enabled: true,
+  path: dir,
+  maxSize: 1024 * 1024,
+  maxEntrySize: 64 * 1024,
+  indexSaveInterval: 60000,
+  cleanupInterval: 60000,
+  ...overrides
+});
+
+const createEntry = (body = 'page') => ({
+  status: 200,
+  headers: { 'content-type': 'text/html' },
+  body
+});
+
+// Wait for background file writes and deletes
+const settle = (diskCache) => Promise.all([...diskCache.operations.values()]);
+
+describe('DiskCache', () => {
+  let dir;
+  let diskCache;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-cache-'));
+    diskCache = new DiskCache(createOptions(dir));
+  });
+
+  afterEach(() => {
+    diskCache.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should store string and binary bodies in sharded files', async () => {
+    diskCache.set('text', { ...createEntry('héllo'), variants: { gzip: Buffer.from('x') } }, 60);
+    diskCache.set('binary', createEntry(Buffer.from([0, 1, 2, 255])), 60);
+    await settle(diskCache);
+
+    const text = await diskCache.get('text');
+    expect(text.body).toBe('héllo');
+    expect(text.headers['content-type']).toBe('text/html');
+    expect(text.variants).toBeUndefined();
+    expect(Buffer.isBuffer((await diskCache.get('binary')).body)).toBe(true);
+
+    const { file } = diskCache.getInfo('text');
+    expect(fs.existsSync(path.join(dir, file.slice(0, 2), file.slice(2, 4), file))).toBe(true);
+  });
+
+  test('should reload its index after a restart', async () => {
+    diskCache.set('kept', createEntry('kept'), 60, { primaryKey: 'p', fields: ['accept-language'], tags: ['t'] });
+    await settle(diskCache);
+    diskCache.shutdown();
+
+    diskCache = new DiskCache(createOptions(dir));
+    expect(diskCache.getInfo('kept')).toMatchObject({ primaryKey: 'p', fields: ['accept-language'], tags: ['t'] });
+    expect((await diskCache.get('kept')).body).toBe('kept');
+  });
+
+  test('should evict the least recently used entries beyond its byte budget', async () => {
+    diskCache.set('a', createEntry('a'.repeat(100)), 60);
+    const size = diskCache.size;
+    await settle(diskCache);
+    diskCache.shutdown();
+    diskCache = new DiskCache(createOptions(dir, { maxSize: size * 2 + 10 }));
+
+    const removed = [];
+    diskCache.on('del', key => removed.push(key));
+
+    diskCache.set('a', createEntry('a'.repeat(100)), 60);
+    diskCache.set('b', createEntry('b'.repeat(100)), 60);
+    await settle(diskCache);
+    await diskCache.get('a');
+    diskCache.set('c', createEntry('c'.repeat(100)), 60);
+
+    expect(removed).toEqual(['b']);
+    expect(diskCache.keys()).toEqual(['a', 'c']);
+    expect(diskCache.getStats().evictions).toBe(1);
+  });
+
+  test('should not return or keep expired entries', async () => {
+    diskCache.set('old', createEntry(), 60);
+    diskCache.getInfo('old').expires = Date.now() - 1;
+
+    expect(diskCache.has('old')).toBe(false);
+    expect(await diskCache.get('old')).toBeNull();
+    expect(diskCache.keys()).toEqual([]);
+  });
+
+  test('should refuse entries over the size cap and drop the older copy', () => {
+    diskCache.set('big', createEntry('small'), 60);
+    expect(diskCache.set('big', createEntry('x'.repeat(70 * 1024)), 60)).toBe(false);
+    expect(diskCache.has('big')).toBe(false);
+  });
+
+  test('should delete entry files on clear', async () => {
+    diskCache.set('a', createEntry(), 60);
+    await settle(diskCache);
+    await diskCache.clear();
+
+    expect(diskCache.keys()).toEqual([]);
+    expect(fs.readdirSync(dir).filter(name => name !== 'index.json')).toEqual([]);
+  });
+});
+
+describe('CacheManager with a disk tier', () => {
+  afterAll(() => {
+    cacheManager.shutdown();
+    fs.rmSync(mockDiskPath, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    cacheManager.purge('*');
+    await settle(cacheManager.diskCache);
+  });
+
+  test('should serve memory misses from disk and promote hot entries', async () => {
+    cacheManager.set('k1', createEntry('one'), 60);
+    await settle(cacheManager.diskCache);
+    cacheManager.cache.del('k1');
+
+    expect((await cacheManager.lookup('k1')).body).toBe('one');
+    expect(cacheManager.cache.has('k1')).toBe(false);
+
+    expect((await cacheManager.lookup('k1')).body).toBe('one');
+    expect(cacheManager.cache.has('k1')).toBe(true);
+
+    const stats = cacheManager.getStats();
+    expect(stats.promotions).toBe(1);
+    expect(stats.tiers.disk.hits).toBeGreaterThanOrEqual(2);
+    expect(stats.tiers.memory.entries).toBe(1);
+  });
+
+  test('should keep entries on disk once memory is full', async () => {
+    ['k1', 'k2', 'k3'].forEach(key => {
+      expect(cacheManager.set(key, createEntry(key), 60)).toBe(true);
+    });
+    await settle(cacheManager.diskCache);
+
+    expect(cacheManager.cache.keys()).toHaveLength(2);
+    expect((await cacheManager.lookup('k3')).body).toBe('k3');
+    expect(cacheManager.getKeys()).toHaveLength(3);
+  });
+
+  test('should purge from both tiers', async () => {
+    cacheManager.set('GET:www.example.com:/a', createEntry(), 60);
+    cacheManager.set('GET:www.example.com:/b', createEntry(), 60);
+
+    expect(cacheManager.purge('*/a').purged).toBe(1);
+    expect(cacheManager.diskCache.keys()).toEqual(['GET:www.example.com:/b']);
+  });
+
+  test('should restore the variant and tag indexes of disk entries', async () => {
+    const req = {
+      method: 'GET',
+      url: '/page',
+      headers: { host: 'www.example.com', 'accept-language': 'de' },
+      cacheTags: ['article-1']
+    };
+    cacheManager.store(req, { ...createEntry('hallo'), headers: { 'content-type': 'text/html', vary: 'Accept-Language' } });
+    await settle(cacheManager.diskCache);
+
+    // Memory and its indexes are gone after a restart
+    cacheManager.cache.flushAll();
+    cacheManager.restoreIndexes();
+
+    const key = cacheManager.generateKey(req);
+    expect(key).toBe('GET:www.example.com:/page:accept-language="de"');
+    expect((await cacheManager.lookup(key)).body).toBe('hallo');
+    expect(cacheManager.purgeTags(['article-1']).purged).toBe(1);
+  });
+});
@@ -0,0 +1,182 @@
+// encoding-negotiator.test.js
+
+/**
+ * Unit tests for the Encoding Negotiator
+ *
+ * Tests Accept-Encoding parsing and negotiation, which entries get
+ * variants, Vary merging and that variants are built once per entry.
+ */
+
+const zlib = require('zlib');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cache: {
+    encodings: {
+      enabled: true,
+      preferred: ['br', 'gzip'],
+      brotliQuality: 5,
+      gzipLevel: 6,
+      minSize: 100,
+      types: ['text/', 'javascript', 'json']
+    }
+  }
+}));
+
+const encodingNegotiator = require('../src/cache/encoding-negotiator');
+
+/**
+ * Minimal response double recording what the negotiator sends
+ */
+function createMockResponse(headers = {}) {
+  return {
+    headers: { ...headers },
+    body: null,
+    writableEnded: false,
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = body;
+      this.writableEnded = true;
+    }
+  };
+}
+
+const createEntry = (headers = {}) => ({
+  status: 200,
+  headers: { 'content-type': 'text/css', ...headers },
+  body: 'body { color: red; }\n'.repeat(20)
+});
+
+describe('EncodingNegotiator', () => {
+  describe('negotiate', () => {
+    test('should serve identity without Accept-Encoding', () => {
+      expect(encodingNegotiator.negotiate(undefined)).toBe('identity');
+      expect(encodingNegotiator.negotiate('')).toBe('identity');
+    });
+
+    test('should prefer br over gzip on equal q-values', () => {
+      expect(encodingNegotiator.negotiate('gzip, deflate, br')).toBe('br');
+      expect(encodingNegotiator.negotiate('gzip, deflate')).toBe('gzip');
+      expect(encodingNegotiator.negotiate('x-gzip')).toBe('gzip');
+    });
+
+    test('should honor q-values', () => {
+      expect(encodingNegotiator.negotiate('br;q=0.5, gzip;q=0.8')).toBe('gzip');
+      expect(encodingNegotiator.negotiate('br;q=0, gzip')).toBe('gzip');
+      expect(encodingNegotiator.negotiate('gzip;q=0.5, identity')).toBe('identity');
+      expect(encodingNegotiator.negotiate('br;q=0, gzip;q=0')).toBe('identity');
+    });
+
+    test('should apply * to codings not listed', () => {
+      expect(encodingNegotiator.negotiate('*')).toBe('br');
+      expect(encodingNegotiator.negotiate('br;q=0.1, *;q=0.5')).toBe('gzip');
+      expect(encodingNegotiator.negotiate('deflate, *;q=0')).toBe('identity');
+    });
+  });
+
+  describe('isEncodable', () => {
+    test('should only encode compressible bodies above the minimum size', () => {
+      expect(encodingNegotiator.isEncodable(createEntry())).toBe(true);
+      expect(encodingNegotiator.isEncodable(createEntry({ 'content-type': 'image/png' }))).toBe(false);
+      expect(encodingNegotiator.isEncodable({ ...createEntry(), body: 'small' })).toBe(false);
+    });
+
+    test('should leave no-transform and already encoded bodies alone', () => {
+      expect(encodingNegotiator.isEncodable(createEntry({ 'cache-control': 'max-age=60, no-transform' }))).toBe(false);
+      expect(encodingNegotiator.isEncodable(createEntry({ 'content-encoding': 'gzip' }))).toBe(false);
+    });
+  });
+
+  describe('addVary', () => {
+    test('should append Accept-Encoding to an existing Vary header once', () => {
+      const res = createMockResponse({ vary: 'Origin' });
+      encodingNegotiator.addVary(res);
+      encodingNegotiator.addVary(res);
+      expect(res.headers.vary).toBe('Origin, Accept-Encoding');
+    });
+
+    test('should leave Vary: * untouched', () => {
+      const res = createMockResponse({ vary: '*' });
+      encodingNegotiator.addVary(res);
+      expect(res.headers.vary).toBe('*');
+    });
+  });
+
+  describe('send', () => {
+    test('should send a variant the client accepts', async () => {
+      const entry = createEntry();
+      const res = createMockResponse();
+
+      await encodingNegotiator.send({ method: 'GET', headers: { 'accept-encoding': 'gzip' } }, res, entry);
+
+      expect(res.headers['content-encoding']).toBe('gzip');
+      expect(res.headers['content-length']).toBe(res.body.length);
+      expect(zlib.gunzipSync(res.body).toString()).toBe(entry.body);
+    });
+
+    test('should build each variant once per entry', async () => {
+      const entry = createEntry();
+      const built = encodingNegotiator.getStats().variantsBuilt;
+      const req = { method: 'GET', headers: { 'accept-encoding': 'br' } };
+
+      const first = createMockResponse();
+      const second = createMockResponse();
+      await Promise.all([
+        encodingNegotiator.send(req, first, entry),
+        encodingNegotiator.send(req, second, entry)
+      ]);
+      const third = createMockResponse();
+      await encodingNegotiator.send(req, third, entry);
+
+      expect(encodingNegotiator.getStats().variantsBuilt).toBe(built + 1);
+      expect(third.body).toBe(entry.variants.br);
+      expect(zlib.brotliDecompressSync(third.body).toString()).toBe(entry.body);
+    });
+
+    test('should send the identity body when no encoding is acceptable', async () => {
+      const entry = createEntry();
+      const res = createMockResponse();
+
+      await encodingNegotiator.send({ method: 'GET', headers: {} }, res, entry);
+
+      expect(res.headers['content-encoding']).toBeUndefined();
+      expect(res.headers['content-length']).toBe(Buffer.byteLength(entry.body));
+      expect(res.body).toBe(entry.body);
+      expect(entry.variants).toBeUndefined();
+    });
+
+    test('should send headers only for HEAD requests', async () => {
+      const res = createMockResponse();
+
+      await encodingNegotiator.send({ method: 'HEAD', headers: { 'accept-encoding': 'gzip' } }, res, createEntry());
+
+      expect(res.headers['content-encoding']).toBe('gzip');
+      expect(res.headers['content-length']).toBeGreaterThan(0);
+      expect(res.body).toBeUndefined();
+    });
+
+    test('should give identity HEAD responses the length of the body', async () => {
+      const entry = createEntry({ 'content-type': 'image/png' });
+      const res = createMockResponse();
+
+      await encodingNegotiator.send({ method: 'HEAD', headers: { 'accept-encoding': 'gzip' } }, res, entry);
+
+      expect(res.headers['content-encoding']).toBeUndefined();
+      expect(res.headers['content-length']).toBe(Buffer.byteLength(entry.body));
+      expect(res.body).toBeUndefined();
+    });
+  });
+});
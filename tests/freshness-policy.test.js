@@ -0,0 +1,163 @@
+// freshness-policy.test.js
+
+/**
+ * Unit tests for the Freshness Policy
+ *
+ * Tests directive parsing and, for a table of header combinations, the
+ * storability, lifetime and age decisions a shared cache makes under
+ * RFC 9111 and RFC 9213.
+ */
+
+jest.mock('../src/config', () => ({
+  cache: {
+    defaultTtl: 300,
+    cacheCookies: false,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    }
+  }
+}));
+
+const config = require('../src/config');
+const freshnessPolicy = require('../src/cache/freshness-policy');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const date = offset => new Date(NOW + offset * 1000).toUTCString();
+
+describe('FreshnessPolicy', () => {
+  describe('parseDirectives', () => {
+    test('should parse tokens, values and quoted strings', () => {
+      expect(freshnessPolicy.parseDirectives('Public, MAX-AGE=60, no-cache="Set-Cookie, Foo", s-maxage = 10'))
+        .toEqual({ public: true, 'max-age': '60', 'no-cache': 'Set-Cookie, Foo', 's-maxage': '10' });
+    });
+
+    test('should join repeated fields and keep the first of repeated directives', () => {
+      expect(freshnessPolicy.parseDirectives(['max-age=60', 'max-age=10, private']))
+        .toEqual({ 'max-age': '60', private: true });
+      expect(freshnessPolicy.parseDirectives(undefined)).toEqual({});
+    });
+
+    test('should treat invalid delta-seconds as zero', () => {
+      const directives = freshnessPolicy.parseDirectives('max-age=abc, s-maxage=-1');
+      expect(freshnessPolicy.getSeconds(directives, 'max-age')).toBe(0);
+      expect(freshnessPolicy.getSeconds(directives, 's-maxage')).toBe(0);
+      expect(freshnessPolicy.getSeconds(directives, 'stale-if-error')).toBeNull();
+    });
+  });
+
+  describe('evaluate', () => {
+    const cases = [
+      // [description, headers, options, expected]
+      ['max-age', { 'cache-control': 'max-age=60' }, {},
+        { storable: true, lifetime: 60, source: 'max-age', ttl: 60 }],
+      ['s-maxage over max-age', { 'cache-control': 'max-age=60, s-maxage=600' }, {},
+        { storable: true, lifetime: 600, source: 's-maxage' }],
+      ['max-age over Expires', { 'cache-control': 'max-age=60', date: date(0), expires: date(3600) }, {},
+        { lifetime: 60, source: 'max-age' }],
+      ['Expires minus Date', { date: date(0), expires: date(120) }, {},
+        { lifetime: 120, source: 'expires', ttl: 120 }],
+      ['an invalid Expires', { date: date(0), expires: '0' }, {},
+        { lifetime: 0, source: 'expires', ttl: 0 }],
+      ['an Expires in the past', { date: date(0), expires: date(-60) }, {},
+        { lifetime: 0, source: 'expires' }],
+      ['a heuristic from Last-Modified', { date: date(0), 'last-modified': date(-10000) }, {},
+        { lifetime: 1000, source: 'heuristic' }],
+      ['a capped heuristic', { date: date(0), 'last-modified': date(-100 * 86400) }, {},
+        { lifetime: 86400, source: 'heuristic' }],
+      ['no heuristic for statuses that need explicit freshness', { date: date(0), 'last-modified': date(-10000) },
+        { status: 302 }, { lifetime: 300, source: 'default' }],
+      ['a heuristic for public responses of any status',
+        { 'cache-control': 'public', date: date(0), 'last-modified': date(-10000) },
+        { status: 302 }, { lifetime: 1000, source: 'heuristic' }],
+      ['the default TTL without freshness information', {}, {},
+        { storable: true, lifetime: 300, source: 'default' }],
+      ['CDN-Cache-Control over Cache-Control', { 'cdn-cache-control': 'max-age=900', 'cache-control': 'no-store' }, {},
+        { storable: true, lifetime: 900, source: 'max-age', field: 'cdn-cache-control' }],
+      ['CDN-Cache-Control over Surrogate-Control',
+        { 'cdn-cache-control': 'max-age=900', 'surrogate-control': 'max-age=10' }, {},
+        { lifetime: 900, field: 'cdn-cache-control' }],
+      ['Surrogate-Control over Cache-Control', { 'surrogate-control': 'max-age=30', 'cache-control': 'max-age=5' }, {},
+        { lifetime: 30, field: 'surrogate-control' }],
+      ['a targeted field hiding Expires', { 'surrogate-control': 'public', date: date(0), expires: date(60) }, {},
+        { lifetime: 300, source: 'default' }],
+      ['a targeted no-store', { 'cdn-cache-control': 'no-store', 'cache-control': 'max-age=60' }, {},
+        { storable: false, reason: 'no-store' }],
+      ['no-store', { 'cache-control': 'max-age=60, no-store' }, {},
+        { storable: false, reason: 'no-store', ttl: 0 }],
+      ['private', { 'cache-control': 'private, max-age=60' }, {},
+        { storable: false, reason: 'private' }],
+      ['private for named fields only', { 'cache-control': 'private="Set-Cookie", max-age=60' }, {},
+        { storable: true, lifetime: 60 }],
+      ['no-cache', { 'cache-control': 'no-cache, max-age=60' }, {},
+        { storable: true, reason: 'no-cache', ttl: 0 }],
+      ['no-cache for named fields only', { 'cache-control': 'no-cache="Set-Cookie", max-age=60' }, {},
+        { storable: true, reason: null, ttl: 60 }],
+      ['an authorized request', { 'cache-control': 'max-age=60' }, { authorized: true },
+        { storable: false, reason: 'authorization' }],
+      ['an authorized request with public', { 'cache-control': 'public, max-age=60' }, { authorized: true },
+        { storable: true, ttl: 60 }],
+      ['an authorized request with s-maxage', { 'cache-control': 's-maxage=60' }, { authorized: true },
+        { storable: true, ttl: 60 }],
+      ['an authorized request with must-revalidate', { 'cache-control': 'max-age=60, must-revalidate' },
+        { authorized: true }, { storable: true, ttl: 60 }],
+      ['an upstream Age', { 'cache-control': 'max-age=60', age: '45' }, {},
+        { lifetime: 60, age: 45, ttl: 15 }],
+      ['an upstream Age beyond the lifetime', { 'cache-control': 'max-age=60', age: '90' }, {},
+        { age: 90, ttl: 0 }],
+      ['an invalid Age', { 'cache-control': 'max-age=60', age: 'soon' }, {},
+        { age: 0, ttl: 60 }],
+      ['a Date in the past', { 'cache-control': 'max-age=60', date: date(-20) }, {},
+        { age: 20, ttl: 40 }],
+      ['a slow origin', { 'cache-control': 'max-age=60', age: '10' }, { requestTime: NOW - 5000 },
+        { age: 15, ttl: 45 }],
+      ['a Date ahead of our clock', { 'cache-control': 'max-age=60', date: date(30) }, {},
+        { age: 0, ttl: 60 }]
+    ];
+
+    test.each(cases)('should handle %s', (description, headers, options, expected) => {
+      const result = freshnessPolicy.evaluate(headers, { responseTime: NOW, ...options });
+      expect(result).toMatchObject(expected);
+    });
+
+    test('should let CACHE_COOKIES store private responses', () => {
+      config.cache.cacheCookies = true;
+      try {
+        expect(freshnessPolicy.evaluate({ 'cache-control': 'private, max-age=60' }, { responseTime: NOW }))
+          .toMatchObject({ storable: true, ttl: 60 });
+      } finally {
+        config.cache.cacheCookies = false;
+      }
+    });
+
+    test('should fall back to the default TTL when heuristics are off', () => {
+      config.cache.freshness.heuristicFraction = 0;
+      try {
+        expect(freshnessPolicy.evaluate({ date: date(0), 'last-modified': date(-10000) }, { responseTime: NOW }))
+          .toMatchObject({ lifetime: 300, source: 'default' });
+      } finally {
+        config.cache.freshness.heuristicFraction = 0.1;
+      }
+    });
+  });
+
+  describe('requiresRevalidation', () => {
+    test.each([
+      ['max-age=60', false],
+      ['max-age=60, must-revalidate', true],
+      ['max-age=60, proxy-revalidate', true],
+      ['no-cache', true],
+      ['s-maxage=60', true]
+    ])('should decide for %s', (cacheControl, expected) => {
+      expect(freshnessPolicy.requiresRevalidation({ 'cache-control': cacheControl })).toBe(expected);
+    });
+
+    test('should follow the targeted field', () => {
+      expect(freshnessPolicy.requiresRevalidation({
+        'cache-control': 'must-revalidate',
+        'surrogate-control': 'max-age=60'
+      })).toBe(false);
+    });
+  });
+});
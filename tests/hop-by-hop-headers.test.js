@@ -0,0 +1,38 @@
+// hop-by-hop-headers.test.js
+
+/**
+ * Unit tests for the Hop-by-Hop Headers
+ *
+ * Tests finding the connection-specific fields of a header set, including
+ * the ones Connection names, and copying headers without them.
+ */
+
+const hopByHopHeaders = require('../src/proxy/hop-by-hop-headers');
+
+describe('HopByHopHeaders', () => {
+  test('should list the fixed fields and the ones Connection names', () => {
+    const names = hopByHopHeaders.getNames({ connection: ['keep-alive, X-Hop', 'close'] });
+
+    expect(names).toEqual(new Set([
+      'connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'te', 'trailer',
+      'x-hop', 'close'
+    ]));
+  });
+
+  test('should copy headers without hop-by-hop fields', () => {
+    const headers = {
+      connection: 'X-Hop',
+      'keep-alive': 'timeout=5',
+      'transfer-encoding': 'chunked',
+      'x-hop': '1',
+      'content-type': 'text/html',
+      'cache-control': 'max-age=60'
+    };
+
+    expect(hopByHopHeaders.strip(headers)).toEqual({
+      'content-type': 'text/html',
+      'cache-control': 'max-age=60'
+    });
+    expect(headers['keep-alive']).toBe('timeout=5');
+  });
+});
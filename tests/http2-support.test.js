@@ -0,0 +1,143 @@
+// http2-support.test.js
+
+/**
+ * Unit tests for HTTP/2 Support
+ *
+ * Tests the header normalisation for HTTP/2 requests and that Express
+ * apps keep working for HTTP/2 clients (over cleartext h2c, so no
+ * certificate is needed).
+ */
+
+const http2 = require('http2');
+const express = require('express');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  server: {
+    ssl: {
+      enabled: true,
+      http2: {
+        enabled: true,
+        allowHTTP1: true,
+        maxConcurrentStreams: 100
+      }
+    }
+  }
+}));
+
+const http2Support = require('../src/middleware/http2-support');
+
+describe('Http2Support', () => {
+  test('should map :authority to Host and drop pseudo-headers', () => {
+    const headers = http2Support.normalizeHeaders({
+      ':method': 'GET',
+      ':path': '/page?x=1',
+      ':scheme': 'https',
+      ':authority': 'www.example.com',
+      'accept-encoding': 'gzip'
+    });
+
+    expect(headers).toEqual({
+      host: 'www.example.com',
+      'accept-encoding': 'gzip'
+    });
+  });
+
+  test('should keep an explicit Host header', () => {
+    const headers = http2Support.normalizeHeaders({
+      ':authority': 'cdn.example.com',
+      host: 'www.example.com'
+    });
+
+    expect(headers.host).toBe('www.example.com');
+  });
+
+  describe('with an Express app', () => {
+    let server;
+    let client;
+
+    beforeAll(done => {
+      const app = express();
+      app.use(http2Support.getMiddleware());
+      app.use(express.json());
+      app.get('/info', (req, res) => {
+        res.set('X-Test', 'yes');
+        res.json({
+          host: req.headers.host,
+          method: req.method,
+          url: req.url,
+          query: req.query,
+          version: req.httpVersion,
+          transferEncoding: req.headers['transfer-encoding'],
+          pseudoHeaders: Object.keys(req.headers).filter(name => name.startsWith(':'))
+        });
+      });
+      app.post('/echo', (req, res) => res.status(201).send(req.body));
+
+      http2Support.prototypes = http2Support.createPrototypes(app);
+      server = http2.createServer(http2Support.wrapApp(app));
+      server.listen(0, () => {
+        client = http2.connect(`http://localhost:${server.address().port}`);
+        done();
+      });
+    });
+
+    afterAll(done => {
+      client.close();
+      server.close(done);
+    });
+
+    const request = (headers, body) => new Promise((resolve, reject) => {
+      const stream = client.request(headers, { endStream: !body });
+      let response = {};
+      let data = '';
+      stream.on('response', h => { response = h; });
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => { data += chunk; });
+      stream.on('end', () => resolve({ headers: response, body: data }));
+      stream.on('error', reject);
+      if (body) {
+        stream.end(body);
+      }
+    });
+
+    test('should serve requests through Express routing', async () => {
+      const response = await request({ ':path': '/info?a=1', ':authority': 'www.example.com' });
+      const info = JSON.parse(response.body);
+
+      expect(response.headers[':status']).toBe(200);
+      expect(response.headers['x-test']).toBe('yes');
+      expect(info).toEqual({
+        host: 'www.example.com',
+        method: 'GET',
+        url: '/info?a=1',
+        query: { a: '1' },
+        version: '2.0',
+        pseudoHeaders: []
+      });
+    });
+
+    test('should read request bodies', async () => {
+      const response = await request({
+        ':method': 'POST',
+        ':path': '/echo',
+        'content-type': 'application/json'
+      }, JSON.stringify({ hello: 'world' }));
+
+      expect(response.headers[':status']).toBe(201);
+      expect(JSON.parse(response.body)).toEqual({ hello: 'world' });
+    });
+
+    test('should count requests by protocol version', () => {
+      expect(http2Support.getStats().requests['HTTP/2.0']).toBe(2);
+    });
+  });
+});
@@ -40,6 +40,11 @@ jest.mock('../src/config', () => ({
     enabled: true,
     cacheableStatusCodes: [200, 301, 302],
     respectCacheControl: true,
+    freshness: {
+      targetedHeaders: ['cdn-cache-control', 'surrogate-control'],
+      heuristicFraction: 0.1,
+      heuristicMaxTtl: 86400
+    },
     cacheableContentTypes: ['text/html', 'application/json'],
     cacheCookies: false,
     maxTtl: 3600
@@ -0,0 +1,110 @@
+// origin-pool.test.js
+
+/**
+ * Unit tests for the Origin Pool Manager
+ *
+ * Tests pool definitions, the selection strategies, passive ejection and
+ * failover to backup origins.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cdn: { targetHttps: true },
+  originPools: {
+    defaultStrategy: 'round-robin',
+    maxFailures: 2,
+    ejectionTime: 30000,
+    failureStatusCodes: [500, 502, 503, 504],
+    healthCheck: { enabled: false, interval: 10000 },
+    pools: {}
+  }
+}));
+
+const originPoolManager = require('../src/proxy/origin-pool');
+
+const request = (url = '/') => ({ url, headers: { host: 'example.com' } });
+
+describe('OriginPoolManager', () => {
+  beforeEach(() => {
+    originPoolManager.loadPools({
+      weighted: { origins: [{ host: 'a.internal', weight: 3 }, 'b.internal'] },
+      least: { strategy: 'least-connections', origins: ['a.internal', 'b.internal'] },
+      hashed: { strategy: 'consistent-hash', origins: ['a.internal', 'b.internal', 'c.internal'] },
+      failover: { origins: ['a.internal'], backup: ['http://dr.internal:8080'] },
+      inline: ['x.internal', 'y.internal'],
+      broken: { strategy: 'random', origins: ['a.internal'] }
+    });
+  });
+
+  test('should load valid pools and skip invalid ones', () => {
+    expect(originPoolManager.hasPool('weighted')).toBe(true);
+    expect(originPoolManager.hasPool('inline')).toBe(true);
+    expect(originPoolManager.hasPool('broken')).toBe(false);
+  });
+
+  test('should normalize origin protocols', () => {
+    expect(originPoolManager.select('inline', request()).url).toBe('https://x.internal');
+    const stats = originPoolManager.getStats().pools.failover;
+    expect(stats.backup[0]).toMatchObject({ host: 'dr.internal:8080', protocol: 'http' });
+  });
+
+  test('should honour weights with round-robin', () => {
+    const picks = Array.from({ length: 8 }, () => originPoolManager.select('weighted', request()).host);
+    expect(picks.filter(host => host === 'a.internal')).toHaveLength(6);
+    expect(picks.filter(host => host === 'b.internal')).toHaveLength(2);
+  });
+
+  test('should prefer the origin with fewest active connections', () => {
+    const first = originPoolManager.select('least', request());
+    originPoolManager.acquire(first);
+
+    const second = originPoolManager.select('least', request());
+    expect(second).not.toBe(first);
+
+    originPoolManager.release(first);
+  });
+
+  test('should map the same URL to the same origin with consistent hashing', () => {
+    const picks = new Set(Array.from({ length: 5 }, () => originPoolManager.select('hashed', request('/page')).host));
+    expect(picks.size).toBe(1);
+  });
+
+  test('should eject origins after consecutive failures', () => {
+    const origin = originPoolManager.select('least', request());
+    originPoolManager.reportFailure(origin, 'status 502');
+    expect(originPoolManager.isAvailable(origin)).toBe(true);
+
+    originPoolManager.reportFailure(origin, 'status 502');
+    expect(originPoolManager.isAvailable(origin)).toBe(false);
+
+    const picks = new Set(Array.from({ length: 4 }, () => originPoolManager.select('least', request()).host));
+    expect(picks).toEqual(new Set([origin.host === 'a.internal' ? 'b.internal' : 'a.internal']));
+  });
+
+  test('should reset the failure count on success', () => {
+    const origin = originPoolManager.select('inline', request());
+    originPoolManager.reportFailure(origin, 'ECONNREFUSED');
+    originPoolManager.reportSuccess(origin);
+    originPoolManager.reportFailure(origin, 'ECONNREFUSED');
+    expect(originPoolManager.isAvailable(origin)).toBe(true);
+  });
+
+  test('should fail over to backup origins and back to primaries when all are down', () => {
+    const primary = originPoolManager.select('failover', request());
+    primary.probeHealthy = false;
+
+    const backup = originPoolManager.select('failover', request());
+    expect(backup.host).toBe('dr.internal:8080');
+
+    backup.probeHealthy = false;
+    expect(originPoolManager.select('failover', request())).toBe(primary);
+  });
+});
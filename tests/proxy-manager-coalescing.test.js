@@ -0,0 +1,144 @@
+// proxy-manager-coalescing.test.js
+
+/**
+ * Integration tests for coalescing cache misses
+ *
+ * Tests that concurrent misses for the same key reach the origin once and
+ * are all answered from the leader's response, and that waiters are let go
+ * to the origin themselves when the leader's client goes away.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Starts a cleanup timer on load that would keep Jest running
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn()
+}));
+
+// Read when the modules load
+Object.assign(process.env, {
+  TARGET_HTTPS: 'false',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+describe('ProxyManager coalescing', () => {
+  let origin;
+  let server;
+  let held;
+  let hold;
+  let requests;
+  let cacheManager;
+  let requestCoalescer;
+  let fileResolutionCache;
+  let proxyManager;
+
+  beforeAll(async () => {
+    origin = http.createServer((req, res) => {
+      requests++;
+      if (hold) {
+        held.push(res);
+        return;
+      }
+      reply(res);
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+    process.env.TARGET_DOMAIN = `127.0.0.1:${origin.address().port}`;
+
+    cacheManager = require('../src/cache/cache-manager');
+    requestCoalescer = require('../src/cache/request-coalescer');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    const app = express();
+    app.use(proxyManager.middleware.bind(proxyManager));
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  beforeEach(() => {
+    held = [];
+    hold = true;
+    requests = 0;
+    cacheManager.purge();
+  });
+
+  const reply = (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'max-age=60' });
+    res.end('page');
+  };
+
+  // Supertest only sends a request once it is awaited or then-ed
+  const send = () => request(server).get('/page').set('Host', 'www.example.com').then(response => response);
+
+  const until = async (condition) => {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  test('should send concurrent misses to the origin once', async () => {
+    const leader = send();
+    await until(() => held.length === 1);
+
+    const waiters = [send(), send(), send(), send()];
+    await until(() => requestCoalescer.getStats().waiting === 4);
+
+    reply(held[0]);
+    const [first, ...rest] = await Promise.all([leader, ...waiters]);
+
+    expect(requests).toBe(1);
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(first.text).toBe('page');
+    rest.forEach(response => {
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache-coalesced']).toBe('true');
+      expect(response.text).toBe('page');
+    });
+    expect(requestCoalescer.getStats().inFlight).toBe(0);
+  });
+
+  test('should let waiters go when the leader client goes away', async () => {
+    const leader = http.get({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: '/page',
+      headers: { host: 'www.example.com' }
+    });
+    leader.on('error', () => {});
+    await until(() => held.length === 1);
+
+    const waiters = [send(), send()];
+    await until(() => requestCoalescer.getStats().waiting === 2);
+
+    // Nothing was cached for them, so the waiters fetch the page themselves
+    hold = false;
+    leader.destroy();
+    const responses = await Promise.all(waiters);
+
+    responses.forEach(response => {
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('page');
+    });
+    expect(requests).toBe(3);
+    expect(requestCoalescer.getStats().inFlight).toBe(0);
+  });
+});
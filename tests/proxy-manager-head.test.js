@@ -0,0 +1,127 @@
+// proxy-manager-head.test.js
+
+/**
+ * Integration tests for HEAD requests
+ *
+ * Tests that HEAD requests are answered from the GET entry with the length
+ * of its body, that HEAD responses are never stored in place of a GET
+ * entry, and that a stale entry found by a HEAD is refreshed with a GET.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Starts a cleanup timer on load that would keep Jest running
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn()
+}));
+
+// Read when the modules load
+Object.assign(process.env, {
+  TARGET_HTTPS: 'false',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+const PAGE = '<p>page</p>';
+
+describe('ProxyManager HEAD requests', () => {
+  let origin;
+  let requests;
+  let cacheControl;
+  let cacheManager;
+  let fileResolutionCache;
+  let proxyManager;
+  let app;
+
+  beforeAll(async () => {
+    origin = http.createServer((req, res) => {
+      requests.push(req.method);
+      res.writeHead(200, {
+        'Content-Type': 'text/html',
+        'Content-Length': PAGE.length,
+        'Cache-Control': cacheControl,
+        ETag: '"v1"'
+      });
+      res.end(req.method === 'HEAD' ? undefined : PAGE);
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+    process.env.TARGET_DOMAIN = `127.0.0.1:${origin.address().port}`;
+
+    cacheManager = require('../src/cache/cache-manager');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    app = express();
+    app.use(proxyManager.middleware.bind(proxyManager));
+  });
+
+  afterAll(async () => {
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    cacheControl = 'max-age=60';
+    cacheManager.purge();
+  });
+
+  const refreshed = async () => {
+    while (proxyManager.backgroundRefreshes.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const get = () => request(app).get('/page').set('Host', 'www.example.com');
+  const head = () => request(app).head('/page').set('Host', 'www.example.com');
+
+  test('should answer HEAD requests from the GET entry', async () => {
+    await get();
+
+    const response = await head();
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-cache']).toBe('HIT');
+    expect(response.headers['content-length']).toBe(String(PAGE.length));
+    expect(response.text).toBeUndefined();
+    expect(requests).toEqual(['GET']);
+  });
+
+  test('should pass HEAD misses on without storing them', async () => {
+    const miss = await head();
+
+    expect(miss.headers['x-cache']).toBe('MISS');
+    expect(miss.headers['content-length']).toBe(String(PAGE.length));
+
+    const response = await get();
+
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(response.text).toBe(PAGE);
+    expect(requests).toEqual(['HEAD', 'GET']);
+  });
+
+  test('should refresh a stale entry found by a HEAD with a GET', async () => {
+    cacheControl = 'max-age=0, stale-while-revalidate=60';
+    await get();
+
+    const stale = await head();
+    await refreshed();
+
+    expect(stale.headers['x-cache']).toBe('STALE');
+    expect(stale.headers['content-length']).toBe(String(PAGE.length));
+    expect(requests).toEqual(['GET', 'GET']);
+    expect(proxyManager.getStats().staleServing.backgroundRefreshFailures).toBe(0);
+  });
+});
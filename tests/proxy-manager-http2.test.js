@@ -0,0 +1,139 @@
+// proxy-manager-http2.test.js
+
+/**
+ * Integration tests for proxying to HTTP/2 clients
+ *
+ * Tests that connection-specific origin headers (Keep-Alive, chunked
+ * Transfer-Encoding and fields named in Connection) are kept from HTTP/2
+ * responses and cache entries, for buffered, streamed and cached responses.
+ */
+
+const http = require('http');
+const http2 = require('http2');
+const express = require('express');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Starts a cleanup timer on load that would keep Jest running
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn()
+}));
+
+// Read when the modules load; HTML is buffered for URL transformation,
+// images are streamed
+Object.assign(process.env, {
+  TARGET_HTTPS: 'false',
+  URL_TRANSFORM_ENABLED: 'true',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+const HOP_BY_HOP = ['connection', 'keep-alive', 'transfer-encoding', 'x-origin-hop'];
+
+describe('ProxyManager over HTTP/2', () => {
+  let origin;
+  let server;
+  let client;
+  let cacheManager;
+  let fileResolutionCache;
+  let proxyManager;
+
+  beforeAll(async () => {
+    origin = http.createServer((req, res) => {
+      const headers = { 'Content-Type': 'text/html', 'Cache-Control': 'max-age=60' };
+      if (req.url === '/keep-alive') {
+        // Node answers keep-alive requests with Connection and Keep-Alive
+        res.writeHead(200, headers);
+        res.end('kept alive');
+      } else if (req.url === '/chunked') {
+        res.writeHead(200, headers);
+        res.write('chunked ');
+        res.end('body');
+      } else if (req.url === '/streamed') {
+        res.writeHead(200, { ...headers, 'Content-Type': 'image/png' });
+        res.write('streamed ');
+        res.end('body');
+      } else {
+        res.writeHead(200, { ...headers, Connection: 'X-Origin-Hop', 'X-Origin-Hop': '1' });
+        res.end('named');
+      }
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+    process.env.TARGET_DOMAIN = `127.0.0.1:${origin.address().port}`;
+
+    const http2Support = require('../src/middleware/http2-support');
+    cacheManager = require('../src/cache/cache-manager');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    const app = express();
+    app.use(http2Support.getMiddleware());
+    app.use(proxyManager.middleware.bind(proxyManager));
+
+    // Cleartext h2c, so no certificate is needed
+    http2Support.prototypes = http2Support.createPrototypes(app);
+    server = http2.createServer(http2Support.wrapApp(app));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = http2.connect(`http://127.0.0.1:${server.address().port}`);
+  });
+
+  afterAll(async () => {
+    client.close();
+    await new Promise(resolve => server.close(resolve));
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  beforeEach(() => {
+    cacheManager.purge();
+  });
+
+  const request = path => new Promise((resolve, reject) => {
+    const stream = client.request({ ':path': path, ':authority': 'www.example.com' });
+    let headers = {};
+    let body = '';
+    stream.on('response', h => { headers = h; });
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => { body += chunk; });
+    stream.on('end', () => resolve({ headers, body }));
+    stream.on('error', reject);
+  });
+
+  const storedHeaders = async path => {
+    const req = { method: 'GET', url: path, headers: { host: 'www.example.com' } };
+    const entry = await cacheManager.lookup(cacheManager.generateKey(req));
+    return entry.headers;
+  };
+
+  test.each([
+    ['/keep-alive', 'kept alive'],
+    ['/chunked', 'chunked body'],
+    ['/streamed', 'streamed body'],
+    ['/named', 'named']
+  ])('should keep hop-by-hop headers of %s from the response and the cache', async (path, body) => {
+    const miss = await request(path);
+
+    expect(miss.headers[':status']).toBe(200);
+    expect(miss.headers['x-cache']).toBe('MISS');
+    expect(miss.body).toBe(body);
+    HOP_BY_HOP.forEach(name => expect(miss.headers[name]).toBeUndefined());
+
+    const stored = await storedHeaders(path);
+    HOP_BY_HOP.forEach(name => expect(stored[name]).toBeUndefined());
+
+    const hit = await request(path);
+
+    expect(hit.headers[':status']).toBe(200);
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.body).toBe(body);
+    HOP_BY_HOP.forEach(name => expect(hit.headers[name]).toBeUndefined());
+  });
+});
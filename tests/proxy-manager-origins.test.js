@@ -0,0 +1,142 @@
+// proxy-manager-origins.test.js
+
+/**
+ * Integration tests for the protocols of proxied origins
+ *
+ * Tests that misses reach a parent tier and the origins of a pool over their
+ * own protocol when it differs from TARGET_HTTPS, with the proxy and file
+ * resolution.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Finds files without asking the origin, which the proxy then fetches
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn(async baseUrl => ({
+    success: true,
+    resolvedUrl: `${baseUrl}.html`,
+    extension: 'html',
+    contentType: 'text/html'
+  }))
+}));
+
+// Read when the modules load
+Object.assign(process.env, {
+  TARGET_DOMAIN: 'mixed-pool',
+  TARGET_HTTPS: 'true',
+  SHIELD_ENABLED: 'true',
+  SHIELD_DOMAINS: 'www.example.com',
+  SHIELD_PARENT_HTTPS: 'false',
+  SHIELD_BYPASS_ON_ERROR: 'false',
+  ORIGIN_POOL_HEALTH_CHECK_ENABLED: 'false',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+describe('ProxyManager origin protocols', () => {
+  let parent;
+  let origin;
+  let requests;
+  let config;
+  let cacheManager;
+  let fileResolver;
+  let fileResolutionCache;
+  let proxyManager;
+  let app;
+
+  beforeAll(async () => {
+    // Stand in for the parent tier and a pool origin, over plain HTTP
+    const listen = async (name) => {
+      const server = http.createServer((req, res) => {
+        requests.push({ server: name, url: req.url, host: req.headers.host });
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'max-age=60' });
+        res.end(`${name} ${req.url}`);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return server;
+    };
+    parent = await listen('parent');
+    origin = await listen('origin');
+    process.env.SHIELD_PARENT = `127.0.0.1:${parent.address().port}`;
+    process.env.ORIGIN_POOLS = JSON.stringify({
+      'mixed-pool': {
+        origins: [{ host: `127.0.0.1:${origin.address().port}`, protocol: 'http' }],
+        backup: ['https://127.0.0.1:1']
+      }
+    });
+
+    config = require('../src/config');
+    cacheManager = require('../src/cache/cache-manager');
+    fileResolver = require('../src/domain/file-resolver');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    app = express();
+    app.use(proxyManager.middleware.bind(proxyManager));
+  });
+
+  afterAll(async () => {
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => parent.close(resolve));
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    cacheManager.purge();
+  });
+
+  test('should proxy misses to an HTTP parent while TARGET_HTTPS is on', async () => {
+    const response = await request(app).get('/page').set('Host', 'www.example.com');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('parent /page');
+    expect(requests).toEqual([{ server: 'parent', url: '/page', host: 'www.example.com' }]);
+  });
+
+  test('should resolve files on an HTTP parent while TARGET_HTTPS is on', async () => {
+    config.fileResolution.enabled = true;
+    try {
+      const response = await request(app).get('/about').set('Host', 'www.example.com');
+
+      expect(response.status).toBe(200);
+      expect(fileResolver.resolveFile).toHaveBeenCalledWith(`http://${process.env.SHIELD_PARENT}/about`, 'www.example.com');
+      expect(response.text).toBe('parent /about.html');
+    } finally {
+      config.fileResolution.enabled = false;
+    }
+  });
+
+  test('should proxy misses to an HTTP origin of a pool while TARGET_HTTPS is on', async () => {
+    const response = await request(app).get('/page').set('Host', 'pool.example.com');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('origin /page');
+    expect(requests).toEqual([{ server: 'origin', url: '/page', host: `127.0.0.1:${origin.address().port}` }]);
+  });
+
+  test('should resolve files on an HTTP origin of a pool while TARGET_HTTPS is on', async () => {
+    config.fileResolution.enabled = true;
+    try {
+      const response = await request(app).get('/about').set('Host', 'pool.example.com');
+
+      expect(response.status).toBe(200);
+      expect(fileResolver.resolveFile).toHaveBeenCalledWith(`http://127.0.0.1:${origin.address().port}/about`, 'pool.example.com');
+      expect(response.text).toBe('origin /about.html');
+    } finally {
+      config.fileResolution.enabled = false;
+    }
+  });
+});
@@ -0,0 +1,147 @@
+// proxy-manager-retry.test.js
+
+/**
+ * Integration tests for retrying origin requests
+ *
+ * Tests that idempotent requests are sent again through the proxy after a
+ * failed status or a broken connection, with exponential backoff between
+ * attempts and up to the configured number of retries, and that requests
+ * with other methods are passed on after the first failure.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Starts a cleanup timer on load that would keep Jest running
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn()
+}));
+
+// Read when the modules load
+Object.assign(process.env, {
+  TARGET_HTTPS: 'false',
+  ORIGIN_RETRY_ATTEMPTS: '2',
+  ORIGIN_RETRY_BACKOFF_BASE: '50',
+  ORIGIN_RETRY_BACKOFF_MAX: '2000',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+describe('ProxyManager retries', () => {
+  let origin;
+  let attempts;
+  let failures;
+  let fail;
+  let cacheManager;
+  let retryPolicy;
+  let fileResolutionCache;
+  let proxyManager;
+  let app;
+
+  beforeAll(async () => {
+    origin = http.createServer((req, res) => {
+      attempts.push({ method: req.method, at: Date.now() });
+      if (attempts.length <= failures) {
+        fail(req, res);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' });
+      res.end(`attempt ${attempts.length}`);
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+    process.env.TARGET_DOMAIN = `127.0.0.1:${origin.address().port}`;
+
+    cacheManager = require('../src/cache/cache-manager');
+    retryPolicy = require('../src/proxy/retry-policy');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    app = express();
+    app.use(proxyManager.middleware.bind(proxyManager));
+  });
+
+  afterAll(async () => {
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  const unavailable = (req, res) => {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    res.end('unavailable');
+  };
+
+  beforeEach(() => {
+    attempts = [];
+    failures = 0;
+    fail = unavailable;
+    // Backoff at the top of each jitter range: 49ms, then 99ms
+    jest.spyOn(Math, 'random').mockReturnValue(0.999);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const gaps = () => attempts.slice(1).map((attempt, i) => attempt.at - attempts[i].at);
+
+  test('should retry a failed status and answer with the next attempt', async () => {
+    failures = 1;
+    const retries = retryPolicy.getStats().retries;
+
+    const response = await request(app).get('/page').set('Host', 'www.example.com');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('attempt 2');
+    expect(response.headers['x-origin-retries']).toBe('1');
+    expect(attempts).toHaveLength(2);
+    expect(gaps()[0]).toBeGreaterThanOrEqual(45);
+    expect(retryPolicy.getStats()).toMatchObject({ retries: retries + 1, byReason: { 503: expect.any(Number) } });
+  });
+
+  test('should retry a broken connection', async () => {
+    failures = 1;
+    fail = req => req.socket.destroy();
+
+    const response = await request(app).get('/page').set('Host', 'www.example.com');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('attempt 2');
+    expect(response.headers['x-origin-retries']).toBe('1');
+    expect(retryPolicy.getStats().byReason.ECONNRESET).toBeGreaterThan(0);
+  });
+
+  test('should back off exponentially and give up after the configured retries', async () => {
+    failures = Infinity;
+
+    const response = await request(app).get('/page').set('Host', 'www.example.com');
+
+    expect(response.status).toBe(503);
+    expect(response.headers['x-origin-retries']).toBe('2');
+    expect(attempts).toHaveLength(3);
+
+    const [first, second] = gaps();
+    expect(first).toBeGreaterThanOrEqual(45);
+    expect(second).toBeGreaterThanOrEqual(95);
+  });
+
+  test('should not retry non-idempotent methods', async () => {
+    failures = 1;
+
+    const response = await request(app).post('/form').set('Host', 'www.example.com').send('a=1');
+
+    expect(response.status).toBe(503);
+    expect(response.headers['x-origin-retries']).toBeUndefined();
+    expect(attempts).toEqual([{ method: 'POST', at: expect.any(Number) }]);
+  });
+});
@@ -0,0 +1,147 @@
+// proxy-manager-revalidation.test.js
+
+/**
+ * Integration tests for revalidating stale cache entries
+ *
+ * Tests that the proxy asks the origin to confirm a stale entry with its
+ * validators, serves and refreshes the entry when the origin answers 304,
+ * and replaces it when the origin sends a new representation.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Starts a cleanup timer on load that would keep Jest running
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn()
+}));
+
+// Read when the modules load
+Object.assign(process.env, {
+  TARGET_HTTPS: 'false',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+const LAST_MODIFIED = 'Mon, 05 Oct 2026 10:00:00 GMT';
+
+describe('ProxyManager revalidation', () => {
+  let origin;
+  let requests;
+  let version;
+  let cacheControl;
+  let cacheManager;
+  let conditionalHandler;
+  let fileResolutionCache;
+  let proxyManager;
+  let app;
+
+  beforeAll(async () => {
+    origin = http.createServer((req, res) => {
+      requests.push({
+        ifNoneMatch: req.headers['if-none-match'],
+        ifModifiedSince: req.headers['if-modified-since']
+      });
+
+      const headers = {
+        ETag: `"${version}"`,
+        'Last-Modified': LAST_MODIFIED,
+        'Cache-Control': cacheControl
+      };
+      if (req.headers['if-none-match'] === `"${version}"`) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/html' });
+      res.end(`page ${version}`);
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+    process.env.TARGET_DOMAIN = `127.0.0.1:${origin.address().port}`;
+
+    cacheManager = require('../src/cache/cache-manager');
+    conditionalHandler = require('../src/cache/conditional-handler');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    app = express();
+    app.use(proxyManager.middleware.bind(proxyManager));
+  });
+
+  afterAll(async () => {
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  beforeEach(async () => {
+    requests = [];
+    version = 'v1';
+    // Stale on arrival, kept to be revalidated with its validators
+    cacheControl = 'max-age=0';
+    cacheManager.purge();
+
+    const miss = await get();
+    expect(miss.headers['x-cache']).toBe('MISS');
+    requests = [];
+  });
+
+  const get = () => request(app).get('/page').set('Host', 'www.example.com');
+
+  test('should serve and refresh a stale entry the origin confirms', async () => {
+    const revalidated = conditionalHandler.getStats().revalidated;
+    cacheControl = 'max-age=60';
+
+    const response = await get();
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-cache']).toBe('REVALIDATED');
+    expect(response.text).toBe('page v1');
+    expect(requests).toEqual([{ ifNoneMatch: '"v1"', ifModifiedSince: LAST_MODIFIED }]);
+    expect(conditionalHandler.getStats().revalidated).toBe(revalidated + 1);
+
+    // The 304 made the entry fresh for the origin's new lifetime
+    const hit = await get();
+
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.headers['cache-control']).toBe('max-age=60');
+    expect(hit.text).toBe('page v1');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should replace a stale entry the origin has changed', async () => {
+    version = 'v2';
+    cacheControl = 'max-age=60';
+
+    const response = await get();
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(response.headers.etag).toBe('"v2"');
+    expect(response.text).toBe('page v2');
+    expect(requests).toEqual([{ ifNoneMatch: '"v1"', ifModifiedSince: LAST_MODIFIED }]);
+
+    const hit = await get();
+
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.text).toBe('page v2');
+  });
+
+  test('should answer a client holding the confirmed copy with 304', async () => {
+    const response = await get().set('If-None-Match', '"v1"');
+
+    expect(response.status).toBe(304);
+    expect(response.headers.etag).toBe('"v1"');
+    expect(requests).toEqual([{ ifNoneMatch: '"v1"', ifModifiedSince: LAST_MODIFIED }]);
+  });
+});
@@ -0,0 +1,193 @@
+// proxy-manager-stale.test.js
+
+/**
+ * Integration tests for serving stale cache entries
+ *
+ * Tests stale-while-revalidate through the proxy (the stale copy is served
+ * and refreshed off the request path, counting towards the pool origin it
+ * went to) and stale-if-error for failing and unreachable origins.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Starts a cleanup timer on load that would keep Jest running
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn()
+}));
+
+// Read when the modules load
+Object.assign(process.env, {
+  TARGET_DOMAIN: 'stale-pool',
+  TARGET_HTTPS: 'true',
+  ORIGIN_RETRY_ENABLED: 'false',
+  ORIGIN_POOL_HEALTH_CHECK_ENABLED: 'false',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+describe('ProxyManager stale serving', () => {
+  let origin;
+  let requests;
+  let respond;
+  let cacheManager;
+  let originPoolManager;
+  let fileResolutionCache;
+  let proxyManager;
+  let app;
+
+  beforeAll(async () => {
+    // A plain HTTP pool origin, while TARGET_HTTPS would be https
+    origin = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+      respond(req, res);
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+    process.env.ORIGIN_POOLS = JSON.stringify({
+      'stale-pool': {
+        origins: [{ host: `127.0.0.1:${origin.address().port}`, protocol: 'http' }]
+      }
+    });
+
+    cacheManager = require('../src/cache/cache-manager');
+    originPoolManager = require('../src/proxy/origin-pool');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    app = express();
+    app.use(proxyManager.middleware.bind(proxyManager));
+  });
+
+  afterAll(async () => {
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    cacheManager.purge();
+  });
+
+  // A refresh started by the last request of a test would land in the next one
+  afterEach(() => refreshed());
+
+  // Stored stale on arrival, kept for its validator and stale windows
+  const page = (version, cacheControl) => (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/html',
+      'Cache-Control': `max-age=0, ${cacheControl}`,
+      ETag: `"${version}"`
+    });
+    res.end(version);
+  };
+
+  const fail = (req, res) => {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    res.end('unavailable');
+  };
+
+  const get = () => request(app).get('/page').set('Host', 'www.example.com');
+
+  const poolOrigin = () => originPoolManager.getStats().pools['stale-pool'].origins[0];
+
+  const refreshed = async () => {
+    while (proxyManager.backgroundRefreshes.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  describe('stale-while-revalidate', () => {
+    test('should serve the stale copy and store the refreshed response', async () => {
+      respond = page('v1', 'stale-while-revalidate=60');
+      expect((await get()).headers['x-cache']).toBe('MISS');
+
+      respond = page('v2', 'stale-while-revalidate=60');
+      const addRequest = jest.spyOn(proxyManager.httpAgent, 'addRequest');
+      const stale = await get();
+
+      expect(stale.headers['x-cache']).toBe('STALE');
+      expect(stale.text).toBe('v1');
+
+      await refreshed();
+      expect(requests).toEqual([
+        { url: '/page' },
+        { url: '/page', ifNoneMatch: '"v1"' }
+      ]);
+      expect(poolOrigin()).toMatchObject({ activeConnections: 0, failures: 0 });
+      // The refresh kept to the keep-alive agent of the origin's protocol
+      expect(addRequest).toHaveBeenCalledTimes(1);
+      addRequest.mockRestore();
+
+      const next = await get();
+
+      expect(next.headers['x-cache']).toBe('STALE');
+      expect(next.text).toBe('v2');
+    });
+
+    test('should keep the stale copy and count the failure when a refresh fails', async () => {
+      respond = page('v1', 'stale-while-revalidate=60');
+      await get();
+      const failures = poolOrigin().failures;
+
+      respond = fail;
+      expect((await get()).text).toBe('v1');
+      await refreshed();
+
+      expect(poolOrigin()).toMatchObject({ activeConnections: 0, failures: failures + 1 });
+      expect(proxyManager.getStats().staleServing.backgroundRefreshFailures).toBeGreaterThan(0);
+
+      const next = await get();
+
+      expect(next.headers['x-cache']).toBe('STALE');
+      expect(next.text).toBe('v1');
+    });
+  });
+
+  describe('stale-if-error', () => {
+    test('should serve the stale copy when the origin answers with an error', async () => {
+      respond = page('v1', 'stale-if-error=60');
+      await get();
+
+      respond = fail;
+      const response = await get();
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache']).toBe('STALE');
+      expect(response.text).toBe('v1');
+    });
+
+    test('should serve the stale copy when the origin connection fails', async () => {
+      respond = page('v1', 'stale-if-error=60');
+      await get();
+
+      respond = req => req.socket.destroy();
+      const response = await get();
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache']).toBe('STALE');
+      expect(response.text).toBe('v1');
+    });
+
+    test('should pass the error on once the stale window is over', async () => {
+      respond = page('v1', 'stale-if-error=0');
+      await get();
+
+      respond = fail;
+      const response = await get();
+
+      expect(response.status).toBe(503);
+      expect(response.headers['x-cache']).toBe('MISS');
+    });
+  });
+});
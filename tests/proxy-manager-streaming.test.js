@@ -0,0 +1,196 @@
+// proxy-manager-streaming.test.js
+
+/**
+ * Integration tests for streamed origin responses
+ *
+ * Tests that event streams reach clients before the origin finishes, that
+ * streamed bodies are tee-d into the cache unless they outgrow the cache size
+ * limit or the client goes away mid-stream, and that HEAD requests are
+ * answered without a body.
+ */
+
+const http = require('http');
+const express = require('express');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Starts a cleanup timer on load that would keep Jest running
+jest.mock('../src/domain/file-resolver', () => ({
+  resolveFile: jest.fn()
+}));
+
+// Read when the modules load
+Object.assign(process.env, {
+  TARGET_HTTPS: 'false',
+  FILE_RESOLUTION_ENABLED: 'false'
+});
+
+const IMAGE = 'image bytes';
+
+describe('ProxyManager streaming', () => {
+  let origin;
+  let server;
+  let requests;
+  let pending;
+  let config;
+  let cacheManager;
+  let fileResolutionCache;
+  let proxyManager;
+
+  beforeAll(async () => {
+    origin = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url });
+      if (req.url === '/events') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        res.write('data: first\n\n');
+        pending = res;
+      } else if (req.url === '/partial') {
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=60' });
+        res.write('partial ');
+        pending = res;
+      } else if (req.url === '/large') {
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=60' });
+        res.write('x'.repeat(32));
+        res.end('x'.repeat(32));
+      } else {
+        res.writeHead(200, {
+          'Content-Type': 'image/png',
+          'Content-Length': IMAGE.length,
+          'Cache-Control': 'max-age=60'
+        });
+        res.end(req.method === 'HEAD' ? undefined : IMAGE);
+      }
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+    process.env.TARGET_DOMAIN = `127.0.0.1:${origin.address().port}`;
+
+    config = require('../src/config');
+    cacheManager = require('../src/cache/cache-manager');
+    fileResolutionCache = require('../src/cache/file-resolution-cache');
+    proxyManager = require('../src/proxy/proxy-manager');
+
+    const app = express();
+    app.use(proxyManager.middleware.bind(proxyManager));
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    proxyManager.shutdown();
+    cacheManager.shutdown();
+    fileResolutionCache.destroy();
+    await new Promise(resolve => origin.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    pending = null;
+    cacheManager.purge();
+  });
+
+  // Resolves with the response as soon as its headers arrive
+  const send = (path, method = 'GET') => new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path,
+      method,
+      headers: { host: 'www.example.com' }
+    }, resolve);
+    req.on('error', reject);
+    req.end();
+  });
+
+  const readBody = res => new Promise(resolve => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve(body));
+  });
+
+  const fetch = async (path, method) => {
+    const res = await send(path, method);
+    return { headers: res.headers, body: await readBody(res) };
+  };
+
+  const lookup = (path, method = 'GET') => cacheManager.lookup(cacheManager.generateKey({
+    method,
+    url: path,
+    headers: { host: 'www.example.com' }
+  }));
+
+  test('should pass event streams on before the origin finishes', async () => {
+    const res = await send('/events');
+    res.setEncoding('utf8');
+
+    const [first] = await new Promise(resolve => res.once('data', (...args) => resolve(args)));
+    expect(first).toBe('data: first\n\n');
+
+    pending.end('data: second\n\n');
+    expect(await readBody(res)).toBe('data: second\n\n');
+    expect(await lookup('/events')).toBeNull();
+  });
+
+  test('should tee streamed bodies into the cache', async () => {
+    const miss = await fetch('/image');
+
+    expect(miss.headers['x-cache']).toBe('MISS');
+    expect(miss.headers['content-length']).toBe(String(IMAGE.length));
+    expect(miss.body).toBe(IMAGE);
+    expect(String((await lookup('/image')).body)).toBe(IMAGE);
+
+    const hit = await fetch('/image');
+
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.body).toBe(IMAGE);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should not cache streamed bodies over the cache size limit', async () => {
+    const maxCacheSize = config.streaming.maxCacheSize;
+    config.streaming.maxCacheSize = 48;
+    try {
+      const response = await fetch('/large');
+
+      expect(response.body).toBe('x'.repeat(64));
+      expect(await lookup('/large')).toBeNull();
+
+      await fetch('/large');
+      expect(requests).toHaveLength(2);
+    } finally {
+      config.streaming.maxCacheSize = maxCacheSize;
+    }
+  });
+
+  test('should not cache a partial body when the client goes away', async () => {
+    const res = await send('/partial');
+    await new Promise(resolve => res.once('data', resolve));
+
+    // The proxy stops reading from the origin once the client is gone
+    const originClosed = new Promise(resolve => pending.once('close', resolve));
+    res.destroy();
+    await originClosed;
+
+    expect(await lookup('/partial')).toBeNull();
+  });
+
+  test('should answer HEAD requests with the origin headers and no body', async () => {
+    const response = await fetch('/image', 'HEAD');
+
+    expect(response.headers['content-length']).toBe(String(IMAGE.length));
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(response.body).toBe('');
+    expect(requests).toEqual([{ method: 'HEAD', url: '/image' }]);
+
+    // A HEAD doesn't stand in for the body a GET needs
+    expect(await lookup('/image')).toBeNull();
+  });
+});
@@ -0,0 +1,174 @@
+// range-handler.test.js
+
+/**
+ * Unit tests for the Range Handler
+ *
+ * Tests Range header parsing, If-Range validation and the 206/416
+ * responses generated from cached bodies.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cache: {
+    rangeRequests: {
+      enabled: true,
+      maxRanges: 5
+    }
+  }
+}));
+
+const rangeHandler = require('../src/cache/range-handler');
+
+/**
+ * Minimal response double recording what the handler sends
+ */
+function createMockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    removeHeader(name) {
+      delete this.headers[name.toLowerCase()];
+    },
+    end(body) {
+      this.body = body;
+    }
+  };
+  return res;
+}
+
+describe('RangeHandler', () => {
+  const body = Buffer.from('0123456789abcdefghij'); // 20 bytes
+  const cached = {
+    status: 200,
+    headers: {
+      'content-type': 'text/plain',
+      etag: '"v1"',
+      'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT'
+    },
+    body
+  };
+
+  describe('parseRange', () => {
+    test('should parse a simple byte range', () => {
+      expect(rangeHandler.parseRange('bytes=0-4', 20)).toEqual([{ start: 0, end: 4 }]);
+    });
+
+    test('should parse open-ended and suffix ranges', () => {
+      expect(rangeHandler.parseRange('bytes=15-', 20)).toEqual([{ start: 15, end: 19 }]);
+      expect(rangeHandler.parseRange('bytes=-5', 20)).toEqual([{ start: 15, end: 19 }]);
+    });
+
+    test('should clamp ranges that run past the end of the body', () => {
+      expect(rangeHandler.parseRange('bytes=10-100', 20)).toEqual([{ start: 10, end: 19 }]);
+    });
+
+    test('should coalesce overlapping ranges', () => {
+      expect(rangeHandler.parseRange('bytes=0-4,3-8,15-16', 20)).toEqual([
+        { start: 0, end: 8 },
+        { start: 15, end: 16 }
+      ]);
+    });
+
+    test('should report unsatisfiable ranges', () => {
+      expect(rangeHandler.parseRange('bytes=50-60', 20)).toBe(-1);
+    });
+
+    test('should ignore malformed headers and too many ranges', () => {
+      expect(rangeHandler.parseRange('items=0-4', 20)).toBeNull();
+      expect(rangeHandler.parseRange('bytes=5-2', 20)).toBeNull();
+      expect(rangeHandler.parseRange('bytes=0-1,2-3,4-5,6-7,8-9,10-11', 20)).toBeNull();
+    });
+  });
+
+  describe('serveRange', () => {
+    test('should serve a single range as 206 with Content-Range', () => {
+      const res = createMockResponse();
+      const handled = rangeHandler.serveRange({ url: '/a', headers: { range: 'bytes=2-5' } }, res, cached);
+
+      expect(handled).toBe(true);
+      expect(res.statusCode).toBe(206);
+      expect(res.headers['content-range']).toBe('bytes 2-5/20');
+      expect(res.headers['content-length']).toBe(4);
+      expect(res.body.toString()).toBe('2345');
+    });
+
+    test('should serve multiple ranges as multipart/byteranges', () => {
+      const res = createMockResponse();
+      rangeHandler.serveRange({ url: '/a', headers: { range: 'bytes=0-1,10-11' } }, res, cached);
+
+      expect(res.statusCode).toBe(206);
+      expect(res.headers['content-type']).toMatch(/^multipart\/byteranges; boundary=/);
+      const payload = res.body.toString();
+      expect(payload).toContain('Content-Range: bytes 0-1/20');
+      expect(payload).toContain('Content-Range: bytes 10-11/20');
+      expect(payload).toContain('Content-Type: text/plain');
+    });
+
+    test('should answer 416 for unsatisfiable ranges', () => {
+      const res = createMockResponse();
+      rangeHandler.serveRange({ url: '/a', headers: { range: 'bytes=30-' } }, res, cached);
+
+      expect(res.statusCode).toBe(416);
+      expect(res.headers['content-range']).toBe('bytes */20');
+    });
+
+    test('should honour a matching If-Range entity tag', () => {
+      const res = createMockResponse();
+      const handled = rangeHandler.serveRange({
+        url: '/a',
+        headers: { range: 'bytes=0-0', 'if-range': '"v1"' }
+      }, res, cached);
+
+      expect(handled).toBe(true);
+      expect(res.statusCode).toBe(206);
+    });
+
+    test('should fall back to the full body when If-Range does not match', () => {
+      const res = createMockResponse();
+      const handled = rangeHandler.serveRange({
+        url: '/a',
+        headers: { range: 'bytes=0-0', 'if-range': '"v2"' }
+      }, res, cached);
+
+      expect(handled).toBe(false);
+      expect(res.body).toBeNull();
+    });
+
+    test('should accept an If-Range date equal to Last-Modified', () => {
+      const res = createMockResponse();
+      const handled = rangeHandler.serveRange({
+        url: '/a',
+        headers: { range: 'bytes=0-0', 'if-range': 'Wed, 21 Oct 2015 07:28:00 GMT' }
+      }, res, cached);
+
+      expect(handled).toBe(true);
+    });
+
+    test('should not serve ranges from non-200 entries', () => {
+      const res = createMockResponse();
+      const handled = rangeHandler.serveRange(
+        { url: '/a', headers: { range: 'bytes=0-0' } },
+        res,
+        { ...cached, status: 301 }
+      );
+
+      expect(handled).toBe(false);
+    });
+  });
+});
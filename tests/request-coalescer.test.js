@@ -0,0 +1,85 @@
+// request-coalescer.test.js
+
+/**
+ * Unit tests for the Request Coalescer
+ *
+ * Tests leader election per cache key, waking waiters on release and
+ * the timeout / overflow fall-through paths.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cache: {
+    coalescing: {
+      enabled: true,
+      timeout: 1000,
+      maxWaiters: 2
+    }
+  }
+}));
+
+const requestCoalescer = require('../src/cache/request-coalescer');
+
+describe('RequestCoalescer', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should only coalesce GET and HEAD requests', () => {
+    expect(requestCoalescer.isCoalescable({ method: 'GET' })).toBe(true);
+    expect(requestCoalescer.isCoalescable({ method: 'HEAD' })).toBe(true);
+    expect(requestCoalescer.isCoalescable({ method: 'POST' })).toBe(false);
+  });
+
+  test('should make the first request for a key the leader', async () => {
+    expect(requestCoalescer.join('a')).toBeNull();
+
+    const waiter = requestCoalescer.join('a');
+    expect(waiter).toBeInstanceOf(Promise);
+    expect(requestCoalescer.getStats().waiting).toBe(1);
+
+    requestCoalescer.release('a');
+    await expect(waiter).resolves.toBe(true);
+    expect(requestCoalescer.getStats().inFlight).toBe(0);
+  });
+
+  test('should keep keys independent', () => {
+    expect(requestCoalescer.join('b')).toBeNull();
+    expect(requestCoalescer.join('c')).toBeNull();
+    requestCoalescer.release('b');
+    requestCoalescer.release('c');
+  });
+
+  test('should let waiters fall through after the timeout', async () => {
+    jest.useFakeTimers();
+    requestCoalescer.join('d');
+    const waiter = requestCoalescer.join('d');
+
+    jest.advanceTimersByTime(1000);
+    await expect(waiter).resolves.toBe(false);
+    expect(requestCoalescer.getStats().waiting).toBe(0);
+
+    requestCoalescer.release('d');
+  });
+
+  test('should not queue more than maxWaiters per key', async () => {
+    requestCoalescer.join('e');
+    const first = requestCoalescer.join('e');
+    const second = requestCoalescer.join('e');
+    const overflow = requestCoalescer.join('e');
+
+    await expect(overflow).resolves.toBe(false);
+    expect(requestCoalescer.getStats().overflow).toBe(1);
+
+    requestCoalescer.release('e');
+    await expect(Promise.all([first, second])).resolves.toEqual([true, true]);
+  });
+});
@@ -0,0 +1,107 @@
+// retry-policy.test.js
+
+/**
+ * Unit tests for the Retry Policy
+ *
+ * Tests which requests and failures are retryable, the attempt budget,
+ * backoff bounds and per-domain overrides.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  originRetry: {
+    enabled: true,
+    attempts: 2,
+    perTryTimeout: 5000,
+    backoffBase: 100,
+    backoffMax: 300,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    retryableStatusCodes: [502, 503, 504],
+    retryableErrors: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'],
+    domains: {
+      'api.example.com': { attempts: 0 },
+      'static.example.com': { attempts: 4, perTryTimeout: 1000 }
+    }
+  }
+}));
+
+const retryPolicy = require('../src/proxy/retry-policy');
+
+const createRequest = (overrides = {}) => ({
+  method: 'GET',
+  url: '/page',
+  ...overrides,
+  headers: { host: 'www.example.com', ...(overrides.headers || {}) }
+});
+
+describe('RetryPolicy', () => {
+  test('should only retry idempotent requests without a body', () => {
+    expect(retryPolicy.isRetryable(createRequest())).toBe(true);
+    expect(retryPolicy.isRetryable(createRequest({ method: 'PUT', headers: { 'content-length': '0' } }))).toBe(true);
+    expect(retryPolicy.isRetryable(createRequest({ method: 'POST' }))).toBe(false);
+    expect(retryPolicy.isRetryable(createRequest({ method: 'PUT', headers: { 'content-length': '12' } }))).toBe(false);
+    expect(retryPolicy.isRetryable(createRequest({ method: 'DELETE', headers: { 'transfer-encoding': 'chunked' } }))).toBe(false);
+  });
+
+  test('should retry retryable errors and status codes only', () => {
+    const req = createRequest();
+
+    expect(retryPolicy.nextRetryDelay(req, { error: { code: 'ECONNRESET' } })).toBeGreaterThanOrEqual(0);
+    expect(retryPolicy.nextRetryDelay(req, { statusCode: 503 })).toBeGreaterThanOrEqual(0);
+    expect(retryPolicy.nextRetryDelay(req, { error: { code: 'CERT_HAS_EXPIRED' } })).toBe(-1);
+    expect(retryPolicy.nextRetryDelay(req, { statusCode: 500 })).toBe(-1);
+    expect(retryPolicy.nextRetryDelay(req, { statusCode: 200 })).toBe(-1);
+  });
+
+  test('should stop once the attempt budget is used', () => {
+    const exhaustedBefore = retryPolicy.getStats().exhausted;
+
+    expect(retryPolicy.nextRetryDelay(createRequest({ retryCount: 1 }), { statusCode: 502 })).toBeGreaterThanOrEqual(0);
+    expect(retryPolicy.nextRetryDelay(createRequest({ retryCount: 2 }), { statusCode: 502 })).toBe(-1);
+    expect(retryPolicy.getStats().exhausted).toBe(exhaustedBefore + 1);
+  });
+
+  test('should keep the backoff within the exponential ceiling', () => {
+    const policy = retryPolicy.getPolicy('www.example.com');
+
+    for (let i = 0; i < 50; i++) {
+      expect(retryPolicy.getBackoff(0, policy)).toBeLessThan(100);
+      expect(retryPolicy.getBackoff(1, policy)).toBeLessThan(200);
+      expect(retryPolicy.getBackoff(5, policy)).toBeLessThan(300);
+    }
+  });
+
+  test('should apply per-domain overrides', () => {
+    const api = createRequest({ headers: { host: 'api.example.com' } });
+    const assets = createRequest({ retryCount: 3, headers: { host: 'static.example.com:8080' } });
+
+    expect(retryPolicy.isRetryable(api)).toBe(false);
+    expect(retryPolicy.getPerTryTimeout(api)).toBeNull();
+
+    expect(retryPolicy.nextRetryDelay(assets, { statusCode: 504 })).toBeGreaterThanOrEqual(0);
+    expect(retryPolicy.getPerTryTimeout(assets)).toBe(1000);
+    expect(retryPolicy.getPerTryTimeout(createRequest())).toBe(5000);
+  });
+
+  test('should track retries by reason and recovered requests', () => {
+    retryPolicy.recordRetry('ECONNRESET');
+    retryPolicy.recordRetry('503');
+    retryPolicy.recordRetry('503');
+    retryPolicy.recordOutcome(true);
+    retryPolicy.recordOutcome(false);
+
+    const stats = retryPolicy.getStats();
+    expect(stats.retries).toBe(3);
+    expect(stats.byReason).toEqual({ ECONNRESET: 1, 503: 2 });
+    expect(stats.recovered).toBe(1);
+    expect(stats.domainOverrides).toEqual(['api.example.com', 'static.example.com']);
+  });
+});
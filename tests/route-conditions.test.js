@@ -0,0 +1,145 @@
+// route-conditions.test.js
+
+/**
+ * Unit tests for Route Conditions
+ *
+ * Tests compiling conditions (with the location of invalid ones), evaluating
+ * header, query, cookie, client address and time conditions and their
+ * composition, and conditional path rules in the Path Rewriter.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+const routeConditions = require('../src/domain/route-conditions');
+const PathRewriter = require('../src/domain/path-rewriter');
+
+const request = ({ url = '/', headers = {}, ip = '203.0.113.7' } = {}) => ({ url, headers, ip });
+
+const holds = (spec, req = request(), now = Date.now()) =>
+  routeConditions.evaluate(routeConditions.compile(spec), { ...routeConditions.getContext(req), now });
+
+describe('RouteConditions', () => {
+  describe('compile', () => {
+    test.each([
+      [{ heder: 'user-agent' }, /^conditions: expected one of/],
+      [{ header: 'x', equals: 'a', exists: true }, /not equals and exists$/],
+      [{ header: 'x', matches: '(' }, /^conditions: invalid regex/],
+      [{ cookie: 'beta', equal: '1' }, /unexpected "equal" next to "cookie"/],
+      [{ any: [{ header: 'x' }, { clientIp: '10.0.0/8' }] }, /^conditions\.any\[1\]: invalid address or CIDR range "10\.0\.0\/8"/],
+      [{ clientIp: '10.0.0.0/33' }, /invalid address or CIDR range/],
+      [{ all: [] }, /all must be a non-empty list/],
+      [[{ not: 'x' }], /^conditions\.all\[0\]\.not: must be a condition map/],
+      [{ time: { from: '9:00', to: '17:00' } }, /time\.from must be HH:MM/],
+      [{ time: { from: '09:00' } }, /time\.from and time\.to go together/],
+      [{ time: { days: ['funday'] } }, /time\.days must list days/],
+      [{ time: { timezone: 'Mars/Olympus' } }, /unknown time zone/]
+    ])('should refuse %j', (spec, message) => {
+      expect(() => routeConditions.compile(spec)).toThrow(message);
+    });
+  });
+
+  describe('evaluate', () => {
+    const mobile = request({
+      url: '/shop?lang=de&lang=fr&preview',
+      headers: { 'user-agent': 'Mozilla/5.0 (iPhone)', cookie: 'beta=1; theme=dark' },
+      ip: '::ffff:10.1.2.3'
+    });
+
+    test.each([
+      [{ header: 'User-Agent', matches: 'iphone', ignoreCase: true }, true],
+      [{ header: 'user-agent', matches: 'iphone' }, false],
+      [{ header: 'accept-language' }, false],
+      [{ header: 'accept-language', exists: false }, true],
+      [{ query: 'lang', equals: ['fr', 'it'] }, true],
+      [{ query: 'preview' }, true],
+      [{ cookie: 'beta', equals: 1 }, true],
+      [{ cookie: 'constructor' }, false],
+      [{ clientIp: '10.0.0.0/8' }, true],
+      [{ clientIp: ['192.168.0.0/16', '2001:db8::/32'] }, false],
+      [{ any: [{ cookie: 'beta', equals: '0' }, { clientIp: '10.1.2.3' }] }, true],
+      [[{ cookie: 'beta' }, { not: { query: 'lang' } }], false]
+    ])('should evaluate %j', (spec, expected) => {
+      expect(holds(spec, mobile)).toBe(expected);
+    });
+
+    test('should match IPv6 clients', () => {
+      expect(holds({ clientIp: '2001:db8::/32' }, request({ ip: '2001:db8::1' }))).toBe(true);
+      expect(holds({ clientIp: '10.0.0.0/8' }, request({ ip: '' }))).toBe(false);
+    });
+
+    test('should check time windows in their time zone', () => {
+      // A Monday, 23:30 in UTC and 08:30 in Tokyo
+      const now = Date.parse('2026-03-02T23:30:00Z');
+      expect(holds({ time: { from: '22:00', to: '06:00' } }, request(), now)).toBe(true);
+      expect(holds({ time: { from: '09:00', to: '17:00' } }, request(), now)).toBe(false);
+      expect(holds({ time: { from: '08:00', to: '09:00', days: ['tuesday'], timezone: 'Asia/Tokyo' } }, request(), now))
+        .toBe(true);
+      expect(holds({ time: { days: ['mon'], timezone: 'Asia/Tokyo' } }, request(), now)).toBe(false);
+      expect(holds({ time: { after: '2026-03-01', before: '2026-03-02T23:00:00Z' } }, request(), now)).toBe(false);
+    });
+  });
+
+  describe('PathRewriter', () => {
+    let rewriter;
+
+    beforeEach(() => {
+      rewriter = new PathRewriter({ defaultTarget: 'origin.example.net' });
+      rewriter.loadRules({
+        'www.example.com': {
+          target: 'web.internal',
+          pathPrefix: '/site',
+          rules: [
+            {
+              pattern: '^/app/(.*)',
+              replacement: '/beta/$1',
+              target: 'beta.internal',
+              conditions: { cookie: 'beta', equals: '1' }
+            },
+            { pattern: '^/app/(.*)', replacement: '/app/$1' }
+          ]
+        }
+      });
+    });
+
+    afterEach(() => {
+      rewriter.shutdown();
+    });
+
+    test('should apply conditional rules, with their target, only when they hold', () => {
+      const beta = request({ url: '/app/x', headers: { cookie: 'beta=1' } });
+      expect(rewriter.transformPath('www.example.com', '/app/x', 'GET', null, beta))
+        .toMatchObject({ transformedPath: '/beta/x', target: 'beta.internal', matched: true, conditional: true });
+
+      // Not served from the transformation cache to other requests
+      expect(rewriter.transformPath('www.example.com', '/app/x', 'GET', null, request({ url: '/app/x' })))
+        .toMatchObject({ transformedPath: '/app/x', target: 'web.internal', matched: true });
+      expect(rewriter.transformPath('www.example.com', '/app/x', 'GET'))
+        .toMatchObject({ transformedPath: '/app/x', target: 'web.internal' });
+      expect(rewriter.getStats().cacheSize).toBe(0);
+    });
+
+    test('should report invalid conditions and targets per rule', () => {
+      const { valid, issues } = rewriter.validateRules({
+        'www.example.com': {
+          rules: [
+            { pattern: '^/', replacement: '/', conditions: { any: [{ clientIp: 'nope' }] } },
+            { pattern: '^/', replacement: '/', target: 42 }
+          ]
+        }
+      });
+
+      expect(valid).toBe(false);
+      expect(issues).toEqual([
+        { domain: 'www.example.com', rule: 0, message: expect.stringMatching(/^Invalid conditions: conditions\.any\[0\]: /) },
+        { domain: 'www.example.com', rule: 1, message: 'Target must be a host name or an origin pool name' }
+      ]);
+    });
+  });
+});
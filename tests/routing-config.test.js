@@ -0,0 +1,335 @@
+// routing-config.test.js
+
+/**
+ * Unit tests for the Routing Config
+ *
+ * Tests loading domain routing rules from a YAML file over the environment
+ * ones, the diagnostics of versions that are refused (which keep the rules in
+ * effect), origin pool rebuilds, versioned rule changes written back to the
+ * file and reloading when the file changes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => mockLogger
+}));
+
+jest.mock('../src/config', () => ({
+  pathRewriting: {
+    domainRoutingRules: {
+      'env.example.com': { pathPrefix: '/env' }
+    },
+    routingFile: {
+      path: null,
+      watch: true,
+      debounce: 20
+    },
+    // Reduced form of the unified view in config.js
+    get domains() {
+      const domains = {};
+      for (const [domain, rules] of Object.entries(this.domainRoutingRules)) {
+        domains[domain] = {
+          target: typeof rules.target === 'string' ? rules.target : rules.target ? `pool:${domain}` : 'origin.example.net',
+          pathPrefix: rules.pathPrefix || '',
+          rules: rules.rules || [],
+          fallback: rules.fallback || 'prefix'
+        };
+      }
+      return domains;
+    }
+  },
+  cache: {
+    keyPolicy: {
+      ignoreQuery: false,
+      includeParams: [],
+      excludeParams: [],
+      sortParams: false,
+      lowercasePath: false,
+      cookies: [],
+      headers: []
+    }
+  },
+  trafficSplit: {
+    cookieName: 'cdn_split',
+    cookieMaxAge: 3600
+  },
+  originPools: {
+    get pools() {
+      const pools = {};
+      for (const [domain, rules] of Object.entries(require('../src/config').pathRewriting.domainRoutingRules)) {
+        if (rules.target && typeof rules.target === 'object') {
+          pools[`pool:${domain}`] = rules.target;
+        }
+      }
+      return pools;
+    }
+  }
+}));
+
+jest.mock('../src/domain/domain-manager', () => {
+  const PathRewriter = jest.requireActual('../src/domain/path-rewriter');
+  const pathRewriter = new PathRewriter({ defaultTarget: 'origin.example.net' });
+  return {
+    pathRewriter,
+    reloadPathRewritingRules: jest.fn(rules => pathRewriter.reloadRules(rules))
+  };
+});
+
+jest.mock('../src/proxy/origin-pool', () => ({
+  reloadPools: jest.fn()
+}));
+
+const config = require('../src/config');
+const domainManager = require('../src/domain/domain-manager');
+const originPoolManager = require('../src/proxy/origin-pool');
+const routingConfig = require('../src/domain/routing-config');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-config-'));
+const file = path.join(directory, 'routing.yaml');
+
+const validRouting = `domains:
+  api.example.com:
+    target: api.internal
+    pathPrefix: /api
+    rules:
+      - pattern: ^/v1/(.*)
+        replacement: /api/v1/$1
+  env.example.com:
+    pathPrefix: /from-file
+`;
+
+const loadedDomains = () => domainManager.pathRewriter.getRuleInfo()
+  .reduce((domains, rule) => ({ ...domains, [rule.domain]: rule }), {});
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    if (check()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Condition not met');
+};
+
+describe('RoutingConfig', () => {
+  beforeAll(() => {
+    fs.writeFileSync(file, validRouting);
+    config.pathRewriting.routingFile.path = file;
+    expect(routingConfig.start()).toBe(true);
+  });
+
+  afterAll(() => {
+    routingConfig.shutdown();
+    domainManager.pathRewriter.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mockLogger.error.mockClear();
+  });
+
+  afterEach(() => {
+    // Back to the valid version, without waiting for the watcher
+    fs.writeFileSync(file, validRouting);
+    routingConfig.reload();
+  });
+
+  test('should load file domains over the environment ones', () => {
+    const domains = loadedDomains();
+    expect(domains['api.example.com']).toMatchObject({ target: 'api.internal', pathPrefix: '/api', rulesCount: 1 });
+    expect(domains['env.example.com'].pathPrefix).toBe('/from-file');
+    expect(routingConfig.getStats()).toMatchObject({ file, watching: true, domains: ['api.example.com', 'env.example.com'] });
+  });
+
+  test('should not reapply an unchanged file', () => {
+    const { applied } = routingConfig.getStats();
+    expect(routingConfig.reload()).toMatchObject({ applied: false, unchanged: true });
+    expect(routingConfig.getStats().applied).toBe(applied);
+  });
+
+  test('should keep the rules and name the domain and rule of invalid rules', () => {
+    fs.writeFileSync(file, `domains:
+  api.example.com:
+    pathPrefix: /v2
+    rules:
+      - pattern: ^/ok
+        replacement: /ok
+      - pattern: ^/(broken
+        replacement: /x
+      - pattern: ^/half
+`);
+
+    const result = routingConfig.reload();
+    expect(result.applied).toBe(false);
+    expect(result.issues).toEqual([
+      expect.objectContaining({ file, domain: 'api.example.com', rule: 1, message: expect.stringMatching(/^Invalid regex pattern/) }),
+      { file, domain: 'api.example.com', rule: 2, message: 'Missing replacement' }
+    ]);
+    expect(mockLogger.error).toHaveBeenCalledWith(`${file} domain "api.example.com" rule 2: Missing replacement`);
+    expect(loadedDomains()['api.example.com'].pathPrefix).toBe('/api');
+    expect(config.pathRewriting.domainRoutingRules['api.example.com'].pathPrefix).toBe('/api');
+  });
+
+  test('should locate syntax errors', () => {
+    fs.writeFileSync(file, 'domains:\n  api.example.com:\n    pathPrefix: /api\n   target: [\n');
+
+    const [issue] = routingConfig.reload().issues;
+    expect(issue).toMatchObject({ file, line: 4 });
+    expect(routingConfig.getStats().lastFailure.issues[0]).toMatch(new RegExp(`^${file}:4:\\d+: `));
+    expect(loadedDomains()['api.example.com']).toBeDefined();
+  });
+
+  test('should check the shape of the file', () => {
+    fs.writeFileSync(file, 'api.example.com:\n  pathPrefix: /api\n');
+    expect(routingConfig.reload().issues).toEqual([{ file, message: 'Expected a top-level "domains" map' }]);
+
+    fs.writeFileSync(file, 'domains:\n  a.example.com: /a\n  b.example.com:\n    pathprefix: /b\n    target: 42\n');
+    expect(routingConfig.reload().issues.map(issue => `${issue.domain}: ${issue.message}`)).toEqual([
+      'a.example.com: Domain entry must be a map',
+      'b.example.com: Unknown field "pathprefix"',
+      'b.example.com: Target must be a host name or an origin pool'
+    ]);
+  });
+
+  test('should check traffic splits', () => {
+    fs.writeFileSync(file, validRouting.replace('    pathPrefix: /api\n', `    pathPrefix: /api
+    split:
+      variants:
+        - name: stable
+          weight: 9
+        - name: canary
+          weight: -1
+`));
+    expect(routingConfig.reload().issues).toEqual([{
+      file,
+      domain: 'api.example.com',
+      rule: null,
+      message: 'split: variants[1]: weight must be a number of 0 or more'
+    }]);
+
+    fs.writeFileSync(file, validRouting.replace('    pathPrefix: /api\n', `    pathPrefix: /api
+    split:
+      variants: [{ name: stable, weight: 9 }, { name: canary, weight: 1, target: v2.internal }]
+`));
+    expect(routingConfig.reload().applied).toBe(true);
+    expect(config.pathRewriting.domainRoutingRules['api.example.com'].split.variants[1].target).toBe('v2.internal');
+  });
+
+  test('should check cache key policies', () => {
+    fs.writeFileSync(file, validRouting.replace('    pathPrefix: /api\n', `    pathPrefix: /api
+    cacheKey:
+      includeParams: 7
+`));
+    expect(routingConfig.reload().issues).toEqual([{
+      file,
+      domain: 'api.example.com',
+      rule: null,
+      message: 'cacheKey: includeParams must be a list of names'
+    }]);
+    expect(config.pathRewriting.domainRoutingRules['api.example.com'].cacheKey).toBeUndefined();
+
+    fs.writeFileSync(file, validRouting.replace('    pathPrefix: /api\n', `    pathPrefix: /api
+    cacheKey:
+      includeParams: page, sort
+`));
+    expect(routingConfig.reload().applied).toBe(true);
+    expect(config.pathRewriting.domainRoutingRules['api.example.com'].cacheKey.includeParams).toBe('page, sort');
+  });
+
+  test('should keep the rules when the file goes away', () => {
+    fs.unlinkSync(file);
+    expect(routingConfig.reload().issues[0].message).toMatch(/^Cannot read file: ENOENT/);
+    expect(loadedDomains()['api.example.com']).toBeDefined();
+  });
+
+  test('should rebuild origin pools when inline pools change', () => {
+    originPoolManager.reloadPools.mockClear();
+    fs.writeFileSync(file, validRouting.replace('target: api.internal', 'target: [api1.internal, api2.internal]'));
+
+    expect(routingConfig.reload().applied).toBe(true);
+    expect(loadedDomains()['api.example.com'].target).toBe('pool:api.example.com');
+    expect(originPoolManager.reloadPools).toHaveBeenCalledTimes(1);
+  });
+
+  describe('change', () => {
+    test('should add, replace and remove domains in the file', () => {
+      const { version } = routingConfig;
+
+      expect(routingConfig.change('new.example.com', { pathPrefix: '/new' }, version))
+        .toEqual({ domain: 'new.example.com', version: version + 1, created: true, removed: false });
+      expect(loadedDomains()['new.example.com'].pathPrefix).toBe('/new');
+
+      routingConfig.change('new.example.com', { pathPrefix: '/newer' }, version + 1);
+      expect(loadedDomains()['new.example.com'].pathPrefix).toBe('/newer');
+      expect(routingConfig.listDomains()['new.example.com']).toEqual({ source: 'file', pathPrefix: '/newer' });
+
+      expect(routingConfig.change('new.example.com', null, version + 2).removed).toBe(true);
+      expect(loadedDomains()['new.example.com']).toBeUndefined();
+
+      // The version is kept in the file, next to the domains
+      const written = fs.readFileSync(file, 'utf8');
+      expect(written).toMatch(new RegExp(`^version: ${version + 3}\n`));
+      expect(written).toContain('api.example.com:');
+    });
+
+    test('should refuse changes based on an old version', () => {
+      const { version } = routingConfig;
+      expect(() => routingConfig.change('api.example.com', { pathPrefix: '/x' }, version - 1))
+        .toThrow(expect.objectContaining({ code: 'VERSION_CONFLICT' }));
+
+      // Edited by hand since it was read
+      fs.writeFileSync(file, validRouting.replace('pathPrefix: /api', 'pathPrefix: /edited'));
+      expect(() => routingConfig.change('api.example.com', { pathPrefix: '/x' }, version))
+        .toThrow(expect.objectContaining({ code: 'VERSION_CONFLICT' }));
+      expect(loadedDomains()['api.example.com'].pathPrefix).toBe('/edited');
+    });
+
+    test('should refuse invalid rules and leave the file alone', () => {
+      const before = fs.readFileSync(file, 'utf8');
+      let error;
+      try {
+        routingConfig.change('api.example.com', { rules: [{ pattern: '(', replacement: '/x' }], extra: true },
+          routingConfig.version);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.code).toBe('INVALID_RULES');
+      expect(error.issues).toEqual([
+        `${file} domain "api.example.com": Unknown field "extra"`,
+        expect.stringMatching(/domain "api\.example\.com" rule 0: Invalid regex pattern/)
+      ]);
+      expect(fs.readFileSync(file, 'utf8')).toBe(before);
+    });
+
+    test('should refuse changes while the file has errors, and removals of unknown domains', () => {
+      expect(() => routingConfig.change('missing.example.com', null, routingConfig.version))
+        .toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+
+      fs.writeFileSync(file, 'domains: [');
+      expect(() => routingConfig.change('api.example.com', {}, routingConfig.version))
+        .toThrow(expect.objectContaining({ code: 'FILE_INVALID' }));
+    });
+  });
+
+  test('should reload when the file changes', async () => {
+    fs.writeFileSync(file, validRouting.replace('pathPrefix: /api', 'pathPrefix: /watched'));
+    await waitFor(() => loadedDomains()['api.example.com'].pathPrefix === '/watched');
+
+    // Saved by renaming a new file into place
+    const temporary = path.join(directory, 'routing.yaml.tmp');
+    fs.writeFileSync(temporary, validRouting.replace('pathPrefix: /api', 'pathPrefix: /renamed'));
+    fs.renameSync(temporary, file);
+    await waitFor(() => loadedDomains()['api.example.com'].pathPrefix === '/renamed');
+  });
+});
@@ -0,0 +1,219 @@
+// routing-trace.test.js
+
+/**
+ * Unit tests for the Routing Trace
+ *
+ * Tests the decision trace of simulated requests: the domain rule matched,
+ * the outcome of each path rule with the conditions it saw, fallbacks, the
+ * traffic split variant, the target, the cache key and whether file
+ * resolution would be tried.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cdn: {
+    targetHttps: false
+  },
+  pathRewriting: {
+    domainRoutingRules: {
+      'ab.example.org': {
+        split: {
+          sticky: 'ip',
+          variants: [{ name: 'a', weight: 0 }, { name: 'b', weight: 1, target: 'b.internal' }]
+        }
+      }
+    }
+  },
+  trafficSplit: {
+    cookieName: 'cdn_split',
+    cookieMaxAge: 3600
+  },
+  fileResolution: {
+    getDomainConfig: () => ({ enabled: true, extensions: ['html', 'md'] })
+  }
+}));
+
+jest.mock('../src/domain/domain-manager', () => {
+  const PathRewriter = jest.requireActual('../src/domain/path-rewriter');
+  const pathRewriter = new PathRewriter({ defaultTarget: 'origin.internal' });
+  pathRewriter.loadRules({
+    '*.example.com': {
+      target: 'web.internal',
+      pathPrefix: '/sites/{subdomain}',
+      rules: [
+        { pattern: '^/admin', replacement: '/admin', method: ['POST'] },
+        { pattern: '^/app/(.*)', replacement: '/beta/$1', target: 'beta-pool', conditions: { cookie: 'beta', equals: '1' } },
+        { pattern: '^/app/(.*)', replacement: '/app/$1' },
+        { pattern: '^/(.*)', replacement: '/$1' }
+      ]
+    },
+    'strict.example.org': {
+      target: 'strict.internal',
+      fallback: 'error',
+      rules: [{ pattern: '/only', replacement: '/only', exact: true }]
+    }
+  });
+  return {
+    pathRewritingEnabled: true,
+    pathRewriter,
+    isAllowedHost: host => host !== 'blocked.example.net',
+    getTargetBackend: domain => pathRewriter.getTargetBackend(domain)
+  };
+});
+
+jest.mock('../src/proxy/proxy-manager', () => ({
+  getTargetBackend: req => {
+    const transformation = req.pathTransformation;
+    return (transformation && transformation.appliedRule && transformation.appliedRule.target) ||
+      (req.splitVariant && req.splitVariant.target) ||
+      require('../src/domain/domain-manager').getTargetBackend(req.headers.host);
+  },
+  checkFileResolution: req => {
+    const originalPath = req.url.split('?')[0];
+    const reason = originalPath.includes('.') ? 'extension' : null;
+    return { attempt: !reason, reason, originalPath, transformedPath: req.pathTransformation.transformedPath };
+  }
+}));
+
+jest.mock('../src/cache/cache-manager', () => ({
+  enabled: true,
+  generatePrimaryKey: req => `${req.method}:${req.headers.host}:${req.url}:transformed=${req.pathTransformation.transformedPath}`,
+  generateKey: req => `${req.method}:${req.headers.host}:${req.url}:transformed=${req.pathTransformation.transformedPath}`,
+  has: jest.fn(() => false)
+}));
+
+jest.mock('../src/cache/file-resolution-cache', () => ({
+  generateKey: (baseUrl, extensions) => `${baseUrl}:${extensions.join(',')}`,
+  has: () => false
+}));
+
+jest.mock('../src/proxy/origin-pool', () => ({
+  hasPool: name => name === 'beta-pool',
+  getStats: () => ({
+    pools: {
+      'beta-pool': {
+        origins: [{ host: 'beta-1.internal', protocol: 'http' }, { host: 'beta-2.internal', protocol: 'https' }],
+        backup: []
+      }
+    }
+  })
+}));
+
+jest.mock('../src/proxy/shield-manager', () => ({
+  appliesTo: jest.fn(() => false),
+  parent: null
+}));
+
+const config = require('../src/config');
+const domainManager = require('../src/domain/domain-manager');
+const shieldManager = require('../src/proxy/shield-manager');
+const routingTrace = require('../src/domain/routing-trace');
+
+describe('RoutingTrace', () => {
+  afterAll(() => {
+    domainManager.pathRewriter.shutdown();
+  });
+
+  test('should trace each path rule up to the one that matched', () => {
+    const trace = routingTrace.trace({ host: 'shop.example.com', path: '/app/cart', headers: { Cookie: 'beta=0' } });
+
+    expect(trace.domainRule).toMatchObject({ pattern: '*.example.com', match: 'wildcard', subdomains: ['shop'] });
+    expect(trace.rules.map(rule => rule.outcome))
+      .toEqual(['method_not_allowed', 'conditions_not_met', 'matched', 'not_evaluated']);
+    expect(trace.rules[1].conditions).toEqual({ cookie: 'beta', equals: ['1'], values: ['0'], result: false });
+    expect(trace.rules[2].transformedPath).toBe('/app/cart');
+    expect(trace.fallback).toBeNull();
+    expect(trace.transformation).toMatchObject({ transformedPath: '/app/cart', target: 'web.internal', conditional: true });
+    expect(trace.target).toMatchObject({ backend: 'web.internal', pool: false, url: 'http://web.internal' });
+    expect(trace.cache).toMatchObject({ cacheable: true, key: 'GET:shop.example.com:/app/cart:transformed=/app/cart' });
+    expect(trace.fileResolution).toEqual({
+      attempt: true,
+      reason: null,
+      baseUrl: 'http://web.internal/app/cart',
+      extensions: ['html', 'md'],
+      cached: false
+    });
+  });
+
+  test('should follow a conditional rule to its own target', () => {
+    const trace = routingTrace.trace({ host: 'shop.example.com', path: '/app/cart.js', headers: { cookie: 'beta=1' } });
+
+    expect(trace.rules[1]).toMatchObject({ outcome: 'matched', target: 'beta-pool', transformedPath: '/beta/cart.js' });
+    expect(trace.target).toMatchObject({
+      backend: 'beta-pool',
+      pool: true,
+      origins: { origins: ['http://beta-1.internal', 'https://beta-2.internal'], backup: [] },
+      url: null
+    });
+    expect(trace.fileResolution).toMatchObject({ attempt: false, reason: 'extension' });
+  });
+
+  test('should report the traffic split variant and send the request to its target', () => {
+    expect(routingTrace.trace({ host: 'shop.example.com', path: '/' }).split).toBeNull();
+
+    const trace = routingTrace.trace({ host: 'ab.example.org', path: '/home', ip: '198.51.100.1' });
+    expect(trace.split).toEqual({
+      split: 'ab.example.org',
+      variant: 'b',
+      target: 'b.internal',
+      sticky: 'ip',
+      source: 'ip',
+      cookie: null
+    });
+    expect(trace.target).toMatchObject({ backend: 'b.internal', url: 'http://b.internal' });
+  });
+
+  test('should report the protocol of the parent tier', () => {
+    config.cdn.targetHttps = true;
+    shieldManager.appliesTo.mockReturnValue(true);
+    shieldManager.parent = { host: 'shield.internal:8080', protocol: 'http', url: 'http://shield.internal:8080' };
+    try {
+      const trace = routingTrace.trace({ host: 'shop.example.com', path: '/about' });
+
+      expect(trace.target).toMatchObject({
+        backend: 'web.internal',
+        viaParent: true,
+        parent: 'http://shield.internal:8080',
+        parentOrigins: null,
+        url: 'https://web.internal'
+      });
+      expect(trace.fileResolution.baseUrl).toBe('http://shield.internal:8080/about');
+    } finally {
+      config.cdn.targetHttps = false;
+      shieldManager.appliesTo.mockReturnValue(false);
+      shieldManager.parent = null;
+    }
+  });
+
+  test('should report fallbacks and errors', () => {
+    const noRule = routingTrace.trace({ host: 'other.example.net', path: '/x' });
+    expect(noRule.domainRule).toBeNull();
+    expect(noRule.fallback).toEqual({ reason: 'no_rule_match', action: 'passthrough' });
+    expect(noRule.transformation).toMatchObject({ transformedPath: '/x', target: 'origin.internal', matched: false });
+
+    const strict = routingTrace.trace({ host: 'strict.example.org', path: '/other', method: 'get' });
+    expect(strict.domainRule.match).toBe('exact');
+    expect(strict.rules).toEqual([expect.objectContaining({ outcome: 'no_path_match' })]);
+    expect(strict.fallback).toEqual({ reason: 'error', action: 'error', error: 'No routing rule matched for path: /other' });
+    expect(strict.transformation).toMatchObject({ transformedPath: '/other', fallbackUsed: true });
+  });
+
+  test('should stop at hosts that are not allowed', () => {
+    const trace = routingTrace.trace({ host: 'blocked.example.net' });
+    expect(trace).toMatchObject({ allowed: false, transformation: null, cache: null });
+  });
+
+  test('should refuse unusable input', () => {
+    expect(() => routingTrace.trace({ path: '/' })).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+    expect(() => routingTrace.trace({ host: 'a.example.com', path: 'x' })).toThrow('The path must start with /');
+    expect(() => routingTrace.trace({ host: 'a.example.com', headers: ['x'] })).toThrow(/Headers must be an object/);
+  });
+});
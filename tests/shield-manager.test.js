@@ -0,0 +1,120 @@
+// shield-manager.test.js
+
+/**
+ * Unit tests for the Shield Manager
+ *
+ * Tests parent parsing, which requests are shielded, Via loop detection
+ * and when a failed parent may be bypassed.
+ */
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cdn: {
+    cdnName: 'edge-1'
+  },
+  shield: {
+    enabled: true,
+    parent: 'shield.internal:8080',
+    parentHttps: false,
+    domains: [],
+    bypassOnError: true,
+    loopDetection: true
+  }
+}));
+
+jest.mock('../src/proxy/origin-pool', () => ({
+  hasPool: jest.fn(name => name === 'shield-pool'),
+  select: jest.fn(() => ({ host: 'shield-2.internal', url: 'http://shield-2.internal' }))
+}));
+
+const config = require('../src/config');
+const shieldManager = require('../src/proxy/shield-manager');
+
+const createRequest = (headers = {}) => ({
+  method: 'GET',
+  url: '/page',
+  headers: { host: 'www.example.com', ...headers }
+});
+
+describe('ShieldManager', () => {
+  afterEach(() => {
+    shieldManager.domains = [];
+  });
+
+  test('should parse hosts, URLs and pool names as parents', () => {
+    expect(shieldManager.parent).toEqual({
+      host: 'shield.internal:8080',
+      protocol: 'http',
+      url: 'http://shield.internal:8080'
+    });
+    expect(shieldManager.parseParent('https://shield.example.com/')).toEqual({
+      host: 'shield.example.com',
+      protocol: 'https',
+      url: 'https://shield.example.com'
+    });
+    expect(shieldManager.parseParent('shield-pool')).toEqual({ pool: 'shield-pool' });
+  });
+
+  test('should pick a pool origin when the parent is a pool', () => {
+    const req = createRequest();
+    const parent = shieldManager.parent;
+    shieldManager.parent = { pool: 'shield-pool' };
+
+    expect(shieldManager.getParentUrl(req)).toBe('http://shield-2.internal');
+    expect(req.selectedOrigin.host).toBe('shield-2.internal');
+
+    shieldManager.parent = parent;
+  });
+
+  test('should only shield configured domains', () => {
+    expect(shieldManager.appliesTo(createRequest())).toBe(true);
+
+    shieldManager.domains = ['static.example.com'];
+    expect(shieldManager.appliesTo(createRequest())).toBe(false);
+    expect(shieldManager.appliesTo(createRequest({ host: 'static.example.com:443' }))).toBe(true);
+  });
+
+  test('should not shield requests that bypass the parent', () => {
+    const req = createRequest();
+    req.bypassShield = true;
+
+    expect(shieldManager.appliesTo(req)).toBe(false);
+  });
+
+  test('should detect this node in the Via header', () => {
+    expect(shieldManager.detectLoop(createRequest())).toBe(false);
+    expect(shieldManager.detectLoop(createRequest({ via: '1.1 edge-2, 1.1 shield' }))).toBe(false);
+    expect(shieldManager.detectLoop(createRequest({ via: '1.1 edge-10' }))).toBe(false);
+    expect(shieldManager.detectLoop(createRequest({ via: '1.0 proxy (squid), 1.1 edge-1' }))).toBe(true);
+    expect(shieldManager.getStats().loopsDetected).toBe(1);
+  });
+
+  test('should skip loop detection when disabled', () => {
+    config.shield.loopDetection = false;
+    expect(shieldManager.detectLoop(createRequest({ via: '1.1 edge-1' }))).toBe(false);
+    config.shield.loopDetection = true;
+  });
+
+  test('should only bypass the parent for requests without a body', () => {
+    const req = createRequest();
+    expect(shieldManager.canBypass(req)).toBe(false);
+
+    req.viaParent = true;
+    expect(shieldManager.canBypass(req)).toBe(true);
+
+    const upload = createRequest({ 'content-length': '42' });
+    upload.viaParent = true;
+    expect(shieldManager.canBypass(upload)).toBe(false);
+
+    req.bypassShield = true;
+    expect(shieldManager.canBypass(req)).toBe(false);
+  });
+});
@@ -0,0 +1,234 @@
+// traffic-split.test.js
+
+/**
+ * Unit tests for the Traffic Split
+ *
+ * Tests compiling splits (with the location of invalid ones), finding a
+ * domain's split from the live routing rules, weighted picks, sticky
+ * assignment by cookie or client address, rolling a variant back with
+ * weight 0, and passing new assignments on to the origin and the client.
+ */
+
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => mockLogger
+}));
+
+jest.mock('../src/config', () => ({
+  pathRewriting: {
+    domainRoutingRules: {}
+  },
+  trafficSplit: {
+    cookieName: 'cdn_split',
+    cookieMaxAge: 3600
+  }
+}));
+
+const config = require('../src/config');
+const trafficSplit = require('../src/domain/traffic-split');
+
+const canary = (weights = [90, 10]) => ({
+  variants: [
+    { name: 'stable', weight: weights[0] },
+    { name: 'canary', weight: weights[1], target: 'v2.internal' }
+  ]
+});
+
+const request = ({ host = 'shop.example.com', cookie, ip = '203.0.113.7' } = {}) => ({
+  headers: cookie === undefined ? { host } : { host, cookie },
+  ip
+});
+
+const response = () => {
+  const headers = {};
+  return {
+    getHeader: name => headers[name.toLowerCase()],
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+    writeHead: jest.fn(),
+    headers
+  };
+};
+
+describe('TrafficSplit', () => {
+  beforeEach(() => {
+    config.pathRewriting.domainRoutingRules = {
+      'shop.example.com': { target: 'v1.internal', split: canary() }
+    };
+    mockLogger.error.mockClear();
+  });
+
+  describe('compile', () => {
+    test('should apply defaults', () => {
+      expect(trafficSplit.compile(canary(), 'shop.example.com')).toEqual({
+        name: 'shop.example.com',
+        sticky: 'cookie',
+        cookie: 'cdn_split',
+        cookieMaxAge: 3600,
+        variants: [
+          { name: 'stable', weight: 90, target: null },
+          { name: 'canary', weight: 10, target: 'v2.internal' }
+        ],
+        totalWeight: 100
+      });
+    });
+
+    test.each([
+      [[], /^split: must be a map$/],
+      [{ ...canary(), stickiness: 'ip' }, /unknown field "stickiness"/],
+      [{ ...canary(), sticky: 'session' }, /sticky must be one of cookie, ip$/],
+      [{ ...canary(), cookie: 'a b' }, /cookie must be a cookie name$/],
+      [{ ...canary(), cookieMaxAge: 0 }, /cookieMaxAge must be a number of seconds$/],
+      [{ variants: [{ name: 'only', weight: 1 }] }, /variants must list at least two variants$/],
+      [{ variants: [{ name: 'a', weight: 1 }, { name: 'b', weight: -1 }] }, /^split: variants\[1\]: weight must be a number of 0 or more$/],
+      [{ variants: [{ name: 'a', weight: 1 }, { name: 'b c', weight: 1 }] }, /^split: variants\[1\]: name may only hold/],
+      [{ variants: [{ name: 'a', weight: 1 }, { name: 'b', weight: 1, target: '' }] }, /variants\[1\]: target must be/],
+      [{ variants: [{ name: 'a', weight: 1 }, { name: 'a', weight: 1 }] }, /variant "a" is listed twice$/],
+      [canary([0, 0]), /at least one variant needs a weight above 0$/]
+    ])('should refuse %j', (spec, message) => {
+      expect(() => trafficSplit.compile(spec, 'shop.example.com')).toThrow(message);
+    });
+  });
+
+  describe('getSplit', () => {
+    test('should find splits by host, host without port and wildcard', () => {
+      config.pathRewriting.domainRoutingRules['*.example.org'] = { split: { ...canary(), name: 'org' } };
+
+      expect(trafficSplit.getSplit('shop.example.com:8080').name).toBe('shop.example.com');
+      expect(trafficSplit.getSplit('www.example.org').name).toBe('org');
+      expect(trafficSplit.getSplit('example.org')).toBeNull();
+      expect(trafficSplit.getSplit('other.example.com')).toBeNull();
+    });
+
+    test('should follow rule changes', () => {
+      expect(trafficSplit.getSplit('shop.example.com').variants[1].weight).toBe(10);
+
+      config.pathRewriting.domainRoutingRules = {
+        'shop.example.com': { target: 'v1.internal', split: canary([50, 50]) }
+      };
+      expect(trafficSplit.getSplit('shop.example.com').variants[1].weight).toBe(50);
+    });
+
+    test('should log and ignore invalid splits', () => {
+      config.pathRewriting.domainRoutingRules['shop.example.com'].split = { variants: [] };
+
+      expect(trafficSplit.getSplit('shop.example.com')).toBeNull();
+      expect(trafficSplit.getSplit('shop.example.com')).toBeNull();
+      expect(mockLogger.error).toHaveBeenCalledTimes(1);
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.stringMatching(/^Ignoring the traffic split of shop\.example\.com: split: variants/));
+    });
+  });
+
+  describe('pick', () => {
+    test('should divide positions by weight and skip variants of weight 0', () => {
+      const split = trafficSplit.compile(canary(), 'shop.example.com');
+      expect(trafficSplit.pick(split, 0).name).toBe('stable');
+      expect(trafficSplit.pick(split, 0.899).name).toBe('stable');
+      expect(trafficSplit.pick(split, 0.9).name).toBe('canary');
+      expect(trafficSplit.pick(split, 0.999).name).toBe('canary');
+
+      const rolledBack = trafficSplit.compile({
+        variants: [{ name: 'old', weight: 0 }, { name: 'stable', weight: 1 }, { name: 'canary', weight: 0 }]
+      }, 'shop.example.com');
+      expect(trafficSplit.pick(rolledBack, 0).name).toBe('stable');
+      expect(trafficSplit.pick(rolledBack, 0.999).name).toBe('stable');
+    });
+  });
+
+  describe('choose', () => {
+    test('should return null for domains without a split', () => {
+      expect(trafficSplit.choose(request({ host: 'other.example.com' }))).toBeNull();
+    });
+
+    test('should keep clients on the variant their cookie names', () => {
+      expect(trafficSplit.choose(request({ cookie: 'a=1; cdn_split=canary' }))).toEqual({
+        split: 'shop.example.com',
+        variant: 'canary',
+        target: 'v2.internal',
+        sticky: 'cookie',
+        source: 'cookie',
+        cookie: null
+      });
+    });
+
+    test('should assign new clients by weight with a cookie', () => {
+      const random = jest.spyOn(Math, 'random').mockReturnValue(0.95);
+      try {
+        expect(trafficSplit.choose(request())).toMatchObject({
+          variant: 'canary',
+          source: 'new',
+          cookie: 'cdn_split=canary; Path=/; Max-Age=3600; HttpOnly; SameSite=Lax'
+        });
+      } finally {
+        random.mockRestore();
+      }
+    });
+
+    test('should assign clients of a variant rolled back to weight 0 again', () => {
+      config.pathRewriting.domainRoutingRules['shop.example.com'].split = canary([100, 0]);
+
+      expect(trafficSplit.choose(request({ cookie: 'cdn_split=canary' }))).toMatchObject({
+        variant: 'stable',
+        source: 'new',
+        cookie: expect.stringMatching(/^cdn_split=stable;/)
+      });
+    });
+
+    test('should hash client addresses when sticky by ip', () => {
+      config.pathRewriting.domainRoutingRules['shop.example.com'].split = { ...canary([50, 50]), sticky: 'ip' };
+
+      const variants = new Set();
+      for (let i = 0; i < 40; i++) {
+        const first = trafficSplit.choose(request({ ip: `198.51.100.${i}` }));
+        const again = trafficSplit.choose(request({ ip: `::ffff:198.51.100.${i}` }));
+        expect(again.variant).toBe(first.variant);
+        expect(first).toMatchObject({ source: 'ip', cookie: null });
+        variants.add(first.variant);
+      }
+      expect(variants).toEqual(new Set(['stable', 'canary']));
+    });
+  });
+
+  describe('assign', () => {
+    test('should pass new assignments on to the origin and the client', () => {
+      const req = request({ cookie: 'session=abc' });
+      const res = response();
+      res.setHeader('Set-Cookie', 'session=def; Path=/');
+      const writeHead = res.writeHead;
+
+      const assignment = trafficSplit.assign(req, res);
+      const pair = `cdn_split=${assignment.variant}`;
+      expect(req.headers.cookie).toBe(`session=abc; ${pair}`);
+
+      // Not before the headers go out
+      expect(res.headers['set-cookie']).toBe('session=def; Path=/');
+      res.writeHead(200);
+      expect(res.headers['set-cookie']).toEqual(['session=def; Path=/', assignment.cookie]);
+      expect(writeHead).toHaveBeenCalledWith(200);
+    });
+
+    test('should leave sticky requests alone and count assignments', () => {
+      const before = trafficSplit.getStats();
+      const req = request({ cookie: 'cdn_split=stable' });
+      const res = response();
+
+      expect(trafficSplit.assign(req, res).variant).toBe('stable');
+      expect(req.headers.cookie).toBe('cdn_split=stable');
+      res.writeHead(200);
+      expect(res.headers['set-cookie']).toBeUndefined();
+
+      trafficSplit.assign(request());
+      expect(trafficSplit.getStats()).toMatchObject({
+        assigned: before.assigned + 2,
+        sticky: before.sticky + 1
+      });
+    });
+  });
+});
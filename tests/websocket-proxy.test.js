@@ -0,0 +1,186 @@
+// websocket-proxy.test.js
+
+/**
+ * Unit tests for the WebSocket Proxy
+ *
+ * Tests upgrade rejection (unknown domain, disabled domain, loops),
+ * routing before the upgrade is proxied, connection counting and the
+ * idle timeout.
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('../src/logger', () => ({
+  getModuleLogger: () => ({
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+jest.mock('../src/config', () => ({
+  cdn: {
+    cdnName: 'edge-1'
+  },
+  pathRewriting: {
+    enabled: true
+  },
+  websocket: {
+    enabled: true,
+    domains: ['ws.example.com', 'api.example.com'],
+    idleTimeout: 1000
+  }
+}));
+
+jest.mock('http-proxy-middleware', () => ({
+  createProxyMiddleware: jest.fn(options => {
+    const middleware = jest.fn();
+    middleware.upgrade = jest.fn(async () => {});
+    middleware.options = options;
+    return middleware;
+  })
+}));
+
+jest.mock('../src/domain/domain-manager', () => ({
+  useDynamicHostname: true,
+  originDomain: 'example.com',
+  isAllowedHost: jest.fn(host => !host.startsWith('evil.')),
+  getPathTransformation: jest.fn((host, url) => ({
+    domain: host,
+    matched: true,
+    transformedPath: `/api${url}`
+  }))
+}));
+
+jest.mock('../src/proxy/proxy-manager', () => ({
+  targetUrl: 'http://origin.internal',
+  getTargetForRequest: jest.fn(() => 'http://origin.internal'),
+  rewritePathForRequest: jest.fn(path => path)
+}));
+
+jest.mock('../src/proxy/origin-pool', () => ({
+  acquire: jest.fn(),
+  release: jest.fn(),
+  reportFailure: jest.fn()
+}));
+
+jest.mock('../src/proxy/shield-manager', () => ({
+  detectLoop: jest.fn(req => (req.headers.via || '').includes('edge-1'))
+}));
+
+jest.mock('../src/monitoring/metrics-manager', () => ({
+  recordWebSocketUpgrade: jest.fn(),
+  recordWebSocketActive: jest.fn()
+}));
+
+const metricsManager = require('../src/monitoring/metrics-manager');
+const websocketProxy = require('../src/proxy/websocket-proxy');
+
+const createSocket = () => {
+  const socket = new EventEmitter();
+  socket.writable = true;
+  socket.end = jest.fn();
+  socket.destroy = jest.fn(() => socket.emit('close'));
+  socket.setTimeout = jest.fn();
+  return socket;
+};
+
+const createRequest = (host, headers = {}) => ({
+  method: 'GET',
+  url: '/live',
+  headers: { host, upgrade: 'websocket', connection: 'Upgrade', ...headers }
+});
+
+describe('WebSocketProxy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should reject upgrades to unauthorized domains', () => {
+    const socket = createSocket();
+    websocketProxy.handleUpgrade(createRequest('evil.example.com'), socket, Buffer.alloc(0));
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 404 Not Found/));
+    expect(websocketProxy.proxy.upgrade).not.toHaveBeenCalled();
+    expect(metricsManager.recordWebSocketUpgrade).toHaveBeenCalledWith('evil.example.com', 'rejected');
+  });
+
+  test('should reject upgrades for domains without WebSockets enabled', () => {
+    const socket = createSocket();
+    websocketProxy.handleUpgrade(createRequest('www.example.com'), socket, Buffer.alloc(0));
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 403 Forbidden/));
+    expect(websocketProxy.proxy.upgrade).not.toHaveBeenCalled();
+  });
+
+  test('should reject looping upgrades', () => {
+    const socket = createSocket();
+    websocketProxy.handleUpgrade(createRequest('ws.example.com', { via: '1.1 edge-1' }), socket, Buffer.alloc(0));
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 508 Loop Detected/));
+  });
+
+  test('should route and proxy allowed upgrades', () => {
+    const socket = createSocket();
+    const head = Buffer.from('x');
+    const req = createRequest('api.example.com:8080');
+
+    websocketProxy.handleUpgrade(req, socket, head);
+
+    expect(req.pathTransformation.transformedPath).toBe('/api/live');
+    expect(req.originDomain).toBe('api.example.com:8080');
+    expect(websocketProxy.proxy.upgrade).toHaveBeenCalledWith(req, socket, head);
+    expect(websocketProxy.getStats().activeByDomain).toEqual({ 'api.example.com': 1 });
+    expect(metricsManager.recordWebSocketActive).toHaveBeenCalledWith('api.example.com', 1);
+
+    socket.emit('close');
+    expect(websocketProxy.getStats().active).toBe(0);
+    expect(metricsManager.recordWebSocketActive).toHaveBeenCalledWith('api.example.com', -1);
+  });
+
+  test('should apply the idle timeout once the upgrade completes', () => {
+    const socket = createSocket();
+    const req = createRequest('ws.example.com');
+    websocketProxy.handleUpgrade(req, socket, Buffer.alloc(0));
+
+    const proxyReq = new EventEmitter();
+    proxyReq.setHeader = jest.fn();
+    websocketProxy.proxy.options.onProxyReqWs(proxyReq, req, socket);
+    expect(proxyReq.setHeader).toHaveBeenCalledWith('Via', '1.1 edge-1');
+
+    proxyReq.emit('upgrade');
+    expect(metricsManager.recordWebSocketUpgrade).toHaveBeenCalledWith('ws.example.com', 'opened');
+    expect(socket.setTimeout).toHaveBeenCalledWith(1000);
+
+    const idleBefore = websocketProxy.getStats().idleTimeouts;
+    socket.emit('timeout');
+    expect(socket.destroy).toHaveBeenCalled();
+    expect(websocketProxy.getStats().idleTimeouts).toBe(idleBefore + 1);
+  });
+
+  test('should answer 502 when the origin cannot be reached', () => {
+    const socket = createSocket();
+    const req = createRequest('ws.example.com');
+    websocketProxy.handleUpgrade(req, socket, Buffer.alloc(0));
+
+    websocketProxy.proxy.options.onError(new Error('connect ECONNREFUSED'), req, socket);
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 502 Bad Gateway/));
+    expect(metricsManager.recordWebSocketUpgrade).toHaveBeenCalledWith('ws.example.com', 'failed');
+  });
+
+  test('should answer 502 when routing the upgrade fails', async () => {
+    const socket = createSocket();
+    const req = createRequest('ws.example.com');
+    const failedBefore = websocketProxy.getStats().failed;
+    websocketProxy.proxy.upgrade.mockRejectedValueOnce(new Error('No origin available'));
+
+    websocketProxy.handleUpgrade(req, socket, Buffer.alloc(0));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1\.1 502 Bad Gateway/));
+    expect(metricsManager.recordWebSocketUpgrade).toHaveBeenCalledWith('ws.example.com', 'failed');
+    expect(websocketProxy.getStats().failed).toBe(failedBefore + 1);
+  });
+});